@@ -0,0 +1,187 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { ZeroAddress } from "ethers";
+
+/**
+ * Deployment of the escrow and its helpers.
+ *
+ * `deployContracts` deploys Replay, Escrow, Peek and Showdown (and optionally
+ * the Relay) and wires them with `initializeHelpers`. Given the manifest of a
+ * previous run it only deploys what is missing: a recorded contract is reused
+ * when it still has code and none of the contracts it was constructed with
+ * were redeployed, and an escrow that is already wired keeps its helpers. The
+ * wiring is then checked through the escrow's address getters, so a manifest
+ * that disagrees with the chain is rejected instead of overwritten.
+ *
+ * Manifests are written per network to `deployments/<network>.json` and can
+ * be loaded by clients with `connectDeployment` from the SDK. With a `save`
+ * callback the manifest is saved after every contract deployed, so a run that
+ * fails halfway resumes without deploying those contracts again.
+ */
+
+/**
+ * @typedef {Object} DeployOptions
+ * @property {import("../sdk/contracts.js").DeploymentManifest} [manifest] Manifest of a previous run on the same network
+ * @property {string} [network] Network name recorded in the manifest
+ * @property {boolean} [relay] Whether to deploy and wire a `HeadsUpPokerRelay`
+ * @property {import("ethers").Signer} [signer] Deployer and escrow owner, the first account by default
+ * @property {(manifest: import("../sdk/contracts.js").DeploymentManifest) => (void|Promise<void>)} [save]
+ * Called with the manifest after every contract deployed and once it is complete
+ */
+
+/**
+ * Deploy and wire the contracts, reusing those of `manifest`
+ * @param {Object} ethers The `ethers` object of the Hardhat runtime environment
+ * @param {DeployOptions} [options]
+ * @returns {Promise<{ escrow, replay, peek, showdown, relay, manifest }>} Contract instances, `relay`
+ * is `null` when the escrow has none, and the manifest to save
+ */
+export async function deployContracts(ethers, { manifest = null, network = "hardhat", relay = false, signer, save } = {}) {
+    signer = signer ?? (await ethers.getSigners())[0];
+    const { chainId } = await ethers.provider.getNetwork();
+    if (manifest && BigInt(manifest.chainId) !== chainId) {
+        throw new Error(`Manifest is for chain ${manifest.chainId}, connected to chain ${chainId}`);
+    }
+    const recorded = manifest?.contracts ?? {};
+    const factory = (name) => ethers.getContractFactory(name, signer);
+
+    // Manifest saved as the run progresses, holding the contracts in use so far
+    const progress = {
+        network,
+        chainId: chainId.toString(),
+        contracts: { escrow: null, replay: null, peek: null, showdown: null, relay: null },
+        blockNumber: manifest?.blockNumber ?? null
+    };
+
+    // Contract recorded in the manifest, if it is still deployed
+    const attach = async (name, key) => {
+        const address = recorded[key];
+        if (!address || await ethers.provider.getCode(address) === "0x") return null;
+        progress.contracts[key] = address;
+        return (await factory(name)).attach(address);
+    };
+    const deploy = async (key, name, ...args) => {
+        const contract = await (await factory(name)).deploy(...args);
+        await contract.waitForDeployment();
+        progress.contracts[key] = await contract.getAddress();
+        if (key === "escrow") {
+            progress.blockNumber = (await contract.deploymentTransaction().wait()).blockNumber;
+        }
+        await save?.(structuredClone(progress));
+        return contract;
+    };
+
+    let escrow = await attach("HeadsUpPokerEscrow", "escrow");
+    const fresh = !escrow;
+    let replay, peek, showdown;
+    if (escrow && await escrow.helpersConfigured()) {
+        // The helpers of a wired escrow are fixed, the manifest may only name them
+        const [replayAddress, peekAddress, showdownAddress] = await Promise.all([
+            escrow.getReplayAddress(), escrow.getPeekAddress(), escrow.getShowdownAddress()
+        ]);
+        replay = (await factory("HeadsUpPokerReplay")).attach(recorded.replay ?? replayAddress);
+        peek = (await factory("HeadsUpPokerPeek")).attach(recorded.peek ?? peekAddress);
+        showdown = (await factory("HeadsUpPokerShowdown")).attach(recorded.showdown ?? showdownAddress);
+        Object.assign(progress.contracts, {
+            replay: await replay.getAddress(),
+            peek: await peek.getAddress(),
+            showdown: await showdown.getAddress()
+        });
+    } else {
+        replay = await attach("HeadsUpPokerReplay", "replay");
+        const stale = fresh || !replay;
+        replay = replay ?? await deploy("replay", "HeadsUpPokerReplay");
+        escrow = escrow ?? await deploy("escrow", "HeadsUpPokerEscrow");
+
+        // Helpers take the escrow and each other in their constructors
+        peek = stale ? null : await attach("HeadsUpPokerPeek", "peek");
+        const peekStale = stale || !peek;
+        peek = peek ?? await deploy("peek", "HeadsUpPokerPeek", await escrow.getAddress(), await replay.getAddress());
+        showdown = peekStale ? null : await attach("HeadsUpPokerShowdown", "showdown");
+        showdown = showdown ?? await deploy("showdown", "HeadsUpPokerShowdown", await escrow.getAddress(), await peek.getAddress());
+
+        await (await escrow.initializeHelpers(
+            await replay.getAddress(),
+            await peek.getAddress(),
+            await showdown.getAddress()
+        )).wait();
+    }
+
+    let relayContract = null;
+    const relayAddress = await escrow.getRelayAddress();
+    if (relayAddress !== ZeroAddress) {
+        relayContract = (await factory("HeadsUpPokerRelay")).attach(recorded.relay ?? relayAddress);
+    } else if (relay) {
+        relayContract = (fresh ? null : await attach("HeadsUpPokerRelay", "relay")) ??
+            await deploy("relay", "HeadsUpPokerRelay", await escrow.getAddress());
+        await (await escrow.initializeRelay(await relayContract.getAddress())).wait();
+    }
+
+    const contracts = { escrow, replay, peek, showdown, relay: relayContract };
+    await verifyDeployment(contracts);
+
+    const deployment = {
+        network,
+        chainId: chainId.toString(),
+        contracts: {
+            escrow: await escrow.getAddress(),
+            replay: await replay.getAddress(),
+            peek: await peek.getAddress(),
+            showdown: await showdown.getAddress(),
+            relay: relayContract ? await relayContract.getAddress() : null
+        },
+        blockNumber: progress.blockNumber
+    };
+    await save?.(deployment);
+    return { ...contracts, manifest: deployment };
+}
+
+/**
+ * Check that the escrow is wired to the given helpers
+ * @param {{ escrow, replay, peek, showdown, relay }} contracts `relay` may be `null`
+ * @throws {Error} Naming the first helper the escrow is not wired to
+ */
+export async function verifyDeployment({ escrow, replay, peek, showdown, relay = null }) {
+    if (!await escrow.helpersConfigured()) {
+        throw new Error("Escrow helpers are not initialized");
+    }
+    const wiring = [
+        ["replay", replay, await escrow.getReplayAddress()],
+        ["peek", peek, await escrow.getPeekAddress()],
+        ["showdown", showdown, await escrow.getShowdownAddress()],
+        ["relay", relay, await escrow.getRelayAddress()]
+    ];
+    for (const [name, contract, wired] of wiring) {
+        const expected = contract ? await contract.getAddress() : ZeroAddress;
+        if (wired.toLowerCase() !== expected.toLowerCase()) {
+            throw new Error(`Escrow is wired to ${name} ${wired}, expected ${expected}`);
+        }
+    }
+}
+
+/**
+ * @param {string} root Project root
+ * @param {string} network Network name
+ * @returns {string} Path of the network's manifest
+ */
+export function manifestPath(root, network) {
+    return join(root, "deployments", `${network}.json`);
+}
+
+/**
+ * @param {string} path Manifest file
+ * @returns {import("../sdk/contracts.js").DeploymentManifest|null} The manifest, `null` if there is none
+ */
+export function readManifest(path) {
+    if (!existsSync(path)) return null;
+    return JSON.parse(readFileSync(path, "utf8"));
+}
+
+/**
+ * @param {string} path Manifest file, its directory is created if needed
+ * @param {import("../sdk/contracts.js").DeploymentManifest} manifest
+ */
+export function writeManifest(path, manifest) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(manifest, null, 2) + "\n");
+}
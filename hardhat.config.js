@@ -1,4 +1,6 @@
 import "@nomicfoundation/hardhat-toolbox";
+import "./tasks/channel.js";
+import "./tasks/deploy.js";
 
 export default {
     solidity: {
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { ethers } from "ethers";
+import { Indexer } from "./indexer.js";
+import { createApiServer } from "./server.js";
+import { FileStore } from "./store.js";
+
+/**
+ * Run the indexer and its HTTP API from a JSON config file:
+ *
+ *   node indexer/daemon.js indexer.json
+ *
+ * {
+ *   "rpcUrl": "http://127.0.0.1:8545",
+ *   "escrow": "0x...",
+ *   "fromBlock": 0,
+ *   "confirmations": 12,
+ *   "pollInterval": 2000,
+ *   "store": "channels.json",
+ *   "port": 8080
+ * }
+ *
+ * `rpcUrl` must serve historical state, i.e. be an archive node, unless
+ * `fromBlock` is recent enough for the node to still hold it. `store` is
+ * resolved against the config file. Stops on SIGINT or SIGTERM.
+ */
+
+const configPath = process.argv[2];
+if (!configPath) {
+    console.error("Usage: node indexer/daemon.js <config.json>");
+    process.exit(1);
+}
+
+const config = JSON.parse(readFileSync(configPath, "utf8"));
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const indexer = new Indexer({
+    provider,
+    escrow: config.escrow,
+    store: new FileStore(resolve(dirname(configPath), config.store ?? "channels.json")),
+    confirmations: config.confirmations,
+    fromBlock: config.fromBlock,
+    pollInterval: config.pollInterval
+});
+
+indexer.on("reorg", ({ from, to }) => {
+    console.log(`reorg: rolled back from block ${from} to ${to}`);
+});
+indexer.on("failed", ({ error }) => {
+    console.error(`poll failed: ${error.shortMessage ?? error.message}`);
+});
+
+const server = createApiServer(indexer);
+server.listen(config.port ?? 8080, "127.0.0.1", () => {
+    console.log(`indexing ${config.escrow}, API on port ${server.address().port}`);
+});
+
+async function shutdown() {
+    server.close();
+    await indexer.stop();
+    provider.destroy();
+}
+process.once("SIGINT", shutdown);
+process.once("SIGTERM", shutdown);
+
+indexer.start();
@@ -0,0 +1,236 @@
+import { EventEmitter } from "node:events";
+import { connectContracts } from "../sdk/contracts.js";
+import { CHANNEL_EVENTS, applyEvent } from "./projection.js";
+import { MemoryStore } from "./store.js";
+
+/**
+ * Event-sourced indexer of every channel of an escrow deployment.
+ *
+ * Events of the escrow and the peek helper (the showdown helper reports
+ * through escrow events) are folded into the projection of `projection.js`.
+ * Blocks at least `confirmations` deep are final: their events are applied
+ * to the confirmed snapshot, which is persisted to the store. Newer events
+ * stay pending and are replayed on top of the snapshot for the head view.
+ *
+ * Every poll checks that the block last indexed is still on the chain. When
+ * it is not, the chain was reorganized: the pending events are dropped and
+ * the blocks after the confirmed snapshot are indexed again. Reorganizations
+ * deeper than `confirmations` are not detected.
+ *
+ * The settings of a channel are read at the block it was opened in, so the
+ * provider must serve historical state: use an archive node, or a full node
+ * only when indexing from a recent block. Polls fail with an error naming the
+ * archive node requirement when that state is missing.
+ */
+
+/**
+ * @typedef {Object} IndexerOptions
+ * @property {import("ethers").Provider} provider Provider of the chain the escrow is deployed on
+ * @property {string} escrow Escrow address
+ * @property {FileStore|MemoryStore} [store] Where the confirmed snapshot is kept, memory by default
+ * @property {number} [confirmations] Depth at which blocks are final, 12 by default
+ * @property {number} [fromBlock] Block to start from without a snapshot, e.g. the deployment block
+ * @property {number} [pollInterval] Milliseconds between polls of `start`, 2000 by default
+ */
+
+export class Indexer extends EventEmitter {
+    /**
+     * Emits `synced` with `{ head, confirmed }` after every poll, `reorg` with
+     * `{ from, to }` when it rolls back from block `from` to block `to`, and
+     * `failed` with `{ error }` when a poll of `start` fails
+     * @param {IndexerOptions} options
+     */
+    constructor({ provider, escrow, store = new MemoryStore(), confirmations = 12, fromBlock = 0, pollInterval = 2000 }) {
+        super();
+        this.provider = provider;
+        this.escrowAddress = escrow;
+        this.store = store;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this.confirmed = store.load() ?? { block: fromBlock - 1, channels: {} };
+        this.pending = [];
+        this.head = null;
+        this.channels = structuredClone(this.confirmed.channels);
+        this.contracts = null;
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Poll every `pollInterval` milliseconds until `stop` is called
+     */
+    start() {
+        if (this.timer) return;
+        const loop = async () => {
+            this.running = this.poll().catch((error) => this.emit("failed", { error }));
+            await this.running;
+            if (this.timer) this.timer = setTimeout(loop, this.pollInterval);
+        };
+        this.timer = setTimeout(loop, 0);
+    }
+
+    /**
+     * Stop polling and wait for the current poll to finish
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    /**
+     * Index the blocks mined since the last poll
+     */
+    async poll() {
+        const contracts = await this.connect();
+
+        if (this.head) {
+            const block = await this.provider.getBlock(this.head.number);
+            if (!block || block.hash !== this.head.hash) {
+                this.emit("reorg", { from: this.head.number, to: this.confirmed.block });
+                this.pending = [];
+                this.head = null;
+            }
+        }
+
+        const latest = await this.provider.getBlock("latest");
+        const indexed = this.head ? this.head.number : this.confirmed.block;
+        if (indexed < latest.number) {
+            const logs = await this.provider.getLogs({
+                address: [this.escrowAddress, await contracts.peek.getAddress()],
+                fromBlock: indexed + 1,
+                toBlock: latest.number
+            });
+            this.pending.push(...await this.decode(logs));
+        }
+        this.head = { number: latest.number, hash: latest.hash };
+
+        const confirmedBlock = latest.number - this.confirmations;
+        if (confirmedBlock > this.confirmed.block) {
+            while (this.pending.length > 0 && this.pending[0].blockNumber <= confirmedBlock) {
+                applyEvent(this.confirmed.channels, this.pending.shift());
+            }
+            this.confirmed.block = confirmedBlock;
+            this.store.save(this.confirmed);
+        }
+
+        const channels = structuredClone(this.confirmed.channels);
+        for (const event of this.pending) {
+            applyEvent(channels, event);
+        }
+        this.channels = channels;
+        this.emit("synced", { head: this.head.number, confirmed: this.confirmed.block });
+    }
+
+    /**
+     * @param {string|bigint} channelId
+     * @returns {import("./projection.js").ChannelProjection|null} Head view of the channel
+     */
+    getChannel(channelId) {
+        return this.channels[channelId.toString()] ?? null;
+    }
+
+    /**
+     * Head view of the channels, without their history
+     * @param {Object} [filter]
+     * @param {string} [filter.player] Only channels seating this address
+     * @param {string} [filter.phase] Only channels in this `CHANNEL_PHASE`
+     */
+    listChannels({ player, phase } = {}) {
+        return Object.values(this.channels)
+            .filter((channel) => !phase || channel.phase === phase)
+            .filter((channel) => !player || [channel.player1, channel.player2]
+                .some((address) => address.toLowerCase() === player.toLowerCase()))
+            .map(({ history, ...channel }) => channel);
+    }
+
+    /**
+     * Blocks the projection covers
+     */
+    status() {
+        return {
+            head: this.head?.number ?? null,
+            confirmed: this.confirmed.block,
+            channels: Object.keys(this.channels).length
+        };
+    }
+
+    async connect() {
+        if (!this.contracts) {
+            this.contracts = await connectContracts(this.escrowAddress, this.provider);
+        }
+        return this.contracts;
+    }
+
+    // Decodes the channel events and attaches their block timestamps and, for
+    // openings, the channel settings at that block
+    async decode(logs) {
+        const { escrow, peek } = this.contracts;
+        const blocks = new Map();
+        const events = [];
+        for (const log of logs) {
+            const isEscrow = log.address.toLowerCase() === this.escrowAddress.toLowerCase();
+            const parsed = (isEscrow ? escrow : peek).interface.parseLog(log);
+            if (!parsed || !CHANNEL_EVENTS.includes(parsed.name)) continue;
+
+            if (!blocks.has(log.blockNumber)) {
+                blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+            }
+            const block = blocks.get(log.blockNumber);
+            if (!block || block.hash !== log.blockHash) {
+                throw new Error(`Block ${log.blockNumber} changed while indexing`);
+            }
+
+            const args = {};
+            parsed.fragment.inputs.forEach((input, i) => {
+                const value = parsed.args[i];
+                args[input.name] = typeof value === "bigint" ? value.toString() : value;
+            });
+            const event = {
+                name: parsed.name,
+                args,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                timestamp: block.timestamp
+            };
+            if (parsed.name === "ChannelOpened") {
+                event.config = await this.channelConfig(args.channelId, log.blockNumber);
+            }
+            events.push(event);
+        }
+        return events;
+    }
+
+    // Channel ids are reused once a channel is finalized, so the settings are
+    // read at the block of the opening rather than at the head. Nodes that
+    // prune old state cannot serve that read once the block is a few hundred
+    // deep, hence the archive node requirement.
+    async channelConfig(channelId, blockTag) {
+        let ch;
+        try {
+            ch = await this.contracts.escrow.getChannel(channelId, { blockTag });
+        } catch (error) {
+            throw new Error(
+                `Cannot read channel ${channelId} at block ${blockTag}, the indexer needs an archive node: ` +
+                (error.shortMessage ?? error.message)
+            );
+        }
+        return {
+            token: ch.token,
+            session: ch.session,
+            slashAmount: ch.slashAmount.toString(),
+            rakeBps: ch.rakeBps.toString(),
+            rakeCap: ch.rakeCap.toString(),
+            windows: {
+                dispute: ch.windows.dispute.toString(),
+                start: ch.windows.start.toString(),
+                reveal: ch.windows.reveal.toString(),
+                peek: ch.windows.peek.toString()
+            },
+            bettingRulesId: ch.bettingRulesId,
+            blindScheduleId: ch.blindScheduleId
+        };
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * Projection of the channel events into the current state of every channel.
+ *
+ * `applyEvent` is a pure reducer: the same events in the same order always
+ * give the same channels, which is what lets the indexer roll back to a
+ * confirmed snapshot and replay the blocks of a reorganized chain. Amounts
+ * are kept as decimal strings so the projection is plain JSON.
+ *
+ * Events carry everything the reducer needs except the settings a channel was
+ * opened with (stake token, session, timing windows, slash amount), which the
+ * indexer reads at the block of `ChannelOpened` and attaches as `config`, and
+ * the block timestamp deadlines are counted from.
+ */
+
+/**
+ * Phase of a channel, derived from its flags
+ */
+export const CHANNEL_PHASE = {
+    // Waiting for player 2 to join
+    OPEN: "open",
+    // Waiting for both players to commit the deck of the hand
+    STARTING: "starting",
+    PLAYING: "playing",
+    DISPUTE: "dispute",
+    SHOWDOWN: "showdown",
+    FINALIZED: "finalized"
+};
+
+/**
+ * @typedef {Object} ChannelEvent
+ * @property {string} name Event name
+ * @property {Object} args Event arguments, amounts as decimal strings
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {number} timestamp Timestamp of the block
+ * @property {Object} [config] `ChannelOpened` only: settings of the channel
+ */
+
+/**
+ * @typedef {Object} ChannelProjection
+ * @property {string} channelId
+ * @property {string} phase One of `CHANNEL_PHASE`
+ * @property {string} player1
+ * @property {string} player2
+ * @property {string} handId
+ * @property {string[]} balances Balances of player 1 and player 2
+ * @property {Object} deadlines Unix times of the pending `start`, `dispute`,
+ *   `peek` and `reveal` deadlines, `null` when none is running
+ * @property {Object} config Settings the channel was opened with
+ * @property {ChannelEvent[]} history Every event of the channel in order
+ */
+
+const ZERO = "0";
+
+function add(a, b) {
+    return (BigInt(a) + BigInt(b)).toString();
+}
+
+function sub(a, b) {
+    return (BigInt(a) - BigInt(b)).toString();
+}
+
+function min(a, b) {
+    return BigInt(a) < BigInt(b) ? a : b;
+}
+
+function seat(channel, address) {
+    if (address.toLowerCase() === channel.player1.toLowerCase()) return 0;
+    if (address.toLowerCase() === channel.player2.toLowerCase()) return 1;
+    return null;
+}
+
+function createChannel(channelId) {
+    return {
+        channelId,
+        phase: CHANNEL_PHASE.OPEN,
+        player1: null,
+        player2: null,
+        handId: ZERO,
+        balances: [ZERO, ZERO],
+        joined: false,
+        gameStarted: false,
+        finalized: false,
+        dispute: null,
+        peek: null,
+        showdown: null,
+        deadlines: { start: null, dispute: null, peek: null, reveal: null },
+        config: null,
+        pendingRake: ZERO,
+        history: []
+    };
+}
+
+function phaseOf(channel) {
+    if (channel.finalized) return CHANNEL_PHASE.FINALIZED;
+    if (channel.showdown) return CHANNEL_PHASE.SHOWDOWN;
+    if (channel.dispute) return CHANNEL_PHASE.DISPUTE;
+    if (!channel.joined) return CHANNEL_PHASE.OPEN;
+    if (!channel.gameStarted) return CHANNEL_PHASE.STARTING;
+    return CHANNEL_PHASE.PLAYING;
+}
+
+function resetHand(channel, event) {
+    channel.gameStarted = false;
+    channel.dispute = null;
+    channel.peek = null;
+    channel.showdown = null;
+    channel.deadlines = {
+        start: event.timestamp + Number(channel.config.windows.start),
+        dispute: null,
+        peek: null,
+        reveal: null
+    };
+}
+
+// Moves the pot to the winner, less the rake collected earlier in the transaction
+function transferPot(channel, winner, amount) {
+    const rake = channel.pendingRake;
+    channel.pendingRake = ZERO;
+    const winnerSeat = seat(channel, winner);
+    if (winnerSeat === null || amount === ZERO) return;
+    channel.balances[winnerSeat] = sub(add(channel.balances[winnerSeat], amount), rake);
+    channel.balances[1 - winnerSeat] = sub(channel.balances[1 - winnerSeat], amount);
+}
+
+// A hand that ended finalizes single-hand channels and sessions a player left
+// without chips; sessions otherwise continue with `HandAdvanced`
+function endHand(channel) {
+    channel.dispute = null;
+    channel.peek = null;
+    channel.showdown = null;
+    channel.deadlines = { start: null, dispute: null, peek: null, reveal: null };
+    if (!channel.config.session || channel.balances.includes(ZERO)) {
+        channel.finalized = true;
+    }
+}
+
+function finalize(channel) {
+    channel.finalized = true;
+    channel.dispute = null;
+    channel.peek = null;
+    channel.showdown = null;
+    channel.deadlines = { start: null, dispute: null, peek: null, reveal: null };
+}
+
+const reducers = {
+    ChannelOpened(channel, { args, config, timestamp }) {
+        channel.player1 = args.player1;
+        channel.player2 = args.player2;
+        channel.handId = args.handId;
+        channel.balances[0] = add(channel.balances[0], args.amount);
+        channel.config = { ...config, minSmallBlind: args.minSmallBlind };
+        channel.joined = false;
+        channel.finalized = false;
+        channel.pendingRake = ZERO;
+        resetHand(channel, { timestamp });
+    },
+    ChannelJoined(channel, { args, timestamp }) {
+        channel.balances[1] = add(channel.balances[1], args.amount);
+        channel.joined = true;
+        channel.deadlines.start = timestamp + Number(channel.config.windows.start);
+    },
+    ChannelTopUp(channel, { args }) {
+        channel.balances[0] = add(channel.balances[0], args.amount);
+    },
+    GameStarted(channel) {
+        channel.gameStarted = true;
+        channel.deadlines.start = null;
+    },
+    RakeCollected(channel, { args }) {
+        channel.pendingRake = args.amount;
+    },
+    Settled(channel, { args }) {
+        transferPot(channel, args.winner, args.amount);
+        endHand(channel);
+    },
+    DisputeStarted(channel, { args, timestamp }) {
+        channel.dispute = { actionCount: args.actionCount };
+        channel.deadlines.dispute = timestamp + Number(channel.config.windows.dispute);
+    },
+    DisputeFinalized(channel, { args }) {
+        transferPot(channel, args.winner, args.amount);
+        endHand(channel);
+    },
+    CheckpointApplied(channel, event) {
+        if (event.args.handId !== channel.handId) {
+            channel.handId = event.args.handId;
+            resetHand(channel, event);
+        }
+        channel.balances = [event.args.deposit1, event.args.deposit2];
+    },
+    ShowdownStarted(channel, { timestamp }) {
+        channel.dispute = null;
+        channel.deadlines.dispute = null;
+        channel.showdown = { player1Revealed: false, player2Revealed: false };
+        channel.deadlines.reveal = timestamp + Number(channel.config.windows.reveal);
+    },
+    RevealsUpdated(channel, { args, timestamp }) {
+        channel.showdown = { player1Revealed: args.player1Revealed, player2Revealed: args.player2Revealed };
+        // Both reveals extend the deadline for finalizing them
+        if (args.player1Revealed && args.player2Revealed) {
+            channel.deadlines.reveal = timestamp + Number(channel.config.windows.reveal);
+        }
+    },
+    ShowdownFinalized(channel, { args }) {
+        transferPot(channel, args.winner, args.amount);
+        endHand(channel);
+    },
+    DeckFraudProven(channel, { args }) {
+        const cheater = seat(channel, args.cheater);
+        channel.balances[cheater] = ZERO;
+        channel.balances[1 - cheater] = add(channel.balances[1 - cheater], args.forfeited);
+        finalize(channel);
+    },
+    PeekOpened(channel, { args, timestamp }) {
+        channel.peek = { stage: args.stage };
+        channel.deadlines.peek = timestamp + Number(channel.config.windows.peek);
+    },
+    PeekServed(channel) {
+        channel.peek = null;
+        channel.deadlines.peek = null;
+    },
+    PeekSlashed(channel, { args }) {
+        const helper = seat(channel, args.obligatedHelper);
+        const slashed = min(channel.config.slashAmount, channel.balances[helper]);
+        channel.balances[helper] = sub(channel.balances[helper], slashed);
+        channel.balances[1 - helper] = add(channel.balances[1 - helper], slashed);
+        finalize(channel);
+    },
+    HandAdvanced(channel, event) {
+        channel.handId = event.args.handId;
+        resetHand(channel, event);
+    },
+    SessionClosed: finalize,
+    ChannelStaleFinalized: finalize,
+    ChannelClosed(channel, { args }) {
+        channel.balances = [args.balance1, args.balance2];
+        finalize(channel);
+    },
+    // The prize stays in the winner's balance until it is withdrawn
+    MatchWon() {},
+    Withdrawn(channel, { args }) {
+        channel.balances[seat(channel, args.player)] = ZERO;
+    }
+};
+reducers.DisputeExtended = reducers.DisputeStarted;
+reducers.DisputeResponded = reducers.DisputeStarted;
+
+/**
+ * Names of the events the projection consumes
+ */
+export const CHANNEL_EVENTS = Object.keys(reducers);
+
+/**
+ * Apply one event to the channels it concerns
+ * @param {Object<string, ChannelProjection>} channels Projection keyed by channel id, updated in place
+ * @param {ChannelEvent} event
+ */
+export function applyEvent(channels, event) {
+    const reducer = reducers[event.name];
+    if (!reducer) return;
+    const channelId = event.args.channelId;
+    if (!channels[channelId]) {
+        // Events of channels opened before the indexer's start block are skipped
+        if (event.name !== "ChannelOpened") return;
+        channels[channelId] = createChannel(channelId);
+    }
+    const channel = channels[channelId];
+    reducer(channel, event);
+    channel.phase = phaseOf(channel);
+    channel.history.push(event);
+}
@@ -0,0 +1,46 @@
+import { createServer } from "node:http";
+
+/**
+ * Read-only HTTP/JSON API over an indexer's head view:
+ *
+ *   GET /status                     blocks covered and number of channels
+ *   GET /channels?player=&phase=    channels without their history
+ *   GET /channels/:channelId        one channel with its history
+ *
+ * @param {import("./indexer.js").Indexer} indexer
+ * @returns {import("node:http").Server} Server to `listen` on
+ */
+export function createApiServer(indexer) {
+    return createServer((req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, {
+                "Content-Type": "application/json",
+                // The lobby is served from another origin
+                "Access-Control-Allow-Origin": "*"
+            });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== "GET") {
+            return reply(405, { error: "Method not allowed" });
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        const path = url.pathname.replace(/\/+$/, "");
+        if (path === "/status") {
+            return reply(200, indexer.status());
+        }
+        if (path === "/channels") {
+            return reply(200, indexer.listChannels({
+                player: url.searchParams.get("player") ?? undefined,
+                phase: url.searchParams.get("phase") ?? undefined
+            }));
+        }
+        const match = path.match(/^\/channels\/(\d+)$/);
+        if (match) {
+            const channel = indexer.getChannel(match[1]);
+            return channel ? reply(200, channel) : reply(404, { error: "Unknown channel" });
+        }
+        return reply(404, { error: "Not found" });
+    });
+}
@@ -0,0 +1,55 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+/**
+ * @typedef {Object} IndexerSnapshot
+ * @property {number} block Last confirmed block the channels include
+ * @property {Object<string, import("./projection.js").ChannelProjection>} channels
+ */
+
+/**
+ * Keeps the confirmed projection in a JSON file. Writes go to a temporary
+ * file first and replace the store in one rename, so a crash never leaves a
+ * half-written snapshot behind.
+ */
+export class FileStore {
+    /**
+     * @param {string} path File holding the snapshot
+     */
+    constructor(path) {
+        this.path = path;
+    }
+
+    /**
+     * @returns {IndexerSnapshot|null} The saved snapshot, `null` before the first save
+     */
+    load() {
+        if (!existsSync(this.path)) return null;
+        return JSON.parse(readFileSync(this.path, "utf8"));
+    }
+
+    /**
+     * @param {IndexerSnapshot} snapshot
+     */
+    save(snapshot) {
+        const tmp = `${this.path}.tmp`;
+        writeFileSync(tmp, JSON.stringify(snapshot));
+        renameSync(tmp, this.path);
+    }
+}
+
+/**
+ * Store keeping the snapshot in memory only
+ */
+export class MemoryStore {
+    constructor() {
+        this.snapshot = null;
+    }
+
+    load() {
+        return this.snapshot && structuredClone(this.snapshot);
+    }
+
+    save(snapshot) {
+        this.snapshot = structuredClone(snapshot);
+    }
+}
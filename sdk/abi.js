@@ -0,0 +1,216 @@
+/**
+ * Human-readable ABI fragments of the integration surface of the contracts.
+ * Kept in sync with the compiled artifacts by `test/sdk/sdk.test.js`.
+ */
+
+const ACTION_TUPLE =
+    "(uint256 channelId, uint256 handId, uint32 seq, uint8 action, uint128 amount, bytes32 prevHash, address sender)";
+
+// Custom errors that may bubble up from any contract of the system, so that
+// revert data can be decoded whichever contract was called
+export const ERRORS_ABI = [
+    "ActionInvalidSender", "ActionSignatureLengthMismatch", "ActionWrongChannel",
+    "ActionWrongHand", "ActionWrongSigner", "AlreadyFinalized", "AlreadyJoined",
+    "AnteActionInvalid", "AnteAmountInvalid", "AntePrevHashInvalid", "AnteSequenceInvalid",
+    "AnteStackInvalid", "BadOpponent", "BadRoleIndex", "BalanceMismatch", "BettingRulesNotRegistered",
+    "BigBlindActionInvalid", "BigBlindAmountInvalid", "BigBlindPrevHashInvalid",
+    "BigBlindSequenceInvalid", "BigBlindStackInvalid", "BlindOnlyStart", "BlindScheduleMismatch",
+    "BlindScheduleNotRegistered", "CallAmountInvalid",
+    "CanonicalDeckNotRegistered", "CardsNotResolved", "ChannelDeadlineExpired",
+    "ChannelDeadlineInactive", "ChannelDeadlineStillActive", "ChannelExists",
+    "ChannelNotReady", "CheckAmountInvalid", "CheckpointNotNewer", "CheckpointWrongHand",
+    "CheckpointWrongSigner", "CloseStale", "CloseWrongHand", "CloseWrongSigner",
+    "DepositExceedsOpponent", "DisputeExpired", "DisputeStillActive", "DisputeTranscriptMismatch", "DuplicateCard", "EcAddFailed",
+    "Expired", "FeeOnTransferNotSupported", "FixedLimitAmountInvalid", "FoldAmountInvalid", "GameAlreadyStarted",
+    "GameNotStarted", "HandAlreadyEnded", "HandNotDone",
+    "HelpersAlreadyConfigured", "HelpersNotConfigured", "IncorrectSizeDst",
+    "IncorrectSizePublicKey", "IncorrectSizeU", "IncorrectSizeY", "InvalidBettingRules", "InvalidBlindSchedule", "InvalidDeck",
+    "InvalidDeckProof", "InvalidDecryptedCard", "InvalidFeeRecipient", "InvalidGameState",
+    "InvalidKeyProof", "InvalidMinSmallBlind", "InvalidPlayer", "InvalidPublicKey", "InvalidRake",
+    "InvalidToken", "InvalidUnencryptedCard", "InvalidWindow", "MatchInProgress", "MinimumRaiseNotMet", "ModExpFailed", "NoActionsProvided", "NoBalance", "NoBlinds",
+    "NoChannel", "NoDeckFraud", "NoDeposit", "NoDisputeInProgress", "NoPeekInProgress",
+    "NoReopenAllowed", "NoShowdownInProgress", "NotEscrow", "NotFinalized", "NotOpponent",
+    "NotPlayer", "NotSession", "PairingFailed", "PaymentFailed", "PeekAlreadyServed",
+    "PeekInProgress", "PeekNotExpired", "PeekWrongStage", "PlayerAllIn",
+    "PotLimitExceeded", "PrerequisitesNotMet", "PrevHashInvalid", "RaiseAmountZero",
+    "RaiseInsufficientIncrease", "RaiseLimitExceeded", "RaiseStackInvalid",
+    "ReentrancyGuardReentrantCall", "RelayRequestExpired", "RelayWrongNonce", "RelayWrongSigner", "RevealAlreadySubmitted", "SequenceInvalid",
+    "SequenceNotLonger", "ShowdownInProgress", "SmallBlindActionInvalid",
+    "SmallBlindAmountInvalid", "SmallBlindPrevHashInvalid", "SmallBlindSequenceInvalid",
+    "StillRevealing", "TokenMismatch", "UnknownAction", "WrongPlayerTurn"
+].map((name) => `error ${name}()`).concat([
+    "error ECDSAInvalidSignature()",
+    "error ECDSAInvalidSignatureLength(uint256 length)",
+    "error ECDSAInvalidSignatureS(bytes32 s)",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error SafeERC20FailedOperation(address token)"
+]);
+
+export const ESCROW_ABI = [
+    // Events
+    "event ChannelOpened(uint256 indexed channelId, address indexed player1, address indexed player2, uint256 amount, uint256 handId, uint256 minSmallBlind)",
+    "event ChannelJoined(uint256 indexed channelId, address indexed player, uint256 amount)",
+    "event ChannelTopUp(uint256 indexed channelId, address indexed player, uint256 amount)",
+    "event ChannelStaleFinalized(uint256 indexed channelId)",
+    "event HandAdvanced(uint256 indexed channelId, uint256 handId)",
+    "event SessionClosed(uint256 indexed channelId, address indexed closer)",
+    "event CheckpointApplied(uint256 indexed channelId, uint256 handId, uint256 deposit1, uint256 deposit2, uint256 nonce)",
+    "event ChannelClosed(uint256 indexed channelId, uint256 balance1, uint256 balance2, uint256 nonce)",
+    "event GameStarted(uint256 indexed channelId, bytes32 deckHash)",
+    "event CanonicalDeckRegistered(bytes32 indexed deckId, address indexed registrar)",
+    "event Settled(uint256 indexed channelId, address indexed winner, uint256 amount)",
+    "event ShowdownStarted(uint256 indexed channelId)",
+    "event ShowdownFinalized(uint256 indexed channelId, address indexed winner, uint256 amount)",
+    "event DeckFraudProven(uint256 indexed channelId, address indexed cheater, uint256 forfeited)",
+    "event RevealsUpdated(uint256 indexed channelId, bool player1Revealed, bool player2Revealed)",
+    "event DisputeStarted(uint256 indexed channelId, address indexed submitter, uint256 actionCount)",
+    "event DisputeExtended(uint256 indexed channelId, address indexed submitter, uint256 actionCount)",
+    "event DisputeResponded(uint256 indexed channelId, address indexed player, uint256 actionCount)",
+    "event DisputeFinalized(uint256 indexed channelId, address indexed winner, uint256 amount)",
+    "event Withdrawn(uint256 indexed channelId, address indexed player, uint256 amount)",
+    "event HelpersInitialized(address replay, address peek, address showdown)",
+    "event RelayInitialized(address relay)",
+    "event WindowBoundsUpdated(uint256 min, uint256 max)",
+    "event RakeUpdated(uint256 bps, uint256 cap)",
+    "event ChannelRakeUpdated(uint256 indexed channelId, uint256 bps, uint256 cap)",
+    "event FeeRecipientUpdated(address indexed recipient)",
+    "event RakeCollected(uint256 indexed channelId, uint256 handId, address token, uint256 amount)",
+    "event RakeWithdrawn(address indexed token, address indexed recipient, uint256 amount)",
+    "event MatchWon(uint256 indexed channelId, address indexed winner, uint256 prize)",
+
+    // Views
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function domainSeparator() view returns (bytes32)",
+    "function disputeWindow() view returns (uint256)",
+    "function startDeadlineWindow() view returns (uint256)",
+    "function minWindow() view returns (uint256)",
+    "function maxWindow() view returns (uint256)",
+    "function MAX_RAKE_BPS() view returns (uint256)",
+    "function getRake(uint256 channelId) view returns (uint256 bps, uint256 cap)",
+    "function feeRecipient() view returns (address)",
+    "function accruedRake(address) view returns (uint256)",
+    "function helpersConfigured() view returns (bool)",
+    "function getReplayAddress() view returns (address)",
+    "function getPeekAddress() view returns (address)",
+    "function getShowdownAddress() view returns (address)",
+    "function getRelayAddress() view returns (address)",
+    "function stacks(uint256 channelId) view returns (uint256 p1, uint256 p2)",
+    "function getHandId(uint256 channelId) view returns (uint256)",
+    "function getMinSmallBlind(uint256 channelId) view returns (uint256)",
+    "function getChannel(uint256 channelId) view returns ((address player1, address player2, uint256 deposit1, uint256 deposit2, bool finalized, uint256 handId, bool player2Joined, uint256 minSmallBlind, address player1Signer, address player2Signer, bool gameStarted, uint256 slashAmount, bytes32 deckHashPlayer1, bytes32 deckHashPlayer2, bytes32 canonicalDeckHashPlayer1, bytes32 canonicalDeckHashPlayer2, uint256 startDeadline, bool session, uint256 checkpointNonce, address token, uint256 rakeBps, uint256 rakeCap, (uint256 dispute, uint256 start, uint256 reveal, uint256 peek) windows, bytes32 bettingRulesId, bytes32 blindScheduleId, uint256 scheduleStartHand))",
+    "function getDispute(uint256 channelId) view returns ((bool inProgress, uint256 deadline, uint256 actionCount, uint8 endType, uint8 folder, uint256 calledAmount, uint8 street, bytes32 lastActionHash))",
+    `function hashAction(${ACTION_TUPLE} action) pure returns (bytes32)`,
+
+    // Channel flow
+    "function open(uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKeyA, bytes publicKeyProofA) payable returns (uint256 handId)",
+    "function openSession(uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKeyA, bytes publicKeyProofA) payable returns (uint256 handId)",
+    "function openWithToken(uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKeyA, bytes publicKeyProofA, address token, uint256 amount, bool session) returns (uint256 handId)",
+    "function openWithOptions(uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKeyA, bytes publicKeyProofA, (address token, uint256 amount, bool session, (uint256 dispute, uint256 start, uint256 reveal, uint256 peek) windows, bytes32 bettingRulesId, bytes32 blindScheduleId) options) payable returns (uint256 handId)",
+    "function join(uint256 channelId, address player2Signer, bytes publicKeyB, bytes publicKeyProofB) payable",
+    "function joinWithToken(uint256 channelId, address player2Signer, bytes publicKeyB, bytes publicKeyProofB, uint256 amount)",
+    "function registerCanonicalDeck(bytes[] canonicalDeck) returns (bytes32 deckId)",
+    "function startGame(uint256 channelId, bytes[] deck, bytes32 canonicalDeckId)",
+    "function topUp(uint256 channelId) payable",
+    "function topUpWithToken(uint256 channelId, uint256 amount)",
+    "function closeSession(uint256 channelId)",
+    "function closeChannel(uint256 channelId, uint256 handId, uint256 balance1, uint256 balance2, uint256 nonce, bytes signature1, bytes signature2)",
+    "function withdraw(uint256 channelId)",
+    "function finalizeStaleChannel(uint256 channelId)",
+
+    // Owner configuration
+    "function setWindowBounds(uint256 min, uint256 max)",
+    "function setRake(uint256 bps, uint256 cap)",
+    "function setChannelRake(uint256 channelId, uint256 bps, uint256 cap)",
+    "function clearChannelRake(uint256 channelId)",
+    "function setFeeRecipient(address recipient)",
+    "function withdrawRake(address token)",
+
+    // Settlement and disputes
+    `function settle(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] signatures)`,
+    `function dispute(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] signatures)`,
+    `function respondDispute(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes signature)`,
+    "function disputeCheckpoint(uint256 channelId, uint256 handId, uint256 deposit1, uint256 deposit2, uint256 nonce, bytes[] deck, bytes32 canonicalDeckId, bytes signature1, bytes signature2)",
+    "function finalizeDispute(uint256 channelId)",
+
+    // Showdown
+    "function revealCards(uint256 channelId, bytes[] decryptedCards)",
+    "function finalizeReveals(uint256 channelId, bytes[] plaintextCards)",
+    "function finalizeShowdown(uint256 channelId)",
+    "function slashPeek(uint256 channelId)",
+    "function proveDeckFraud(uint256 channelId, (bytes[] plaintexts, bytes[] deckA, bytes opponentSignature, uint8[] sources, bytes[] canonicalCards) proof)",
+
+    ...ERRORS_ABI
+];
+
+export const PEEK_ABI = [
+    "event PeekOpened(uint256 indexed channelId, uint8 indexed stage)",
+    "event PeekServed(uint256 indexed channelId, uint8 indexed stage)",
+    "event PeekSlashed(uint256 indexed channelId, uint8 indexed stage, address indexed obligatedHelper)",
+
+    "function peekWindow() view returns (uint256)",
+    "function getPeek(uint256 channelId) view returns ((uint8 stage, bool inProgress, bool served, uint256 deadline, address obligatedHelper))",
+    "function getRevealedCardA(uint256 channelId, uint8 index) view returns (bytes)",
+    "function getRevealedCardB(uint256 channelId, uint8 index) view returns (bytes)",
+    "function getPublicKeys(uint256 channelId) view returns (bytes, bytes)",
+    "function getDeckHash(uint256 channelId) view returns (bytes32)",
+    "function isDeckSet(uint256 channelId) view returns (bool)",
+    "function getDeck(uint256 channelId, uint8 index) view returns (bytes)",
+    "function getCanonicalCard(uint256 channelId, bytes cardPoint) view returns (uint8)",
+    "function isDerivedCanonicalDeck(bytes seed, bytes[] canonicalDeck) view returns (bool)",
+    "function isCanonicalDeckRegistered(bytes32 deckId) view returns (bool)",
+    "function getCanonicalDeckId(uint256 channelId) view returns (bytes32)",
+
+    `function requestHoleA(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] actionSignatures)`,
+    "function answerHoleA(uint256 channelId, bytes[] decryptedCards)",
+    `function requestHoleB(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] actionSignatures)`,
+    "function answerHoleB(uint256 channelId, bytes[] decryptedCards)",
+    `function requestFlop(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] actionSignatures, bytes[] requesterDecryptedCards)`,
+    "function answerFlop(uint256 channelId, bytes[] decryptedCards)",
+    `function requestTurn(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] actionSignatures, bytes requesterDecryptedCard)`,
+    "function answerTurn(uint256 channelId, bytes decryptedCard)",
+    `function requestRiver(uint256 channelId, ${ACTION_TUPLE}[] actions, bytes[] actionSignatures, bytes requesterDecryptedCard)`,
+    "function answerRiver(uint256 channelId, bytes decryptedCard)",
+
+    ...ERRORS_ABI
+];
+
+export const SHOWDOWN_ABI = [
+    "function revealWindow() view returns (uint256)",
+    "function isInProgress(uint256 channelId) view returns (bool)",
+    "function getShowdown(uint256 channelId) view returns ((uint256 deadline, bool inProgress, bool player1Revealed, bool player2Revealed, uint8[9] cards, uint256 calledAmount))",
+    "function describeShowdownHand(uint256 channelId, uint8 player) view returns (uint8 category, uint8[5] bestCards, string description)",
+
+    ...ERRORS_ABI
+];
+
+export const RELAY_ABI = [
+    "event Relayed(address indexed player, uint256 indexed channelId, uint256 nonce, bytes4 selector)",
+
+    "function nonces(address) view returns (uint256)",
+
+    "function relayOpen((address player, uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKey, bytes publicKeyProof, uint256 nonce, uint256 deadline) req, bytes signature) payable",
+    "function relayJoin((address player, uint256 channelId, address player2Signer, bytes publicKey, bytes publicKeyProof, uint256 nonce, uint256 deadline) req, bytes signature) payable",
+    "function relayOpenWithToken((address player, uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKey, bytes publicKeyProof, address token, uint256 amount, bool session, uint256 nonce, uint256 deadline) req, bytes signature)",
+    "function relayJoinWithToken((address player, uint256 channelId, address player2Signer, bytes publicKey, bytes publicKeyProof, uint256 amount, uint256 nonce, uint256 deadline) req, bytes signature)",
+    "function relayOpenWithOptions((address player, uint256 channelId, address opponent, uint256 minSmallBlind, address player1Signer, uint256 slashAmount, bytes publicKey, bytes publicKeyProof, (address token, uint256 amount, bool session, (uint256 dispute, uint256 start, uint256 reveal, uint256 peek) windows, bytes32 bettingRulesId, bytes32 blindScheduleId) options, uint256 nonce, uint256 deadline) req, bytes signature) payable",
+    "function relayStartGame((address player, uint256 channelId, bytes[] deck, bytes32 canonicalDeckId, uint256 nonce, uint256 deadline) req, bytes signature)",
+    "function relayRevealCards((address player, uint256 channelId, bytes[] decryptedCards, uint256 nonce, uint256 deadline) req, bytes signature)",
+    "function relayPeekAnswer((address player, uint256 channelId, uint8 stage, bytes[] decryptedCards, uint256 nonce, uint256 deadline) req, bytes signature)",
+    "function relayWithdraw((address player, uint256 channelId, uint256 nonce, uint256 deadline) req, bytes signature)",
+
+    ...ERRORS_ABI
+];
+
+export const REPLAY_ABI = [
+    "event BettingRulesRegistered(bytes32 indexed rulesId, uint8 structure)",
+    "event BlindScheduleRegistered(bytes32 indexed scheduleId, uint256 levels)",
+
+    "function registerBettingRules((uint8 structure, uint256 smallBet, uint256 bigBet, uint8 raiseCap, uint256 ante, uint8 bigBlindMultiplier) rules) returns (bytes32 rulesId)",
+    "function isBettingRulesRegistered(bytes32 rulesId) view returns (bool)",
+    "function getBettingRules(bytes32 rulesId) view returns ((uint8 structure, uint256 smallBet, uint256 bigBet, uint8 raiseCap, uint256 ante, uint8 bigBlindMultiplier) rules)",
+    "function registerBlindSchedule((uint256 hand, uint256 smallBlind)[] levels) returns (bytes32 scheduleId)",
+    "function getBlindSchedule(bytes32 scheduleId) view returns ((uint256 hand, uint256 smallBlind)[])",
+    "function smallBlindAt(bytes32 scheduleId, uint256 hand) view returns (uint256)",
+
+    ...ERRORS_ABI
+];
@@ -0,0 +1,79 @@
+import { actionHash, handGenesis } from "./hashes.js";
+
+/**
+ * Action verbs understood by `HeadsUpPokerReplay`
+ */
+export const ACTION = {
+    SMALL_BLIND: 0,
+    BIG_BLIND: 1,
+    FOLD: 2,
+    CHECK_CALL: 3,
+    BET_RAISE: 4,
+    // Posted by both players before the blinds when the betting rules have an ante
+    ANTE: 5
+};
+
+/**
+ * @typedef {Object} Action
+ * @property {bigint} channelId
+ * @property {bigint} handId
+ * @property {number} seq
+ * @property {number} action One of the `ACTION` values
+ * @property {bigint} amount
+ * @property {string} prevHash Hash of the previous action or the hand genesis
+ * @property {string} sender Address of the player taking the action
+ */
+
+/**
+ * Build a chain of actions with proper hashes and sequence numbers
+ * @param {{action: number, amount: bigint, sender: string}[]} specs Action specifications
+ * @param {bigint} channelId Channel ID (default: 1n)
+ * @param {bigint} handId Hand ID (default: 1n)
+ * @returns {Action[]}
+ */
+export function buildActions(specs, channelId = 1n, handId = 1n) {
+    let seq = 0;
+    let prevHash = handGenesis(channelId, handId);
+    const actions = [];
+
+    for (const spec of specs) {
+        if (!spec.sender) {
+            throw new Error(`Action at index ${seq} must have an explicit sender address`);
+        }
+
+        const act = {
+            channelId,
+            handId,
+            seq: seq++,
+            action: spec.action,
+            amount: spec.amount,
+            prevHash,
+            sender: spec.sender
+        };
+        actions.push(act);
+        prevHash = actionHash(act);
+    }
+    return actions;
+}
+
+/**
+ * Append a single action to an existing chain
+ * @param {Action[]} actions Actions signed so far
+ * @param {{action: number, amount: bigint, sender: string}} spec Next action
+ * @returns {Action}
+ */
+export function nextAction(actions, spec) {
+    if (actions.length === 0) {
+        throw new Error("Use buildActions to start a hand");
+    }
+    const prev = actions[actions.length - 1];
+    return {
+        channelId: prev.channelId,
+        handId: prev.handId,
+        seq: Number(prev.seq) + 1,
+        action: spec.action,
+        amount: spec.amount,
+        prevHash: actionHash(prev),
+        sender: spec.sender
+    };
+}
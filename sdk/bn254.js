@@ -0,0 +1,249 @@
+import { ethers } from "ethers";
+import { bn254 } from "@noble/curves/bn254.js";
+import { keyPossessionDigest } from "./hashes.js";
+
+const Fp = bn254.fields.Fp;
+const Fp2 = bn254.fields.Fp2;
+const Fr = bn254.fields.Fr;
+const G1 = bn254.G1.Point;
+const G2 = bn254.G2.Point;
+
+/**
+ * Domain separation tag of the RFC 9380 hash-to-curve suite for G1
+ */
+export const HASH_TO_CURVE_DST = "BN254G1_XMD:SHA-256_SVDW_RO_";
+
+/**
+ * Domain separation tag of the proof-of-possession hash, as `Bn254.KEY_POSSESSION_DST`
+ */
+export const KEY_POSSESSION_DST = "BN254G1_XMD:SHA-256_SVDW_RO_POP_";
+
+// Shallue-van de Woestijne constants for y^2 = x^3 + 3 with Z = 1 (RFC 9380, 6.6.1)
+const SVDW_Z = 1n;
+const SVDW_C1 = 4n; // g(Z)
+const SVDW_C2 = 0x183227397098d014dc2822db40c0ac2ecbc0b548b438e5469e10460b6c3e7ea3n; // -Z / 2
+const SVDW_C3 = 0x16789af3a83522eb353c98fc6b36d713d5d8d1cc5dffffffan; // sqrt(-g(Z) * 3Z^2), sgn0 = 0
+const SVDW_C4 = 0x10216f7ba065e00de81ac1e7808072c9dd2b2385cd7b438469602eb24829a9bdn; // -4g(Z) / 3Z^2
+
+/**
+ * Hash a context and index to a G1 point deterministically
+ * The point is a known multiple of the generator, so it is only suitable for
+ * test decks; canonical decks use `hashToCurveG1`.
+ */
+export function hashToG1(context, index) {
+    // Create a deterministic hash from context and index
+    const hash = ethers.keccak256(
+        ethers.solidityPacked(["string", "uint256"], [context, index])
+    );
+
+    // Use the hash as a scalar to multiply the generator
+    const scalar = BigInt(hash) % Fr.ORDER;
+    const point = G1.BASE.multiply(scalar);
+
+    return point;
+}
+
+/**
+ * expand_message_xmd with SHA-256 (RFC 9380, 5.3.1)
+ * @param {import("ethers").BytesLike} message Message to expand
+ * @param {string} dst Domain separation tag
+ * @param {number} length Number of output bytes, at most 8160
+ * @returns {Uint8Array} Uniformly random bytes
+ */
+export function expandMessageXmd(message, dst, length) {
+    const dstBytes = ethers.toUtf8Bytes(dst);
+    const ell = Math.ceil(length / 32);
+    if (ell > 255 || dstBytes.length > 255) {
+        throw new Error("expand_message_xmd: invalid lengths");
+    }
+    const dstPrime = ethers.concat([dstBytes, ethers.toBeHex(dstBytes.length, 1)]);
+    const b0 = ethers.sha256(ethers.concat([
+        new Uint8Array(64),
+        message,
+        ethers.toBeHex(length, 2),
+        "0x00",
+        dstPrime
+    ]));
+    const blocks = [ethers.sha256(ethers.concat([b0, "0x01", dstPrime]))];
+    for (let i = 2; i <= ell; i++) {
+        const mixed = BigInt(b0) ^ BigInt(blocks[i - 2]);
+        blocks.push(ethers.sha256(ethers.concat([ethers.toBeHex(mixed, 32), ethers.toBeHex(i, 1), dstPrime])));
+    }
+    return ethers.getBytes(ethers.concat(blocks)).slice(0, length);
+}
+
+/**
+ * Map a field element to G1 with the Shallue-van de Woestijne method
+ * (RFC 9380, 6.6.1), mirroring `Bn254.hashToCurveG1`
+ */
+export function mapToCurveSvdw(u) {
+    const g = (x) => Fp.add(Fp.mul(Fp.sqr(x), x), 3n);
+    const isSquare = (x) => Fp.pow(x, (Fp.ORDER - 1n) / 2n) !== Fp.ORDER - 1n;
+
+    const tv1 = Fp.mul(Fp.sqr(u), SVDW_C1);
+    const tv2 = Fp.add(1n, tv1);
+    const tv1m = Fp.sub(1n, tv1);
+    const tv3 = Fp.pow(Fp.mul(tv1m, tv2), Fp.ORDER - 2n); // inv0
+    const tv4 = Fp.mul(Fp.mul(Fp.mul(u, tv1m), tv3), SVDW_C3);
+
+    let x = Fp.sub(SVDW_C2, tv4);
+    if (!isSquare(g(x))) {
+        x = Fp.add(SVDW_C2, tv4);
+        if (!isSquare(g(x))) {
+            x = Fp.add(Fp.mul(Fp.sqr(Fp.mul(Fp.sqr(tv2), tv3)), SVDW_C4), SVDW_Z);
+        }
+    }
+    let y = Fp.sqrt(g(x));
+    if ((u & 1n) !== (y & 1n)) {
+        y = Fp.neg(y);
+    }
+    return G1.fromAffine({ x, y });
+}
+
+/**
+ * Hash a message to G1 following the RFC 9380 suite
+ * BN254G1_XMD:SHA-256_SVDW_RO_: two field elements from expand_message_xmd,
+ * each mapped with SVDW, then added (G1 has cofactor 1). Unlike `hashToG1`,
+ * nobody learns the discrete log of the result.
+ * @param {import("ethers").BytesLike} message Message to hash
+ * @param {string} dst Domain separation tag
+ * @returns G1 point
+ */
+export function hashToCurveG1(message, dst = HASH_TO_CURVE_DST) {
+    const uniform = expandMessageXmd(message, dst, 96);
+    const u0 = Fp.create(BigInt(ethers.hexlify(uniform.slice(0, 48))));
+    const u1 = Fp.create(BigInt(ethers.hexlify(uniform.slice(48))));
+    return mapToCurveSvdw(u0).add(mapToCurveSvdw(u1));
+}
+
+/**
+ * Generate a random scalar in the Fr field
+ * Ensures the scalar is non-zero by returning 1 as a fallback.
+ * In the context of elliptic curve operations, scalar 1 is cryptographically
+ * safe as it represents the identity operation (point · 1 = point).
+ */
+export function randomScalar() {
+    const randomBytes = ethers.randomBytes(32);
+    const scalar = BigInt(ethers.hexlify(randomBytes)) % Fr.ORDER;
+    // Ensure we don't get 0 (probability: 1/Fr.ORDER ≈ 0)
+    return scalar === 0n ? 1n : scalar;
+}
+
+/**
+ * Convert a G1 point to bytes for Solidity (64 bytes: x||y)
+ */
+export function g1ToBytes(point) {
+    const affine = point.toAffine();
+    return ethers.concat([
+        ethers.zeroPadValue(ethers.toBeHex(affine.x), 32),
+        ethers.zeroPadValue(ethers.toBeHex(affine.y), 32)
+    ]);
+}
+
+/**
+ * Parse 64 bytes (x||y) back into a G1 point, validating curve membership
+ */
+export function g1FromBytes(bytes) {
+    const raw = ethers.getBytes(bytes);
+    if (raw.length !== 64) {
+        throw new Error("G1 point must be 64 bytes");
+    }
+    const x = BigInt(ethers.hexlify(raw.slice(0, 32)));
+    const y = BigInt(ethers.hexlify(raw.slice(32)));
+    const point = G1.fromAffine({ x, y });
+    point.assertValidity();
+    return point;
+}
+
+/**
+ * Convert a G2 point to bytes for Solidity (128 bytes: x.a||x.b||y.a||y.b)
+ * EVM format: [x_imaginary, x_real, y_imaginary, y_real]
+ */
+export function g2ToBytes(point) {
+    const affine = point.toAffine();
+    return ethers.concat([
+        ethers.zeroPadValue(ethers.toBeHex(affine.x.c1), 32), // x imaginary
+        ethers.zeroPadValue(ethers.toBeHex(affine.x.c0), 32), // x real
+        ethers.zeroPadValue(ethers.toBeHex(affine.y.c1), 32), // y imaginary
+        ethers.zeroPadValue(ethers.toBeHex(affine.y.c0), 32)  // y real
+    ]);
+}
+
+/**
+ * Parse 128 bytes in EVM order back into a G2 point, validating curve and
+ * subgroup membership
+ */
+export function g2FromBytes(bytes) {
+    const raw = ethers.getBytes(bytes);
+    if (raw.length !== 128) {
+        throw new Error("G2 point must be 128 bytes");
+    }
+    const [x1, x0, y1, y0] = [0, 32, 64, 96].map(
+        (offset) => BigInt(ethers.hexlify(raw.slice(offset, offset + 32)))
+    );
+    const point = G2.fromAffine({
+        x: Fp2.create({ c0: x0, c1: x1 }),
+        y: Fp2.create({ c0: y0, c1: y1 })
+    });
+    point.assertValidity();
+    return point;
+}
+
+/**
+ * Derive the G2 public key bytes passed to `open`/`join` from a secret scalar
+ */
+export function publicKeyFromSecret(secretKey) {
+    return g2ToBytes(G2.BASE.multiply(secretKey));
+}
+
+/**
+ * Prove knowledge of `secretKey` when registering its public key: a BN254
+ * signature over `keyPossessionDigest`, passed to `open`/`join` next to the key
+ * @param {bigint} secretKey Player's BN254 secret key
+ * @param {bigint} channelId Channel being opened or joined
+ * @param {string} player Address calling `open`/`join`
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain id of the escrow
+ * @returns {string} 64-byte G1 proof
+ */
+export function createKeyPossessionProof(secretKey, channelId, player, contractAddress, chainId) {
+    const digest = keyPossessionDigest(channelId, player, contractAddress, chainId);
+    return g1ToBytes(hashToCurveG1(digest, KEY_POSSESSION_DST).multiply(secretKey));
+}
+
+/**
+ * Check a proof from `createKeyPossessionProof` the way `open`/`join` do,
+ * e.g. before accepting an opponent's key off-chain
+ * @returns {boolean} True if the key is valid and the proof matches it
+ */
+export function verifyKeyPossessionProof(publicKey, proof, channelId, player, contractAddress, chainId) {
+    let pk;
+    let sig;
+    try {
+        pk = g2FromBytes(publicKey);
+        sig = g1FromBytes(proof);
+    } catch {
+        return false;
+    }
+    if (pk.equals(G2.ZERO) || sig.equals(G1.ZERO)) {
+        return false;
+    }
+    const digest = keyPossessionDigest(channelId, player, contractAddress, chainId);
+    const lhs = bn254.pairing(hashToCurveG1(digest, KEY_POSSESSION_DST), pk);
+    const rhs = bn254.pairing(sig, G2.BASE);
+    return bn254.fields.Fp12.eql(lhs, rhs);
+}
+
+/**
+ * Remove one encryption layer from a card: U = secretKey^(-1) · Y
+ * Works both for partial decrypts of deck cards and for the final plaintext
+ * recovered from the opponent's partial decrypt.
+ * @param {bigint} secretKey Secret key of the player removing their layer
+ * @param {string} card Encrypted or partially decrypted card bytes
+ * @returns {string} Card bytes with the layer removed
+ */
+export function partialDecrypt(secretKey, card) {
+    const Y = g1FromBytes(card);
+    const U = Y.multiply(Fr.inv(secretKey));
+    return g1ToBytes(U);
+}
@@ -0,0 +1,122 @@
+import { ethers } from "ethers";
+import { ESCROW_ABI, PEEK_ABI, RELAY_ABI, REPLAY_ABI, SHOWDOWN_ABI } from "./abi.js";
+
+/**
+ * @typedef {Object} ChannelContracts
+ * @property {ethers.Contract} escrow `HeadsUpPokerEscrow` instance
+ * @property {ethers.Contract} peek `HeadsUpPokerPeek` instance wired to the escrow
+ * @property {ethers.Contract} showdown `HeadsUpPokerShowdown` instance wired to the escrow
+ * @property {ethers.Contract} replay `HeadsUpPokerReplay` instance holding the betting rules registry
+ * @property {ethers.Contract|null} relay `HeadsUpPokerRelay` instance, `null` when the escrow has none
+ */
+
+/**
+ * Bind `HeadsUpPokerEscrow` at `address`
+ * @param {string} address Escrow address
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for writes
+ * @returns {ethers.Contract}
+ */
+export function getEscrow(address, runner) {
+    return new ethers.Contract(address, ESCROW_ABI, runner);
+}
+
+/**
+ * Bind `HeadsUpPokerPeek` at `address`
+ * @param {string} address Peek helper address
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for writes
+ * @returns {ethers.Contract}
+ */
+export function getPeek(address, runner) {
+    return new ethers.Contract(address, PEEK_ABI, runner);
+}
+
+/**
+ * Bind `HeadsUpPokerShowdown` at `address`
+ * @param {string} address Showdown helper address
+ * @param {ethers.ContractRunner} runner Provider for reads
+ * @returns {ethers.Contract}
+ */
+export function getShowdown(address, runner) {
+    return new ethers.Contract(address, SHOWDOWN_ABI, runner);
+}
+
+/**
+ * Bind `HeadsUpPokerReplay` at `address`
+ * @param {string} address Replay helper address
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for registering betting rules
+ * @returns {ethers.Contract}
+ */
+export function getReplay(address, runner) {
+    return new ethers.Contract(address, REPLAY_ABI, runner);
+}
+
+/**
+ * Bind `HeadsUpPokerRelay` at `address`
+ * @param {string} address Relay address
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for writes
+ * @returns {ethers.Contract}
+ */
+export function getRelay(address, runner) {
+    return new ethers.Contract(address, RELAY_ABI, runner);
+}
+
+/**
+ * Bind the escrow together with the helpers and the relay it was wired to
+ * @param {string} escrowAddress Escrow address
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for writes
+ * @returns {Promise<ChannelContracts>}
+ */
+export async function connectContracts(escrowAddress, runner) {
+    const escrow = getEscrow(escrowAddress, runner);
+    const [peekAddress, showdownAddress, replayAddress, relayAddress] = await Promise.all([
+        escrow.getPeekAddress(),
+        escrow.getShowdownAddress(),
+        escrow.getReplayAddress(),
+        escrow.getRelayAddress()
+    ]);
+    if (peekAddress === ethers.ZeroAddress || showdownAddress === ethers.ZeroAddress) {
+        throw new Error("Escrow helpers are not initialized");
+    }
+    return {
+        escrow,
+        peek: getPeek(peekAddress, runner),
+        showdown: getShowdown(showdownAddress, runner),
+        replay: getReplay(replayAddress, runner),
+        relay: relayAddress === ethers.ZeroAddress ? null : getRelay(relayAddress, runner)
+    };
+}
+
+/**
+ * @typedef {Object} DeploymentManifest
+ * @property {string} network Network name the contracts were deployed with
+ * @property {string} chainId Chain id of the network
+ * @property {{ escrow: string, replay: string, peek: string, showdown: string, relay: string|null }} contracts
+ * Contract addresses, `relay` is `null` when the escrow has none
+ * @property {number|null} blockNumber Block the escrow was deployed in, where indexers can start
+ */
+
+/**
+ * Bind the contracts of a deployment manifest, as written by `deploy/deploy.js`
+ * Unlike `connectContracts` this needs no lookups, but the runner must be
+ * connected to the chain the manifest was written for.
+ * @param {DeploymentManifest} manifest Parsed manifest
+ * @param {ethers.ContractRunner} runner Provider for reads, signer for writes
+ * @returns {Promise<ChannelContracts>}
+ */
+export async function connectDeployment(manifest, runner) {
+    const { contracts } = manifest;
+    if (!contracts?.escrow || !contracts.peek || !contracts.showdown || !contracts.replay) {
+        throw new Error("Manifest is missing contract addresses");
+    }
+    const { chainId } = await (runner.provider ?? runner).getNetwork();
+    if (chainId !== BigInt(manifest.chainId)) {
+        throw new Error(`Manifest is for chain ${manifest.chainId}, connected to chain ${chainId}`);
+    }
+    return {
+        escrow: getEscrow(contracts.escrow, runner),
+        peek: getPeek(contracts.peek, runner),
+        showdown: getShowdown(contracts.showdown, runner),
+        replay: getReplay(contracts.replay, runner),
+        relay: contracts.relay ? getRelay(contracts.relay, runner) : null
+    };
+}
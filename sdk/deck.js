@@ -0,0 +1,414 @@
+import { ethers } from "ethers";
+import { bn254 } from "@noble/curves/bn254.js";
+import { hashToCurveG1, g1ToBytes, g1FromBytes } from "./bn254.js";
+import { DECK_SLOTS, FULL_DECK_SIZE } from "./cards.js";
+import { DECK_COMMITMENT_TYPES, eip712Domain } from "./hashes.js";
+
+/**
+ * Two-party deck generation for `HeadsUpPokerEscrow.startGame`.
+ *
+ * Cards are encrypted by scalar multiplication, which commutes, so each
+ * player can later remove their own layer with `partialDecrypt`:
+ *
+ *   1. Player A encrypts every canonical point with their secret key and
+ *      shuffles the result (`createShuffleA`).
+ *   2. Player B validates that deck (`validateShuffleA`), encrypts every point
+ *      again with their secret key and shuffles it (`createShuffleB`).
+ *   3. Player A validates B's deck (`validateShuffleB`) and both players take
+ *      the first nine cards as the slot deck (`deriveGameDeck`).
+ *
+ * The secret keys must be the ones whose public keys were registered at
+ * `open`/`join`, otherwise reveals will not verify on-chain. Validation only
+ * checks the structure of each message; it cannot prove that a deck is a
+ * permutation of the previous one.
+ *
+ * Both players sign a `DeckCommitment` over player A's deck (A as its author,
+ * B as the deck they re-shuffled). If the showdown cards then decrypt to a
+ * non-canonical or duplicate card, the honest player keeps their permutation
+ * and the opponent's signature to build a fraud proof for
+ * `HeadsUpPokerEscrow.proveDeckFraud`, which forfeits the cheater's deposit.
+ */
+
+const Fr = bn254.fields.Fr;
+
+export const DECK_MESSAGE = {
+    SHUFFLE_A: "shuffleA",
+    SHUFFLE_B: "shuffleB"
+};
+
+/**
+ * @typedef {Object} DeckMessage
+ * @property {string} type `DECK_MESSAGE.SHUFFLE_A` or `DECK_MESSAGE.SHUFFLE_B`
+ * @property {bigint} channelId Channel the deck is generated for
+ * @property {bigint} handId Hand the deck is generated for
+ * @property {string} canonicalDeckHash `canonicalDeckHash` of the agreed canonical deck
+ * @property {string[]} deck 52 encrypted G1 points (64 bytes each)
+ * @property {string} [signature] Sender's `DeckCommitment` signature over player A's deck
+ */
+
+export class DeckProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "DeckProtocolError";
+    }
+}
+
+/**
+ * Create a canonical deck of 52 unencrypted G1 base points in card index order
+ * Card i is `hashToCurveG1(seed || uint8(i))`, so anyone can re-derive the
+ * deck from the public seed (on-chain with
+ * `HeadsUpPokerPeek.isDerivedCanonicalDeck`) and nobody knows the discrete
+ * log between two cards.
+ * @param {string} seed Public seed, hashed as UTF-8 bytes
+ * @returns {string[]} 52 points as 64-byte hex strings
+ */
+export function createCanonicalDeck(seed = "canonical_deck") {
+    const seedBytes = ethers.toUtf8Bytes(seed);
+    const canonicalDeck = [];
+    for (let i = 0; i < FULL_DECK_SIZE; i++) {
+        const message = ethers.concat([seedBytes, ethers.toBeHex(i, 1)]);
+        canonicalDeck.push(g1ToBytes(hashToCurveG1(message)));
+    }
+    return canonicalDeck;
+}
+
+/**
+ * Hash of a list of points, as `keccak256(abi.encode(deck))` on-chain
+ */
+export function deckHash(deck) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [deck])
+    );
+}
+
+/**
+ * Hash binding both players to the same canonical deck, equal to the id
+ * `registerCanonicalDeck` stores it under and `startGame` takes
+ */
+export function canonicalDeckHash(canonicalDeck) {
+    return deckHash(canonicalDeck);
+}
+
+/**
+ * Uniformly random permutation of `0..size-1` (Fisher-Yates)
+ */
+export function randomPermutation(size = FULL_DECK_SIZE) {
+    const permutation = Array.from({ length: size }, (_, i) => i);
+    for (let i = size - 1; i > 0; i--) {
+        // Rejection sampling avoids modulo bias
+        const limit = 0x100000000 - (0x100000000 % (i + 1));
+        let value;
+        do {
+            value = Number(BigInt(ethers.hexlify(ethers.randomBytes(4))));
+        } while (value >= limit);
+        const j = value % (i + 1);
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    return permutation;
+}
+
+/**
+ * Encrypt every card with `secretKey` and reorder: out[i] = secretKey · deck[permutation[i]]
+ */
+export function shuffleAndEncrypt(deck, secretKey, permutation) {
+    assertPermutation(permutation, deck.length);
+    if (Fr.create(secretKey) === 0n) {
+        throw new DeckProtocolError("Secret key must be non-zero");
+    }
+    return permutation.map((index) =>
+        g1ToBytes(g1FromBytes(deck[index]).multiply(secretKey))
+    );
+}
+
+/**
+ * Step 1: player A encrypts and shuffles the canonical deck
+ * @param {Object} params
+ * @param {bigint} params.channelId
+ * @param {bigint} params.handId
+ * @param {string[]} params.canonicalDeck 52 canonical points
+ * @param {bigint} params.secretKey Player A's secret key
+ * @param {number[]} [params.permutation] Defaults to a fresh random permutation
+ * @returns {DeckMessage}
+ */
+export function createShuffleA({ channelId, handId, canonicalDeck, secretKey, permutation }) {
+    if (canonicalDeck.length !== FULL_DECK_SIZE) {
+        throw new DeckProtocolError("Canonical deck must have 52 cards");
+    }
+    return {
+        type: DECK_MESSAGE.SHUFFLE_A,
+        channelId: BigInt(channelId),
+        handId: BigInt(handId),
+        canonicalDeckHash: canonicalDeckHash(canonicalDeck),
+        deck: shuffleAndEncrypt(canonicalDeck, secretKey, permutation ?? randomPermutation())
+    };
+}
+
+/**
+ * Player B's check of player A's message before re-encrypting it
+ * @param {DeckMessage} message
+ * @param {Object} expected
+ * @param {bigint} expected.channelId
+ * @param {bigint} expected.handId
+ * @param {string[]} expected.canonicalDeck
+ * @param {DeckCommitmentCheck} [expected.commitment] Also require player A's signature
+ */
+export function validateShuffleA(message, { channelId, handId, canonicalDeck, commitment }) {
+    validateHeader(message, DECK_MESSAGE.SHUFFLE_A, channelId, handId);
+    if (message.canonicalDeckHash !== canonicalDeckHash(canonicalDeck)) {
+        throw new DeckProtocolError("Canonical deck mismatch");
+    }
+    validateEncryptedDeck(message.deck, canonicalDeck);
+    if (commitment) validateCommitment(message, message.signature, commitment);
+}
+
+/**
+ * Step 2: player B re-encrypts and re-shuffles player A's deck
+ * @param {Object} params
+ * @param {DeckMessage} params.shuffleA Validated message from player A
+ * @param {bigint} params.secretKey Player B's secret key
+ * @param {number[]} [params.permutation] Defaults to a fresh random permutation
+ * @returns {DeckMessage}
+ */
+export function createShuffleB({ shuffleA, secretKey, permutation }) {
+    return {
+        type: DECK_MESSAGE.SHUFFLE_B,
+        channelId: shuffleA.channelId,
+        handId: shuffleA.handId,
+        canonicalDeckHash: shuffleA.canonicalDeckHash,
+        deck: shuffleAndEncrypt(shuffleA.deck, secretKey, permutation ?? randomPermutation())
+    };
+}
+
+/**
+ * Player A's check of player B's message against the deck A sent
+ * @param {DeckMessage} message
+ * @param {Object} expected
+ * @param {DeckMessage} expected.shuffleA The message player A sent in step 1
+ * @param {DeckCommitmentCheck} [expected.commitment] Also require player B's signature
+ */
+export function validateShuffleB(message, { shuffleA, commitment }) {
+    validateHeader(message, DECK_MESSAGE.SHUFFLE_B, shuffleA.channelId, shuffleA.handId);
+    if (message.canonicalDeckHash !== shuffleA.canonicalDeckHash) {
+        throw new DeckProtocolError("Canonical deck mismatch");
+    }
+    validateEncryptedDeck(message.deck, shuffleA.deck);
+    if (commitment) validateCommitment(shuffleA, message.signature, commitment);
+}
+
+/**
+ * Step 3: the nine-slot deck both players pass to `startGame`, indexed by `SLOT`
+ * @param {DeckMessage} shuffleB Validated message from player B
+ * @returns {string[]}
+ */
+export function deriveGameDeck(shuffleB) {
+    if (shuffleB.type !== DECK_MESSAGE.SHUFFLE_B) {
+        throw new DeckProtocolError(`Expected ${DECK_MESSAGE.SHUFFLE_B} message`);
+    }
+    return shuffleB.deck.slice(0, DECK_SLOTS);
+}
+
+/**
+ * @typedef {Object} DeckCommitmentCheck
+ * @property {string} contractAddress Escrow contract address
+ * @property {bigint} chainId Chain ID of the escrow deployment
+ * @property {string[]} signers Addresses allowed to sign for the sender
+ *   (the player and their optional signer)
+ */
+
+/**
+ * Sign the `DeckCommitment` over player A's deck. Player A signs the message
+ * they send; player B signs the message they received before re-shuffling.
+ * @param {DeckMessage} shuffleA Player A's message
+ * @param {import("ethers").Signer} signer The player or their optional signer
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string>} Signature to store in the sender's message
+ */
+export async function signDeckCommitment(shuffleA, signer, contractAddress, chainId) {
+    return signer.signTypedData(
+        eip712Domain(contractAddress, chainId),
+        DECK_COMMITMENT_TYPES,
+        deckCommitment(shuffleA)
+    );
+}
+
+/**
+ * Address that signed the `DeckCommitment` over player A's deck
+ */
+export function recoverDeckCommitmentSigner(shuffleA, signature, contractAddress, chainId) {
+    return ethers.verifyTypedData(
+        eip712Domain(contractAddress, chainId),
+        DECK_COMMITMENT_TYPES,
+        deckCommitment(shuffleA),
+        signature
+    );
+}
+
+/**
+ * Whether showdown plaintexts show a fouled deck: a point outside the
+ * canonical deck or the same card twice
+ * @param {string[]} plaintexts Plaintext points of the nine slots
+ * @param {string[]} canonicalDeck 52 canonical points
+ */
+export function isDeckFouled(plaintexts, canonicalDeck) {
+    const canonical = new Set(canonicalDeck.map((card) => ethers.hexlify(card)));
+    const seen = new Set();
+    for (const card of plaintexts) {
+        const key = ethers.hexlify(card);
+        if (!canonical.has(key) || seen.has(key)) return true;
+        seen.add(key);
+    }
+    return false;
+}
+
+/**
+ * @typedef {Object} DeckFraudProof
+ * @property {string[]} plaintexts Plaintext points of the nine slots
+ * @property {string[]} deckA Player A's 52-card deck
+ * @property {string} opponentSignature Opponent's `DeckCommitment` signature
+ * @property {number[]} sources Player B proving: deckA index of each slot
+ * @property {string[]} canonicalCards Player A proving: canonical point of each deckA card
+ */
+
+/**
+ * Proof for player A (player 1) that their shuffle was honest, blaming player B
+ * @param {Object} params
+ * @param {DeckMessage} params.shuffleA The message player A sent
+ * @param {string} params.opponentSignature Player B's signature from their message
+ * @param {string[]} params.plaintexts Plaintext points of the nine slots
+ * @param {string[]} params.canonicalDeck 52 canonical points
+ * @param {number[]} params.permutation Permutation player A shuffled with
+ * @returns {DeckFraudProof}
+ */
+export function firstShuffleFraudProof({ shuffleA, opponentSignature, plaintexts, canonicalDeck, permutation }) {
+    return {
+        plaintexts,
+        deckA: shuffleA.deck,
+        opponentSignature,
+        sources: [],
+        canonicalCards: permutation.map((index) => canonicalDeck[index])
+    };
+}
+
+/**
+ * Proof for player B (player 2) that their shuffle was honest, blaming player A
+ * @param {Object} params
+ * @param {DeckMessage} params.shuffleA The message player B received
+ * @param {string} params.opponentSignature Player A's signature from that message
+ * @param {string[]} params.plaintexts Plaintext points of the nine slots
+ * @param {number[]} params.permutation Permutation player B shuffled with
+ * @returns {DeckFraudProof}
+ */
+export function secondShuffleFraudProof({ shuffleA, opponentSignature, plaintexts, permutation }) {
+    return {
+        plaintexts,
+        deckA: shuffleA.deck,
+        opponentSignature,
+        sources: permutation.slice(0, DECK_SLOTS),
+        canonicalCards: []
+    };
+}
+
+/**
+ * Encode a deck message as JSON for transport
+ */
+export function serializeDeckMessage(message) {
+    return JSON.stringify({
+        ...message,
+        channelId: message.channelId.toString(),
+        handId: message.handId.toString()
+    });
+}
+
+/**
+ * Decode a deck message produced by `serializeDeckMessage`
+ */
+export function parseDeckMessage(json) {
+    const message = JSON.parse(json);
+    if (!Object.values(DECK_MESSAGE).includes(message.type)) {
+        throw new DeckProtocolError(`Unknown message type ${message.type}`);
+    }
+    if (!Array.isArray(message.deck)) {
+        throw new DeckProtocolError("Deck must be an array");
+    }
+    const parsed = {
+        type: message.type,
+        channelId: BigInt(message.channelId),
+        handId: BigInt(message.handId),
+        canonicalDeckHash: message.canonicalDeckHash,
+        deck: message.deck
+    };
+    if (message.signature !== undefined) parsed.signature = message.signature;
+    return parsed;
+}
+
+function assertPermutation(permutation, size) {
+    if (permutation.length !== size) {
+        throw new DeckProtocolError(`Permutation must have ${size} entries`);
+    }
+    const seen = new Set(permutation);
+    if (seen.size !== size || permutation.some((i) => !Number.isInteger(i) || i < 0 || i >= size)) {
+        throw new DeckProtocolError("Invalid permutation");
+    }
+}
+
+function deckCommitment(shuffleA) {
+    return {
+        channelId: shuffleA.channelId,
+        handId: shuffleA.handId,
+        deckHash: deckHash(shuffleA.deck)
+    };
+}
+
+function validateCommitment(shuffleA, signature, { contractAddress, chainId, signers }) {
+    if (!signature) {
+        throw new DeckProtocolError("Missing deck commitment signature");
+    }
+    let recovered;
+    try {
+        recovered = recoverDeckCommitmentSigner(shuffleA, signature, contractAddress, chainId);
+    } catch {
+        throw new DeckProtocolError("Invalid deck commitment signature");
+    }
+    if (!signers.some((address) => address && address.toLowerCase() === recovered.toLowerCase())) {
+        throw new DeckProtocolError("Deck commitment signed by the wrong key");
+    }
+}
+
+function validateHeader(message, type, channelId, handId) {
+    if (message.type !== type) {
+        throw new DeckProtocolError(`Expected ${type} message`);
+    }
+    if (message.channelId !== BigInt(channelId) || message.handId !== BigInt(handId)) {
+        throw new DeckProtocolError("Message is for a different channel or hand");
+    }
+}
+
+// Every card must be a distinct finite curve point that is not a copy of the
+// previous deck, i.e. the sender actually added an encryption layer
+function validateEncryptedDeck(deck, previousDeck) {
+    if (!Array.isArray(deck) || deck.length !== FULL_DECK_SIZE) {
+        throw new DeckProtocolError("Deck must have 52 cards");
+    }
+    const previous = new Set(previousDeck.map((card) => ethers.hexlify(card)));
+    const seen = new Set();
+    for (const card of deck) {
+        let point;
+        try {
+            point = g1FromBytes(card);
+        } catch {
+            throw new DeckProtocolError("Deck contains an invalid G1 point");
+        }
+        if (point.is0()) {
+            throw new DeckProtocolError("Deck contains the point at infinity");
+        }
+        const key = ethers.hexlify(card);
+        if (seen.has(key)) {
+            throw new DeckProtocolError("Deck contains duplicate cards");
+        }
+        if (previous.has(key)) {
+            throw new DeckProtocolError("Deck contains unencrypted cards");
+        }
+        seen.add(key);
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Reference implementation of `PokerEvaluator.evaluateHand`.
+ * Produces the same 24-bit rank for the same `(suit << 4) | rank` card bytes:
+ * - Bits 20-23: Hand type (0-8)
+ * - Bits 16-19: Primary rank (quads, trips, high pair, or high card)
+ * - Bits 12-15: Secondary rank (full house pair, two pair low, or second kicker)
+ * - Bits 8-11:  Third rank (third kicker)
+ * - Bits 4-7:   Fourth rank (fourth kicker)
+ * - Bits 0-3:   Fifth rank (fifth kicker)
+ * Internal ranks use Ace = 14.
+ *
+ * The contract's behaviour is reproduced as-is, including its known
+ * shortcuts: the lowest straight among the seven cards is reported, rank
+ * analysis stops once five kickers are found, and a second set of trips or
+ * a third pair is not counted.
+ */
+
+export const HAND = {
+    HIGH_CARD: 0,
+    PAIR: 1,
+    TWO_PAIR: 2,
+    THREE_KIND: 3,
+    STRAIGHT: 4,
+    FLUSH: 5,
+    FULL_HOUSE: 6,
+    FOUR_KIND: 7,
+    STRAIGHT_FLUSH: 8
+};
+
+const ACE = 14;
+const WHEEL_MASK = 0x403c; // A(14), 2, 3, 4, 5
+
+function internalRank(card) {
+    const rank = card & 0x0f;
+    return rank === 1 ? ACE : rank;
+}
+
+function pack(type, ...ranks) {
+    let value = type << 20;
+    for (let i = 0; i < ranks.length; i++) {
+        value |= ranks[i] << (16 - 4 * i);
+    }
+    return value;
+}
+
+function countRanks(cards) {
+    const counts = new Array(ACE + 1).fill(0);
+    for (const card of cards) counts[internalRank(card)]++;
+    return counts;
+}
+
+// Mirrors `_checkStraight`: wheel first, then the lowest qualifying high card
+function checkStraight(rankMask) {
+    if ((rankMask & WHEEL_MASK) === WHEEL_MASK) {
+        return 5; // 5-high straight
+    }
+    for (let high = 6; high <= ACE; high++) {
+        const straightMask = 0x1f << (high - 4);
+        if ((rankMask & straightMask) === straightMask) {
+            return high;
+        }
+    }
+    return 0;
+}
+
+function rankMaskOf(cards, suit = null) {
+    let mask = 0;
+    for (const card of cards) {
+        if (suit !== null && card >> 4 !== suit) continue;
+        mask |= 1 << internalRank(card);
+    }
+    return mask;
+}
+
+// Mirrors `_analyzeRanks`: scans from Ace down, later matches overwrite earlier ones
+function analyzeRanks(counts) {
+    let quads = 0;
+    let trips = 0;
+    let pairs1 = 0;
+    let pairs2 = 0;
+    const kickers = [0, 0, 0, 0, 0];
+    let kickerCount = 0;
+
+    for (let rank = ACE; rank >= 2 && kickerCount < 5; rank--) {
+        const count = counts[rank];
+        if (count === 4) {
+            quads = rank;
+        } else if (count === 3) {
+            trips = rank;
+        } else if (count === 2) {
+            if (pairs1 === 0) {
+                pairs1 = rank;
+            } else {
+                pairs2 = rank;
+            }
+        } else if (count === 1) {
+            kickers[kickerCount++] = rank;
+        }
+    }
+    return { quads, trips, pairs1, pairs2, kickers };
+}
+
+function flushCards(cards, flushSuit) {
+    return cards
+        .filter((card) => card >> 4 === flushSuit)
+        .map(internalRank)
+        .sort((a, b) => b - a)
+        .slice(0, 5);
+}
+
+/**
+ * Evaluates 7 cards and returns the best 5-card hand rank
+ * @param {number[]} cards Seven cards encoded as `(suit << 4) | rank`
+ * @returns {number} Sortable hand rank where higher values beat lower values
+ */
+export function evaluateHand(cards) {
+    if (cards.length !== 7) {
+        throw new Error("evaluateHand expects exactly 7 cards");
+    }
+
+    const suitCounts = [0, 0, 0, 0];
+    for (const card of cards) suitCounts[card >> 4]++;
+
+    let flushSuit = -1;
+    for (let suit = 0; suit < 4; suit++) {
+        if (suitCounts[suit] >= 5) {
+            flushSuit = suit;
+            break;
+        }
+    }
+    const isFlush = flushSuit !== -1;
+
+    const straightHigh = checkStraight(rankMaskOf(cards));
+    const isStraight = straightHigh !== 0;
+
+    if (isFlush && isStraight && checkStraight(rankMaskOf(cards, flushSuit)) !== 0) {
+        // Straight flush: reported with the high card of the overall straight
+        return pack(HAND.STRAIGHT_FLUSH, straightHigh);
+    }
+
+    const { quads, trips, pairs1, pairs2, kickers } = analyzeRanks(countRanks(cards));
+
+    if (quads > 0) {
+        return pack(HAND.FOUR_KIND, quads, kickers[0]);
+    }
+    if (trips > 0 && pairs1 > 0) {
+        return pack(HAND.FULL_HOUSE, trips, pairs1);
+    }
+    if (isFlush) {
+        return pack(HAND.FLUSH, ...flushCards(cards, flushSuit));
+    }
+    if (isStraight) {
+        return pack(HAND.STRAIGHT, straightHigh);
+    }
+    if (trips > 0) {
+        return pack(HAND.THREE_KIND, trips, kickers[0], kickers[1]);
+    }
+    if (pairs1 > 0 && pairs2 > 0) {
+        const highPair = pairs1 > pairs2 ? pairs1 : pairs2;
+        const lowPair = pairs1 > pairs2 ? pairs2 : pairs1;
+        return pack(HAND.TWO_PAIR, highPair, lowPair, kickers[0]);
+    }
+    if (pairs1 > 0) {
+        return pack(HAND.PAIR, pairs1, kickers[0], kickers[1], kickers[2]);
+    }
+    return pack(HAND.HIGH_CARD, ...kickers);
+}
+
+/**
+ * Hand type stored in bits 20-23 of a rank
+ */
+export function handType(rank) {
+    return (rank >> 20) & 0x0f;
+}
+
+/**
+ * Predict a showdown the way `HeadsUpPokerShowdown` settles it
+ * @param {number[]} holeA Player 1 hole cards
+ * @param {number[]} holeB Player 2 hole cards
+ * @param {number[]} board Five community cards
+ * @returns {{rankA: number, rankB: number, winner: number}} winner is 0 or 1, or -1 on a tie
+ */
+export function compareHands(holeA, holeB, board) {
+    const rankA = evaluateHand([...holeA, ...board]);
+    const rankB = evaluateHand([...holeB, ...board]);
+    let winner = -1;
+    if (rankA > rankB) winner = 0;
+    else if (rankB > rankA) winner = 1;
+    return { rankA, rankB, winner };
+}
+
+const RANK_NAMES = [
+    "", "", "Two", "Three", "Four", "Five", "Six", "Seven",
+    "Eight", "Nine", "Ten", "Jack", "Queen", "King", "Ace"
+];
+
+function rankName(rank, plural) {
+    if (!plural) return RANK_NAMES[rank];
+    return rank === 6 ? "Sixes" : `${RANK_NAMES[rank]}s`;
+}
+
+function flushSuitOf(cards) {
+    const counts = [0, 0, 0, 0];
+    for (const card of cards) counts[card >> 4]++;
+    const suit = counts.findIndex((count) => count >= 5);
+    return suit === -1 ? 0xff : suit;
+}
+
+// Mirrors `_bestCards`: rank-specified positions first, then the highest unused cards
+function bestCardsOf(cards, category, values) {
+    let wanted;
+    let suit = 0xff;
+
+    if (category === HAND.STRAIGHT || category === HAND.STRAIGHT_FLUSH) {
+        wanted = [0, 1, 2, 3, 4].map((i) => values[0] - i);
+        if (values[0] === 5) wanted[4] = ACE; // wheel
+        if (category === HAND.STRAIGHT_FLUSH) suit = flushSuitOf(cards);
+    } else if (category === HAND.FOUR_KIND) {
+        wanted = [values[0], values[0], values[0], values[0], values[1]];
+    } else if (category === HAND.FULL_HOUSE) {
+        wanted = [values[0], values[0], values[0], values[1], values[1]];
+    } else if (category === HAND.THREE_KIND) {
+        wanted = [values[0], values[0], values[0], values[1], values[2]];
+    } else if (category === HAND.TWO_PAIR) {
+        wanted = [values[0], values[0], values[1], values[1], values[2]];
+    } else if (category === HAND.PAIR) {
+        wanted = [values[0], values[0], values[1], values[2], values[3]];
+    } else {
+        wanted = [...values];
+        if (category === HAND.FLUSH) suit = flushSuitOf(cards);
+    }
+
+    const best = [0, 0, 0, 0, 0];
+    const used = new Array(7).fill(false);
+    for (let i = 0; i < 5; i++) {
+        if (wanted[i] === 0) continue;
+        // Prefer the flush suit, then accept any suit
+        for (let pass = 0; pass < 2 && best[i] === 0; pass++) {
+            for (let j = 0; j < 7; j++) {
+                if (used[j] || internalRank(cards[j]) !== wanted[i]) continue;
+                if (pass === 0 && cards[j] >> 4 !== suit) continue;
+                best[i] = cards[j];
+                used[j] = true;
+                break;
+            }
+        }
+    }
+
+    for (let i = 0; i < 5; i++) {
+        if (best[i] !== 0) continue;
+        let pick = -1;
+        for (let j = 0; j < 7; j++) {
+            if (used[j]) continue;
+            if (pick === -1 || internalRank(cards[j]) > internalRank(cards[pick])) {
+                pick = j;
+            }
+        }
+        best[i] = cards[pick];
+        used[pick] = true;
+    }
+    return best;
+}
+
+function describe(category, values) {
+    switch (category) {
+        case HAND.STRAIGHT_FLUSH:
+            return `Straight flush, ${rankName(values[0])} high`;
+        case HAND.FOUR_KIND:
+            return `Four of a kind, ${rankName(values[0], true)}`;
+        case HAND.FULL_HOUSE:
+            return `Full house, ${rankName(values[0], true)} full of ${rankName(values[1], true)}`;
+        case HAND.FLUSH:
+            return `Flush, ${rankName(values[0])} high`;
+        case HAND.STRAIGHT:
+            return `Straight, ${rankName(values[0])} high`;
+        case HAND.THREE_KIND:
+            return `Three of a kind, ${rankName(values[0], true)}`;
+        case HAND.TWO_PAIR:
+            return `Two pair, ${rankName(values[0], true)} and ${rankName(values[1], true)}`;
+        case HAND.PAIR:
+            return `Pair of ${rankName(values[0], true)}`;
+        default:
+            return `High card, ${rankName(values[0])}`;
+    }
+}
+
+/**
+ * Describes the best 5-card hand, matching `PokerEvaluator.describeHand`
+ * @param {number[]} cards Seven cards encoded as `(suit << 4) | rank`
+ * @returns {{rank: number, category: number, bestCards: number[], description: string}}
+ */
+export function describeHand(cards) {
+    const rank = evaluateHand(cards);
+    const category = handType(rank);
+    const values = [0, 1, 2, 3, 4].map((i) => (rank >> (16 - 4 * i)) & 0x0f);
+    return {
+        rank,
+        category,
+        bestCards: bestCardsOf(cards, category, values),
+        description: describe(category, values)
+    };
+}
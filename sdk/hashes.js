@@ -0,0 +1,327 @@
+import { ethers } from "ethers";
+
+export const ZERO32 = "0x" + "00".repeat(32);
+
+export const DOMAIN_NAME = "HeadsUpPoker";
+export const DOMAIN_VERSION = "1";
+
+export const DOMAIN_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    )
+);
+export const ACTION_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "Action(uint256 channelId,uint256 handId,uint32 seq,uint8 action,uint128 amount,bytes32 prevHash,address sender)"
+    )
+);
+export const DECK_COMMITMENT_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "DeckCommitment(uint256 channelId,uint256 handId,bytes32 deckHash)"
+    )
+);
+export const KEY_POSSESSION_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "KeyPossession(uint256 channelId,address player)"
+    )
+);
+export const CLOSE_CHANNEL_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "CloseChannel(uint256 channelId,uint256 handId,uint256 balance1,uint256 balance2,uint256 nonce)"
+    )
+);
+export const BALANCE_CHECKPOINT_TYPEHASH = ethers.keccak256(
+    ethers.toUtf8Bytes(
+        "BalanceCheckpoint(uint256 channelId,uint256 handId,uint256 deposit1,uint256 deposit2,uint256 nonce,bytes32 deckHash,bytes32 canonicalDeckId)"
+    )
+);
+
+/**
+ * EIP-712 struct layouts, usable with `signer.signTypedData`
+ */
+export const ACTION_TYPES = {
+    Action: [
+        { name: "channelId", type: "uint256" },
+        { name: "handId", type: "uint256" },
+        { name: "seq", type: "uint32" },
+        { name: "action", type: "uint8" },
+        { name: "amount", type: "uint128" },
+        { name: "prevHash", type: "bytes32" },
+        { name: "sender", type: "address" }
+    ]
+};
+
+export const DECK_COMMITMENT_TYPES = {
+    DeckCommitment: [
+        { name: "channelId", type: "uint256" },
+        { name: "handId", type: "uint256" },
+        { name: "deckHash", type: "bytes32" }
+    ]
+};
+
+export const KEY_POSSESSION_TYPES = {
+    KeyPossession: [
+        { name: "channelId", type: "uint256" },
+        { name: "player", type: "address" }
+    ]
+};
+
+export const CLOSE_CHANNEL_TYPES = {
+    CloseChannel: [
+        { name: "channelId", type: "uint256" },
+        { name: "handId", type: "uint256" },
+        { name: "balance1", type: "uint256" },
+        { name: "balance2", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+export const BALANCE_CHECKPOINT_TYPES = {
+    BalanceCheckpoint: [
+        { name: "channelId", type: "uint256" },
+        { name: "handId", type: "uint256" },
+        { name: "deposit1", type: "uint256" },
+        { name: "deposit2", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deckHash", type: "bytes32" },
+        { name: "canonicalDeckId", type: "bytes32" }
+    ]
+};
+
+/**
+ * EIP-712 types of the requests `HeadsUpPokerRelay` submits for a player,
+ * keyed by primary type. Requests are signed in the escrow domain.
+ */
+export const RELAY_REQUEST_TYPES = {
+    OpenRequest: {
+        OpenRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "opponent", type: "address" },
+            { name: "minSmallBlind", type: "uint256" },
+            { name: "player1Signer", type: "address" },
+            { name: "slashAmount", type: "uint256" },
+            { name: "publicKey", type: "bytes" },
+            { name: "publicKeyProof", type: "bytes" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    JoinRequest: {
+        JoinRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "player2Signer", type: "address" },
+            { name: "publicKey", type: "bytes" },
+            { name: "publicKeyProof", type: "bytes" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    OpenWithTokenRequest: {
+        OpenWithTokenRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "opponent", type: "address" },
+            { name: "minSmallBlind", type: "uint256" },
+            { name: "player1Signer", type: "address" },
+            { name: "slashAmount", type: "uint256" },
+            { name: "publicKey", type: "bytes" },
+            { name: "publicKeyProof", type: "bytes" },
+            { name: "token", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "session", type: "bool" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    JoinWithTokenRequest: {
+        JoinWithTokenRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "player2Signer", type: "address" },
+            { name: "publicKey", type: "bytes" },
+            { name: "publicKeyProof", type: "bytes" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    OpenWithOptionsRequest: {
+        OpenWithOptionsRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "opponent", type: "address" },
+            { name: "minSmallBlind", type: "uint256" },
+            { name: "player1Signer", type: "address" },
+            { name: "slashAmount", type: "uint256" },
+            { name: "publicKey", type: "bytes" },
+            { name: "publicKeyProof", type: "bytes" },
+            { name: "options", type: "OpenOptions" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ],
+        OpenOptions: [
+            { name: "token", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "session", type: "bool" },
+            { name: "windows", type: "TimingWindows" },
+            { name: "bettingRulesId", type: "bytes32" },
+            { name: "blindScheduleId", type: "bytes32" }
+        ],
+        TimingWindows: [
+            { name: "dispute", type: "uint256" },
+            { name: "start", type: "uint256" },
+            { name: "reveal", type: "uint256" },
+            { name: "peek", type: "uint256" }
+        ]
+    },
+    StartGameRequest: {
+        StartGameRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "deck", type: "bytes[]" },
+            { name: "canonicalDeckId", type: "bytes32" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    RevealCardsRequest: {
+        RevealCardsRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "decryptedCards", type: "bytes[]" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    PeekAnswerRequest: {
+        PeekAnswerRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "stage", type: "uint8" },
+            { name: "decryptedCards", type: "bytes[]" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    },
+    WithdrawRequest: {
+        WithdrawRequest: [
+            { name: "player", type: "address" },
+            { name: "channelId", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    }
+};
+
+export const GENESIS = ethers.keccak256(
+    ethers.solidityPacked(["string", "uint256"], ["HUP_GENESIS", 1n]));
+
+/**
+ * Hash that the first action of a hand must reference as `prevHash`
+ */
+export function handGenesis(channelId, handId) {
+    return ethers.keccak256(
+        ethers.solidityPacked(["string", "uint256", "uint256"], ["HUP_GENESIS", channelId, handId]));
+}
+
+export const NAME_HASH = ethers.keccak256(ethers.toUtf8Bytes(DOMAIN_NAME));
+export const VERSION_HASH = ethers.keccak256(ethers.toUtf8Bytes(DOMAIN_VERSION));
+
+/**
+ * EIP-712 domain of the escrow contract, in the format `signTypedData` expects
+ */
+export function eip712Domain(contract, chainId) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId,
+        verifyingContract: contract
+    };
+}
+
+/**
+ * Domain separator matching `HeadsUpPokerEscrow.DOMAIN_SEPARATOR()`
+ */
+export function domainSeparator(contract, chainId) {
+    const abi = ethers.AbiCoder.defaultAbiCoder();
+    return ethers.keccak256(
+        abi.encode(
+            ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+            [DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, chainId, contract]
+        )
+    );
+}
+
+/**
+ * Struct hash of an action, matching `HeadsUpPokerEIP712.hashAction`
+ */
+export function actionHash(action) {
+    const abi = ethers.AbiCoder.defaultAbiCoder();
+    return ethers.keccak256(
+        abi.encode(
+            ["bytes32", "uint256", "uint256", "uint32", "uint8", "uint128", "bytes32", "address"],
+            [
+                ACTION_TYPEHASH,
+                action.channelId,
+                action.handId,
+                action.seq,
+                action.action,
+                action.amount,
+                action.prevHash,
+                action.sender
+            ]
+        )
+    );
+}
+
+/**
+ * Typed-data digest of an action under the given domain separator
+ */
+export function actionDigest(dom, action) {
+    const structHash = actionHash(action);
+    return ethers.keccak256(
+        ethers.concat([
+            ethers.toUtf8Bytes("\x19\x01"),
+            ethers.getBytes(dom),
+            ethers.getBytes(structHash)
+        ])
+    );
+}
+
+/**
+ * Digest a player signs with their BN254 secret key when registering the
+ * public key in `open`/`join`
+ */
+export function keyPossessionDigest(channelId, player, contract, chainId) {
+    return ethers.TypedDataEncoder.hash(
+        eip712Domain(contract, chainId),
+        KEY_POSSESSION_TYPES,
+        { channelId, player }
+    );
+}
+
+/**
+ * Digest both players sign to close a channel with agreed balances
+ * through `closeChannel`
+ */
+export function closeChannelDigest(close, contract, chainId) {
+    return ethers.TypedDataEncoder.hash(
+        eip712Domain(contract, chainId),
+        CLOSE_CHANNEL_TYPES,
+        close
+    );
+}
+
+/**
+ * Digest both players sign after every off-chain hand, submitted through
+ * `disputeCheckpoint`
+ */
+export function balanceCheckpointDigest(checkpoint, contract, chainId) {
+    return ethers.TypedDataEncoder.hash(
+        eip712Domain(contract, chainId),
+        BALANCE_CHECKPOINT_TYPES,
+        checkpoint
+    );
+}
@@ -0,0 +1,10 @@
+export * from "./actions.js";
+export * from "./hashes.js";
+export * from "./signing.js";
+export * from "./cards.js";
+export * from "./bn254.js";
+export * from "./abi.js";
+export * from "./contracts.js";
+export * from "./replay.js";
+export * from "./evaluator.js";
+export * from "./deck.js";
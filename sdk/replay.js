@@ -0,0 +1,642 @@
+import { ethers } from "ethers";
+import { ACTION } from "./actions.js";
+import { actionHash, handGenesis } from "./hashes.js";
+
+/**
+ * Reference implementation of `HeadsUpPokerReplay` for off-chain validation.
+ * Every function mirrors its Solidity counterpart step by step and fails with
+ * a `ReplayError` carrying the same custom error name the contract reverts with.
+ */
+
+/**
+ * Mirror of `HeadsUpPokerReplay.End`
+ */
+export const END = {
+    FOLD: 0,
+    SHOWDOWN: 1,
+    NO_BLINDS: 2
+};
+
+export const MAX_RAISES_PER_STREET = 4;
+
+/**
+ * Mirror of `HeadsUpPokerReplay.BettingStructure`
+ */
+export const BETTING_STRUCTURE = {
+    NO_LIMIT: 0,
+    POT_LIMIT: 1,
+    FIXED_LIMIT: 2
+};
+
+/**
+ * @typedef {Object} BettingRules
+ * @property {number} structure One of `BETTING_STRUCTURE`
+ * @property {bigint} smallBet Fixed-limit bet size preflop and on the flop
+ * @property {bigint} bigBet Fixed-limit bet size on the turn and river
+ * @property {number} raiseCap Bets and raises per street, 0 for `MAX_RAISES_PER_STREET`
+ * @property {bigint} ante Ante of each player, posted with `ACTION.ANTE` before the blinds
+ * @property {number} bigBlindMultiplier Big blind in small blinds, 0 for 2
+ */
+
+/**
+ * Rules of channels opened without a betting rules id
+ * @type {BettingRules}
+ */
+export const NO_LIMIT_RULES = Object.freeze({
+    structure: BETTING_STRUCTURE.NO_LIMIT,
+    smallBet: 0n,
+    bigBet: 0n,
+    raiseCap: 0,
+    ante: 0n,
+    bigBlindMultiplier: 0
+});
+
+/**
+ * Registry id of betting rules, as returned by `HeadsUpPokerReplay.registerBettingRules`
+ * @param {BettingRules} rules
+ * @returns {string} bytes32 id
+ */
+export function bettingRulesId(rules) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint8", "uint256", "uint256", "uint8", "uint256", "uint8"],
+            [rules.structure, rules.smallBet, rules.bigBet, rules.raiseCap, rules.ante, rules.bigBlindMultiplier]
+        )
+    );
+}
+
+/**
+ * @typedef {Object} BlindLevel
+ * @property {bigint} hand Hand of the match the level starts at, the first hand being 1
+ * @property {bigint} smallBlind Minimum small blind of the level
+ */
+
+/**
+ * Registry id of a blind schedule, as returned by `HeadsUpPokerReplay.registerBlindSchedule`
+ * @param {BlindLevel[]} levels
+ * @returns {string} bytes32 id
+ */
+export function blindScheduleId(levels) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+            ["tuple(uint256 hand, uint256 smallBlind)[]"],
+            [levels.map((level) => [level.hand, level.smallBlind])]
+        )
+    );
+}
+
+/**
+ * Small blind of hand `hand` of a match, mirroring `HeadsUpPokerReplay.smallBlindAt`.
+ * The channel's hand id maps to `handId - scheduleStartHand + 1`.
+ * @param {BlindLevel[]} levels
+ * @param {bigint} hand
+ * @returns {bigint}
+ */
+export function smallBlindAt(levels, hand) {
+    let i = levels.length - 1;
+    while (BigInt(levels[i].hand) > BigInt(hand)) i--;
+    return BigInt(levels[i].smallBlind);
+}
+
+// Accepts plain objects as well as rules read from `getBettingRules`
+function toRules(rules) {
+    return {
+        structure: Number(rules.structure),
+        smallBet: BigInt(rules.smallBet),
+        bigBet: BigInt(rules.bigBet),
+        raiseCap: Number(rules.raiseCap),
+        ante: BigInt(rules.ante),
+        bigBlindMultiplier: Number(rules.bigBlindMultiplier)
+    };
+}
+
+// Forced actions opening a hand: the blinds, preceded by the antes
+function blindCount(rules) {
+    return rules.ante === 0n ? 2 : 4;
+}
+
+function bigBlindMultiplier(rules) {
+    return rules.bigBlindMultiplier === 0 ? 2 : rules.bigBlindMultiplier;
+}
+
+function raiseCap(rules) {
+    return rules.raiseCap === 0 ? MAX_RAISES_PER_STREET : rules.raiseCap;
+}
+
+// Fixed-limit bet size: small bets preflop and on the flop
+function fixedBet(g, rules) {
+    return g.street < 2 ? rules.smallBet : rules.bigBet;
+}
+
+// Most a pot-limit player may add: the call plus the pot after calling
+function potLimit(g) {
+    return 2n * g.toCall + g.total[0] + g.total[1];
+}
+
+const UINT128_MAX = (1n << 128n) - 1n;
+
+export class ReplayError extends Error {
+    /**
+     * @param {string} errorName Name of the matching Solidity custom error
+     */
+    constructor(errorName) {
+        super(errorName);
+        this.name = "ReplayError";
+        this.errorName = errorName;
+    }
+}
+
+function fail(errorName) {
+    throw new ReplayError(errorName);
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function sameHash(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Determines which player should post the small blind based on handId
+ * @returns {number} Player index (0 or 1)
+ */
+export function getSmallBlindPlayer(handId) {
+    // Alternate starting player: odd handId -> Player 0, even handId -> Player 1
+    return BigInt(handId) % 2n === 1n ? 0 : 1;
+}
+
+// The called amount is the minimum of what both players contributed
+function calculateCalledAmount(g) {
+    return g.total[0] < g.total[1] ? g.total[0] : g.total[1];
+}
+
+function emptyGame() {
+    return {
+        stacks: [0n, 0n],
+        contrib: [0n, 0n],
+        total: [0n, 0n],
+        allIn: [false, false],
+        actor: 0,
+        bigBlindPlayer: 0,
+        bigBlindAmount: 0n,
+        street: 0,
+        toCall: 0n,
+        lastRaise: 0n,
+        checked: false,
+        reopen: false,
+        raiseCount: 0
+    };
+}
+
+function result(ended, end, folder = 0) {
+    return { ended, end, folder };
+}
+
+function initGame(actions, stackA, stackB, minSmallBlind, rules, exactSmallBlind) {
+    const first = blindCount(rules) - 2;
+    const sb = actions[first];
+    const bb = actions[first + 1];
+
+    const smallBlindPlayer = getSmallBlindPlayer(sb.handId);
+    const bigBlindPlayer = 1 - smallBlindPlayer;
+    let sbStack = smallBlindPlayer === 0 ? stackA : stackB;
+    let bbStack = smallBlindPlayer === 0 ? stackB : stackA;
+
+    // Antes are dead money: they count towards the pot, not the bets.
+    // They are posted in the order of the blinds, and a stack short of the
+    // ante posts all of it.
+    const antes = [0n, 0n];
+    for (let i = 0; i < first; i++) {
+        const ante = actions[i];
+        const prevHash = i === 0 ? handGenesis(ante.channelId, ante.handId) : actionHash(actions[i - 1]);
+        if (!sameHash(ante.prevHash, prevHash)) fail("AntePrevHashInvalid");
+        if (Number(ante.action) !== ACTION.ANTE) fail("AnteActionInvalid");
+        if (BigInt(ante.seq) !== BigInt(i)) fail("AnteSequenceInvalid");
+        const stack = i === 0 ? sbStack : bbStack;
+        if (stack === 0n) fail("AnteStackInvalid");
+        antes[i] = rules.ante < stack ? rules.ante : stack;
+        if (BigInt(ante.amount) !== antes[i]) fail("AnteAmountInvalid");
+    }
+    sbStack -= antes[0];
+    bbStack -= antes[1];
+
+    const sbPrevHash = first === 0 ? handGenesis(sb.channelId, sb.handId) : actionHash(actions[first - 1]);
+    if (!sameHash(sb.prevHash, sbPrevHash)) fail("SmallBlindPrevHashInvalid");
+    if (Number(sb.action) !== ACTION.SMALL_BLIND) fail("SmallBlindActionInvalid");
+    if (BigInt(sb.seq) !== BigInt(first)) fail("SmallBlindSequenceInvalid");
+
+    if (BigInt(bb.seq) !== BigInt(first + 1)) fail("BigBlindSequenceInvalid");
+    if (!sameHash(bb.prevHash, actionHash(sb))) fail("BigBlindPrevHashInvalid");
+    if (Number(bb.action) !== ACTION.BIG_BLIND) fail("BigBlindActionInvalid");
+
+    const sbAmount = BigInt(sb.amount);
+    const bbAmount = BigInt(bb.amount);
+    const multiplier = BigInt(bigBlindMultiplier(rules));
+    // uint128 multiplication overflows before the comparison on-chain
+    if (sbAmount * multiplier > UINT128_MAX) fail("Panic");
+
+    // A stack short of a blind posts all of it, nothing when the ante put
+    // it all-in
+    const bigBlind = sbAmount * multiplier;
+    if (bbAmount !== bigBlind && (bbAmount > bigBlind || bbAmount !== bbStack))
+        fail("BigBlindAmountInvalid");
+    if ((sbAmount === 0n && sbStack !== 0n) || sbAmount > sbStack || (sbAmount < minSmallBlind && sbAmount !== sbStack) ||
+        (exactSmallBlind && sbAmount > minSmallBlind))
+        fail("SmallBlindAmountInvalid");
+    if (bbAmount > bbStack) fail("BigBlindStackInvalid");
+
+    const g = emptyGame();
+    g.stacks[smallBlindPlayer] = sbStack - sbAmount;
+    g.stacks[bigBlindPlayer] = bbStack - bbAmount;
+    g.contrib[smallBlindPlayer] = sbAmount;
+    g.contrib[bigBlindPlayer] = bbAmount;
+    g.total[smallBlindPlayer] = antes[0] + sbAmount;
+    g.total[bigBlindPlayer] = antes[1] + bbAmount;
+
+    if (g.stacks[0] === 0n) g.allIn[0] = true;
+    if (g.stacks[1] === 0n) g.allIn[1] = true;
+
+    g.actor = smallBlindPlayer; // SB acts first preflop
+    g.bigBlindPlayer = bigBlindPlayer;
+    g.bigBlindAmount = bbAmount;
+    g.street = 0;
+    g.toCall = bbAmount > sbAmount ? bbAmount - sbAmount : 0n;
+    g.lastRaise = bbAmount;
+    g.checked = false;
+    g.reopen = true;
+    g.raiseCount = 0; // Big blind does not count as a raise
+    return g;
+}
+
+function applyAction(g, act, prev, rules) {
+    if (BigInt(act.seq) <= BigInt(prev.seq)) fail("SequenceInvalid");
+    if (!sameHash(act.prevHash, actionHash(prev))) fail("PrevHashInvalid");
+    const verb = Number(act.action);
+    const amount = BigInt(act.amount);
+    if (verb <= ACTION.BIG_BLIND || verb === ACTION.ANTE) fail("BlindOnlyStart");
+
+    const p = g.actor;
+    const opp = 1 - p;
+
+    // All-in handling
+    if (g.allIn[p]) {
+        if (g.allIn[opp]) {
+            return result(true, END.SHOWDOWN);
+        }
+        if (verb !== ACTION.CHECK_CALL || amount !== 0n) fail("PlayerAllIn");
+        return result(true, END.SHOWDOWN);
+    }
+
+    if (verb === ACTION.FOLD) {
+        if (amount !== 0n) fail("FoldAmountInvalid");
+        return result(true, END.FOLD, p);
+    }
+
+    if (verb === ACTION.CHECK_CALL) {
+        if (g.toCall > 0n) {
+            if (amount !== 0n) fail("CallAmountInvalid");
+            let callAmt = g.toCall;
+            if (g.stacks[p] < callAmt) {
+                callAmt = g.stacks[p];
+            }
+            g.contrib[p] += callAmt;
+            g.total[p] += callAmt;
+
+            g.stacks[p] -= callAmt;
+            if (g.stacks[p] === 0n) g.allIn[p] = true;
+            g.toCall = 0n;
+            g.lastRaise = g.bigBlindAmount;
+            g.checked = false;
+            g.reopen = true;
+
+            // cannot continue after a call when any of the players is all-in
+            if (g.allIn[0] || g.allIn[1]) {
+                return result(true, END.SHOWDOWN);
+            }
+
+            // If preflop and no raises, allow BB to check or raise after SB called
+            if (g.street === 0 && g.raiseCount === 0) {
+                g.checked = true;
+                g.actor = opp;
+                return result(false, END.SHOWDOWN);
+            }
+
+            g.street++;
+            if (g.street === 4) {
+                // river bet called - natural showdown
+                return result(true, END.SHOWDOWN);
+            }
+            g.contrib[0] = 0n;
+            g.contrib[1] = 0n;
+            g.actor = g.bigBlindPlayer;
+            g.raiseCount = 0;
+            return result(false, END.SHOWDOWN);
+        }
+
+        // Check
+        if (amount !== 0n) fail("CheckAmountInvalid");
+        if (g.checked) {
+            g.street++;
+            if (g.street === 4) {
+                // natural showdown
+                return result(true, END.SHOWDOWN);
+            }
+            g.contrib[0] = 0n;
+            g.contrib[1] = 0n;
+            g.actor = g.bigBlindPlayer;
+            g.checked = false;
+            g.reopen = true;
+            g.lastRaise = g.bigBlindAmount;
+            g.raiseCount = 0;
+        } else {
+            g.checked = true;
+            g.actor = opp;
+        }
+        return result(false, END.SHOWDOWN);
+    }
+
+    if (verb === ACTION.BET_RAISE) {
+        if (amount === 0n) fail("RaiseAmountZero");
+
+        const prevStack = g.stacks[p];
+        if (amount > prevStack) fail("RaiseStackInvalid");
+
+        if (g.raiseCount >= raiseCap(rules)) fail("RaiseLimitExceeded");
+
+        const toCallBefore = g.toCall;
+        let minRaise = g.lastRaise;
+
+        if (rules.structure === BETTING_STRUCTURE.FIXED_LIMIT) {
+            // Bets and raises are exactly one bet, short all-ins aside
+            minRaise = fixedBet(g, rules);
+            if (amount > toCallBefore + minRaise) fail("FixedLimitAmountInvalid");
+        } else if (rules.structure === BETTING_STRUCTURE.POT_LIMIT && amount > potLimit(g)) {
+            fail("PotLimitExceeded");
+        }
+
+        if (toCallBefore > 0n) {
+            if (amount <= toCallBefore) fail("RaiseInsufficientIncrease");
+
+            const raiseInc = amount - toCallBefore;
+
+            if (raiseInc < minRaise) {
+                if (amount !== prevStack) fail("MinimumRaiseNotMet");
+                g.reopen = false;
+            } else {
+                if (!g.reopen) fail("NoReopenAllowed");
+                g.reopen = true;
+                g.lastRaise = raiseInc;
+            }
+        } else {
+            if (amount < minRaise) {
+                if (amount !== prevStack) fail("MinimumRaiseNotMet");
+                g.reopen = false;
+            } else {
+                g.reopen = true;
+                g.lastRaise = amount;
+            }
+        }
+
+        g.contrib[p] += amount;
+        g.total[p] += amount;
+
+        g.stacks[p] = prevStack - amount;
+        if (g.stacks[p] === 0n) g.allIn[p] = true;
+
+        // contributions never shrink below the opponent's here; underflow panics on-chain
+        if (g.contrib[p] < g.contrib[opp]) fail("Panic");
+        g.toCall = g.contrib[p] - g.contrib[opp];
+        g.checked = false;
+        g.actor = opp;
+        g.raiseCount++;
+
+        return result(false, END.SHOWDOWN);
+    }
+
+    fail("UnknownAction");
+}
+
+/**
+ * Mirror of `HeadsUpPokerReplay._replayActions`
+ * @param {import("./actions.js").Action[]} actions Signed action sequence
+ * @param {bigint} stackA Escrowed balance of player 1
+ * @param {bigint} stackB Escrowed balance of player 2
+ * @param {bigint} minSmallBlind Minimum small blind of the channel
+ * @param {string} player1 Address of player 1
+ * @param {string} player2 Address of player 2
+ * @param {BettingRules} [rules] Betting rules of the channel, no-limit by default
+ * @param {boolean} [exactSmallBlind] Whether the small blind must be exactly
+ * `minSmallBlind` unless the stack is short of it, as in a sit-and-go match
+ * @returns {{res: {ended: boolean, end: number, folder: number}, game: Object}}
+ */
+export function replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false) {
+    rules = toRules(rules);
+    stackA = BigInt(stackA);
+    stackB = BigInt(stackB);
+    minSmallBlind = BigInt(minSmallBlind);
+
+    // Handle sequences without proper blinds
+    const blinds = blindCount(rules);
+    if (actions.length < blinds) {
+        return { res: result(true, END.NO_BLINDS), game: emptyGame() };
+    }
+
+    const sb = actions[blinds - 2];
+    const bb = actions[blinds - 1];
+
+    const g = initGame(actions, stackA, stackB, minSmallBlind, rules, exactSmallBlind);
+
+    // Validate sender addresses for blind actions
+    const smallBlindPlayer = getSmallBlindPlayer(sb.handId);
+    const expectedSmallBlindSender = smallBlindPlayer === 0 ? player1 : player2;
+    const expectedBigBlindSender = smallBlindPlayer === 0 ? player2 : player1;
+
+    if (!sameAddress(sb.sender, expectedSmallBlindSender)) fail("WrongPlayerTurn");
+    if (!sameAddress(bb.sender, expectedBigBlindSender)) fail("WrongPlayerTurn");
+    // Antes are posted in the same order as the blinds
+    if (blinds === 4) {
+        if (!sameAddress(actions[0].sender, expectedSmallBlindSender)) fail("WrongPlayerTurn");
+        if (!sameAddress(actions[1].sender, expectedBigBlindSender)) fail("WrongPlayerTurn");
+    }
+
+    // If small blind is all-in, or the big blind is all-in with nothing
+    // to call, game ends immediately
+    if (g.allIn[smallBlindPlayer] || (g.allIn[1 - smallBlindPlayer] && g.toCall === 0n)) {
+        return { res: result(true, END.SHOWDOWN), game: g };
+    }
+
+    for (let i = blinds; i < actions.length; i++) {
+        // Validate sender for each action
+        const expectedSender = g.actor === 0 ? player1 : player2;
+        if (!sameAddress(actions[i].sender, expectedSender)) fail("WrongPlayerTurn");
+
+        const res = applyAction(g, actions[i], actions[i - 1], rules);
+        if (res.ended) {
+            return { res, game: g };
+        }
+    }
+
+    // Not ended by the sequence itself
+    return { res: result(false, END.SHOWDOWN), game: g };
+}
+
+/**
+ * Mirror of `HeadsUpPokerReplay.replayGame`: validates a complete hand
+ * @returns {{end: number, folder: number, calledAmount: bigint}}
+ */
+export function replayGame(actions, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false) {
+    const { res, game } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+
+    // Disallow incomplete game sequences - only accept complete games
+    if (res.end === END.NO_BLINDS) fail("NoBlinds");
+    if (!res.ended) fail("HandNotDone");
+
+    return { end: res.end, folder: res.folder, calledAmount: calculateCalledAmount(game) };
+}
+
+/**
+ * Mirror of `HeadsUpPokerReplay.replayIncompleteGame`: projects the outcome of a prefix
+ * @returns {{end: number, folder: number, calledAmount: bigint}}
+ */
+export function replayIncompleteGame(actions, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false) {
+    const { res, game } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+
+    // For NO_BLINDS games, called amount is always 0
+    if (res.end === END.NO_BLINDS) {
+        return { end: res.end, folder: res.folder, calledAmount: 0n };
+    }
+
+    const calledAmount = calculateCalledAmount(game);
+
+    // If already terminal by the sequence, return immediately
+    if (res.ended) {
+        return { end: res.end, folder: res.folder, calledAmount };
+    }
+
+    // Apply finalization rules on non-terminal prefix
+    if (game.toCall > 0n) {
+        return { end: END.FOLD, folder: game.actor, calledAmount };
+    }
+
+    return { end: END.SHOWDOWN, folder: 0, calledAmount };
+}
+
+/**
+ * Mirror of `HeadsUpPokerReplay.replayState`
+ * @returns {{ended: boolean, gameEnd: number, street: number}}
+ */
+export function replayState(actions, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false) {
+    const { res, game } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+
+    if (res.end === END.NO_BLINDS) fail("NoBlinds");
+
+    return { ended: res.ended, gameEnd: res.end, street: game.street };
+}
+
+// Mirror of `HeadsUpPokerReplay._legalActions`
+function legalActions(g, rules) {
+    const legal = {
+        fold: false,
+        check: false,
+        call: false,
+        raise: false,
+        callAmount: 0n,
+        minRaise: 0n,
+        maxRaise: 0n
+    };
+    const p = g.actor;
+
+    // An all-in player can only check through to showdown
+    if (g.allIn[p]) {
+        legal.check = true;
+        return legal;
+    }
+
+    legal.fold = true;
+
+    const stack = g.stacks[p];
+    if (g.toCall > 0n) {
+        legal.call = true;
+        legal.callAmount = g.toCall < stack ? g.toCall : stack;
+    } else {
+        legal.check = true;
+    }
+
+    if (g.raiseCount >= raiseCap(rules)) return legal;
+    if (stack <= g.toCall) return legal;
+
+    const fullRaise = g.toCall +
+        (rules.structure === BETTING_STRUCTURE.FIXED_LIMIT ? fixedBet(g, rules) : g.lastRaise);
+    if (stack < fullRaise) {
+        // Short all-in is always allowed, even when action is not reopened
+        legal.raise = true;
+        legal.minRaise = stack;
+        legal.maxRaise = stack;
+        return legal;
+    }
+
+    if (g.toCall > 0n && !g.reopen) return legal;
+
+    legal.raise = true;
+    legal.minRaise = fullRaise;
+    legal.maxRaise = stack;
+    if (rules.structure === BETTING_STRUCTURE.FIXED_LIMIT) {
+        legal.maxRaise = fullRaise;
+    } else if (rules.structure === BETTING_STRUCTURE.POT_LIMIT) {
+        const limit = potLimit(g);
+        if (limit < stack) legal.maxRaise = limit;
+    }
+    return legal;
+}
+
+/**
+ * Mirror of `HeadsUpPokerReplay.replayGameState`: full betting state of a prefix
+ * and the moves available to the player to act. Raise amounts are the chips
+ * added by the BET_RAISE action itself, including the part that calls `toCall`.
+ * @returns {Object} Same fields as the Solidity `GameState` struct
+ */
+export function replayGameState(actions, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false) {
+    const { res, game } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+
+    if (res.end === END.NO_BLINDS) fail("NoBlinds");
+
+    return {
+        ended: res.ended,
+        end: res.end,
+        folder: res.folder,
+        actor: game.actor,
+        street: game.street,
+        stacks: [...game.stacks],
+        contrib: [...game.contrib],
+        total: [...game.total],
+        allIn: [...game.allIn],
+        toCall: game.toCall,
+        lastRaise: game.lastRaise,
+        reopen: game.reopen,
+        raiseCount: game.raiseCount,
+        legal: res.ended
+            ? { fold: false, check: false, call: false, raise: false, callAmount: 0n, minRaise: 0n, maxRaise: 0n }
+            : legalActions(game, toRules(rules))
+    };
+}
+
+/**
+ * Check an opponent's action before counter-signing it. Throws a `ReplayError`
+ * when the contract would reject the extended sequence, and a plain `Error`
+ * when the hand was already over (the contract silently ignores such actions).
+ * @returns {{ended: boolean, end: number, folder: number}} Hand status after `next`
+ */
+export function verifyNextAction(
+    actions, next, stackA, stackB, minSmallBlind, player1, player2, rules = NO_LIMIT_RULES, exactSmallBlind = false
+) {
+    if (actions.length >= blindCount(toRules(rules))) {
+        const { res } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+        if (res.ended) {
+            throw new Error("Hand already ended");
+        }
+    }
+    const { res } = replayActions([...actions, next], stackA, stackB, minSmallBlind, player1, player2, rules, exactSmallBlind);
+    return res;
+}
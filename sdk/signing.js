@@ -0,0 +1,148 @@
+import {
+    ACTION_TYPES,
+    BALANCE_CHECKPOINT_TYPES,
+    CLOSE_CHANNEL_TYPES,
+    RELAY_REQUEST_TYPES,
+    actionDigest,
+    domainSeparator,
+    eip712Domain
+} from "./hashes.js";
+
+/**
+ * Sign a single action with a wallet holding the raw signing key
+ * @param {import("./actions.js").Action} action Action to sign
+ * @param {import("ethers").Wallet} wallet Wallet of the sender or its optional signer
+ * @param {string} dom Domain separator of the escrow contract
+ * @returns {string} Serialized signature
+ */
+export function signAction(action, wallet, dom) {
+    return wallet.signingKey.sign(actionDigest(dom, action)).serialized;
+}
+
+/**
+ * Sign a single action through `signTypedData`, for signers without raw key access
+ * (browser wallets, remote signers)
+ * @param {import("./actions.js").Action} action Action to sign
+ * @param {import("ethers").Signer} signer Signer of the sender or its optional signer
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string>} Serialized signature
+ */
+export async function signActionTypedData(action, signer, contractAddress, chainId) {
+    return signer.signTypedData(
+        eip712Domain(contractAddress, chainId),
+        ACTION_TYPES,
+        action
+    );
+}
+
+/**
+ * Sign every action with the wallet matching its sender
+ * @param {import("./actions.js").Action[]} actions Actions to sign
+ * @param {import("ethers").Wallet[]} signers Wallets of the players
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string[]>} Signatures in action order
+ */
+export async function signActions(actions, signers, contractAddress, chainId) {
+    const signatures = [];
+    const domain = domainSeparator(contractAddress, chainId);
+
+    for (const action of actions) {
+        // Find which signer matches the action sender
+        let signer = null;
+        for (const s of signers) {
+            if (s.address.toLowerCase() === action.sender.toLowerCase()) {
+                signer = s;
+                break;
+            }
+        }
+
+        if (!signer) {
+            throw new Error(`No signer found for sender ${action.sender}`);
+        }
+
+        signatures.push(signAction(action, signer, domain));
+    }
+    return signatures;
+}
+
+/**
+ * @typedef {Object} CloseChannel
+ * @property {bigint} channelId Channel to close
+ * @property {bigint} handId Current hand of the channel
+ * @property {bigint} balance1 Final balance of player 1
+ * @property {bigint} balance2 Final balance of player 2
+ * @property {bigint} nonce No lower than the nonce of the last checkpoint, so agreements
+ * signed before a newer checkpoint are rejected
+ */
+
+/**
+ * Sign a `CloseChannel` agreement for `closeChannel`
+ * @param {CloseChannel} close Agreed final balances
+ * @param {import("ethers").Signer} signer The player or their optional signer
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string>} Serialized signature
+ */
+export async function signCloseChannel(close, signer, contractAddress, chainId) {
+    return signer.signTypedData(
+        eip712Domain(contractAddress, chainId),
+        CLOSE_CHANNEL_TYPES,
+        close
+    );
+}
+
+/**
+ * @typedef {Object} BalanceCheckpoint
+ * @property {bigint} channelId Channel the hands are played in
+ * @property {bigint} handId Next hand, which starts from these balances
+ * @property {bigint} deposit1 Balance of player 1
+ * @property {bigint} deposit2 Balance of player 2
+ * @property {bigint} nonce Increases with every checkpoint; the highest one wins
+ * @property {string} deckHash `deckHash` of the deck hand `handId` is dealt from,
+ * `ethers.ZeroHash` until both players agreed on it
+ * @property {string} canonicalDeckId `canonicalDeckHash` of its canonical deck,
+ * `ethers.ZeroHash` without a deck
+ */
+
+/**
+ * Sign a `BalanceCheckpoint` for `disputeCheckpoint`
+ * @param {BalanceCheckpoint} checkpoint Balances after the last finished hand
+ * @param {import("ethers").Signer} signer The player or their optional signer
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string>} Serialized signature
+ */
+export async function signBalanceCheckpoint(checkpoint, signer, contractAddress, chainId) {
+    return signer.signTypedData(
+        eip712Domain(contractAddress, chainId),
+        BALANCE_CHECKPOINT_TYPES,
+        checkpoint
+    );
+}
+
+/**
+ * Sign a request for `HeadsUpPokerRelay`, which lets anyone submit the
+ * matching escrow or peek call on the player's behalf
+ * @param {keyof typeof RELAY_REQUEST_TYPES} primaryType `OpenRequest`, `JoinRequest`,
+ * `OpenWithTokenRequest`, `JoinWithTokenRequest`, `OpenWithOptionsRequest`,
+ * `StartGameRequest`, `RevealCardsRequest`, `PeekAnswerRequest` or `WithdrawRequest`
+ * @param {Object} request Call arguments plus `player`, `nonce` (see `nonces(player)`
+ * on the relay) and `deadline` (unix seconds)
+ * @param {import("ethers").Signer} signer The player; channel calls also accept their optional signer
+ * @param {string} contractAddress Escrow contract address
+ * @param {bigint} chainId Chain ID of the escrow deployment
+ * @returns {Promise<string>} Serialized signature
+ */
+export async function signRelayRequest(primaryType, request, signer, contractAddress, chainId) {
+    const types = RELAY_REQUEST_TYPES[primaryType];
+    if (!types) {
+        throw new Error(`Unknown relay request type ${primaryType}`);
+    }
+    return signer.signTypedData(
+        eip712Domain(contractAddress, chainId),
+        types,
+        request
+    );
+}
@@ -5,6 +5,9 @@ error IncorrectSizeU();
 error IncorrectSizeY();
 error IncorrectSizePublicKey();
 error PairingFailed();
+error ModExpFailed();
+error IncorrectSizeDst();
+error EcAddFailed();
 
 /// @title Bn254
 /// @notice Helper library for BN254 curve operations
@@ -16,6 +19,30 @@ library Bn254 {
     // BN254 curve: y^2 = x^3 + 3
     uint256 private constant B = 3;
 
+    // BN254 twist curve over Fp2: y^2 = x^3 + 3 / (9 + u), b' = B0 + B1 * u
+    uint256 private constant TWIST_B0 = 0x2b149d40ceb8aaae81be18991be06ac3b5b4c5e559dbefa33267e6dc24a138e5;
+    uint256 private constant TWIST_B1 = 0x009713b03af0fed4cd2cafadeed8fdf4a74fa084e52d1852e4a2bd0685c315d2;
+
+    // Square roots in Fp are x^((p + 1) / 4) since p = 3 mod 4
+    uint256 private constant SQRT_EXPONENT = (P + 1) / 4;
+    // Euler's criterion: x is a square iff x^((p - 1) / 2) != -1
+    uint256 private constant LEGENDRE_EXPONENT = (P - 1) / 2;
+    uint256 private constant TWO_POW_256_MOD_P = 0x0e0a77c19a07df2f666ea36f7879462c0a78eb28f5c70b3dd35d438dc58f0d9d;
+
+    // Shallue-van de Woestijne constants for y^2 = x^3 + 3 with Z = 1 (RFC 9380, 6.6.1)
+    uint256 private constant SVDW_Z = 1;
+    uint256 private constant SVDW_C1 = 4; // g(Z)
+    uint256 private constant SVDW_C2 = 0x183227397098d014dc2822db40c0ac2ecbc0b548b438e5469e10460b6c3e7ea3; // -Z / 2
+    uint256 private constant SVDW_C3 = 0x16789af3a83522eb353c98fc6b36d713d5d8d1cc5dffffffa; // sqrt(-g(Z) * 3Z^2)
+    uint256 private constant SVDW_C4 = 0x10216f7ba065e00de81ac1e7808072c9dd2b2385cd7b438469602eb24829a9bd; // -4g(Z) / 3Z^2
+
+    /// @notice Domain separation tag of the RFC 9380 hash-to-curve suite for G1
+    bytes internal constant HASH_TO_CURVE_DST = "BN254G1_XMD:SHA-256_SVDW_RO_";
+
+    /// @notice Domain separation tag of the proof-of-possession hash, kept apart
+    /// from `HASH_TO_CURVE_DST` so a proof never doubles as a deck point signature
+    bytes internal constant KEY_POSSESSION_DST = "BN254G1_XMD:SHA-256_SVDW_RO_POP_";
+
     // G2 base point (uncompressed, 128 bytes: x.a||x.b||y.a||y.b in big-endian)
     // EVM format for pairing precompile: [x_imaginary, x_real, y_imaginary, y_real]
     // This is the standard BN254 G2 generator
@@ -42,56 +69,116 @@ library Bn254 {
         if (pkG2.length != 128)
             revert IncorrectSizePublicKey();
 
-        uint256 yX;
-        uint256 yY;
+        (bool success, bool valid) = _pairingCheck(U, Y, pkG2);
+        if (!success)
+            revert PairingFailed();
 
-        assembly ("memory-safe") {
-            yX := mload(add(Y, 32))
-            yY := mload(add(Y, 64))
-        }
+        return valid;
+    }
 
-        uint256 negYY = P - yY;
-        bytes memory g2base = G2_BASE;
+    /// @notice Verify a proof that the owner of `pkG2` knows its secret key
+    /// @dev The proof is a BLS signature sk * H(message) with H = `hashToCurveG1`
+    /// under `KEY_POSSESSION_DST`, checked as e(H(message), pkG2) == e(proof, G2_BASE). The pairing
+    /// precompile rejects G2 points outside the prime-order subgroup, which
+    /// is reported as an invalid proof rather than a revert.
+    /// @param pkG2 G2 public key (128 bytes uncompressed: x.a||x.b||y.a||y.b big-endian)
+    /// @param proof G1 signature (64 bytes uncompressed: x||y big-endian)
+    /// @param message Message the key owner signed
+    /// @return True if the key is well formed and the proof matches it
+    function verifyKeyPossession(
+        bytes memory pkG2,
+        bytes memory proof,
+        bytes32 message
+    ) internal view returns (bool) {
+        if (!isG2OnCurve(pkG2))
+            return false;
+        if (!isG1OnCurve(proof) || isInfinity(proof))
+            return false;
 
-        bytes memory input = new bytes(384);
+        (bool success, bool valid) = _pairingCheck(
+            hashToCurveG1(abi.encodePacked(message), KEY_POSSESSION_DST),
+            proof,
+            pkG2
+        );
+        return success && valid;
+    }
 
+    /// @notice Hash a message to G1 following RFC 9380
+    /// @dev Suite BN254G1_XMD:SHA-256_SVDW_RO_: expand_message_xmd with SHA-256
+    /// into two field elements, map each with Shallue-van de Woestijne and add
+    /// them. G1 has cofactor 1, so no clearing is needed. Matches
+    /// `hashToCurveG1` in the SDK.
+    /// @param message Message to hash
+    /// @param dst Domain separation tag, at most 255 bytes
+    /// @return G1 point (64 bytes uncompressed: x||y big-endian)
+    function hashToCurveG1(
+        bytes memory message,
+        bytes memory dst
+    ) internal view returns (bytes memory) {
+        (uint256 u0, uint256 u1) = _hashToField(message, dst);
+        (uint256 x0, uint256 y0) = _mapToCurveSvdw(u0);
+        (uint256 x1, uint256 y1) = _mapToCurveSvdw(u1);
+
+        uint256[4] memory input = [x0, y0, x1, y1];
+        uint256[2] memory sum;
+        bool success;
         assembly ("memory-safe") {
-            let inputPtr := add(input, 32)
+            success := staticcall(gas(), 0x06, input, 128, sum, 64)
+        }
+        if (!success)
+            revert EcAddFailed();
 
-            mstore(inputPtr, mload(add(U, 32)))
-            mstore(add(inputPtr, 32), mload(add(U, 64)))
+        return abi.encodePacked(sum[0], sum[1]);
+    }
 
-            let pkPtr := add(pkG2, 32)
-            mstore(add(inputPtr, 64), mload(pkPtr))
-            mstore(add(inputPtr, 96), mload(add(pkPtr, 32)))
-            mstore(add(inputPtr, 128), mload(add(pkPtr, 64)))
-            mstore(add(inputPtr, 160), mload(add(pkPtr, 96)))
-            mstore(add(input, 224), yX)
-            mstore(add(input, 256), negYY)
-            mstore(add(input, 288), mload(add(g2base, 32)))
-            mstore(add(input, 320), mload(add(g2base, 64)))
-            mstore(add(input, 352), mload(add(g2base, 96)))
-            mstore(add(input, 384), mload(add(g2base, 128)))
+    /// @notice Check if a G2 point is a usable public key on the BN254 twist
+    /// @dev Verifies y^2 = x^3 + 3 / (9 + u) over Fp2 with every coordinate
+    /// below p. Unlike `isG1OnCurve` the point at infinity is rejected, since
+    /// it would verify any pairing equation. Subgroup membership is left to
+    /// the pairing precompile.
+    /// @param p G2 point (128 bytes uncompressed: x.a||x.b||y.a||y.b big-endian)
+    /// @return True if point is on the twist and not infinity
+    function isG2OnCurve(bytes memory p) internal pure returns (bool) {
+        if (p.length != 128) {
+            return false;
         }
-        
-        // Call pairing precompile at 0x08
-        uint256[1] memory result;
-        bool success;
+
+        uint256 x1;
+        uint256 x0;
+        uint256 y1;
+        uint256 y0;
         assembly ("memory-safe") {
-            success := staticcall(
-                gas(),
-                0x08,           // Pairing precompile
-                add(input, 32), // Skip length prefix
-                384,            // Input size
-                result,
-                32              // Output size (1 or 0)
-            )
+            x1 := mload(add(p, 32))
+            x0 := mload(add(p, 64))
+            y1 := mload(add(p, 96))
+            y0 := mload(add(p, 128))
         }
 
-        if (!success)
-            revert PairingFailed();
-        
-        return result[0] == 1;
+        if (x0 == 0 && x1 == 0 && y0 == 0 && y1 == 0) {
+            return false;
+        }
+
+        if (x0 >= P || x1 >= P || y0 >= P || y1 >= P) {
+            return false;
+        }
+
+        // (a0 + a1 u)(b0 + b1 u) = (a0 b0 - a1 b1) + (a0 b1 + a1 b0) u, u^2 = -1
+        uint256 xx0 = addmod(mulmod(x0, x0, P), P - mulmod(x1, x1, P), P);
+        uint256 xx1 = mulmod(2, mulmod(x0, x1, P), P);
+        uint256 rhs0 = addmod(
+            addmod(mulmod(xx0, x0, P), P - mulmod(xx1, x1, P), P),
+            TWIST_B0,
+            P
+        );
+        uint256 rhs1 = addmod(
+            addmod(mulmod(xx0, x1, P), mulmod(xx1, x0, P), P),
+            TWIST_B1,
+            P
+        );
+        uint256 lhs0 = addmod(mulmod(y0, y0, P), P - mulmod(y1, y1, P), P);
+        uint256 lhs1 = mulmod(2, mulmod(y0, y1, P), P);
+
+        return lhs0 == rhs0 && lhs1 == rhs1;
     }
 
     /// @notice Check if a G1 point lies on the BN254 curve
@@ -145,4 +232,141 @@ library Bn254 {
         
         return x == 0 && y == 0;
     }
+
+    /// @dev Runs e(U, pkG2) * e(-Y, G2_BASE) through precompile 0x08.
+    /// `success` is false when the precompile rejects an input point.
+    function _pairingCheck(
+        bytes memory U,
+        bytes memory Y,
+        bytes memory pkG2
+    ) private view returns (bool success, bool valid) {
+        uint256 yX;
+        uint256 yY;
+
+        assembly ("memory-safe") {
+            yX := mload(add(Y, 32))
+            yY := mload(add(Y, 64))
+        }
+
+        uint256 negYY = P - yY;
+        bytes memory g2base = G2_BASE;
+
+        bytes memory input = new bytes(384);
+
+        assembly ("memory-safe") {
+            let inputPtr := add(input, 32)
+
+            mstore(inputPtr, mload(add(U, 32)))
+            mstore(add(inputPtr, 32), mload(add(U, 64)))
+
+            let pkPtr := add(pkG2, 32)
+            mstore(add(inputPtr, 64), mload(pkPtr))
+            mstore(add(inputPtr, 96), mload(add(pkPtr, 32)))
+            mstore(add(inputPtr, 128), mload(add(pkPtr, 64)))
+            mstore(add(inputPtr, 160), mload(add(pkPtr, 96)))
+            mstore(add(input, 224), yX)
+            mstore(add(input, 256), negYY)
+            mstore(add(input, 288), mload(add(g2base, 32)))
+            mstore(add(input, 320), mload(add(g2base, 64)))
+            mstore(add(input, 352), mload(add(g2base, 96)))
+            mstore(add(input, 384), mload(add(g2base, 128)))
+        }
+
+        // Call pairing precompile at 0x08
+        uint256[1] memory result;
+        assembly ("memory-safe") {
+            success := staticcall(
+                gas(),
+                0x08,           // Pairing precompile
+                add(input, 32), // Skip length prefix
+                384,            // Input size
+                result,
+                32              // Output size (1 or 0)
+            )
+        }
+
+        valid = result[0] == 1;
+    }
+
+    /// @dev hash_to_field with count 2: 96 bytes of expand_message_xmd split
+    /// into two 48-byte big-endian integers reduced mod p
+    function _hashToField(
+        bytes memory message,
+        bytes memory dst
+    ) private pure returns (uint256 u0, uint256 u1) {
+        if (dst.length > 255)
+            revert IncorrectSizeDst();
+        bytes memory dstPrime = abi.encodePacked(dst, uint8(dst.length));
+
+        bytes32 b0 = sha256(
+            abi.encodePacked(bytes32(0), bytes32(0), message, uint16(96), uint8(0), dstPrime)
+        );
+        bytes32 b1 = sha256(abi.encodePacked(b0, uint8(1), dstPrime));
+        bytes32 b2 = sha256(abi.encodePacked(b0 ^ b1, uint8(2), dstPrime));
+        bytes32 b3 = sha256(abi.encodePacked(b0 ^ b2, uint8(3), dstPrime));
+
+        // u0 = b1 || b2[0:16], u1 = b2[16:32] || b3
+        u0 = addmod(mulmod(uint256(b1), 1 << 128, P), uint256(b2) >> 128, P);
+        u1 = addmod(
+            mulmod(uint256(b2) & type(uint128).max, TWO_POW_256_MOD_P, P),
+            uint256(b3),
+            P
+        );
+    }
+
+    /// @dev Shallue-van de Woestijne map (RFC 9380, 6.6.1) for A = 0, B = 3
+    function _mapToCurveSvdw(
+        uint256 u
+    ) private view returns (uint256 x, uint256 y) {
+        uint256 tv1 = mulmod(mulmod(u, u, P), SVDW_C1, P);
+        uint256 tv2 = addmod(1, tv1, P);
+        tv1 = addmod(1, P - tv1, P);
+        // inv0: zero maps to zero
+        uint256 tv3 = _modExp(mulmod(tv1, tv2, P), P - 2);
+        uint256 tv4 = mulmod(mulmod(mulmod(u, tv1, P), tv3, P), SVDW_C3, P);
+
+        x = addmod(SVDW_C2, P - tv4, P);
+        if (!_isSquare(_curveRhs(x))) {
+            x = addmod(SVDW_C2, tv4, P);
+            if (!_isSquare(_curveRhs(x))) {
+                x = mulmod(mulmod(tv2, tv2, P), tv3, P);
+                x = addmod(mulmod(mulmod(x, x, P), SVDW_C4, P), SVDW_Z, P);
+            }
+        }
+
+        y = _modExp(_curveRhs(x), SQRT_EXPONENT);
+        if ((u & 1) != (y & 1)) {
+            y = (P - y) % P;
+        }
+    }
+
+    /// @dev x^3 + 3 mod p
+    function _curveRhs(uint256 x) private pure returns (uint256) {
+        return addmod(mulmod(mulmod(x, x, P), x, P), B, P);
+    }
+
+    function _isSquare(uint256 a) private view returns (bool) {
+        return _modExp(a, LEGENDRE_EXPONENT) != P - 1;
+    }
+
+    /// @dev base^exponent mod p through the modexp precompile at 0x05
+    function _modExp(
+        uint256 base,
+        uint256 exponent
+    ) private view returns (uint256 result) {
+        bool success;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            mstore(ptr, 32)
+            mstore(add(ptr, 32), 32)
+            mstore(add(ptr, 64), 32)
+            mstore(add(ptr, 96), base)
+            mstore(add(ptr, 128), exponent)
+            mstore(add(ptr, 160), P)
+            success := staticcall(gas(), 0x05, ptr, 192, ptr, 32)
+            result := mload(ptr)
+        }
+        if (!success)
+            revert ModExpFailed();
+    }
 }
@@ -16,6 +16,25 @@ contract Bn254Test {
         return Bn254.verifyPartialDecrypt(U, Y, pkG2);
     }
 
+    function verifyKeyPossession(
+        bytes memory pkG2,
+        bytes memory proof,
+        bytes32 message
+    ) external view returns (bool) {
+        return Bn254.verifyKeyPossession(pkG2, proof, message);
+    }
+
+    function hashToCurveG1(
+        bytes memory message,
+        bytes memory dst
+    ) external view returns (bytes memory) {
+        return Bn254.hashToCurveG1(message, dst);
+    }
+
+    function isG2OnCurve(bytes memory p) external pure returns (bool) {
+        return Bn254.isG2OnCurve(p);
+    }
+
     function isG1OnCurve(bytes memory p) external pure returns (bool) {
         return Bn254.isG1OnCurve(p);
     }
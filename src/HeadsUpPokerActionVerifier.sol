@@ -39,42 +39,67 @@ library HeadsUpPokerActionVerifier {
         if (actions.length != signatures.length) revert ActionSignatureLengthMismatch();
 
         for (uint256 i = 0; i < actions.length; i++) {
-            Action calldata action = actions[i];
-            address sender = action.sender;
-
-            if (action.channelId != channelId) revert ActionWrongChannel();
-            if (action.handId != handId) revert ActionWrongHand();
+            verifyAction(
+                actions[i],
+                signatures[i],
+                channelId,
+                handId,
+                player1,
+                player2,
+                player1Signer,
+                player2Signer,
+                domainSeparator
+            );
+        }
+    }
 
-            bool validSender;
-            if (sender == player1 || sender == player2) {
-                validSender = true;
-            } else if (player1Signer != address(0) && sender == player1Signer) {
-                validSender = true;
-            } else if (player2Signer != address(0) && sender == player2Signer) {
-                validSender = true;
-            }
-            if (!validSender) revert ActionInvalidSender();
+    /// @notice Verifies that a single action is signed by an authorized signer.
+    /// @dev Same checks as `verifyActions` for one action and its signature.
+    function verifyAction(
+        Action calldata action,
+        bytes calldata signature,
+        uint256 channelId,
+        uint256 handId,
+        address player1,
+        address player2,
+        address player1Signer,
+        address player2Signer,
+        bytes32 domainSeparator
+    ) internal pure {
+        address sender = action.sender;
 
-            bytes32 digest = keccak256(
-                abi.encodePacked(
-                    "\x19\x01",
-                    domainSeparator,
-                    _hashAction(action)
-                )
-            );
+        if (action.channelId != channelId) revert ActionWrongChannel();
+        if (action.handId != handId) revert ActionWrongHand();
 
-            address actualSigner = digest.recover(signatures[i]);
-            if (
-                !_isAuthorizedSigner(
-                    sender,
-                    actualSigner,
-                    player1,
-                    player2,
-                    player1Signer,
-                    player2Signer
-                )
-            ) revert ActionWrongSigner();
+        bool validSender;
+        if (sender == player1 || sender == player2) {
+            validSender = true;
+        } else if (player1Signer != address(0) && sender == player1Signer) {
+            validSender = true;
+        } else if (player2Signer != address(0) && sender == player2Signer) {
+            validSender = true;
         }
+        if (!validSender) revert ActionInvalidSender();
+
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                domainSeparator,
+                _hashAction(action)
+            )
+        );
+
+        address actualSigner = digest.recover(signature);
+        if (
+            !_isAuthorizedSigner(
+                sender,
+                actualSigner,
+                player1,
+                player2,
+                player1Signer,
+                player2Signer
+            )
+        ) revert ActionWrongSigner();
     }
 
     function _isAuthorizedSigner(
@@ -30,6 +30,66 @@ contract HeadsUpPokerEIP712 is EIP712 {
         "Action(uint256 channelId,uint256 handId,uint32 seq,uint8 action,uint128 amount,bytes32 prevHash,address sender)"
     );
 
+    /// @dev Signed by both players over player 1's encrypted, shuffled 52-card
+    /// deck: player 1 as its author, player 2 as the deck they re-shuffled.
+    bytes32 internal constant DECK_COMMITMENT_TYPEHASH = keccak256(
+        "DeckCommitment(uint256 channelId,uint256 handId,bytes32 deckHash)"
+    );
+
+    /// @dev Signed with a player's BN254 secret key when registering the
+    /// matching public key, proving the player knows it.
+    bytes32 internal constant KEY_POSSESSION_TYPEHASH = keccak256(
+        "KeyPossession(uint256 channelId,address player)"
+    );
+
+    /// @dev Co-signed by both players to close a channel with agreed balances,
+    /// skipping settlement, disputes and showdown.
+    bytes32 internal constant CLOSE_CHANNEL_TYPEHASH = keccak256(
+        "CloseChannel(uint256 channelId,uint256 handId,uint256 balance1,uint256 balance2,uint256 nonce)"
+    );
+
+    /// @dev Co-signed by both players after every hand played off-chain,
+    /// carrying the balances the next hand starts from.
+    bytes32 internal constant BALANCE_CHECKPOINT_TYPEHASH = keccak256(
+        "BalanceCheckpoint(uint256 channelId,uint256 handId,uint256 deposit1,uint256 deposit2,uint256 nonce,bytes32 deckHash,bytes32 canonicalDeckId)"
+    );
+
+    /// @dev Signed by a player (or their optional signer) so a relayer can
+    /// submit the matching escrow call for them, see HeadsUpPokerRelay.
+    bytes32 internal constant OPEN_REQUEST_TYPEHASH = keccak256(
+        "OpenRequest(address player,uint256 channelId,address opponent,uint256 minSmallBlind,address player1Signer,uint256 slashAmount,bytes publicKey,bytes publicKeyProof,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant JOIN_REQUEST_TYPEHASH = keccak256(
+        "JoinRequest(address player,uint256 channelId,address player2Signer,bytes publicKey,bytes publicKeyProof,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant OPEN_WITH_TOKEN_REQUEST_TYPEHASH = keccak256(
+        "OpenWithTokenRequest(address player,uint256 channelId,address opponent,uint256 minSmallBlind,address player1Signer,uint256 slashAmount,bytes publicKey,bytes publicKeyProof,address token,uint256 amount,bool session,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant JOIN_WITH_TOKEN_REQUEST_TYPEHASH = keccak256(
+        "JoinWithTokenRequest(address player,uint256 channelId,address player2Signer,bytes publicKey,bytes publicKeyProof,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant OPEN_WITH_OPTIONS_REQUEST_TYPEHASH = keccak256(
+        "OpenWithOptionsRequest(address player,uint256 channelId,address opponent,uint256 minSmallBlind,address player1Signer,uint256 slashAmount,bytes publicKey,bytes publicKeyProof,OpenOptions options,uint256 nonce,uint256 deadline)OpenOptions(address token,uint256 amount,bool session,TimingWindows windows,bytes32 bettingRulesId,bytes32 blindScheduleId)TimingWindows(uint256 dispute,uint256 start,uint256 reveal,uint256 peek)"
+    );
+    bytes32 internal constant OPEN_OPTIONS_TYPEHASH = keccak256(
+        "OpenOptions(address token,uint256 amount,bool session,TimingWindows windows,bytes32 bettingRulesId,bytes32 blindScheduleId)TimingWindows(uint256 dispute,uint256 start,uint256 reveal,uint256 peek)"
+    );
+    bytes32 internal constant TIMING_WINDOWS_TYPEHASH = keccak256(
+        "TimingWindows(uint256 dispute,uint256 start,uint256 reveal,uint256 peek)"
+    );
+    bytes32 internal constant START_GAME_REQUEST_TYPEHASH = keccak256(
+        "StartGameRequest(address player,uint256 channelId,bytes[] deck,bytes32 canonicalDeckId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant REVEAL_CARDS_REQUEST_TYPEHASH = keccak256(
+        "RevealCardsRequest(address player,uint256 channelId,bytes[] decryptedCards,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant PEEK_ANSWER_REQUEST_TYPEHASH = keccak256(
+        "PeekAnswerRequest(address player,uint256 channelId,uint8 stage,bytes[] decryptedCards,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 internal constant WITHDRAW_REQUEST_TYPEHASH = keccak256(
+        "WithdrawRequest(address player,uint256 channelId,uint256 nonce,uint256 deadline)"
+    );
+
     constructor() EIP712("HeadsUpPoker", "1") {}
 
     // ---------------------------------------------------------------------
@@ -9,8 +9,24 @@ error CommitUnexpected(uint8 slot);
 
 error NotFinalized();
 error PaymentFailed();
+error InvalidToken();
+error TokenMismatch();
+error FeeOnTransferNotSupported();
 error NoBalance();
+error InvalidRake();
+error InvalidWindow();
+error InvalidFeeRecipient();
 error ChannelExists();
+error NotSession();
+error MatchInProgress();
+error BlindScheduleMismatch();
+error BalanceMismatch();
+error CloseWrongHand();
+error CloseWrongSigner();
+error CloseStale();
+error CheckpointNotNewer();
+error CheckpointWrongHand();
+error CheckpointWrongSigner();
 error BadOpponent();
 error InvalidMinSmallBlind();
 error NoDeposit();
@@ -45,6 +61,9 @@ error NoDisputeInProgress();
 error DisputeStillActive();
 error SequenceTooShort();
 error SequenceNotLonger();
+error DisputeExpired();
+error DisputeTranscriptMismatch();
+error HandAlreadyEnded();
 error GameNotStarted();
 error DeckHashMismatch();
 error GameAlreadyStarted();
@@ -57,11 +76,23 @@ error InvalidDecryptedCard();
 error PrerequisitesNotMet();
 error RevealAlreadySubmitted();
 error InvalidDeck();
+error CanonicalDeckNotRegistered();
+error BettingRulesNotRegistered();
+error BlindScheduleNotRegistered();
+error CardsNotResolved();
+error DuplicateCard();
+error NoDeckFraud();
+error InvalidDeckProof();
 error InvalidUnencryptedCard();
+error InvalidPublicKey();
+error InvalidKeyProof();
 error InvalidGameState();
 error NotEscrow();
 error HelpersNotConfigured();
 error HelpersAlreadyConfigured();
+error RelayRequestExpired();
+error RelayWrongNonce();
+error RelayWrongSigner();
 error ChannelDeadlineExpired();
 error ChannelDeadlineInactive();
 error ChannelDeadlineStillActive();
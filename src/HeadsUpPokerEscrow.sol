@@ -3,6 +3,9 @@ pragma solidity 0.8.24;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 import {HeadsUpPokerEIP712} from "./HeadsUpPokerEIP712.sol";
 import {HeadsUpPokerPeek} from "./HeadsUpPokerPeek.sol";
@@ -13,7 +16,7 @@ import {HeadsUpPokerActionVerifier} from "./HeadsUpPokerActionVerifier.sol";
 import "./HeadsUpPokerErrors.sol";
 import {IHeadsUpPokerEscrow} from "./interfaces/IHeadsUpPokerEscrow.sol";
 
-/// @title HeadsUpPokerEscrow - Simple escrow contract for heads up poker matches using ETH only
+/// @title HeadsUpPokerEscrow - Simple escrow contract for heads up poker matches using ETH or an ERC-20 token
 contract HeadsUpPokerEscrow is
     Ownable,
     ReentrancyGuard,
@@ -21,14 +24,18 @@ contract HeadsUpPokerEscrow is
     IHeadsUpPokerEscrow
 {
     using HeadsUpPokerActionVerifier for Action[];
+    using SafeERC20 for IERC20;
 
     HeadsUpPokerReplay private replay;
 
     // ------------------------------------------------------------------
     // Slot layout constants
     // ------------------------------------------------------------------
+    // Default timing windows, see `TimingWindows`
     uint256 public constant disputeWindow = 1 hours;
     uint256 public constant startDeadlineWindow = 1 hours;
+    // Highest rake the owner can configure, in basis points of the pot
+    uint256 public constant MAX_RAKE_BPS = 1000;
     // ------------------------------------------------------------------
     // Dispute state
     // ------------------------------------------------------------------
@@ -39,6 +46,9 @@ contract HeadsUpPokerEscrow is
         HeadsUpPokerReplay.End endType;
         uint8 folder;
         uint256 calledAmount;
+        uint8 street;
+        // Hash of the last action of the disputed transcript, see `respondDispute`
+        bytes32 lastActionHash;
     }
 
     mapping(uint256 => DisputeState) private disputes;
@@ -61,18 +71,74 @@ contract HeadsUpPokerEscrow is
         bytes32 canonicalDeckHashPlayer1;
         bytes32 canonicalDeckHashPlayer2;
         uint256 startDeadline;
+        bool session;
+        uint256 checkpointNonce;
+        address token;
+        uint256 rakeBps;
+        uint256 rakeCap;
+        TimingWindows windows;
+        bytes32 bettingRulesId;
+        bytes32 blindScheduleId;
+        uint256 scheduleStartHand;
     }
 
+    /// @dev Durations chosen by player 1 at open. Zero selects the default
+    /// (`disputeWindow`, `startDeadlineWindow`, `HeadsUpPokerShowdown.revealWindow`
+    /// and `HeadsUpPokerPeek.peekWindow`).
+    struct TimingWindows {
+        uint256 dispute;
+        uint256 start;
+        uint256 reveal;
+        uint256 peek;
+    }
+
+    /// @dev Channel settings of `openWithOptions`
+    struct OpenOptions {
+        address token;
+        uint256 amount;
+        bool session;
+        TimingWindows windows;
+        bytes32 bettingRulesId;
+        bytes32 blindScheduleId;
+    }
+
+    // Bounds for every timing window of a channel, set by the owner
+    uint256 public minWindow = 1 minutes;
+    uint256 public maxWindow = 30 days;
+
     mapping(uint256 => Channel) private channels;
 
+    // ------------------------------------------------------------------
+    // Rake
+    // ------------------------------------------------------------------
+    struct RakeConfig {
+        bool custom;
+        uint256 bps;
+        uint256 cap;
+    }
+
+    // Applies to channels without a custom rake
+    RakeConfig private globalRake;
+    mapping(uint256 => RakeConfig) private channelRakes;
+
+    address public feeRecipient;
+    // token (address(0) for ETH) => rake collected and not yet withdrawn
+    mapping(address => uint256) public accruedRake;
+
     HeadsUpPokerPeek private peek;
     HeadsUpPokerShowdown private showdown;
 
     bool private helpersInitialized;
 
+    // Submits player calls signed off-chain, see HeadsUpPokerRelay
+    address private relay;
+
     event HelpersInitialized(address replay, address peek, address showdown);
+    event RelayInitialized(address relay);
 
-    constructor() Ownable(msg.sender) {}
+    constructor() Ownable(msg.sender) {
+        feeRecipient = msg.sender;
+    }
 
     // ---------------------------------------------------------------------
     // Helper configuration
@@ -102,6 +168,91 @@ contract HeadsUpPokerEscrow is
         );
     }
 
+    /// @notice Trust `relay_` to submit `open`, `join`, `startGame`, `revealCards`
+    /// and `withdraw` on behalf of the player appended to the call data
+    function initializeRelay(address relay_) external onlyOwner {
+        if (relay != address(0)) revert HelpersAlreadyConfigured();
+        if (relay_ == address(0)) revert HelpersNotConfigured();
+
+        relay = relay_;
+
+        emit RelayInitialized(relay_);
+    }
+
+    /// @dev Calls from the relay carry the player's address in the last 20
+    /// bytes of the call data, as in ERC-2771
+    function _msgSender() internal view override returns (address) {
+        if (msg.sender == relay && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /// @notice Set the rake of channels without a custom rake
+    /// @dev Applies to channels opened afterwards; open channels keep their terms
+    /// @param bps Share of the pot in basis points, at most `MAX_RAKE_BPS`
+    /// @param cap Most taken from a single pot, 0 for no cap
+    function setRake(uint256 bps, uint256 cap) external onlyOwner {
+        if (bps > MAX_RAKE_BPS) revert InvalidRake();
+        globalRake = RakeConfig(false, bps, cap);
+        emit RakeUpdated(bps, cap);
+    }
+
+    /// @notice Set a rake for one channel that replaces the global one
+    /// @dev Applies from the next time the channel is opened
+    function setChannelRake(
+        uint256 channelId,
+        uint256 bps,
+        uint256 cap
+    ) external onlyOwner {
+        if (bps > MAX_RAKE_BPS) revert InvalidRake();
+        channelRakes[channelId] = RakeConfig(true, bps, cap);
+        emit ChannelRakeUpdated(channelId, bps, cap);
+    }
+
+    /// @notice Go back to the global rake for `channelId`
+    function clearChannelRake(uint256 channelId) external onlyOwner {
+        delete channelRakes[channelId];
+        emit ChannelRakeUpdated(channelId, globalRake.bps, globalRake.cap);
+    }
+
+    function setFeeRecipient(address recipient) external onlyOwner {
+        if (recipient == address(0)) revert InvalidFeeRecipient();
+        feeRecipient = recipient;
+        emit FeeRecipientUpdated(recipient);
+    }
+
+    /// @notice Pay the rake collected in `token` (address(0) for ETH) to the fee recipient
+    function withdrawRake(address token) external onlyOwner nonReentrant {
+        uint256 amount = accruedRake[token];
+        if (amount == 0) revert NoBalance();
+        accruedRake[token] = 0;
+
+        _pay(token, feeRecipient, amount);
+
+        emit RakeWithdrawn(token, feeRecipient, amount);
+    }
+
+    /// @notice Limit the timing windows players can choose when opening a channel
+    /// @dev Applies to channels opened afterwards. A default window outside the
+    /// bounds is replaced by the nearest bound.
+    function setWindowBounds(uint256 min, uint256 max) external onlyOwner {
+        if (min == 0 || min > max) revert InvalidWindow();
+        minWindow = min;
+        maxWindow = max;
+        emit WindowBoundsUpdated(min, max);
+    }
+
+    /// @notice Rake in effect for the next opening of `channelId`
+    function getRake(
+        uint256 channelId
+    ) external view returns (uint256 bps, uint256 cap) {
+        RakeConfig storage rc = channelRakes[channelId].custom
+            ? channelRakes[channelId]
+            : globalRake;
+        return (rc.bps, rc.cap);
+    }
+
     function helpersConfigured() public view returns (bool) {
         return helpersInitialized;
     }
@@ -138,6 +289,11 @@ contract HeadsUpPokerEscrow is
         address indexed winner,
         uint256 amount
     );
+    event DeckFraudProven(
+        uint256 indexed channelId,
+        address indexed cheater,
+        uint256 forfeited
+    );
     event RevealsUpdated(
         uint256 indexed channelId,
         bool player1Revealed,
@@ -158,6 +314,11 @@ contract HeadsUpPokerEscrow is
         address indexed submitter,
         uint256 actionCount
     );
+    event DisputeResponded(
+        uint256 indexed channelId,
+        address indexed player,
+        uint256 actionCount
+    );
     event DisputeFinalized(
         uint256 indexed channelId,
         address indexed winner,
@@ -169,7 +330,43 @@ contract HeadsUpPokerEscrow is
         uint256 amount
     );
     event GameStarted(uint256 indexed channelId, bytes32 deckHash);
+    event CanonicalDeckRegistered(bytes32 indexed deckId, address indexed registrar);
     event ChannelStaleFinalized(uint256 indexed channelId);
+    event HandAdvanced(uint256 indexed channelId, uint256 handId);
+    event SessionClosed(uint256 indexed channelId, address indexed closer);
+    event CheckpointApplied(
+        uint256 indexed channelId,
+        uint256 handId,
+        uint256 deposit1,
+        uint256 deposit2,
+        uint256 nonce
+    );
+    event ChannelClosed(
+        uint256 indexed channelId,
+        uint256 balance1,
+        uint256 balance2,
+        uint256 nonce
+    );
+    event WindowBoundsUpdated(uint256 min, uint256 max);
+    event RakeUpdated(uint256 bps, uint256 cap);
+    event ChannelRakeUpdated(uint256 indexed channelId, uint256 bps, uint256 cap);
+    event FeeRecipientUpdated(address indexed recipient);
+    event RakeCollected(
+        uint256 indexed channelId,
+        uint256 handId,
+        address token,
+        uint256 amount
+    );
+    event RakeWithdrawn(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount
+    );
+    event MatchWon(
+        uint256 indexed channelId,
+        address indexed winner,
+        uint256 prize
+    );
 
     // ---------------------------------------------------------------------
     // View helpers
@@ -187,11 +384,12 @@ contract HeadsUpPokerEscrow is
         return channels[channelId].handId;
     }
 
-    /// @notice Get the minimum small blind for a channel
+    /// @notice Get the minimum small blind for the current hand of a channel,
+    /// taken from its blind schedule when it has one
     function getMinSmallBlind(
         uint256 channelId
     ) external view returns (uint256) {
-        return channels[channelId].minSmallBlind;
+        return _minSmallBlind(channels[channelId]);
     }
 
     /// @notice Get the complete channel information
@@ -201,6 +399,11 @@ contract HeadsUpPokerEscrow is
         return channels[channelId];
     }
 
+    /// @notice Get the Replay contract address, which also holds the betting rules registry
+    function getReplayAddress() external view returns (address) {
+        return address(replay);
+    }
+
     /// @notice Get the Showdown contract address
     function getShowdownAddress() external view returns (address) {
         return address(showdown);
@@ -211,6 +414,11 @@ contract HeadsUpPokerEscrow is
         return address(peek);
     }
 
+    /// @notice Get the Relay contract address, zero when gasless calls are disabled
+    function getRelayAddress() external view returns (address) {
+        return relay;
+    }
+
     function getChannelData(
         uint256 channelId
     ) external view override returns (ChannelData memory data) {
@@ -223,10 +431,14 @@ contract HeadsUpPokerEscrow is
         data.deposit1 = ch.deposit1;
         data.deposit2 = ch.deposit2;
         data.slashAmount = ch.slashAmount;
-        data.minSmallBlind = ch.minSmallBlind;
+        data.minSmallBlind = _minSmallBlind(ch);
+        data.exactSmallBlind = ch.blindScheduleId != bytes32(0);
         data.player1Signer = ch.player1Signer;
         data.player2Signer = ch.player2Signer;
         data.startDeadline = ch.startDeadline;
+        data.revealWindow = ch.windows.reveal;
+        data.peekWindow = ch.windows.peek;
+        data.bettingRulesId = ch.bettingRulesId;
     }
 
     function domainSeparator() external view override returns (bytes32) {
@@ -238,28 +450,166 @@ contract HeadsUpPokerEscrow is
     // ---------------------------------------------------------------------
 
     /// @notice Player1 opens a channel with an opponent by depositing ETH
+    /// @dev `publicKeyProofA` proves knowledge of the secret key behind `publicKeyA`
     function open(
         uint256 channelId,
         address opponent,
         uint256 minSmallBlind,
         address player1Signer,
         uint256 slashAmount,
-        bytes calldata publicKeyA
+        bytes calldata publicKeyA,
+        bytes calldata publicKeyProofA
     ) external payable nonReentrant helpersReady returns (uint256 handId) {
+        return
+            _open(
+                channelId,
+                opponent,
+                minSmallBlind,
+                player1Signer,
+                slashAmount,
+                publicKeyA,
+                publicKeyProofA,
+                _defaultOptions(address(0), 0, false)
+            );
+    }
+
+    /// @notice Player1 opens a multi-hand session with an opponent by depositing ETH
+    /// @dev Same as `open`, but ending a hand starts the next one instead of
+    /// finalizing the channel. Funds can be withdrawn once either player calls
+    /// `closeSession` between hands.
+    function openSession(
+        uint256 channelId,
+        address opponent,
+        uint256 minSmallBlind,
+        address player1Signer,
+        uint256 slashAmount,
+        bytes calldata publicKeyA,
+        bytes calldata publicKeyProofA
+    ) external payable nonReentrant helpersReady returns (uint256 handId) {
+        return
+            _open(
+                channelId,
+                opponent,
+                minSmallBlind,
+                player1Signer,
+                slashAmount,
+                publicKeyA,
+                publicKeyProofA,
+                _defaultOptions(address(0), 0, true)
+            );
+    }
+
+    /// @notice Player1 opens a channel whose stakes are held in an ERC-20 token
+    /// @dev Pulls `amount` of `token` from the caller, who must have approved the
+    /// escrow. Tokens that take a fee on transfer are rejected. Every later deposit
+    /// and withdrawal of the channel uses the same token.
+    /// @param session Whether the channel plays multiple hands, see `openSession`
+    function openWithToken(
+        uint256 channelId,
+        address opponent,
+        uint256 minSmallBlind,
+        address player1Signer,
+        uint256 slashAmount,
+        bytes calldata publicKeyA,
+        bytes calldata publicKeyProofA,
+        address token,
+        uint256 amount,
+        bool session
+    ) external nonReentrant helpersReady returns (uint256 handId) {
+        if (token == address(0)) revert InvalidToken();
+        return
+            _open(
+                channelId,
+                opponent,
+                minSmallBlind,
+                player1Signer,
+                slashAmount,
+                publicKeyA,
+                publicKeyProofA,
+                _defaultOptions(token, amount, session)
+            );
+    }
+
+    /// @notice Player1 opens a channel with every setting spelled out
+    /// @dev Stakes are ETH when `options.token` is `address(0)` (send them as value,
+    /// `options.amount` must be 0), and otherwise pulled as in `openWithToken`.
+    /// `options.session` selects `openSession` behaviour. Timing windows let fast
+    /// tables use minutes and high-stakes tables longer windows. Every window must
+    /// lie within `minWindow` and `maxWindow`; zero keeps the default, clamped
+    /// into those bounds.
+    /// `options.bettingRulesId` picks the betting structure from the
+    /// `HeadsUpPokerReplay` registry, zero being no-limit.
+    /// `options.blindScheduleId` turns the channel into a sit-and-go match: a
+    /// session whose small blind follows the registered schedule instead of
+    /// `minSmallBlind`. The match is not raked and cannot be closed with
+    /// `closeSession`; once a player has no chips left the winner is paid both
+    /// stacks. Reopening a channel that still holds chips keeps its schedule.
+    function openWithOptions(
+        uint256 channelId,
+        address opponent,
+        uint256 minSmallBlind,
+        address player1Signer,
+        uint256 slashAmount,
+        bytes calldata publicKeyA,
+        bytes calldata publicKeyProofA,
+        OpenOptions calldata options
+    ) external payable nonReentrant helpersReady returns (uint256 handId) {
+        return
+            _open(
+                channelId,
+                opponent,
+                minSmallBlind,
+                player1Signer,
+                slashAmount,
+                publicKeyA,
+                publicKeyProofA,
+                options
+            );
+    }
+
+    function _open(
+        uint256 channelId,
+        address opponent,
+        uint256 minSmallBlind,
+        address player1Signer,
+        uint256 slashAmount,
+        bytes calldata publicKeyA,
+        bytes calldata publicKeyProofA,
+        OpenOptions memory options
+    ) private returns (uint256 handId) {
         Channel storage ch = channels[channelId];
         if (ch.player1 != address(0) && !ch.finalized) revert ChannelExists();
-        if (opponent == address(0) || opponent == msg.sender)
+        if (opponent == address(0) || opponent == _msgSender())
             revert BadOpponent();
         if (minSmallBlind == 0) revert InvalidMinSmallBlind();
+        if (!replay.isBettingRulesRegistered(options.bettingRulesId))
+            revert BettingRulesNotRegistered();
+        // Balances left from previous games stay in the channel's token
+        if (
+            options.token != ch.token && (ch.deposit1 != 0 || ch.deposit2 != 0)
+        ) revert TokenMismatch();
+
+        // A match in progress keeps its schedule across reopens
+        if (ch.deposit1 == 0 && ch.deposit2 == 0) {
+            if (options.blindScheduleId != bytes32(0))
+                replay.smallBlindAt(options.blindScheduleId, 1);
+            ch.blindScheduleId = options.blindScheduleId;
+            ch.scheduleStartHand = ch.handId + 1;
+        } else if (options.blindScheduleId != ch.blindScheduleId) {
+            revert BlindScheduleMismatch();
+        }
+
+        uint256 deposited = _collect(options.token, options.amount);
 
         // Allow zero deposit only if there's existing deposit from previous games
-        if (msg.value == 0 && ch.deposit1 == 0) revert NoDeposit();
+        if (deposited == 0 && ch.deposit1 == 0) revert NoDeposit();
 
         handId = ++ch.handId;
 
-        ch.player1 = msg.sender;
+        ch.player1 = _msgSender();
         ch.player2 = opponent;
-        ch.deposit1 += msg.value; // Add to existing deposit instead of overwriting
+        ch.token = options.token;
+        ch.deposit1 += deposited; // Add to existing deposit instead of overwriting
         // Note: Do not reset deposit2 to allow player2 to accumulate winnings
         ch.finalized = false;
         ch.player2Joined = false;
@@ -273,8 +623,23 @@ contract HeadsUpPokerEscrow is
         ch.deckHashPlayer2 = bytes32(0);
         ch.canonicalDeckHashPlayer1 = bytes32(0);
         ch.canonicalDeckHashPlayer2 = bytes32(0);
-        uint256 deadline = block.timestamp + startDeadlineWindow;
+        ch.windows = TimingWindows(
+            _window(options.windows.dispute, disputeWindow),
+            _window(options.windows.start, startDeadlineWindow),
+            _window(options.windows.reveal, showdown.revealWindow()),
+            _window(options.windows.peek, peek.peekWindow())
+        );
+        uint256 deadline = block.timestamp + ch.windows.start;
         ch.startDeadline = deadline;
+        ch.session = options.session || ch.blindScheduleId != bytes32(0);
+        ch.bettingRulesId = options.bettingRulesId;
+
+        // The rake is fixed for the channel until it is opened again
+        RakeConfig storage rc = channelRakes[channelId].custom
+            ? channelRakes[channelId]
+            : globalRake;
+        ch.rakeBps = ch.blindScheduleId == bytes32(0) ? rc.bps : 0;
+        ch.rakeCap = rc.cap;
 
         // Reset peek related storage via manager
         peek.resetChannel(channelId);
@@ -290,78 +655,116 @@ contract HeadsUpPokerEscrow is
             ds.actionCount = 0;
         }
 
-        peek.setPublicKeyA(channelId, publicKeyA);
+        peek.setPublicKeyA(channelId, _msgSender(), publicKeyA, publicKeyProofA);
 
         emit ChannelOpened(
             channelId,
-            msg.sender,
+            _msgSender(),
             opponent,
-            msg.value,
+            deposited,
             handId,
             minSmallBlind
         );
     }
 
     /// @notice Opponent joins an open channel by matching deposit
+    /// @dev `publicKeyProofB` proves knowledge of the secret key behind `publicKeyB`
     function join(
         uint256 channelId,
         address player2Signer,
-        bytes calldata publicKeyB
+        bytes calldata publicKeyB,
+        bytes calldata publicKeyProofB
     ) external payable nonReentrant helpersReady {
+        _join(channelId, player2Signer, publicKeyB, publicKeyProofB, 0);
+    }
+
+    /// @notice Opponent joins a token channel, depositing `amount` of its token
+    function joinWithToken(
+        uint256 channelId,
+        address player2Signer,
+        bytes calldata publicKeyB,
+        bytes calldata publicKeyProofB,
+        uint256 amount
+    ) external nonReentrant helpersReady {
+        _join(channelId, player2Signer, publicKeyB, publicKeyProofB, amount);
+    }
+
+    function _join(
+        uint256 channelId,
+        address player2Signer,
+        bytes calldata publicKeyB,
+        bytes calldata publicKeyProofB,
+        uint256 amount
+    ) private {
         Channel storage ch = channels[channelId];
         if (ch.player1 == address(0)) revert NoChannel();
         if (ch.finalized) revert AlreadyFinalized();
-        if (ch.player2 != msg.sender) revert NotOpponent();
+        if (ch.player2 != _msgSender()) revert NotOpponent();
         if (ch.player2Joined) revert AlreadyJoined();
         uint256 deadline = ch.startDeadline;
         if (deadline == 0) revert ChannelDeadlineInactive();
         if (block.timestamp > deadline) revert ChannelDeadlineExpired();
 
+        uint256 deposited = _collect(ch.token, amount);
+
         // Allow zero deposit only if there's existing deposit from previous games
-        if (msg.value == 0 && ch.deposit2 == 0) revert NoDeposit();
+        if (deposited == 0 && ch.deposit2 == 0) revert NoDeposit();
 
-        ch.deposit2 += msg.value; // Add to existing deposit instead of overwriting
+        ch.deposit2 += deposited; // Add to existing deposit instead of overwriting
         ch.player2Joined = true;
         ch.player2Signer = player2Signer;
-        peek.setPublicKeyB(channelId, publicKeyB);
+        peek.setPublicKeyB(channelId, _msgSender(), publicKeyB, publicKeyProofB);
 
-        deadline = block.timestamp + startDeadlineWindow;
+        deadline = block.timestamp + ch.windows.start;
         ch.startDeadline = deadline;
 
-        emit ChannelJoined(channelId, msg.sender, msg.value);
+        emit ChannelJoined(channelId, _msgSender(), deposited);
     }
 
-    /// @notice Both players must call this function with matching encrypted decks and canonical deck to start the game
+    /// @notice Register a canonical deck once so any number of games can reference it
+    /// @dev The canonicalDeck contains 52 unencrypted base points representing all possible cards in canonical order.
+    /// Cards are validated once here (on curve, not infinity, distinct). Anyone can register a deck.
+    /// @param canonicalDeck The canonical deck (52 unencrypted G1 base points, each 64 bytes)
+    /// @return deckId `keccak256(abi.encode(canonicalDeck))`, passed to `startGame`
+    function registerCanonicalDeck(
+        bytes[] calldata canonicalDeck
+    ) external nonReentrant helpersReady returns (bytes32 deckId) {
+        bool added;
+        (deckId, added) = peek.registerCanonicalDeck(canonicalDeck);
+        if (added) emit CanonicalDeckRegistered(deckId, msg.sender);
+    }
+
+    /// @notice Both players must call this function with matching encrypted decks and canonical deck id to start the game
     /// @dev The deck contains 9 encrypted cards for the 9 slots (hole cards + board cards).
-    /// The canonicalDeck contains 52 unencrypted base points representing all possible cards in canonical order.
+    /// The canonical deck is referenced by its registry id, see `registerCanonicalDeck`.
     /// This allows card-ID resolution by comparing decrypted G1 points against the canonical deck.
     /// @param channelId The channel identifier
     /// @param deck The encrypted deck to be used for this game (9 G1 encrypted card points, each 64 bytes)
-    /// @param canonicalDeck The canonical deck (52 unencrypted G1 base points, each 64 bytes) for card-ID resolution
+    /// @param canonicalDeckId Registry id of the canonical deck used for card-ID resolution
     function startGame(
         uint256 channelId,
         bytes[] calldata deck,
-        bytes[] calldata canonicalDeck
+        bytes32 canonicalDeckId
     ) external nonReentrant helpersReady {
         Channel storage ch = channels[channelId];
         if (ch.player1 == address(0)) revert NoChannel();
         if (ch.finalized) revert AlreadyFinalized();
         if (!ch.player2Joined) revert ChannelNotReady();
         if (ch.gameStarted) revert GameAlreadyStarted();
-        if (msg.sender != ch.player1 && msg.sender != ch.player2)
-            revert NotPlayer();
+        address player = _msgSender();
+        if (player != ch.player1 && player != ch.player2) revert NotPlayer();
         if (deck.length != SLOT_RIVER + 1) revert InvalidDeck();
-        if (canonicalDeck.length != FULL_DECK_SIZE) revert InvalidDeck();
+        if (!peek.isCanonicalDeckRegistered(canonicalDeckId))
+            revert CanonicalDeckNotRegistered();
 
         bytes32 deckHash = keccak256(abi.encode(deck));
-        bytes32 canonicalDeckHash = keccak256(abi.encode(canonicalDeck));
 
-        if (msg.sender == ch.player1) {
+        if (player == ch.player1) {
             ch.deckHashPlayer1 = deckHash;
-            ch.canonicalDeckHashPlayer1 = canonicalDeckHash;
+            ch.canonicalDeckHashPlayer1 = canonicalDeckId;
         } else {
             ch.deckHashPlayer2 = deckHash;
-            ch.canonicalDeckHashPlayer2 = canonicalDeckHash;
+            ch.canonicalDeckHashPlayer2 = canonicalDeckId;
         }
 
         if (ch.deckHashPlayer1 != ch.deckHashPlayer2) {
@@ -372,8 +775,19 @@ contract HeadsUpPokerEscrow is
             return;
         }
 
+        _beginHand(channelId, ch, deck, canonicalDeckId, deckHash);
+    }
+
+    /// @dev Deals the hand from the deck both players committed to
+    function _beginHand(
+        uint256 channelId,
+        Channel storage ch,
+        bytes[] calldata deck,
+        bytes32 canonicalDeckId,
+        bytes32 deckHash
+    ) private {
         peek.storeDeck(channelId, deck);
-        peek.storeCanonicalDeck(channelId, canonicalDeck);
+        peek.setCanonicalDeck(channelId, canonicalDeckId);
 
         ch.gameStarted = true;
         ch.startDeadline = 0;
@@ -383,18 +797,131 @@ contract HeadsUpPokerEscrow is
     /// @notice Allows player1 to top up their deposit after player2 has joined
     /// @dev Player1's total deposit after top up cannot exceed player2's total deposit
     function topUp(uint256 channelId) external payable nonReentrant {
+        _topUp(channelId, 0);
+    }
+
+    /// @notice Token channel version of `topUp`, depositing `amount` of the channel's token
+    function topUpWithToken(
+        uint256 channelId,
+        uint256 amount
+    ) external nonReentrant {
+        _topUp(channelId, amount);
+    }
+
+    function _topUp(uint256 channelId, uint256 amount) private {
         Channel storage ch = channels[channelId];
         if (ch.player1 == address(0)) revert NoChannel();
         if (msg.sender != ch.player1) revert NotPlayer();
         if (ch.finalized) revert AlreadyFinalized();
         if (!ch.player2Joined) revert ChannelNotReady();
-        if (msg.value == 0) revert NoDeposit();
-        if (ch.deposit1 + msg.value > ch.deposit2)
+
+        uint256 deposited = _collect(ch.token, amount);
+        if (deposited == 0) revert NoDeposit();
+        if (ch.deposit1 + deposited > ch.deposit2)
             revert DepositExceedsOpponent();
 
-        ch.deposit1 += msg.value;
+        ch.deposit1 += deposited;
+
+        emit ChannelTopUp(channelId, msg.sender, deposited);
+    }
+
+    /// @dev Takes a deposit in the channel's currency: `msg.value` for ETH
+    /// channels, `amount` pulled from the caller for token channels. Only the
+    /// exact amount may arrive, which rules out fee-on-transfer tokens.
+    function _collect(
+        address token,
+        uint256 amount
+    ) private returns (uint256) {
+        if (token == address(0)) {
+            if (amount != 0) revert TokenMismatch();
+            return msg.value;
+        }
+        if (msg.value != 0) revert TokenMismatch();
+        if (amount == 0) return 0;
+
+        IERC20 erc20 = IERC20(token);
+        uint256 balanceBefore = erc20.balanceOf(address(this));
+        erc20.safeTransferFrom(_msgSender(), address(this), amount);
+        if (erc20.balanceOf(address(this)) - balanceBefore != amount)
+            revert FeeOnTransferNotSupported();
+        return amount;
+    }
+
+    /// @notice Either player ends a session between hands so both can withdraw
+    /// @dev A hand that has started must be settled or disputed first
+    function closeSession(uint256 channelId) external nonReentrant {
+        Channel storage ch = channels[channelId];
+        if (ch.player1 == address(0)) revert NoChannel();
+        if (msg.sender != ch.player1 && msg.sender != ch.player2)
+            revert NotPlayer();
+        if (!ch.session) revert NotSession();
+        if (ch.blindScheduleId != bytes32(0)) revert MatchInProgress();
+        if (ch.finalized) revert AlreadyFinalized();
+        if (ch.gameStarted) revert GameAlreadyStarted();
 
-        emit ChannelTopUp(channelId, msg.sender, msg.value);
+        ch.finalized = true;
+        ch.startDeadline = 0;
+
+        emit SessionClosed(channelId, msg.sender);
+    }
+
+    /// @notice Finalize a channel with balances both players agreed on
+    /// @dev Anyone can submit the `CloseChannel` message once it carries a signature
+    /// from each player or their optional signer. The balances must redistribute
+    /// exactly the escrowed funds. Pending disputes and showdowns are abandoned.
+    /// @param channelId The channel identifier
+    /// @param handId Hand the agreement was signed at, no older than the channel's
+    /// current hand so old agreements cannot be replayed. Hands played off-chain
+    /// since the last checkpoint move the channel's hand id forward.
+    /// @param balance1 Final balance of player 1
+    /// @param balance2 Final balance of player 2
+    /// @param nonce No lower than the nonce of the last applied checkpoint, so an
+    /// agreement signed before a newer checkpoint cannot settle stale balances
+    /// @param signature1 Signature of player 1 or their optional signer
+    /// @param signature2 Signature of player 2 or their optional signer
+    function closeChannel(
+        uint256 channelId,
+        uint256 handId,
+        uint256 balance1,
+        uint256 balance2,
+        uint256 nonce,
+        bytes calldata signature1,
+        bytes calldata signature2
+    ) external nonReentrant {
+        Channel storage ch = channels[channelId];
+        if (ch.player1 == address(0)) revert NoChannel();
+        if (ch.finalized) revert AlreadyFinalized();
+        if (!ch.player2Joined) revert ChannelNotReady();
+        if (handId < ch.handId) revert CloseWrongHand();
+        if (nonce < ch.checkpointNonce) revert CloseStale();
+        if (balance1 + balance2 != ch.deposit1 + ch.deposit2)
+            revert BalanceMismatch();
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CLOSE_CHANNEL_TYPEHASH,
+                    channelId,
+                    handId,
+                    balance1,
+                    balance2,
+                    nonce
+                )
+            )
+        );
+        if (
+            !_signedBy(digest, signature1, ch.player1, ch.player1Signer) ||
+            !_signedBy(digest, signature2, ch.player2, ch.player2Signer)
+        ) revert CloseWrongSigner();
+
+        ch.handId = handId;
+        ch.checkpointNonce = nonce;
+        ch.deposit1 = balance1;
+        ch.deposit2 = balance2;
+        ch.finalized = true;
+        ch.startDeadline = 0;
+
+        emit ChannelClosed(channelId, balance1, balance2, nonce);
     }
 
     /// @notice Player withdraws their deposit from a finalized channel
@@ -402,21 +929,21 @@ contract HeadsUpPokerEscrow is
         Channel storage ch = channels[channelId];
         if (!ch.finalized) revert NotFinalized();
 
+        address player = _msgSender();
         uint256 amount;
-        if (msg.sender == ch.player1 && ch.deposit1 > 0) {
+        if (player == ch.player1 && ch.deposit1 > 0) {
             amount = ch.deposit1;
             ch.deposit1 = 0;
-        } else if (msg.sender == ch.player2 && ch.deposit2 > 0) {
+        } else if (player == ch.player2 && ch.deposit2 > 0) {
             amount = ch.deposit2;
             ch.deposit2 = 0;
         } else {
             revert NoBalance();
         }
 
-        (bool ok, ) = payable(msg.sender).call{value: amount}("");
-        if (!ok) revert PaymentFailed();
+        _pay(ch.token, player, amount);
 
-        emit Withdrawn(channelId, msg.sender, amount);
+        emit Withdrawn(channelId, player, amount);
     }
 
     function finalizeStaleChannel(
@@ -472,13 +999,15 @@ contract HeadsUpPokerEscrow is
             HeadsUpPokerReplay.End endType,
             uint8 folder,
             uint256 calledAmount
-        ) = replay.replayGame(
+        ) = replay.replayGameWithRules(
                 actions,
                 ch.deposit1,
                 ch.deposit2,
-                ch.minSmallBlind,
+                _minSmallBlind(ch),
                 ch.player1,
-                ch.player2
+                ch.player2,
+                ch.bettingRulesId,
+                ch.blindScheduleId != bytes32(0)
             );
 
         if (endType != HeadsUpPokerReplay.End.FOLD) {
@@ -487,22 +1016,20 @@ contract HeadsUpPokerEscrow is
             return; // Exit early - settlement will happen after card reveals
         }
 
-        address winner;
-
         // Winner is the non-folder
-        winner = folder == 0 ? ch.player2 : ch.player1;
+        address winner = folder == 0 ? ch.player2 : ch.player1;
 
         // Transfer only the called amount from loser to winner
-        if (winner == ch.player1) {
-            ch.deposit1 += calledAmount;
-            ch.deposit2 -= calledAmount;
-        } else {
-            ch.deposit1 -= calledAmount;
-            ch.deposit2 += calledAmount;
-        }
+        _transferPot(
+            channelId,
+            ch,
+            winner,
+            calledAmount,
+            _foldStreet(ch, actions) > 0
+        );
 
-        ch.finalized = true;
         emit Settled(channelId, winner, calledAmount);
+        _endHand(channelId, ch);
     }
 
     /// @notice Start or extend a dispute with a non-terminal action sequence
@@ -537,28 +1064,8 @@ contract HeadsUpPokerEscrow is
         if (ds.inProgress && actions.length <= ds.actionCount)
             revert SequenceNotLonger();
 
-        // Replay actions to get projected end state (handles both terminal and non-terminal)
-        (
-            HeadsUpPokerReplay.End endType,
-            uint8 folder,
-            uint256 calledAmount
-        ) = replay.replayIncompleteGame(
-                actions,
-                ch.deposit1,
-                ch.deposit2,
-                ch.minSmallBlind,
-                ch.player1,
-                ch.player2
-            );
-
-        // Update dispute state (no need to store actions, just the projected outcome)
         bool wasInProgress = ds.inProgress;
-        ds.inProgress = true;
-        ds.deadline = block.timestamp + disputeWindow;
-        ds.actionCount = actions.length;
-        ds.endType = endType;
-        ds.folder = folder;
-        ds.calledAmount = calledAmount;
+        _recordDispute(ch, ds, actions);
 
         if (wasInProgress) {
             emit DisputeExtended(channelId, msg.sender, actions.length);
@@ -567,6 +1074,169 @@ contract HeadsUpPokerEscrow is
         }
     }
 
+    /// @notice Answer a pending dispute with the next move of the player to act
+    /// @dev Force-move response: instead of folding by timeout, the player the
+    /// disputed transcript waits on appends one action signed by themselves
+    /// alone. The earlier actions are matched against the stored transcript by
+    /// the hash chain, so their signatures are not needed again. The response
+    /// restarts the dispute timer and the projected outcome now falls on the
+    /// opponent, who can answer in turn until the hand ends or a player times out.
+    /// @param channelId The channel identifier
+    /// @param actions The disputed transcript followed by the new action
+    /// @param signature Signature of the new action by its sender or their optional signer
+    function respondDispute(
+        uint256 channelId,
+        Action[] calldata actions,
+        bytes calldata signature
+    ) external nonReentrant helpersReady {
+        Channel storage ch = channels[channelId];
+        DisputeState storage ds = disputes[channelId];
+
+        if (ch.finalized) revert AlreadyFinalized();
+        if (!ds.inProgress) revert NoDisputeInProgress();
+        if (block.timestamp > ds.deadline) revert DisputeExpired();
+        uint256 count = ds.actionCount;
+        if (
+            count == 0 ||
+            actions.length != count + 1 ||
+            hashAction(actions[count - 1]) != ds.lastActionHash
+        ) revert DisputeTranscriptMismatch();
+
+        // Actions after the end of a hand are not replayed
+        (bool ended, , ) = replay.replayStateWithRules(
+            actions[:count],
+            ch.deposit1,
+            ch.deposit2,
+            _minSmallBlind(ch),
+            ch.player1,
+            ch.player2,
+            ch.bettingRulesId,
+            ch.blindScheduleId != bytes32(0)
+        );
+        if (ended) revert HandAlreadyEnded();
+
+        HeadsUpPokerActionVerifier.verifyAction(
+            actions[count],
+            signature,
+            channelId,
+            ch.handId,
+            ch.player1,
+            ch.player2,
+            ch.player1Signer,
+            ch.player2Signer,
+            DOMAIN_SEPARATOR()
+        );
+
+        _recordDispute(ch, ds, actions);
+
+        emit DisputeResponded(channelId, actions[count].sender, actions.length);
+    }
+
+    /// @notice Start or extend a dispute from the latest co-signed balance checkpoint
+    /// @dev Players sign a `BalanceCheckpoint` after every hand played off-chain,
+    /// carrying the balances the next hand `handId` starts from and, once they
+    /// agreed on it, that hand's deck. The checkpoint with the highest nonce wins:
+    /// applying it sets the balances and hand id, starts the hand from the signed
+    /// deck and restarts the dispute timer. A transcript of hand `handId` can then
+    /// be submitted through `dispute`, without the opponent, and is replayed
+    /// against the checkpoint balances. Without one, `finalizeDispute` ends the
+    /// hand with the checkpoint balances.
+    /// @param channelId The channel identifier
+    /// @param handId Hand the balances apply to, no older than the channel's current hand
+    /// @param deposit1 Balance of player 1, must add up to the escrowed funds with `deposit2`
+    /// @param deposit2 Balance of player 2
+    /// @param nonce Must exceed the nonce of the last applied checkpoint
+    /// @param deck Encrypted deck of hand `handId`, signed by its hash; empty before the
+    /// players agreed on one, and ignored if the hand already started
+    /// @param canonicalDeckId Registered canonical deck of hand `handId`, zero without a deck
+    /// @param signature1 Signature of player 1 or their optional signer
+    /// @param signature2 Signature of player 2 or their optional signer
+    function disputeCheckpoint(
+        uint256 channelId,
+        uint256 handId,
+        uint256 deposit1,
+        uint256 deposit2,
+        uint256 nonce,
+        bytes[] calldata deck,
+        bytes32 canonicalDeckId,
+        bytes calldata signature1,
+        bytes calldata signature2
+    ) external nonReentrant helpersReady {
+        Channel storage ch = channels[channelId];
+        if (ch.player1 == address(0)) revert NoChannel();
+        if (ch.finalized) revert AlreadyFinalized();
+        if (!ch.player2Joined) revert ChannelNotReady();
+        if (showdown.isInProgress(channelId)) revert ShowdownInProgress();
+        if (nonce <= ch.checkpointNonce) revert CheckpointNotNewer();
+        if (handId < ch.handId) revert CheckpointWrongHand();
+        if (deposit1 + deposit2 != ch.deposit1 + ch.deposit2)
+            revert BalanceMismatch();
+
+        bytes32 deckHash;
+        if (deck.length != 0) {
+            if (deck.length != SLOT_RIVER + 1) revert InvalidDeck();
+            if (!peek.isCanonicalDeckRegistered(canonicalDeckId))
+                revert CanonicalDeckNotRegistered();
+            deckHash = keccak256(abi.encode(deck));
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    BALANCE_CHECKPOINT_TYPEHASH,
+                    channelId,
+                    handId,
+                    deposit1,
+                    deposit2,
+                    nonce,
+                    deckHash,
+                    canonicalDeckId
+                )
+            )
+        );
+        if (
+            !_signedBy(digest, signature1, ch.player1, ch.player1Signer) ||
+            !_signedBy(digest, signature2, ch.player2, ch.player2Signer)
+        ) revert CheckpointWrongSigner();
+
+        DisputeState storage ds = disputes[channelId];
+        bool wasInProgress = ds.inProgress;
+
+        // A later hand needs a fresh deck; the current one keeps its deck and peeks
+        if (handId != ch.handId) _resetHand(channelId, ch, handId);
+
+        ch.checkpointNonce = nonce;
+        ch.deposit1 = deposit1;
+        ch.deposit2 = deposit2;
+
+        // Transcripts replayed against the previous balances no longer apply
+        ds.inProgress = true;
+        ds.deadline = block.timestamp + ch.windows.dispute;
+        ds.actionCount = 0;
+        ds.endType = HeadsUpPokerReplay.End.NO_BLINDS;
+        ds.folder = 0;
+        ds.calledAmount = 0;
+        ds.street = 0;
+        ds.lastActionHash = bytes32(0);
+
+        emit CheckpointApplied(channelId, handId, deposit1, deposit2, nonce);
+
+        // The signed deck starts the hand so its transcript can be disputed alone
+        if (deckHash != bytes32(0) && !ch.gameStarted) {
+            ch.deckHashPlayer1 = deckHash;
+            ch.deckHashPlayer2 = deckHash;
+            ch.canonicalDeckHashPlayer1 = canonicalDeckId;
+            ch.canonicalDeckHashPlayer2 = canonicalDeckId;
+            _beginHand(channelId, ch, deck, canonicalDeckId, deckHash);
+        }
+
+        if (wasInProgress) {
+            emit DisputeExtended(channelId, msg.sender, 0);
+        } else {
+            emit DisputeStarted(channelId, msg.sender, 0);
+        }
+    }
+
     /// @notice Finalize dispute after dispute window has passed
     /// @dev Applies the projected outcome from the longest submitted sequence.
     /// For fold outcomes, transfers called amount. For showdown outcomes waits for cards reveal.
@@ -586,8 +1256,8 @@ contract HeadsUpPokerEscrow is
         if (ds.endType == HeadsUpPokerReplay.End.NO_BLINDS) {
             // For games without blinds, finalize without transferring any funds
             ds.inProgress = false;
-            ch.finalized = true;
             emit DisputeFinalized(channelId, address(0), 0);
+            _endHand(channelId, ch);
             return;
         }
 
@@ -602,25 +1272,57 @@ contract HeadsUpPokerEscrow is
         uint256 transferAmount = ds.calledAmount;
 
         // Transfer the appropriate amount
-        if (winner == ch.player1) {
-            ch.deposit1 += transferAmount;
-            ch.deposit2 -= transferAmount;
-        } else {
-            ch.deposit1 -= transferAmount;
-            ch.deposit2 += transferAmount;
-        }
+        _transferPot(channelId, ch, winner, transferAmount, ds.street > 0);
 
         // Clean up dispute state
         ds.inProgress = false;
 
-        ch.finalized = true;
         emit DisputeFinalized(channelId, winner, transferAmount);
+        _endHand(channelId, ch);
     }
 
     // ------------------------------------------------------------------
     // Internal helpers
     // ------------------------------------------------------------------
 
+    /// @dev Replays a disputed transcript to store its projected outcome and
+    /// restarts the dispute timer
+    function _recordDispute(
+        Channel storage ch,
+        DisputeState storage ds,
+        Action[] calldata actions
+    ) private {
+        // Replay actions to get projected end state (handles both terminal and non-terminal)
+        (
+            HeadsUpPokerReplay.End endType,
+            uint8 folder,
+            uint256 calledAmount
+        ) = replay.replayIncompleteGameWithRules(
+                actions,
+                ch.deposit1,
+                ch.deposit2,
+                _minSmallBlind(ch),
+                ch.player1,
+                ch.player2,
+                ch.bettingRulesId,
+                ch.blindScheduleId != bytes32(0)
+            );
+
+        // Update dispute state (no need to store actions, just the projected outcome)
+        ds.inProgress = true;
+        ds.deadline = block.timestamp + ch.windows.dispute;
+        ds.actionCount = actions.length;
+        ds.endType = endType;
+        ds.folder = folder;
+        ds.calledAmount = calledAmount;
+        ds.street = endType == HeadsUpPokerReplay.End.FOLD
+            ? _foldStreet(ch, actions)
+            : 0;
+        ds.lastActionHash = actions.length == 0
+            ? bytes32(0)
+            : hashAction(actions[actions.length - 1]);
+    }
+
     function _showdownData(
         Channel storage ch
     ) internal view returns (HeadsUpPokerShowdown.ChannelData memory data) {
@@ -650,6 +1352,18 @@ contract HeadsUpPokerEscrow is
         );
     }
 
+    function _signedBy(
+        bytes32 digest,
+        bytes calldata signature,
+        address player,
+        address playerSigner
+    ) private pure returns (bool) {
+        address signer = ECDSA.recover(digest, signature);
+        return
+            signer == player ||
+            (playerSigner != address(0) && signer == playerSigner);
+    }
+
     function _rewardWinner(
         uint256 channelId,
         address winner,
@@ -658,17 +1372,162 @@ contract HeadsUpPokerEscrow is
         Channel storage ch = channels[channelId];
 
         if (ch.finalized) return;
-        ch.finalized = true;
+
+        // Showdowns always see the flop
+        _transferPot(channelId, ch, winner, wonAmount, true);
+
+        emit ShowdownFinalized(channelId, winner, wonAmount);
+        _endHand(channelId, ch);
+    }
+
+    /// @dev Moves `amount` from the loser to `winner`. When `raked`, the rake
+    /// on the pot of both contributions is kept from the winner's gain.
+    function _transferPot(
+        uint256 channelId,
+        Channel storage ch,
+        address winner,
+        uint256 amount,
+        bool raked
+    ) private {
+        uint256 rake;
+        if (raked && ch.rakeBps != 0) {
+            rake = (amount * 2 * ch.rakeBps) / 10_000;
+            if (ch.rakeCap != 0 && rake > ch.rakeCap) rake = ch.rakeCap;
+        }
 
         if (winner == ch.player1) {
-            ch.deposit1 += wonAmount;
-            ch.deposit2 -= wonAmount;
+            ch.deposit1 += amount - rake;
+            ch.deposit2 -= amount;
         } else {
-            ch.deposit1 -= wonAmount;
-            ch.deposit2 += wonAmount;
+            ch.deposit1 -= amount;
+            ch.deposit2 += amount - rake;
         }
 
-        emit ShowdownFinalized(channelId, winner, wonAmount);
+        if (rake != 0) {
+            accruedRake[ch.token] += rake;
+            emit RakeCollected(channelId, ch.handId, ch.token, rake);
+        }
+    }
+
+    /// @dev Street a fold happened on, which decides the rake ("no flop, no
+    /// drop"). Only replayed when the channel is raked.
+    function _foldStreet(
+        Channel storage ch,
+        Action[] calldata actions
+    ) private view returns (uint8 street) {
+        if (ch.rakeBps == 0) return 0;
+        (, , street) = replay.replayStateWithRules(
+            actions,
+            ch.deposit1,
+            ch.deposit2,
+            _minSmallBlind(ch),
+            ch.player1,
+            ch.player2,
+            ch.bettingRulesId,
+            ch.blindScheduleId != bytes32(0)
+        );
+    }
+
+    /// @dev Minimum small blind of the current hand: the level of the channel's
+    /// blind schedule the match has reached, or `minSmallBlind` without one
+    function _minSmallBlind(
+        Channel storage ch
+    ) private view returns (uint256) {
+        if (ch.blindScheduleId == bytes32(0)) return ch.minSmallBlind;
+        return
+            replay.smallBlindAt(
+                ch.blindScheduleId,
+                ch.handId - ch.scheduleStartHand + 1
+            );
+    }
+
+    /// @dev Options of the opens predating `openWithOptions`: default windows,
+    /// no-limit betting and no blind schedule
+    function _defaultOptions(
+        address token,
+        uint256 amount,
+        bool session
+    ) private pure returns (OpenOptions memory options) {
+        options.token = token;
+        options.amount = amount;
+        options.session = session;
+    }
+
+    /// @dev Resolves a timing window chosen at open. Zero selects `defaultWindow`,
+    /// clamped into the bounds so the opens without options keep working when
+    /// the owner's bounds exclude a default.
+    function _window(
+        uint256 window,
+        uint256 defaultWindow
+    ) private view returns (uint256) {
+        if (window == 0) {
+            if (defaultWindow < minWindow) return minWindow;
+            if (defaultWindow > maxWindow) return maxWindow;
+            return defaultWindow;
+        }
+        if (window < minWindow || window > maxWindow) revert InvalidWindow();
+        return window;
+    }
+
+    /// @dev Pays out `amount` of `token` (address(0) for ETH)
+    function _pay(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            if (!ok) revert PaymentFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /// @dev Finalizes a single-hand channel. In a session, moves on to the next
+    /// hand: the hand id advances (which rotates the blinds) and per-hand state
+    /// is cleared. A session also ends once a player has no chips left.
+    function _endHand(uint256 channelId, Channel storage ch) private {
+        if (!ch.session || ch.deposit1 == 0 || ch.deposit2 == 0) {
+            _finalize(channelId, ch);
+            return;
+        }
+
+        uint256 handId = ch.handId + 1;
+        _resetHand(channelId, ch, handId);
+
+        emit HandAdvanced(channelId, handId);
+    }
+
+    /// @dev Finalizes the channel. A sit-and-go match is won by the player left
+    /// with chips, whose balance then holds both buy-ins to `withdraw`, and
+    /// releases its schedule so the channel can be reopened with another.
+    function _finalize(uint256 channelId, Channel storage ch) private {
+        ch.finalized = true;
+        if (
+            ch.blindScheduleId == bytes32(0) ||
+            (ch.deposit1 != 0 && ch.deposit2 != 0)
+        ) return;
+
+        ch.blindScheduleId = bytes32(0);
+        address winner = ch.deposit1 == 0 ? ch.player2 : ch.player1;
+        emit MatchWon(channelId, winner, ch.deposit1 + ch.deposit2);
+    }
+
+    /// @dev Moves the channel to `handId`, clearing the deck, peeks, showdown and
+    /// dispute of the previous hand. Both players have the channel's start window to
+    /// commit the new deck.
+    function _resetHand(
+        uint256 channelId,
+        Channel storage ch,
+        uint256 handId
+    ) private {
+        ch.handId = handId;
+        ch.gameStarted = false;
+        ch.deckHashPlayer1 = bytes32(0);
+        ch.deckHashPlayer2 = bytes32(0);
+        ch.canonicalDeckHashPlayer1 = bytes32(0);
+        ch.canonicalDeckHashPlayer2 = bytes32(0);
+        ch.startDeadline = block.timestamp + ch.windows.start;
+
+        peek.resetHand(channelId);
+        showdown.resetChannel(channelId);
+        delete disputes[channelId];
     }
 
     function getDispute(
@@ -689,7 +1548,7 @@ contract HeadsUpPokerEscrow is
             channelId,
             _showdownData(ch),
             decryptedCards,
-            msg.sender
+            _msgSender()
         );
 
         emit RevealsUpdated(channelId, player1Ready, player2Ready);
@@ -728,6 +1587,38 @@ contract HeadsUpPokerEscrow is
         _rewardWinner(channelId, winner, wonAmount);
     }
 
+    /// @notice Forfeit the deposit of the player whose shuffle fouled the showdown deck
+    /// @dev See `HeadsUpPokerShowdown.verifyDeckFraud` for the proof format.
+    /// Must be submitted while the showdown is still in progress.
+    function proveDeckFraud(
+        uint256 channelId,
+        HeadsUpPokerShowdown.DeckFraudProof calldata proof
+    ) external nonReentrant helpersReady {
+        Channel storage ch = channels[channelId];
+        if (ch.player1 == address(0)) revert NoChannel();
+
+        address cheater = showdown.verifyDeckFraud(
+            channelId,
+            _showdownData(ch),
+            proof,
+            msg.sender
+        );
+
+        uint256 forfeited;
+        if (cheater == ch.player1) {
+            forfeited = ch.deposit1;
+            ch.deposit1 = 0;
+            ch.deposit2 += forfeited;
+        } else {
+            forfeited = ch.deposit2;
+            ch.deposit2 = 0;
+            ch.deposit1 += forfeited;
+        }
+
+        emit DeckFraudProven(channelId, cheater, forfeited);
+        _finalize(channelId, ch);
+    }
+
     function slashPeek(uint256 channelId) external nonReentrant helpersReady {
         Channel storage ch = channels[channelId];
         address obligatedHelper = peek.slashPeek(channelId);
@@ -743,6 +1634,6 @@ contract HeadsUpPokerEscrow is
             ch.deposit1 += slashAmt;
         }
 
-        ch.finalized = true;
+        _finalize(channelId, ch);
     }
 }
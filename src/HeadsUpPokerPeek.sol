@@ -2,6 +2,7 @@
 pragma solidity 0.8.24;
 
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 import {Action} from "./HeadsUpPokerActions.sol";
@@ -42,6 +43,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         uint8 street;
     }
 
+    // Default peek window, channels may choose their own at open
     uint256 public constant peekWindow = 1 hours;
 
     IHeadsUpPokerEscrow private immutable escrow;
@@ -63,9 +65,12 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
     mapping(uint256 => mapping(uint8 => bytes)) private revealedCardsB;
     // channelId => deck of encrypted cards (9 cards for the 9 slots)
     mapping(uint256 => bytes[]) private decks;
-    // channelId => canonical deck (52 unencrypted base points for card-ID resolution)
-    // Maps from unencrypted card (G1 point, 64 bytes) to canonical card index (1-52)
-    mapping(uint256 => mapping(bytes => uint8)) private canonicalDecks;
+    // canonical deck id => unencrypted card (G1 point, 64 bytes) => canonical card index (1-52)
+    mapping(bytes32 => mapping(bytes => uint8)) private canonicalDecks;
+    // canonical deck id => registered
+    mapping(bytes32 => bool) private canonicalDeckRegistered;
+    // channelId => canonical deck id used for card-ID resolution
+    mapping(uint256 => bytes32) private channelCanonicalDecks;
     // channelId => public key of player A
     mapping(uint256 => bytes) private publicKeyA;
     // channelId => public key of player B
@@ -85,6 +90,15 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         replay = replayAddress;
     }
 
+    /// @dev Answers relayed for the obligated helper carry their address in
+    /// the last 20 bytes of the call data, as in the escrow
+    function _msgSender() private view returns (address) {
+        if (msg.data.length >= 20 && msg.sender == escrow.getRelayAddress()) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
     // ------------------------------------------------------------------
     // View helpers
     // ------------------------------------------------------------------
@@ -140,9 +154,20 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
     // Channel setup helpers
     // ------------------------------------------------------------------
     function resetChannel(uint256 channelId) external onlyEscrow {
-        delete peeks[channelId];
         delete publicKeyA[channelId];
         delete publicKeyB[channelId];
+        _resetHand(channelId);
+    }
+
+    /// @notice Clear per-hand state before the next hand of a session
+    /// @dev Public keys stay registered for the whole session
+    function resetHand(uint256 channelId) external onlyEscrow {
+        _resetHand(channelId);
+    }
+
+    function _resetHand(uint256 channelId) private {
+        delete peeks[channelId];
+        delete channelCanonicalDecks[channelId];
         // Skip deleting decks to save gas - they will be reset anyway
         for (
             uint8 i = HeadsUpPokerEIP712.SLOT_A1;
@@ -156,18 +181,41 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
 
     function setPublicKeyA(
         uint256 channelId,
-        bytes calldata key
+        address player,
+        bytes calldata key,
+        bytes calldata proof
     ) external onlyEscrow {
+        _verifyKeyPossession(channelId, player, key, proof);
         publicKeyA[channelId] = key;
     }
 
     function setPublicKeyB(
         uint256 channelId,
-        bytes calldata key
+        address player,
+        bytes calldata key,
+        bytes calldata proof
     ) external onlyEscrow {
+        _verifyKeyPossession(channelId, player, key, proof);
         publicKeyB[channelId] = key;
     }
 
+    /// @dev `proof` must be the BN254 signature of `key` over the EIP-712
+    /// `KeyPossession(channelId, player)` digest of the escrow domain
+    function _verifyKeyPossession(
+        uint256 channelId,
+        address player,
+        bytes calldata key,
+        bytes calldata proof
+    ) internal view {
+        if (!Bn254.isG2OnCurve(key)) revert InvalidPublicKey();
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            escrow.domainSeparator(),
+            keccak256(abi.encode(KEY_POSSESSION_TYPEHASH, channelId, player))
+        );
+        if (!Bn254.verifyKeyPossession(key, proof, digest))
+            revert InvalidKeyProof();
+    }
+
     function storeDeck(
         uint256 channelId,
         bytes[] calldata deck
@@ -175,17 +223,72 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         decks[channelId] = deck;
     }
 
-    /// @notice Store the canonical deck (52 unencrypted base points) for card-ID resolution
-    /// @param channelId The channel identifier
+    /// @notice Add a canonical deck (52 unencrypted base points) to the registry
+    /// @dev The id is `keccak256(abi.encode(canonicalDeck))`. Every card must be
+    /// a distinct G1 point other than infinity. Registering a deck again only
+    /// returns its id.
     /// @param canonicalDeck Array of 52 unencrypted G1 base points (each 64 bytes)
-    function storeCanonicalDeck(
-        uint256 channelId,
+    /// @return deckId Registry id of the deck
+    /// @return added True if the deck was not registered before
+    function registerCanonicalDeck(
         bytes[] calldata canonicalDeck
-    ) external onlyEscrow {
+    ) external onlyEscrow returns (bytes32 deckId, bool added) {
         if (canonicalDeck.length != FULL_DECK_SIZE) revert InvalidDeck();
+        deckId = keccak256(abi.encode(canonicalDeck));
+        if (canonicalDeckRegistered[deckId]) return (deckId, false);
+
+        mapping(bytes => uint8) storage cards = canonicalDecks[deckId];
         for (uint8 i = 0; i < FULL_DECK_SIZE; i++) {
-            canonicalDecks[channelId][canonicalDeck[i]] = i + 1; // Store index + 1 to avoid default zero value
+            bytes calldata card = canonicalDeck[i];
+            if (!Bn254.isG1OnCurve(card) || Bn254.isInfinity(card))
+                revert InvalidDeck();
+            if (cards[card] != 0) revert DuplicateCard();
+            cards[card] = i + 1; // Store index + 1 to avoid default zero value
         }
+        canonicalDeckRegistered[deckId] = true;
+        return (deckId, true);
+    }
+
+    function isCanonicalDeckRegistered(
+        bytes32 deckId
+    ) external view returns (bool) {
+        return canonicalDeckRegistered[deckId];
+    }
+
+    /// @notice Resolve the channel's cards through a registered canonical deck
+    function setCanonicalDeck(
+        uint256 channelId,
+        bytes32 deckId
+    ) external onlyEscrow {
+        channelCanonicalDecks[channelId] = deckId;
+    }
+
+    function getCanonicalDeckId(
+        uint256 channelId
+    ) external view returns (bytes32) {
+        return channelCanonicalDecks[channelId];
+    }
+
+    /// @notice Check that a canonical deck is the one derived from a public seed
+    /// @dev Card i must be `Bn254.hashToCurveG1(seed || uint8(i))` with the
+    /// RFC 9380 suite tag, so nobody knows a discrete log relation between
+    /// cards. Costs about 20k gas per card and is meant for off-chain calls.
+    /// @param seed Public seed the deck was derived from
+    /// @param canonicalDeck Array of 52 unencrypted G1 base points (each 64 bytes)
+    /// @return True if every card matches its derivation
+    function isDerivedCanonicalDeck(
+        bytes calldata seed,
+        bytes[] calldata canonicalDeck
+    ) external view returns (bool) {
+        if (canonicalDeck.length != FULL_DECK_SIZE) return false;
+        for (uint8 i = 0; i < FULL_DECK_SIZE; i++) {
+            bytes memory expected = Bn254.hashToCurveG1(
+                abi.encodePacked(seed, i),
+                Bn254.HASH_TO_CURVE_DST
+            );
+            if (keccak256(expected) != keccak256(canonicalDeck[i])) return false;
+        }
+        return true;
     }
 
     /// @notice Find a canonical card value by its unencrypted G1 base point
@@ -196,7 +299,9 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         uint256 channelId,
         bytes memory cardPoint
     ) external view returns (uint8) {
-        uint8 index = canonicalDecks[channelId][cardPoint];
+        uint8 index = canonicalDecks[channelCanonicalDecks[channelId]][
+            cardPoint
+        ];
         if (index == 0) revert InvalidUnencryptedCard();
         index -= 1; // Adjust back to zero-based index
         uint8 suit = index % 4;
@@ -236,7 +341,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         if (revealedCardsB[channelId][HeadsUpPokerEIP712.SLOT_A2].length != 0)
             revert PrerequisitesNotMet();
 
-        _openPeek(fr, PeekStage.HOLE_A, ch.player2);
+        _openPeek(fr, PeekStage.HOLE_A, ch.player2, ch.peekWindow);
 
         emit PeekOpened(channelId, uint8(PeekStage.HOLE_A));
     }
@@ -252,7 +357,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         PeekState storage fr = peeks[channelId];
 
         _requirePeekActive(fr, PeekStage.HOLE_A);
-        if (msg.sender != fr.obligatedHelper) {
+        if (_msgSender() != fr.obligatedHelper) {
             revert ActionInvalidSender();
         }
 
@@ -297,7 +402,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         if (revealedCardsA[channelId][HeadsUpPokerEIP712.SLOT_B2].length != 0)
             revert PrerequisitesNotMet();
 
-        _openPeek(fr, PeekStage.HOLE_B, ch.player1);
+        _openPeek(fr, PeekStage.HOLE_B, ch.player1, ch.peekWindow);
 
         emit PeekOpened(channelId, uint8(PeekStage.HOLE_B));
     }
@@ -313,7 +418,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         PeekState storage fr = peeks[channelId];
 
         _requirePeekActive(fr, PeekStage.HOLE_B);
-        if (msg.sender != fr.obligatedHelper) {
+        if (_msgSender() != fr.obligatedHelper) {
             revert ActionInvalidSender();
         }
 
@@ -399,7 +504,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
             ch
         );
 
-        _openPeek(fr, PeekStage.FLOP, obligatedHelper);
+        _openPeek(fr, PeekStage.FLOP, obligatedHelper, ch.peekWindow);
 
         emit PeekOpened(channelId, uint8(PeekStage.FLOP));
     }
@@ -415,7 +520,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         PeekState storage fr = peeks[channelId];
 
         _requirePeekActive(fr, PeekStage.FLOP);
-        if (msg.sender != fr.obligatedHelper) {
+        if (_msgSender() != fr.obligatedHelper) {
             revert ActionInvalidSender();
         }
 
@@ -487,7 +592,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
             ch
         );
 
-        _openPeek(fr, PeekStage.TURN, obligatedHelper);
+        _openPeek(fr, PeekStage.TURN, obligatedHelper, ch.peekWindow);
 
         emit PeekOpened(channelId, uint8(PeekStage.TURN));
     }
@@ -503,7 +608,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         PeekState storage fr = peeks[channelId];
 
         _requirePeekActive(fr, PeekStage.TURN);
-        if (msg.sender != fr.obligatedHelper) {
+        if (_msgSender() != fr.obligatedHelper) {
             revert ActionInvalidSender();
         }
 
@@ -570,7 +675,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
             ch
         );
 
-        _openPeek(fr, PeekStage.RIVER, obligatedHelper);
+        _openPeek(fr, PeekStage.RIVER, obligatedHelper, ch.peekWindow);
 
         emit PeekOpened(channelId, uint8(PeekStage.RIVER));
     }
@@ -586,7 +691,7 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
         PeekState storage fr = peeks[channelId];
 
         _requirePeekActive(fr, PeekStage.RIVER);
-        if (msg.sender != fr.obligatedHelper) {
+        if (_msgSender() != fr.obligatedHelper) {
             revert ActionInvalidSender();
         }
 
@@ -634,12 +739,13 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
     function _openPeek(
         PeekState storage fr,
         PeekStage stage,
-        address obligatedHelper
+        address obligatedHelper,
+        uint256 window
     ) internal {
         fr.stage = stage;
         fr.inProgress = true;
         fr.served = false;
-        fr.deadline = block.timestamp + peekWindow;
+        fr.deadline = block.timestamp + window;
         fr.obligatedHelper = obligatedHelper;
     }
 
@@ -775,13 +881,15 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
     ) internal view {
         if (actions.length == 0) revert NoActionsProvided();
         GameValidation memory gv;
-        (gv.ended, , gv.street) = replay.replayState(
+        (gv.ended, , gv.street) = replay.replayStateWithRules(
             actions,
             ch.deposit1,
             ch.deposit2,
             ch.minSmallBlind,
             ch.player1,
-            ch.player2
+            ch.player2,
+            ch.bettingRulesId,
+            ch.exactSmallBlind
         );
 
         if (gv.ended) {
@@ -798,13 +906,15 @@ contract HeadsUpPokerPeek is ReentrancyGuard, HeadsUpPokerEIP712 {
     ) internal view {
         if (actions.length == 0) revert NoActionsProvided();
         GameValidation memory gv;
-        (gv.ended, , gv.street) = replay.replayState(
+        (gv.ended, , gv.street) = replay.replayStateWithRules(
             actions,
             ch.deposit1,
             ch.deposit2,
             ch.minSmallBlind,
             ch.player1,
-            ch.player2
+            ch.player2,
+            ch.bettingRulesId,
+            ch.exactSmallBlind
         );
         if (gv.ended) {
             revert InvalidGameState();
@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+import {HeadsUpPokerEIP712} from "./HeadsUpPokerEIP712.sol";
+import {HeadsUpPokerEscrow} from "./HeadsUpPokerEscrow.sol";
+import {HeadsUpPokerPeek} from "./HeadsUpPokerPeek.sol";
+import {IHeadsUpPokerEscrow} from "./interfaces/IHeadsUpPokerEscrow.sol";
+import "./HeadsUpPokerErrors.sol";
+
+/// @title HeadsUpPokerRelay - Gasless player calls
+/// @notice Anyone can submit a request a player signed off-chain; the escrow,
+/// or the peek helper for peek answers, then treats the player as the caller.
+/// Requests are EIP-712 messages of the escrow domain carrying a per-player
+/// nonce and a deadline. Channel calls may also be signed by the player's
+/// optional signer.
+contract HeadsUpPokerRelay is HeadsUpPokerEIP712 {
+    struct OpenRequest {
+        address player;
+        uint256 channelId;
+        address opponent;
+        uint256 minSmallBlind;
+        address player1Signer;
+        uint256 slashAmount;
+        bytes publicKey;
+        bytes publicKeyProof;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct JoinRequest {
+        address player;
+        uint256 channelId;
+        address player2Signer;
+        bytes publicKey;
+        bytes publicKeyProof;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct OpenWithTokenRequest {
+        address player;
+        uint256 channelId;
+        address opponent;
+        uint256 minSmallBlind;
+        address player1Signer;
+        uint256 slashAmount;
+        bytes publicKey;
+        bytes publicKeyProof;
+        address token;
+        uint256 amount;
+        bool session;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct JoinWithTokenRequest {
+        address player;
+        uint256 channelId;
+        address player2Signer;
+        bytes publicKey;
+        bytes publicKeyProof;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct OpenWithOptionsRequest {
+        address player;
+        uint256 channelId;
+        address opponent;
+        uint256 minSmallBlind;
+        address player1Signer;
+        uint256 slashAmount;
+        bytes publicKey;
+        bytes publicKeyProof;
+        HeadsUpPokerEscrow.OpenOptions options;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct StartGameRequest {
+        address player;
+        uint256 channelId;
+        bytes[] deck;
+        bytes32 canonicalDeckId;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct RevealCardsRequest {
+        address player;
+        uint256 channelId;
+        bytes[] decryptedCards;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct PeekAnswerRequest {
+        address player;
+        uint256 channelId;
+        uint8 stage;
+        bytes[] decryptedCards;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct WithdrawRequest {
+        address player;
+        uint256 channelId;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    address private immutable escrow;
+
+    // player => next request nonce
+    mapping(address => uint256) public nonces;
+
+    event Relayed(
+        address indexed player,
+        uint256 indexed channelId,
+        uint256 nonce,
+        bytes4 selector
+    );
+
+    constructor(address escrowAddress) {
+        if (escrowAddress == address(0)) revert HelpersNotConfigured();
+        escrow = escrowAddress;
+    }
+
+    /// @notice Submit `open` for `req.player`; ETH sent along is deposited for them
+    /// @dev Only the player can sign, as the channel does not exist yet
+    function relayOpen(
+        OpenRequest calldata req,
+        bytes calldata signature
+    ) external payable {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                OPEN_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.opponent,
+                req.minSmallBlind,
+                req.player1Signer,
+                req.slashAmount,
+                keccak256(req.publicKey),
+                keccak256(req.publicKeyProof),
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, 0, req.nonce, req.deadline, structHash, signature, false);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.open,
+                (
+                    req.channelId,
+                    req.opponent,
+                    req.minSmallBlind,
+                    req.player1Signer,
+                    req.slashAmount,
+                    req.publicKey,
+                    req.publicKeyProof
+                )
+            )
+        );
+    }
+
+    /// @notice Submit `join` for `req.player`; ETH sent along is deposited for them
+    /// @dev Only the player can sign, as their optional signer is set by this call
+    function relayJoin(
+        JoinRequest calldata req,
+        bytes calldata signature
+    ) external payable {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                JOIN_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.player2Signer,
+                keccak256(req.publicKey),
+                keccak256(req.publicKeyProof),
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, 0, req.nonce, req.deadline, structHash, signature, false);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.join,
+                (
+                    req.channelId,
+                    req.player2Signer,
+                    req.publicKey,
+                    req.publicKeyProof
+                )
+            )
+        );
+    }
+
+    /// @notice Submit `openWithToken` for `req.player`; the tokens are pulled
+    /// from the player, who must have approved the escrow
+    /// @dev Only the player can sign, as the channel does not exist yet
+    function relayOpenWithToken(
+        OpenWithTokenRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                OPEN_WITH_TOKEN_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.opponent,
+                req.minSmallBlind,
+                req.player1Signer,
+                req.slashAmount,
+                keccak256(req.publicKey),
+                keccak256(req.publicKeyProof),
+                req.token,
+                req.amount,
+                req.session,
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, 0, req.nonce, req.deadline, structHash, signature, false);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.openWithToken,
+                (
+                    req.channelId,
+                    req.opponent,
+                    req.minSmallBlind,
+                    req.player1Signer,
+                    req.slashAmount,
+                    req.publicKey,
+                    req.publicKeyProof,
+                    req.token,
+                    req.amount,
+                    req.session
+                )
+            )
+        );
+    }
+
+    /// @notice Submit `joinWithToken` for `req.player`; the tokens are pulled
+    /// from the player, who must have approved the escrow
+    /// @dev Only the player can sign, as their optional signer is set by this call
+    function relayJoinWithToken(
+        JoinWithTokenRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                JOIN_WITH_TOKEN_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.player2Signer,
+                keccak256(req.publicKey),
+                keccak256(req.publicKeyProof),
+                req.amount,
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, 0, req.nonce, req.deadline, structHash, signature, false);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.joinWithToken,
+                (
+                    req.channelId,
+                    req.player2Signer,
+                    req.publicKey,
+                    req.publicKeyProof,
+                    req.amount
+                )
+            )
+        );
+    }
+
+    /// @notice Submit `openWithOptions` for `req.player`; ETH sent along is
+    /// deposited for them, tokens are pulled from them
+    /// @dev Only the player can sign, as the channel does not exist yet
+    function relayOpenWithOptions(
+        OpenWithOptionsRequest calldata req,
+        bytes calldata signature
+    ) external payable {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                OPEN_WITH_OPTIONS_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.opponent,
+                req.minSmallBlind,
+                req.player1Signer,
+                req.slashAmount,
+                keccak256(req.publicKey),
+                keccak256(req.publicKeyProof),
+                _hashOpenOptions(req.options),
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, 0, req.nonce, req.deadline, structHash, signature, false);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.openWithOptions,
+                (
+                    req.channelId,
+                    req.opponent,
+                    req.minSmallBlind,
+                    req.player1Signer,
+                    req.slashAmount,
+                    req.publicKey,
+                    req.publicKeyProof,
+                    req.options
+                )
+            )
+        );
+    }
+
+    /// @notice Submit `startGame` for `req.player`
+    function relayStartGame(
+        StartGameRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                START_GAME_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                _hashBytesArray(req.deck),
+                req.canonicalDeckId,
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, req.channelId, req.nonce, req.deadline, structHash, signature, true);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.startGame,
+                (req.channelId, req.deck, req.canonicalDeckId)
+            )
+        );
+    }
+
+    /// @notice Submit `revealCards` for `req.player`
+    function relayRevealCards(
+        RevealCardsRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                REVEAL_CARDS_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                _hashBytesArray(req.decryptedCards),
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, req.channelId, req.nonce, req.deadline, structHash, signature, true);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(
+                HeadsUpPokerEscrow.revealCards,
+                (req.channelId, req.decryptedCards)
+            )
+        );
+    }
+
+    /// @notice Answer the open peek of `req.stage` for `req.player`, the helper it obliges
+    /// @dev Turn and river answers carry a single card
+    function relayPeekAnswer(
+        PeekAnswerRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PEEK_ANSWER_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.stage,
+                _hashBytesArray(req.decryptedCards),
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, req.channelId, req.nonce, req.deadline, structHash, signature, true);
+
+        bytes memory data;
+        if (req.stage == uint8(HeadsUpPokerPeek.PeekStage.HOLE_A)) {
+            data = abi.encodeCall(HeadsUpPokerPeek.answerHoleA, (req.channelId, req.decryptedCards));
+        } else if (req.stage == uint8(HeadsUpPokerPeek.PeekStage.HOLE_B)) {
+            data = abi.encodeCall(HeadsUpPokerPeek.answerHoleB, (req.channelId, req.decryptedCards));
+        } else if (req.stage == uint8(HeadsUpPokerPeek.PeekStage.FLOP)) {
+            data = abi.encodeCall(HeadsUpPokerPeek.answerFlop, (req.channelId, req.decryptedCards));
+        } else if (
+            req.stage == uint8(HeadsUpPokerPeek.PeekStage.TURN) ||
+            req.stage == uint8(HeadsUpPokerPeek.PeekStage.RIVER)
+        ) {
+            if (req.decryptedCards.length != 1) revert InvalidDecryptedCard();
+            data = req.stage == uint8(HeadsUpPokerPeek.PeekStage.TURN)
+                ? abi.encodeCall(HeadsUpPokerPeek.answerTurn, (req.channelId, req.decryptedCards[0]))
+                : abi.encodeCall(HeadsUpPokerPeek.answerRiver, (req.channelId, req.decryptedCards[0]));
+        } else {
+            revert PeekWrongStage();
+        }
+
+        _forward(
+            IHeadsUpPokerEscrow(escrow).getPeekAddress(),
+            req.player,
+            req.channelId,
+            req.nonce,
+            data
+        );
+    }
+
+    /// @notice Submit `withdraw` for `req.player`; the funds go to the player
+    function relayWithdraw(
+        WithdrawRequest calldata req,
+        bytes calldata signature
+    ) external {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                WITHDRAW_REQUEST_TYPEHASH,
+                req.player,
+                req.channelId,
+                req.nonce,
+                req.deadline
+            )
+        );
+        _useRequest(req.player, req.channelId, req.nonce, req.deadline, structHash, signature, true);
+
+        _forward(
+            escrow,
+            req.player,
+            req.channelId,
+            req.nonce,
+            abi.encodeCall(HeadsUpPokerEscrow.withdraw, (req.channelId))
+        );
+    }
+
+    // ------------------------------------------------------------------
+    // Internal helpers
+    // ------------------------------------------------------------------
+
+    /// @dev Checks the deadline, nonce and signature of a request and consumes
+    /// the nonce. With `allowDelegate` the optional signer the player registered
+    /// in the channel may sign instead of the player.
+    function _useRequest(
+        address player,
+        uint256 channelId,
+        uint256 nonce,
+        uint256 deadline,
+        bytes32 structHash,
+        bytes calldata signature,
+        bool allowDelegate
+    ) private {
+        if (block.timestamp > deadline) revert RelayRequestExpired();
+        if (nonce != nonces[player]) revert RelayWrongNonce();
+        nonces[player] = nonce + 1;
+
+        IHeadsUpPokerEscrow escrowView = IHeadsUpPokerEscrow(escrow);
+        address signer = ECDSA.recover(
+            MessageHashUtils.toTypedDataHash(
+                escrowView.domainSeparator(),
+                structHash
+            ),
+            signature
+        );
+        if (signer == player) return;
+        if (allowDelegate) {
+            IHeadsUpPokerEscrow.ChannelData memory ch = escrowView
+                .getChannelData(channelId);
+            address delegate = player == ch.player1
+                ? ch.player1Signer
+                : player == ch.player2
+                    ? ch.player2Signer
+                    : address(0);
+            if (delegate != address(0) && signer == delegate) return;
+        }
+        revert RelayWrongSigner();
+    }
+
+    /// @dev Calls `target`, the escrow or its peek helper, with the player
+    /// appended to the call data and bubbles up its revert reason
+    function _forward(
+        address target,
+        address player,
+        uint256 channelId,
+        uint256 nonce,
+        bytes memory data
+    ) private {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(
+            abi.encodePacked(data, player)
+        );
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit Relayed(player, channelId, nonce, bytes4(data));
+    }
+
+    /// @dev EIP-712 encoding of an `OpenOptions` member
+    function _hashOpenOptions(
+        HeadsUpPokerEscrow.OpenOptions calldata options
+    ) private pure returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    OPEN_OPTIONS_TYPEHASH,
+                    options.token,
+                    options.amount,
+                    options.session,
+                    keccak256(abi.encode(TIMING_WINDOWS_TYPEHASH, options.windows)),
+                    options.bettingRulesId,
+                    options.blindScheduleId
+                )
+            );
+    }
+
+    /// @dev EIP-712 encoding of a `bytes[]` member
+    function _hashBytesArray(
+        bytes[] calldata items
+    ) private pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](items.length);
+        for (uint256 i = 0; i < items.length; i++) {
+            hashes[i] = keccak256(items[i]);
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+}
@@ -3,6 +3,7 @@ pragma solidity 0.8.24;
 
 import {Action} from "./HeadsUpPokerActions.sol";
 import {HeadsUpPokerEIP712} from "./HeadsUpPokerEIP712.sol";
+import {BettingRulesNotRegistered, BlindScheduleNotRegistered} from "./HeadsUpPokerErrors.sol";
 
 contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
     enum End {
@@ -11,11 +12,41 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         NO_BLINDS
     }
 
+    enum BettingStructure {
+        NO_LIMIT,
+        POT_LIMIT,
+        FIXED_LIMIT
+    }
+
+    /// @notice Betting rules of a table, registered once and referenced by id
+    /// @dev Fixed-limit bets and raises are `smallBet` preflop and on the flop and
+    /// `bigBet` on the turn and river. `raiseCap` limits bets and raises per
+    /// street, zero keeping `MAX_RAISES_PER_STREET`. With a nonzero `ante` every
+    /// hand opens with two ANTE actions of that amount, small blind player first,
+    /// before the blinds. The big blind is `bigBlindMultiplier` times the small
+    /// blind, zero keeping 2.
+    struct BettingRules {
+        BettingStructure structure;
+        uint256 smallBet;
+        uint256 bigBet;
+        uint8 raiseCap;
+        uint256 ante;
+        uint8 bigBlindMultiplier;
+    }
+
+    /// @notice Level of a blind schedule: the small blind from the match's hand
+    /// `hand` on, counting the first hand of the match as 1
+    struct BlindLevel {
+        uint256 hand;
+        uint256 smallBlind;
+    }
+
     uint8 private constant ACT_SMALL_BLIND = 0;
     uint8 private constant ACT_BIG_BLIND = 1;
     uint8 private constant ACT_FOLD = 2;
     uint8 private constant ACT_CHECK_CALL = 3;
     uint8 private constant ACT_BET_RAISE = 4;
+    uint8 private constant ACT_ANTE = 5;
 
     uint8 private constant MAX_RAISES_PER_STREET = 4;
 
@@ -23,6 +54,11 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
     // Errors
     // ------------------------------------------------------------------
     error NoBlinds();
+    error AntePrevHashInvalid();
+    error AnteActionInvalid();
+    error AnteSequenceInvalid();
+    error AnteAmountInvalid();
+    error AnteStackInvalid();
     error SmallBlindPrevHashInvalid();
     error SmallBlindActionInvalid();
     error SmallBlindSequenceInvalid();
@@ -38,7 +74,6 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
     error PlayerAllIn();
     error FoldAmountInvalid();
     error CallAmountInvalid();
-    error StreetOverflow();
     error CheckAmountInvalid();
     error RaiseAmountZero();
     error RaiseStackInvalid();
@@ -50,6 +85,23 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
     error HandNotDone();
     error InvalidPlayer();
     error WrongPlayerTurn();
+    error InvalidBettingRules();
+    error PotLimitExceeded();
+    error FixedLimitAmountInvalid();
+    error InvalidBlindSchedule();
+
+    event BettingRulesRegistered(
+        bytes32 indexed rulesId,
+        BettingStructure structure
+    );
+
+    event BlindScheduleRegistered(bytes32 indexed scheduleId, uint256 levels);
+
+    // rulesId => rules, id zero being the default no-limit rules
+    mapping(bytes32 => BettingRules) private bettingRules;
+    mapping(bytes32 => bool) private bettingRulesRegistered;
+    // scheduleId => levels in increasing hand order
+    mapping(bytes32 => BlindLevel[]) private blindSchedules;
 
     struct Game {
         uint256[2] stacks;
@@ -73,6 +125,36 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         uint8 folder;
     }
 
+    /// @notice Moves available to the player to act
+    /// @dev Raise amounts follow the action encoding: chips added by the
+    /// BET_RAISE action itself, including the part that calls `toCall`.
+    struct LegalActions {
+        bool fold;
+        bool check;
+        bool call;
+        bool raise;
+        uint256 callAmount; // chips a call moves, capped at the actor's stack
+        uint256 minRaise;
+        uint256 maxRaise;
+    }
+
+    struct GameState {
+        bool ended;
+        End end;
+        uint8 folder;
+        uint8 actor;
+        uint8 street;
+        uint256[2] stacks;
+        uint256[2] contrib;
+        uint256[2] total;
+        bool[2] allIn;
+        uint256 toCall;
+        uint256 lastRaise;
+        bool reopen;
+        uint8 raiseCount;
+        LegalActions legal;
+    }
+
     function handGenesis(
         uint256 chId,
         uint256 handId
@@ -98,59 +180,80 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         return g.total[0] < g.total[1] ? g.total[0] : g.total[1];
     }
 
+    /// @dev Validates the antes and blinds opening a hand. `actions` holds at
+    /// least `_blindCount(rules)` actions. The small blind is at least
+    /// `minSmallBlind`, and no more than it with `exactSmallBlind`, unless the
+    /// stack is short of it.
     function _initGame(
-        Action calldata sb,
-        Action calldata bb,
+        Action[] calldata actions,
         uint256 stackA,
         uint256 stackB,
-        uint256 minSmallBlind
+        uint256 minSmallBlind,
+        BettingRules memory rules,
+        bool exactSmallBlind
     ) internal pure returns (Game memory g) {
-        if (sb.prevHash != handGenesis(sb.channelId, sb.handId))
-            revert SmallBlindPrevHashInvalid();
-        if (sb.action != ACT_SMALL_BLIND) revert SmallBlindActionInvalid();
-        if (sb.seq != 0) revert SmallBlindSequenceInvalid();
-
-        if (bb.seq != 1) revert BigBlindSequenceInvalid();
-        if (bb.prevHash != hashAction(sb)) revert BigBlindPrevHashInvalid();
-        if (bb.action != ACT_BIG_BLIND) revert BigBlindActionInvalid();
-
-        if (bb.amount != sb.amount * 2) revert BigBlindAmountInvalid();
+        uint256 first = _blindCount(rules) - 2;
+        Action calldata sb = actions[first];
+        Action calldata bb = actions[first + 1];
 
         uint8 smallBlindPlayer = getSmallBlindPlayer(sb.handId);
         uint8 bigBlindPlayer = 1 - smallBlindPlayer;
+        uint256 sbStack = smallBlindPlayer == 0 ? stackA : stackB;
+        uint256 bbStack = smallBlindPlayer == 0 ? stackB : stackA;
 
-        if (smallBlindPlayer == 0) {
-            if (
-                sb.amount == 0 ||
-                sb.amount < minSmallBlind ||
-                sb.amount > stackA
-            ) revert SmallBlindAmountInvalid();
-            if (bb.amount > stackB) revert BigBlindStackInvalid();
-        } else {
-            if (
-                sb.amount == 0 ||
-                sb.amount < minSmallBlind ||
-                sb.amount > stackB
-            ) revert SmallBlindAmountInvalid();
-            if (bb.amount > stackA) revert BigBlindStackInvalid();
+        // Antes are dead money: they count towards the pot, not the bets.
+        // They are posted in the order of the blinds, and a stack short of
+        // the ante posts all of it.
+        uint256[2] memory antes;
+        for (uint256 i = 0; i < first; i++) {
+            Action calldata ante = actions[i];
+            bytes32 prevHash = i == 0
+                ? handGenesis(ante.channelId, ante.handId)
+                : hashAction(actions[i - 1]);
+            if (ante.prevHash != prevHash) revert AntePrevHashInvalid();
+            if (ante.action != ACT_ANTE) revert AnteActionInvalid();
+            if (ante.seq != i) revert AnteSequenceInvalid();
+            uint256 stack = i == 0 ? sbStack : bbStack;
+            if (stack == 0) revert AnteStackInvalid();
+            antes[i] = rules.ante < stack ? rules.ante : stack;
+            if (ante.amount != antes[i]) revert AnteAmountInvalid();
         }
+        sbStack -= antes[0];
+        bbStack -= antes[1];
+
+        bytes32 sbPrevHash = first == 0
+            ? handGenesis(sb.channelId, sb.handId)
+            : hashAction(actions[first - 1]);
+        if (sb.prevHash != sbPrevHash) revert SmallBlindPrevHashInvalid();
+        if (sb.action != ACT_SMALL_BLIND) revert SmallBlindActionInvalid();
+        if (sb.seq != first) revert SmallBlindSequenceInvalid();
+
+        if (bb.seq != first + 1) revert BigBlindSequenceInvalid();
+        if (bb.prevHash != hashAction(sb)) revert BigBlindPrevHashInvalid();
+        if (bb.action != ACT_BIG_BLIND) revert BigBlindActionInvalid();
+
+        // A stack short of a blind posts all of it, nothing when the ante
+        // put it all-in
+        uint256 bigBlind = sb.amount * _bigBlindMultiplier(rules);
+        if (
+            bb.amount != bigBlind &&
+            (bb.amount > bigBlind || bb.amount != bbStack)
+        ) revert BigBlindAmountInvalid();
+        if (
+            (sb.amount == 0 && sbStack != 0) ||
+            sb.amount > sbStack ||
+            (sb.amount < minSmallBlind && sb.amount != sbStack) ||
+            (exactSmallBlind && sb.amount > minSmallBlind)
+        ) revert SmallBlindAmountInvalid();
+        if (bb.amount > bbStack) revert BigBlindStackInvalid();
 
         // Initialize stacks/contrib/total based on who posted which blind
-        if (smallBlindPlayer == 0) {
-            g.stacks[0] = stackA - sb.amount;
-            g.stacks[1] = stackB - bb.amount;
-            g.contrib[0] = sb.amount;
-            g.contrib[1] = bb.amount;
-            g.total[0] = sb.amount;
-            g.total[1] = bb.amount;
-        } else {
-            g.stacks[0] = stackA - bb.amount;
-            g.stacks[1] = stackB - sb.amount;
-            g.contrib[0] = bb.amount;
-            g.contrib[1] = sb.amount;
-            g.total[0] = bb.amount;
-            g.total[1] = sb.amount;
-        }
+        g.stacks[smallBlindPlayer] = sbStack - sb.amount;
+        g.stacks[bigBlindPlayer] = bbStack - bb.amount;
+        g.contrib[smallBlindPlayer] = sb.amount;
+        g.contrib[bigBlindPlayer] = bb.amount;
+        g.total[smallBlindPlayer] = antes[0] + sb.amount;
+        g.total[bigBlindPlayer] = antes[1] + bb.amount;
 
         if (g.stacks[0] == 0) g.allIn[0] = true;
         if (g.stacks[1] == 0) g.allIn[1] = true;
@@ -159,7 +262,7 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         g.bigBlindPlayer = bigBlindPlayer;
         g.bigBlindAmount = bb.amount;
         g.street = 0;
-        g.toCall = bb.amount - sb.amount;
+        g.toCall = bb.amount > sb.amount ? bb.amount - sb.amount : 0;
         g.lastRaise = bb.amount;
         g.checked = false;
         g.reopen = true;
@@ -171,11 +274,13 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
     function _applyAction(
         Game memory g,
         Action calldata act,
-        Action calldata prev
+        Action calldata prev,
+        BettingRules memory rules
     ) internal pure returns (Game memory, ReplayResult memory) {
         if (act.seq <= prev.seq) revert SequenceInvalid();
         if (act.prevHash != hashAction(prev)) revert PrevHashInvalid();
-        if (act.action <= ACT_BIG_BLIND) revert BlindOnlyStart();
+        if (act.action <= ACT_BIG_BLIND || act.action == ACT_ANTE)
+            revert BlindOnlyStart();
 
         uint256 p = g.actor;
         uint256 opp = 1 - p;
@@ -211,6 +316,7 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
                 if (g.stacks[p] < callAmt) {
                     callAmt = g.stacks[p];
                 }
+                g.contrib[p] += callAmt;
                 g.total[p] += callAmt;
 
                 g.stacks[p] -= callAmt;
@@ -249,7 +355,17 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
                 }
 
                 g.street++;
-                if (g.street > 3) revert StreetOverflow();
+                if (g.street == 4) {
+                    // river bet called - natural showdown
+                    return (
+                        g,
+                        ReplayResult({
+                            ended: true,
+                            end: End.SHOWDOWN,
+                            folder: 0
+                        })
+                    );
+                }
                 g.contrib[0] = 0;
                 g.contrib[1] = 0;
                 g.actor = g.bigBlindPlayer;
@@ -298,12 +414,23 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
             uint256 prevStack = g.stacks[p];
             if (act.amount > prevStack) revert RaiseStackInvalid();
 
-            if (g.raiseCount >= MAX_RAISES_PER_STREET)
-                revert RaiseLimitExceeded();
+            if (g.raiseCount >= _raiseCap(rules)) revert RaiseLimitExceeded();
 
             uint256 toCallBefore = g.toCall;
             uint256 minRaise = g.lastRaise;
 
+            if (rules.structure == BettingStructure.FIXED_LIMIT) {
+                // Bets and raises are exactly one bet, short all-ins aside
+                minRaise = _fixedBet(g, rules);
+                if (act.amount > toCallBefore + minRaise)
+                    revert FixedLimitAmountInvalid();
+            } else if (
+                rules.structure == BettingStructure.POT_LIMIT &&
+                act.amount > _potLimit(g)
+            ) {
+                revert PotLimitExceeded();
+            }
+
             if (toCallBefore > 0) {
                 if (act.amount <= toCallBefore)
                     revert RaiseInsufficientIncrease();
@@ -355,20 +482,30 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         uint256 stackB,
         uint256 minSmallBlind,
         address player1,
-        address player2
+        address player2,
+        BettingRules memory rules,
+        bool exactSmallBlind
     ) internal pure returns (ReplayResult memory res, Game memory g) {
         // Handle sequences without proper blinds
-        if (actions.length < 2) {
+        uint256 blindCount = _blindCount(rules);
+        if (actions.length < blindCount) {
             return (
                 ReplayResult({ended: true, end: End.NO_BLINDS, folder: 0}),
                 g
             );
         }
 
-        Action calldata sb = actions[0];
-        Action calldata bb = actions[1];
+        Action calldata sb = actions[blindCount - 2];
+        Action calldata bb = actions[blindCount - 1];
 
-        g = _initGame(sb, bb, stackA, stackB, minSmallBlind);
+        g = _initGame(
+            actions,
+            stackA,
+            stackB,
+            minSmallBlind,
+            rules,
+            exactSmallBlind
+        );
 
         // Validate sender addresses for blind actions
         uint8 smallBlindPlayer = getSmallBlindPlayer(sb.handId);
@@ -381,21 +518,32 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
 
         if (sb.sender != expectedSmallBlindSender) revert WrongPlayerTurn();
         if (bb.sender != expectedBigBlindSender) revert WrongPlayerTurn();
+        // Antes are posted in the same order as the blinds
+        if (blindCount == 4) {
+            if (actions[0].sender != expectedSmallBlindSender)
+                revert WrongPlayerTurn();
+            if (actions[1].sender != expectedBigBlindSender)
+                revert WrongPlayerTurn();
+        }
 
-        // If small blind is all-in, game ends immediately
-        if (g.allIn[smallBlindPlayer]) {
+        // If small blind is all-in, or the big blind is all-in with nothing
+        // to call, game ends immediately
+        if (
+            g.allIn[smallBlindPlayer] ||
+            (g.allIn[1 - smallBlindPlayer] && g.toCall == 0)
+        ) {
             return (
                 ReplayResult({ended: true, end: End.SHOWDOWN, folder: 0}),
                 g
             );
         }
 
-        for (uint256 i = 2; i < actions.length; i++) {
+        for (uint256 i = blindCount; i < actions.length; i++) {
             // Validate sender for each action
             address expectedSender = (g.actor == 0) ? player1 : player2;
             if (actions[i].sender != expectedSender) revert WrongPlayerTurn();
 
-            (g, res) = _applyAction(g, actions[i], actions[i - 1]);
+            (g, res) = _applyAction(g, actions[i], actions[i - 1], rules);
             if (res.ended) {
                 return (res, g);
             }
@@ -405,6 +553,110 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         return (ReplayResult({ended: false, end: End.SHOWDOWN, folder: 0}), g);
     }
 
+    // ------------------------------------------------------------------
+    // Betting rules
+    // ------------------------------------------------------------------
+
+    /// @notice Registers betting rules for channels to reference at open
+    /// @dev Fixed-limit rules need a nonzero `smallBet` and a `bigBet` at least
+    /// as large, the other structures take no bet sizes. Registering the same
+    /// rules again returns the existing id.
+    /// @return rulesId `keccak256(abi.encode(rules))`
+    function registerBettingRules(
+        BettingRules calldata rules
+    ) external returns (bytes32 rulesId) {
+        if (rules.structure == BettingStructure.FIXED_LIMIT) {
+            if (rules.smallBet == 0 || rules.bigBet < rules.smallBet)
+                revert InvalidBettingRules();
+        } else if (rules.smallBet != 0 || rules.bigBet != 0) {
+            revert InvalidBettingRules();
+        }
+        if (rules.bigBlindMultiplier == 1) revert InvalidBettingRules();
+
+        rulesId = keccak256(abi.encode(rules));
+        if (bettingRulesRegistered[rulesId]) return rulesId;
+
+        bettingRules[rulesId] = rules;
+        bettingRulesRegistered[rulesId] = true;
+        emit BettingRulesRegistered(rulesId, rules.structure);
+    }
+
+    function isBettingRulesRegistered(
+        bytes32 rulesId
+    ) external view returns (bool) {
+        return rulesId == bytes32(0) || bettingRulesRegistered[rulesId];
+    }
+
+    /// @notice Rules registered under `rulesId`, zero being plain no-limit
+    function getBettingRules(
+        bytes32 rulesId
+    ) public view returns (BettingRules memory rules) {
+        if (rulesId == bytes32(0)) return rules;
+        if (!bettingRulesRegistered[rulesId])
+            revert BettingRulesNotRegistered();
+        return bettingRules[rulesId];
+    }
+
+    // ------------------------------------------------------------------
+    // Blind schedules
+    // ------------------------------------------------------------------
+
+    /// @notice Registers a blind schedule for sit-and-go channels to reference at open
+    /// @dev The first level starts at hand 1, later levels at strictly increasing
+    /// hands, and every small blind is nonzero. Registering the same schedule
+    /// again returns the existing id.
+    /// @return scheduleId `keccak256(abi.encode(levels))`
+    function registerBlindSchedule(
+        BlindLevel[] calldata levels
+    ) external returns (bytes32 scheduleId) {
+        if (levels.length == 0 || levels[0].hand != 1)
+            revert InvalidBlindSchedule();
+        for (uint256 i = 0; i < levels.length; i++) {
+            if (levels[i].smallBlind == 0) revert InvalidBlindSchedule();
+            if (i > 0 && levels[i].hand <= levels[i - 1].hand)
+                revert InvalidBlindSchedule();
+        }
+
+        scheduleId = keccak256(abi.encode(levels));
+        BlindLevel[] storage schedule = blindSchedules[scheduleId];
+        if (schedule.length != 0) return scheduleId;
+
+        for (uint256 i = 0; i < levels.length; i++) {
+            schedule.push(levels[i]);
+        }
+        emit BlindScheduleRegistered(scheduleId, levels.length);
+    }
+
+    /// @notice Levels registered under `scheduleId`
+    function getBlindSchedule(
+        bytes32 scheduleId
+    ) external view returns (BlindLevel[] memory) {
+        if (blindSchedules[scheduleId].length == 0)
+            revert BlindScheduleNotRegistered();
+        return blindSchedules[scheduleId];
+    }
+
+    /// @notice Small blind of the match's hand `hand` (1 for the first hand)
+    function smallBlindAt(
+        bytes32 scheduleId,
+        uint256 hand
+    ) external view returns (uint256) {
+        BlindLevel[] storage schedule = blindSchedules[scheduleId];
+        if (schedule.length == 0) revert BlindScheduleNotRegistered();
+        uint256 i = schedule.length - 1;
+        while (schedule[i].hand > hand) i--;
+        return schedule[i].smallBlind;
+    }
+
+    // ------------------------------------------------------------------
+    // Replay
+    // ------------------------------------------------------------------
+    // Every replay function has a `WithRules` variant taking the registered
+    // betting rules of the table. Without them the hand is no-limit. With
+    // `exactSmallBlind`, as in a sit-and-go match, the small blind must be
+    // exactly `minSmallBlind`, the level of the blind schedule, unless the
+    // stack is short of it.
+
     function replayGame(
         Action[] calldata actions,
         uint256 stackA,
@@ -413,13 +665,199 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         address player1,
         address player2
     ) external pure returns (End end, uint8 folder, uint256 calledAmount) {
+        BettingRules memory noLimit;
+        return
+            _replayGame(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                noLimit,
+                false
+            );
+    }
+
+    function replayGameWithRules(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        bytes32 rulesId,
+        bool exactSmallBlind
+    ) external view returns (End end, uint8 folder, uint256 calledAmount) {
+        return
+            _replayGame(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                getBettingRules(rulesId),
+                exactSmallBlind
+            );
+    }
+
+    function replayIncompleteGame(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2
+    ) external pure returns (End end, uint8 folder, uint256 calledAmount) {
+        BettingRules memory noLimit;
+        return
+            _replayIncompleteGame(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                noLimit,
+                false
+            );
+    }
+
+    function replayIncompleteGameWithRules(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        bytes32 rulesId,
+        bool exactSmallBlind
+    ) external view returns (End end, uint8 folder, uint256 calledAmount) {
+        return
+            _replayIncompleteGame(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                getBettingRules(rulesId),
+                exactSmallBlind
+            );
+    }
+
+    function replayState(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2
+    ) external pure returns (bool ended, End gameEnd, uint8 street) {
+        BettingRules memory noLimit;
+        return
+            _replayState(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                noLimit,
+                false
+            );
+    }
+
+    function replayStateWithRules(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        bytes32 rulesId,
+        bool exactSmallBlind
+    ) external view returns (bool ended, End gameEnd, uint8 street) {
+        return
+            _replayState(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                getBettingRules(rulesId),
+                exactSmallBlind
+            );
+    }
+
+    /// @notice Replays a signed action prefix and returns the full betting state
+    /// together with the moves available to the player to act
+    function replayGameState(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2
+    ) external pure returns (GameState memory state) {
+        BettingRules memory noLimit;
+        return
+            _replayGameState(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                noLimit,
+                false
+            );
+    }
+
+    function replayGameStateWithRules(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        bytes32 rulesId,
+        bool exactSmallBlind
+    ) external view returns (GameState memory state) {
+        return
+            _replayGameState(
+                actions,
+                stackA,
+                stackB,
+                minSmallBlind,
+                player1,
+                player2,
+                getBettingRules(rulesId),
+                exactSmallBlind
+            );
+    }
+
+    function _replayGame(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        BettingRules memory rules,
+        bool exactSmallBlind
+    ) private pure returns (End end, uint8 folder, uint256 calledAmount) {
         (ReplayResult memory res, Game memory g) = _replayActions(
             actions,
             stackA,
             stackB,
             minSmallBlind,
             player1,
-            player2
+            player2,
+            rules,
+            exactSmallBlind
         );
 
         // Disallow incomplete game sequences - only accept complete games
@@ -433,21 +871,25 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         return (res.end, res.folder, calledAmount);
     }
 
-    function replayIncompleteGame(
+    function _replayIncompleteGame(
         Action[] calldata actions,
         uint256 stackA,
         uint256 stackB,
         uint256 minSmallBlind,
         address player1,
-        address player2
-    ) external pure returns (End end, uint8 folder, uint256 calledAmount) {
+        address player2,
+        BettingRules memory rules,
+        bool exactSmallBlind
+    ) private pure returns (End end, uint8 folder, uint256 calledAmount) {
         (ReplayResult memory res, Game memory g) = _replayActions(
             actions,
             stackA,
             stackB,
             minSmallBlind,
             player1,
-            player2
+            player2,
+            rules,
+            exactSmallBlind
         );
 
         // For NO_BLINDS games, called amount is always 0
@@ -470,25 +912,155 @@ contract HeadsUpPokerReplay is HeadsUpPokerEIP712 {
         return (End.SHOWDOWN, 0, calledAmount);
     }
 
-    function replayState(
+    function _replayState(
         Action[] calldata actions,
         uint256 stackA,
         uint256 stackB,
         uint256 minSmallBlind,
         address player1,
-        address player2
-    ) external pure returns (bool ended, End gameEnd, uint8 street) {
+        address player2,
+        BettingRules memory rules,
+        bool exactSmallBlind
+    ) private pure returns (bool ended, End gameEnd, uint8 street) {
         (ReplayResult memory res, Game memory g) = _replayActions(
             actions,
             stackA,
             stackB,
             minSmallBlind,
             player1,
-            player2
+            player2,
+            rules,
+            exactSmallBlind
         );
 
         if (res.end == End.NO_BLINDS) revert NoBlinds();
 
         return (res.ended, res.end, g.street);
     }
+
+    function _replayGameState(
+        Action[] calldata actions,
+        uint256 stackA,
+        uint256 stackB,
+        uint256 minSmallBlind,
+        address player1,
+        address player2,
+        BettingRules memory rules,
+        bool exactSmallBlind
+    ) private pure returns (GameState memory state) {
+        (ReplayResult memory res, Game memory g) = _replayActions(
+            actions,
+            stackA,
+            stackB,
+            minSmallBlind,
+            player1,
+            player2,
+            rules,
+            exactSmallBlind
+        );
+
+        if (res.end == End.NO_BLINDS) revert NoBlinds();
+
+        state.ended = res.ended;
+        state.end = res.end;
+        state.folder = res.folder;
+        state.actor = g.actor;
+        state.street = g.street;
+        state.stacks = g.stacks;
+        state.contrib = g.contrib;
+        state.total = g.total;
+        state.allIn = g.allIn;
+        state.toCall = g.toCall;
+        state.lastRaise = g.lastRaise;
+        state.reopen = g.reopen;
+        state.raiseCount = g.raiseCount;
+
+        if (!res.ended) {
+            state.legal = _legalActions(g, rules);
+        }
+    }
+
+    /// @dev Derives the moves `_applyAction` accepts from the current state
+    function _legalActions(
+        Game memory g,
+        BettingRules memory rules
+    ) private pure returns (LegalActions memory legal) {
+        uint256 p = g.actor;
+
+        // An all-in player can only check through to showdown
+        if (g.allIn[p]) {
+            legal.check = true;
+            return legal;
+        }
+
+        legal.fold = true;
+
+        uint256 stack = g.stacks[p];
+        if (g.toCall > 0) {
+            legal.call = true;
+            legal.callAmount = g.toCall < stack ? g.toCall : stack;
+        } else {
+            legal.check = true;
+        }
+
+        if (g.raiseCount >= _raiseCap(rules)) return legal;
+        if (stack <= g.toCall) return legal;
+
+        uint256 fullRaise = g.toCall +
+            (
+                rules.structure == BettingStructure.FIXED_LIMIT
+                    ? _fixedBet(g, rules)
+                    : g.lastRaise
+            );
+        if (stack < fullRaise) {
+            // Short all-in is always allowed, even when action is not reopened
+            legal.raise = true;
+            legal.minRaise = stack;
+            legal.maxRaise = stack;
+            return legal;
+        }
+
+        if (g.toCall > 0 && !g.reopen) return legal;
+
+        legal.raise = true;
+        legal.minRaise = fullRaise;
+        legal.maxRaise = stack;
+        if (rules.structure == BettingStructure.FIXED_LIMIT) {
+            legal.maxRaise = fullRaise;
+        } else if (rules.structure == BettingStructure.POT_LIMIT) {
+            uint256 potLimit = _potLimit(g);
+            if (potLimit < stack) legal.maxRaise = potLimit;
+        }
+    }
+
+    /// @dev Number of forced actions opening a hand: the blinds, preceded by
+    /// the antes when the rules have one
+    function _blindCount(
+        BettingRules memory rules
+    ) private pure returns (uint256) {
+        return rules.ante == 0 ? 2 : 4;
+    }
+
+    function _bigBlindMultiplier(
+        BettingRules memory rules
+    ) private pure returns (uint8) {
+        return rules.bigBlindMultiplier == 0 ? 2 : rules.bigBlindMultiplier;
+    }
+
+    function _raiseCap(BettingRules memory rules) private pure returns (uint8) {
+        return rules.raiseCap == 0 ? MAX_RAISES_PER_STREET : rules.raiseCap;
+    }
+
+    /// @dev Fixed-limit bet size: small bets preflop and on the flop
+    function _fixedBet(
+        Game memory g,
+        BettingRules memory rules
+    ) private pure returns (uint256) {
+        return g.street < 2 ? rules.smallBet : rules.bigBet;
+    }
+
+    /// @dev Most a pot-limit player may add: the call plus the pot after calling
+    function _potLimit(Game memory g) private pure returns (uint256) {
+        return 2 * g.toCall + g.total[0] + g.total[1];
+    }
 }
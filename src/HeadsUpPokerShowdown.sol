@@ -2,16 +2,19 @@
 pragma solidity 0.8.24;
 
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 
 import {HeadsUpPokerPeek} from "./HeadsUpPokerPeek.sol";
 import {HeadsUpPokerEIP712} from "./HeadsUpPokerEIP712.sol";
 import {PokerEvaluator} from "./PokerEvaluator.sol";
 import {Bn254} from "./Bn254.sol";
+import {IHeadsUpPokerEscrow} from "./interfaces/IHeadsUpPokerEscrow.sol";
 import "./HeadsUpPokerErrors.sol";
 
 contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
     using ECDSA for bytes32;
 
+    // Default reveal window, channels may choose their own at open
     uint256 public constant revealWindow = 1 hours;
 
     struct ShowdownState {
@@ -35,6 +38,21 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         uint256 handId;
     }
 
+    /// @notice Evidence that one player's shuffle layer was honest, so the
+    /// opponent's layer must have fouled the deck
+    struct DeckFraudProof {
+        // Plaintext points of all nine slots, recovered from the revealed partials
+        bytes[] plaintexts;
+        // Player 1's encrypted, shuffled 52-card deck
+        bytes[] deckA;
+        // Opponent's DeckCommitment signature over `deckA`
+        bytes opponentSignature;
+        // Player 2 proving: index into `deckA` each slot was drawn from
+        uint8[] sources;
+        // Player 1 proving: canonical point each `deckA` card encrypts
+        bytes[] canonicalCards;
+    }
+
     address private immutable escrow;
     HeadsUpPokerPeek private immutable peek;
 
@@ -62,6 +80,29 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         return showdowns[channelId];
     }
 
+    /// @notice Describe a player's best hand from the cards resolved at showdown
+    /// @dev Available once `finalizeReveals` has resolved the plaintext cards and
+    /// until the channel is reopened.
+    /// @param player 0 for player 1, 1 for player 2
+    function describeShowdownHand(
+        uint256 channelId,
+        uint8 player
+    )
+        external
+        view
+        returns (
+            uint8 category,
+            uint8[5] memory bestCards,
+            string memory description
+        )
+    {
+        if (player > 1) revert BadRoleIndex();
+        ShowdownState storage sd = showdowns[channelId];
+        if (sd.cards[SLOT_RIVER] == 0) revert CardsNotResolved();
+
+        return PokerEvaluator.describeHand(_playerCards(sd, player));
+    }
+
     function isInProgress(uint256 channelId) external view returns (bool) {
         return showdowns[channelId].inProgress;
     }
@@ -79,7 +120,7 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         if (sd.inProgress) revert ShowdownInProgress();
 
         // Start a fresh reveal window and clear any leftover per-card data.
-        sd.deadline = block.timestamp + revealWindow;
+        sd.deadline = block.timestamp + _revealWindow(channelId);
         sd.inProgress = true;
         sd.player1Revealed = false;
         sd.player2Revealed = false;
@@ -141,7 +182,7 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         if (sd.player1Revealed && sd.player2Revealed) {
             // Both players have revealed - extend the deadline to allow
             // for finalization.
-            sd.deadline = block.timestamp + revealWindow;
+            sd.deadline = block.timestamp + _revealWindow(channelId);
         }
 
         return (sd.player1Revealed, sd.player2Revealed);
@@ -164,6 +205,8 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         if (plaintextCards.length != SLOT_RIVER + 1)
             revert PrerequisitesNotMet();
 
+        // Card codes already resolved, indexed by (suit << 4) | rank
+        uint256 seen;
         for (uint8 i = 0; i <= SLOT_RIVER; i++) {
             bytes calldata pc = plaintextCards[i];
 
@@ -183,6 +226,8 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
             _verifyPlaintextFromPartial(pc, partialOther, openerPublicKey);
 
             uint8 cardValue = peek.getCanonicalCard(channelId, pc);
+            if (seen & (uint256(1) << cardValue) != 0) revert DuplicateCard();
+            seen |= uint256(1) << cardValue;
             sd.cards[i] = cardValue;
         }
 
@@ -191,6 +236,49 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         sd.deadline = 0;
     }
 
+    /// @notice Prove that the showdown deck was fouled by the opponent
+    /// @dev Player 1 shuffles first and player 2 re-shuffles. A deck is fouled
+    /// when a slot decrypts to a point outside the canonical deck or two slots
+    /// decrypt to the same card. Player 2 shows every slot is their key applied
+    /// to a card of `deckA`, so player 1's deck was bad; player 1 shows every
+    /// card of `deckA` is their key applied to a distinct canonical card, so
+    /// player 2's layer was bad.
+    /// @return cheater The player whose shuffle fouled the deck
+    function verifyDeckFraud(
+        uint256 channelId,
+        ChannelData calldata ch,
+        DeckFraudProof calldata proof,
+        address accuser
+    ) external onlyEscrow returns (address cheater) {
+        if (ch.player1 == address(0) || ch.player2 == address(0))
+            revert NoChannel();
+        if (ch.finalized) revert AlreadyFinalized();
+        if (accuser != ch.player1 && accuser != ch.player2)
+            revert ActionInvalidSender();
+
+        ShowdownState storage sd = showdowns[channelId];
+        if (!sd.inProgress) revert NoShowdownInProgress();
+        if (!sd.player1Revealed || !sd.player2Revealed)
+            revert PrerequisitesNotMet();
+
+        (bytes memory pkA, bytes memory pkB) = peek.getPublicKeys(channelId);
+        if (!_isDeckFouled(channelId, proof.plaintexts, pkB))
+            revert NoDeckFraud();
+
+        _verifyDeckCommitment(channelId, ch, proof, accuser);
+
+        if (accuser == ch.player2) {
+            _verifySecondShuffle(channelId, proof, pkB);
+            cheater = ch.player1;
+        } else {
+            _verifyFirstShuffle(channelId, proof, pkA);
+            cheater = ch.player2;
+        }
+
+        sd.inProgress = false;
+        sd.deadline = 0;
+    }
+
     function finalizeShowdown(
         uint256 channelId,
         ChannelData calldata ch
@@ -223,6 +311,133 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         sd.deadline = 0;
     }
 
+    function _isDeckFouled(
+        uint256 channelId,
+        bytes[] calldata plaintexts,
+        bytes memory pkB
+    ) internal view returns (bool) {
+        if (plaintexts.length != SLOT_RIVER + 1) revert PrerequisitesNotMet();
+
+        uint256 seen;
+        for (uint8 i = 0; i <= SLOT_RIVER; i++) {
+            _verifyPlaintextFromPartial(
+                plaintexts[i],
+                revealedPartialsA[channelId][i],
+                pkB
+            );
+            try peek.getCanonicalCard(channelId, plaintexts[i]) returns (
+                uint8 cardValue
+            ) {
+                if (seen & (uint256(1) << cardValue) != 0) return true;
+                seen |= uint256(1) << cardValue;
+            } catch {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _verifyDeckCommitment(
+        uint256 channelId,
+        ChannelData calldata ch,
+        DeckFraudProof calldata proof,
+        address accuser
+    ) internal view {
+        if (proof.deckA.length != FULL_DECK_SIZE) revert InvalidDeckProof();
+
+        IHeadsUpPokerEscrow escrowView = IHeadsUpPokerEscrow(escrow);
+        IHeadsUpPokerEscrow.ChannelData memory data = escrowView.getChannelData(
+            channelId
+        );
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DECK_COMMITMENT_TYPEHASH,
+                channelId,
+                ch.handId,
+                keccak256(abi.encode(proof.deckA))
+            )
+        );
+        address signer = ECDSA.recover(
+            MessageHashUtils.toTypedDataHash(
+                escrowView.domainSeparator(),
+                structHash
+            ),
+            proof.opponentSignature
+        );
+
+        bool valid = accuser == ch.player1
+            ? signer == ch.player2 ||
+                (data.player2Signer != address(0) &&
+                    signer == data.player2Signer)
+            : signer == ch.player1 ||
+                (data.player1Signer != address(0) &&
+                    signer == data.player1Signer);
+        if (!valid) revert InvalidDeckProof();
+    }
+
+    /// @dev Every slot must be player 2's key applied to a distinct card of deckA
+    function _verifySecondShuffle(
+        uint256 channelId,
+        DeckFraudProof calldata proof,
+        bytes memory pkB
+    ) internal view {
+        if (proof.sources.length != SLOT_RIVER + 1) revert InvalidDeckProof();
+
+        uint256 used;
+        for (uint8 i = 0; i <= SLOT_RIVER; i++) {
+            uint8 source = proof.sources[i];
+            if (source >= FULL_DECK_SIZE || used & (uint256(1) << source) != 0)
+                revert InvalidDeckProof();
+            used |= uint256(1) << source;
+
+            if (
+                !_isReencryption(
+                    proof.deckA[source],
+                    peek.getDeck(channelId, i),
+                    pkB
+                )
+            ) revert InvalidDeckProof();
+        }
+    }
+
+    /// @dev Every card of deckA must be player 1's key applied to a distinct
+    /// canonical card
+    function _verifyFirstShuffle(
+        uint256 channelId,
+        DeckFraudProof calldata proof,
+        bytes memory pkA
+    ) internal view {
+        if (proof.canonicalCards.length != FULL_DECK_SIZE)
+            revert InvalidDeckProof();
+
+        uint256 used;
+        for (uint8 i = 0; i < FULL_DECK_SIZE; i++) {
+            uint8 cardValue = peek.getCanonicalCard(
+                channelId,
+                proof.canonicalCards[i]
+            );
+            if (used & (uint256(1) << cardValue) != 0) revert InvalidDeckProof();
+            used |= uint256(1) << cardValue;
+
+            if (!_isReencryption(proof.canonicalCards[i], proof.deckA[i], pkA))
+                revert InvalidDeckProof();
+        }
+    }
+
+    /// @dev True when `encrypted` is `source` multiplied by the key behind `publicKey`
+    function _isReencryption(
+        bytes memory source,
+        bytes memory encrypted,
+        bytes memory publicKey
+    ) internal view returns (bool) {
+        if (source.length != 64 || encrypted.length != 64) return false;
+        if (Bn254.isInfinity(source) || !Bn254.isG1OnCurve(source))
+            return false;
+        if (Bn254.isInfinity(encrypted) || !Bn254.isG1OnCurve(encrypted))
+            return false;
+        return Bn254.verifyPartialDecrypt(source, encrypted, publicKey);
+    }
+
     function _verifyPlaintextFromPartial(
         bytes memory plaintext,
         bytes memory partialCard,
@@ -288,25 +503,19 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
         return pkB;
     }
 
+    /// @dev Reveal window the channel was opened with
+    function _revealWindow(uint256 channelId) internal view returns (uint256) {
+        return IHeadsUpPokerEscrow(escrow).getChannelData(channelId).revealWindow;
+    }
+
     function _calculateShowdownWinner(
         uint256 channelId,
         ChannelData calldata ch
     ) internal view returns (address winner, uint256 wonAmount) {
         ShowdownState storage sd = showdowns[channelId];
 
-        uint8[7] memory player1Cards;
-        uint8[7] memory player2Cards;
-
-        player1Cards[0] = sd.cards[SLOT_A1];
-        player1Cards[1] = sd.cards[SLOT_A2];
-        player2Cards[0] = sd.cards[SLOT_B1];
-        player2Cards[1] = sd.cards[SLOT_B2];
-
-        for (uint8 i = 0; i < 5; i++) {
-            uint8 card = sd.cards[uint8(SLOT_FLOP1 + i)];
-            player1Cards[i + 2] = card;
-            player2Cards[i + 2] = card;
-        }
+        uint8[7] memory player1Cards = _playerCards(sd, 0);
+        uint8[7] memory player2Cards = _playerCards(sd, 1);
 
         uint256 player1Rank = PokerEvaluator.evaluateHand(player1Cards);
         uint256 player2Rank = PokerEvaluator.evaluateHand(player2Cards);
@@ -322,4 +531,15 @@ contract HeadsUpPokerShowdown is HeadsUpPokerEIP712 {
             wonAmount = 0;
         }
     }
+
+    function _playerCards(
+        ShowdownState storage sd,
+        uint8 player
+    ) internal view returns (uint8[7] memory cards) {
+        cards[0] = sd.cards[player == 0 ? SLOT_A1 : SLOT_B1];
+        cards[1] = sd.cards[player == 0 ? SLOT_A2 : SLOT_B2];
+        for (uint8 i = 0; i < 5; i++) {
+            cards[i + 2] = sd.cards[uint8(SLOT_FLOP1 + i)];
+        }
+    }
 }
@@ -202,6 +202,188 @@ library PokerEvaluator {
             uint256(kickers[4]);
     }
 
+    /// @notice Describes the best 5-card hand for display and support tooling
+    /// @dev Derived from `evaluateHand`, so the description always matches the rank
+    /// used at showdown. Slots the rank leaves empty (e.g. a missing kicker) are
+    /// filled with the highest unused cards.
+    /// @param cards Array of 7 cards encoded as uint8 (4 bits suit + 4 bits rank)
+    /// @return category Hand type (0-8, see HAND_* constants)
+    /// @return bestCards The five cards making the hand, grouped ranks first
+    /// @return description Text such as "Full house, Kings full of Sevens"
+    function describeHand(
+        uint8[7] memory cards
+    )
+        internal
+        pure
+        returns (
+            uint8 category,
+            uint8[5] memory bestCards,
+            string memory description
+        )
+    {
+        uint256 rank = evaluateHand(cards);
+        category = uint8(rank >> 20);
+
+        uint8[5] memory values;
+        for (uint256 i = 0; i < 5; i++) {
+            values[i] = uint8((rank >> (16 - 4 * i)) & 0x0F);
+        }
+
+        bestCards = _bestCards(cards, category, values);
+        description = _describe(category, values);
+    }
+
+    /// @dev Pick the cards matching the ranks encoded in a hand rank
+    function _bestCards(
+        uint8[7] memory cards,
+        uint8 category,
+        uint8[5] memory values
+    ) private pure returns (uint8[5] memory best) {
+        // Internal ranks wanted for each of the five positions (0 = any)
+        uint8[5] memory wanted;
+        uint8 suit = 0xFF;
+
+        if (
+            category == HAND_STRAIGHT || category == HAND_STRAIGHT_FLUSH
+        ) {
+            for (uint8 i = 0; i < 5; i++) {
+                wanted[i] = values[0] - i;
+            }
+            if (values[0] == 5) wanted[4] = ACE; // wheel
+            if (category == HAND_STRAIGHT_FLUSH) suit = _flushSuit(cards);
+        } else if (category == HAND_FOUR_KIND) {
+            wanted = [values[0], values[0], values[0], values[0], values[1]];
+        } else if (category == HAND_FULL_HOUSE) {
+            wanted = [values[0], values[0], values[0], values[1], values[1]];
+        } else if (category == HAND_THREE_KIND) {
+            wanted = [values[0], values[0], values[0], values[1], values[2]];
+        } else if (category == HAND_TWO_PAIR) {
+            wanted = [values[0], values[0], values[1], values[1], values[2]];
+        } else if (category == HAND_PAIR) {
+            wanted = [values[0], values[0], values[1], values[2], values[3]];
+        } else {
+            wanted = values;
+            if (category == HAND_FLUSH) suit = _flushSuit(cards);
+        }
+
+        bool[7] memory used;
+        for (uint256 i = 0; i < 5; i++) {
+            if (wanted[i] == 0) continue;
+            // Prefer the flush suit, then accept any suit
+            for (uint256 pass = 0; pass < 2 && best[i] == 0; pass++) {
+                for (uint256 j = 0; j < 7; j++) {
+                    if (used[j] || _internalRank(cards[j]) != wanted[i]) {
+                        continue;
+                    }
+                    if (pass == 0 && (cards[j] >> 4) != suit) continue;
+                    best[i] = cards[j];
+                    used[j] = true;
+                    break;
+                }
+            }
+        }
+
+        for (uint256 i = 0; i < 5; i++) {
+            if (best[i] != 0) continue;
+            uint256 pick = 7;
+            for (uint256 j = 0; j < 7; j++) {
+                if (used[j]) continue;
+                if (
+                    pick == 7 ||
+                    _internalRank(cards[j]) > _internalRank(cards[pick])
+                ) {
+                    pick = j;
+                }
+            }
+            best[i] = cards[pick];
+            used[pick] = true;
+        }
+    }
+
+    /// @dev Build the text for a hand category and its encoded ranks
+    function _describe(
+        uint8 category,
+        uint8[5] memory values
+    ) private pure returns (string memory) {
+        if (category == HAND_STRAIGHT_FLUSH) {
+            return string.concat("Straight flush, ", _rankName(values[0], false), " high");
+        }
+        if (category == HAND_FOUR_KIND) {
+            return string.concat("Four of a kind, ", _rankName(values[0], true));
+        }
+        if (category == HAND_FULL_HOUSE) {
+            return
+                string.concat(
+                    "Full house, ",
+                    _rankName(values[0], true),
+                    " full of ",
+                    _rankName(values[1], true)
+                );
+        }
+        if (category == HAND_FLUSH) {
+            return string.concat("Flush, ", _rankName(values[0], false), " high");
+        }
+        if (category == HAND_STRAIGHT) {
+            return string.concat("Straight, ", _rankName(values[0], false), " high");
+        }
+        if (category == HAND_THREE_KIND) {
+            return string.concat("Three of a kind, ", _rankName(values[0], true));
+        }
+        if (category == HAND_TWO_PAIR) {
+            return
+                string.concat(
+                    "Two pair, ",
+                    _rankName(values[0], true),
+                    " and ",
+                    _rankName(values[1], true)
+                );
+        }
+        if (category == HAND_PAIR) {
+            return string.concat("Pair of ", _rankName(values[0], true));
+        }
+        return string.concat("High card, ", _rankName(values[0], false));
+    }
+
+    /// @dev English name of an internal rank (2-14)
+    function _rankName(
+        uint8 rank,
+        bool plural
+    ) private pure returns (string memory name) {
+        if (rank == ACE) name = "Ace";
+        else if (rank == KING) name = "King";
+        else if (rank == QUEEN) name = "Queen";
+        else if (rank == JACK) name = "Jack";
+        else if (rank == 10) name = "Ten";
+        else if (rank == 9) name = "Nine";
+        else if (rank == 8) name = "Eight";
+        else if (rank == 7) name = "Seven";
+        else if (rank == 6) return plural ? "Sixes" : "Six";
+        else if (rank == 5) name = "Five";
+        else if (rank == 4) name = "Four";
+        else if (rank == 3) name = "Three";
+        else name = "Two";
+
+        if (plural) name = string.concat(name, "s");
+    }
+
+    /// @dev Convert a card to its internal rank (Ace = 14)
+    function _internalRank(uint8 card) private pure returns (uint8) {
+        uint8 rank = card & 0x0F;
+        return rank == 1 ? ACE : rank;
+    }
+
+    /// @dev First suit holding five or more cards, same order as `evaluateHand`
+    function _flushSuit(uint8[7] memory cards) private pure returns (uint8) {
+        uint8[4] memory counts;
+        for (uint256 i = 0; i < 7; i++) {
+            counts[cards[i] >> 4]++;
+        }
+        for (uint8 suit = 0; suit < 4; suit++) {
+            if (counts[suit] >= 5) return suit;
+        }
+        return 0xFF;
+    }
+
     /// @dev Check for straight using bit manipulation
     function _checkStraight(
         uint256 rankCounts
@@ -9,4 +9,19 @@ contract PokerEvaluatorTest {
     function evaluateHand(uint8[7] memory cards) public pure returns (uint256) {
         return PokerEvaluator.evaluateHand(cards);
     }
+
+    /// @notice Public wrapper to test the describeHand function
+    function describeHand(
+        uint8[7] memory cards
+    )
+        public
+        pure
+        returns (
+            uint8 category,
+            uint8[5] memory bestCards,
+            string memory description
+        )
+    {
+        return PokerEvaluator.describeHand(cards);
+    }
 }
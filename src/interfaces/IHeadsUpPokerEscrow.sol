@@ -12,9 +12,13 @@ interface IHeadsUpPokerEscrow {
         uint256 deposit2;
         uint256 slashAmount;
         uint256 minSmallBlind;
+        bool exactSmallBlind;
         address player1Signer;
         address player2Signer;
         uint256 startDeadline;
+        uint256 revealWindow;
+        uint256 peekWindow;
+        bytes32 bettingRulesId;
     }
 
     function getChannelData(
@@ -23,5 +27,9 @@ interface IHeadsUpPokerEscrow {
 
     function domainSeparator() external view returns (bytes32);
 
+    function getPeekAddress() external view returns (address);
+
+    function getRelayAddress() external view returns (address);
+
     function finalizeStaleChannel(uint256 channelId) external;
 }
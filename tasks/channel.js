@@ -0,0 +1,213 @@
+import { readFileSync } from "node:fs";
+import { task, types } from "hardhat/config.js";
+import { ACTION, buildActions } from "../sdk/actions.js";
+import { createKeyPossessionProof, partialDecrypt, publicKeyFromSecret } from "../sdk/bn254.js";
+import { DECK_SLOTS } from "../sdk/cards.js";
+import { connectContracts } from "../sdk/contracts.js";
+import { canonicalDeckHash, createCanonicalDeck } from "../sdk/deck.js";
+import { signActions } from "../sdk/signing.js";
+import { parseTranscript } from "../watchtower/watchtower.js";
+
+/**
+ * Hardhat tasks operating a channel of a deployed escrow, e.g. to unstick a
+ * channel on a local fork:
+ *
+ *   npx hardhat channel:status --escrow 0x... --channel 1
+ *   npx hardhat channel:dispute --escrow 0x... --channel 1 --keys alice.json --transcript hand.json
+ *
+ * A key file holds a player's account and BN254 secret key, as in the
+ * watchtower config:
+ *
+ *   { "privateKey": "0x...", "secretKey": "0x..." }
+ *
+ * A transcript file is either a signed transcript (`serializeTranscript`) or
+ * unsigned action specs, which are chained onto the channel's current hand
+ * and signed with the key files passed in `--signers`:
+ *
+ *   { "actions": [{ "action": "SMALL_BLIND", "amount": "1", "sender": "0x..." }, ...] }
+ */
+
+function readJson(path) {
+    return JSON.parse(readFileSync(path, "utf8"));
+}
+
+// Key file as the player's wallet, connected to the network, and BN254 key
+function readKeys(hre, path) {
+    const { privateKey, secretKey } = readJson(path);
+    if (!privateKey) throw new Error(`${path} has no privateKey`);
+    return {
+        wallet: new hre.ethers.Wallet(privateKey, hre.ethers.provider),
+        secretKey: secretKey === undefined ? null : BigInt(secretKey)
+    };
+}
+
+async function readTranscript(hre, escrow, channelId, path, signers) {
+    const json = readFileSync(path, "utf8");
+    if (JSON.parse(json).signatures) {
+        return parseTranscript(json);
+    }
+    if (!signers) {
+        throw new Error(`${path} is unsigned, pass the players' key files in --signers`);
+    }
+
+    const specs = JSON.parse(json).actions.map((spec, i) => {
+        const action = typeof spec.action === "string" ? ACTION[spec.action] : spec.action;
+        if (action === undefined) throw new Error(`Unknown action ${spec.action} at index ${i}`);
+        return { action, amount: BigInt(spec.amount ?? 0), sender: spec.sender };
+    });
+    const actions = buildActions(specs, channelId, await escrow.getHandId(channelId));
+    const wallets = signers.split(",").map((file) => readKeys(hre, file.trim()).wallet);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    return { actions, signatures: await signActions(actions, wallets, await escrow.getAddress(), chainId) };
+}
+
+// Registers the public key of `wallet` for `open`/`join`
+async function publicKeyArgs(hre, escrow, channelId, { wallet, secretKey }) {
+    if (secretKey === null) throw new Error("The key file has no secretKey");
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    return [
+        publicKeyFromSecret(secretKey),
+        createKeyPossessionProof(secretKey, channelId, wallet.address, await escrow.getAddress(), chainId)
+    ];
+}
+
+async function send(contract, method, args, overrides = {}) {
+    const tx = await contract[method](...args, overrides);
+    const receipt = await tx.wait();
+    console.log(`${method}: ${tx.hash} (block ${receipt.blockNumber})`);
+    return tx;
+}
+
+// Bigints of a view result as decimal strings
+function toJson(result) {
+    return JSON.parse(JSON.stringify(result.toObject(true), (_, value) =>
+        typeof value === "bigint" ? value.toString() : value));
+}
+
+task("channel:open", "Open a channel as player 1")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("opponent", "Address of player 2")
+    .addParam("keys", "Key file of player 1")
+    .addParam("deposit", "Deposit in wei")
+    .addOptionalParam("minSmallBlind", "Smallest small blind", "1")
+    .addOptionalParam("slash", "Amount slashed from a player who does not serve a peek", "0")
+    .addOptionalParam("signer", "Address signing actions for player 1", undefined, types.string)
+    .addFlag("session", "Open a multi-hand session")
+    .setAction(async (args, hre) => {
+        const keys = readKeys(hre, args.keys);
+        const { escrow } = await connectContracts(args.escrow, keys.wallet);
+        const channelId = BigInt(args.channel);
+        return send(escrow, args.session ? "openSession" : "open", [
+            channelId,
+            args.opponent,
+            BigInt(args.minSmallBlind),
+            args.signer ?? hre.ethers.ZeroAddress,
+            BigInt(args.slash),
+            ...await publicKeyArgs(hre, escrow, channelId, keys)
+        ], { value: BigInt(args.deposit) });
+    });
+
+task("channel:join", "Join a channel as player 2")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of player 2")
+    .addParam("deposit", "Deposit in wei")
+    .addOptionalParam("signer", "Address signing actions for player 2", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const keys = readKeys(hre, args.keys);
+        const { escrow } = await connectContracts(args.escrow, keys.wallet);
+        const channelId = BigInt(args.channel);
+        return send(escrow, "join", [
+            channelId,
+            args.signer ?? hre.ethers.ZeroAddress,
+            ...await publicKeyArgs(hre, escrow, channelId, keys)
+        ], { value: BigInt(args.deposit) });
+    });
+
+task("channel:start", "Submit the encrypted deck of the next hand")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of the player")
+    .addParam("deck", "JSON file with the 9 slot cards in `deck` and the `canonicalDeck` points or its seed in `canonicalDeckSeed`")
+    .setAction(async (args, hre) => {
+        const keys = readKeys(hre, args.keys);
+        const { escrow, peek } = await connectContracts(args.escrow, keys.wallet);
+        const { deck, canonicalDeck, canonicalDeckSeed } = readJson(args.deck);
+        const canonical = canonicalDeck ?? createCanonicalDeck(canonicalDeckSeed);
+        const canonicalDeckId = canonicalDeckHash(canonical);
+        if (!await peek.isCanonicalDeckRegistered(canonicalDeckId)) {
+            await send(escrow, "registerCanonicalDeck", [canonical]);
+        }
+        return send(escrow, "startGame", [BigInt(args.channel), deck, canonicalDeckId]);
+    });
+
+task("channel:settle", "Settle the current hand from a transcript ending in a fold or a showdown")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of the account sending the transaction")
+    .addParam("transcript", "Transcript file")
+    .addOptionalParam("signers", "Comma-separated key files signing an unsigned transcript", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { wallet } = readKeys(hre, args.keys);
+        const { escrow } = await connectContracts(args.escrow, wallet);
+        const channelId = BigInt(args.channel);
+        const { actions, signatures } = await readTranscript(hre, escrow, channelId, args.transcript, args.signers);
+        return send(escrow, "settle", [channelId, actions, signatures]);
+    });
+
+task("channel:dispute", "Start or extend a dispute with a transcript")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of the account sending the transaction")
+    .addParam("transcript", "Transcript file")
+    .addOptionalParam("signers", "Comma-separated key files signing an unsigned transcript", undefined, types.string)
+    .setAction(async (args, hre) => {
+        const { wallet } = readKeys(hre, args.keys);
+        const { escrow } = await connectContracts(args.escrow, wallet);
+        const channelId = BigInt(args.channel);
+        const { actions, signatures } = await readTranscript(hre, escrow, channelId, args.transcript, args.signers);
+        return send(escrow, "dispute", [channelId, actions, signatures]);
+    });
+
+task("channel:reveal", "Reveal the player's decryption shares of the showdown cards")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of the player")
+    .setAction(async (args, hre) => {
+        const { wallet, secretKey } = readKeys(hre, args.keys);
+        if (secretKey === null) throw new Error(`${args.keys} has no secretKey`);
+        const { escrow, peek } = await connectContracts(args.escrow, wallet);
+        const channelId = BigInt(args.channel);
+        const cards = [];
+        for (let slot = 0; slot < DECK_SLOTS; slot++) {
+            cards.push(partialDecrypt(secretKey, await peek.getDeck(channelId, slot)));
+        }
+        return send(escrow, "revealCards", [channelId, cards]);
+    });
+
+task("channel:status", "Print the channel, dispute, showdown and peek state as JSON")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .setAction(async (args, hre) => {
+        const { escrow, peek, showdown } = await connectContracts(args.escrow, hre.ethers.provider);
+        const channelId = BigInt(args.channel);
+        const status = {
+            channel: toJson(await escrow.getChannel(channelId)),
+            dispute: toJson(await escrow.getDispute(channelId)),
+            showdown: toJson(await showdown.getShowdown(channelId)),
+            peek: toJson(await peek.getPeek(channelId))
+        };
+        console.log(JSON.stringify(status, null, 2));
+        return status;
+    });
+
+task("channel:withdraw", "Withdraw the player's balance of a finalized channel")
+    .addParam("escrow", "Escrow address")
+    .addParam("channel", "Channel id")
+    .addParam("keys", "Key file of the player")
+    .setAction(async (args, hre) => {
+        const { wallet } = readKeys(hre, args.keys);
+        const { escrow } = await connectContracts(args.escrow, wallet);
+        return send(escrow, "withdraw", [BigInt(args.channel)]);
+    });
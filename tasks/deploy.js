@@ -0,0 +1,28 @@
+import { task } from "hardhat/config.js";
+import { deployContracts, manifestPath, readManifest, writeManifest } from "../deploy/deploy.js";
+
+/**
+ * Deploys the escrow and its helpers to the selected network and records the
+ * addresses in `deployments/<network>.json`, saving it after every contract
+ * deployed. Running it again resumes from that manifest, also after a failed
+ * run, so it only deploys and wires what is missing:
+ *
+ *   npx hardhat deploy --network sepolia --relay
+ */
+task("deploy", "Deploy and wire the escrow and its helpers, recording them in the network's manifest")
+    .addOptionalParam("manifest", "Manifest file, deployments/<network>.json by default")
+    .addFlag("relay", "Also deploy and wire a HeadsUpPokerRelay")
+    .setAction(async (args, hre) => {
+        const path = args.manifest ?? manifestPath(hre.config.paths.root, hre.network.name);
+        const { manifest } = await deployContracts(hre.ethers, {
+            manifest: readManifest(path),
+            network: hre.network.name,
+            relay: args.relay,
+            save: (progress) => writeManifest(path, progress)
+        });
+        for (const [name, address] of Object.entries(manifest.contracts)) {
+            if (address) console.log(`${name}: ${address}`);
+        }
+        console.log(`manifest: ${path}`);
+        return manifest;
+    });
@@ -1,8 +1,29 @@
 import { expect } from "chai";
 import hre from "hardhat";
+import { bn254 } from "@noble/curves/bn254.js";
+import {
+    createKeyPossessionProof,
+    expandMessageXmd,
+    g1ToBytes,
+    hashToCurveG1,
+    KEY_POSSESSION_DST,
+    publicKeyFromSecret,
+    verifyKeyPossessionProof
+} from "../../sdk/bn254.js";
 
 const { ethers } = hre;
 
+const P = bn254.fields.Fp.ORDER;
+const Fp2 = bn254.fields.Fp2;
+
+// Point on the twist curve outside the prime-order subgroup: x = 1, y = sqrt(1 + b')
+function nonSubgroupG2() {
+    const x = Fp2.create({ c0: 1n, c1: 0n });
+    const twistB = Fp2.div(Fp2.create({ c0: 3n, c1: 0n }), Fp2.create({ c0: 9n, c1: 1n }));
+    const y = Fp2.sqrt(Fp2.add(Fp2.mul(Fp2.sqr(x), x), twistB));
+    return ethers.concat([x.c1, x.c0, y.c1, y.c0].map((c) => ethers.toBeHex(c, 32)));
+}
+
 describe("Bn254", function () {
     let contract;
 
@@ -152,4 +173,97 @@ describe("Bn254", function () {
             ).to.be.revertedWithCustomError(contract, "IncorrectSizeU");
         });
     });
+
+    describe("isG2OnCurve", function () {
+        const pk = publicKeyFromSecret(12345n);
+
+        it("accepts public keys", async function () {
+            expect(await contract.isG2OnCurve(pk)).to.be.true;
+            expect(await contract.isG2OnCurve(nonSubgroupG2())).to.be.true;
+        });
+
+        it("rejects infinity, invalid lengths and points off the twist", async function () {
+            expect(await contract.isG2OnCurve("0x" + "00".repeat(128))).to.be.false;
+            expect(await contract.isG2OnCurve(ethers.dataSlice(pk, 0, 96))).to.be.false;
+
+            const offCurve = ethers.concat([ethers.dataSlice(pk, 0, 96), ethers.toBeHex(1n, 32)]);
+            expect(await contract.isG2OnCurve(offCurve)).to.be.false;
+
+            // Coordinate shifted by p is the same field element, but not canonical
+            const yReal = BigInt(ethers.dataSlice(pk, 96));
+            const unreduced = ethers.concat([ethers.dataSlice(pk, 0, 96), ethers.toBeHex(yReal + P, 32)]);
+            expect(await contract.isG2OnCurve(unreduced)).to.be.false;
+        });
+    });
+
+    describe("hashToCurveG1", function () {
+        // RFC 9380 test suite tag for BN254G1_XMD:SHA-256_SVDW_RO_
+        const dst = "QUUX-V01-CS02-with-BN254G1_XMD:SHA-256_SVDW_RO_";
+
+        it("expands messages as in the RFC 9380 SHA-256 vectors", function () {
+            const expanderDst = "QUUX-V01-CS02-with-expander-SHA256-128";
+            expect(ethers.hexlify(expandMessageXmd(ethers.toUtf8Bytes(""), expanderDst, 32)))
+                .to.equal("0x68a985b87eb6b46952128911f2a4412bbc302a9d759667f87f7a21d803f07235");
+            expect(ethers.hexlify(expandMessageXmd(ethers.toUtf8Bytes("abc"), expanderDst, 32)))
+                .to.equal("0xd8ccab23b5985ccea865c6c97b6e5b8350e794e603b4b97902f53a8a0d605615");
+        });
+
+        it("matches the reference vector on-chain and in the SDK", async function () {
+            const expected = ethers.concat([
+                "0x0a976ab906170db1f9638d376514dbf8c42aef256a54bbd48521f20749e59e86",
+                "0x02925ead66b9e68bfc309b014398640ab55f6619ab59bc1fab2210ad4c4d53d5"
+            ]);
+            expect(g1ToBytes(hashToCurveG1("0x", dst))).to.equal(expected);
+            expect(await contract.hashToCurveG1("0x", ethers.toUtf8Bytes(dst))).to.equal(expected);
+        });
+
+        it("agrees with the SDK on arbitrary messages", async function () {
+            for (const message of ["0x00", ethers.toUtf8Bytes("abc"), ethers.id("card"), "0x" + "ab".repeat(100)]) {
+                expect(await contract.hashToCurveG1(message, ethers.toUtf8Bytes(dst)))
+                    .to.equal(g1ToBytes(hashToCurveG1(message, dst)));
+            }
+        });
+
+        it("rejects tags longer than 255 bytes", async function () {
+            await expect(contract.hashToCurveG1("0x", ethers.toUtf8Bytes("a".repeat(256))))
+                .to.be.revertedWithCustomError(contract, "IncorrectSizeDst");
+        });
+    });
+
+    describe("verifyKeyPossession", function () {
+        const secretKey = 12345n;
+        const pk = publicKeyFromSecret(secretKey);
+        const message = ethers.id("possession");
+        const proof = g1ToBytes(hashToCurveG1(message, KEY_POSSESSION_DST).multiply(secretKey));
+
+        it("accepts a signature by the key's owner", async function () {
+            expect(await contract.verifyKeyPossession(pk, proof, message)).to.be.true;
+        });
+
+        it("rejects other messages, keys and malformed proofs", async function () {
+            expect(await contract.verifyKeyPossession(pk, proof, ethers.id("other"))).to.be.false;
+            expect(await contract.verifyKeyPossession(publicKeyFromSecret(secretKey + 1n), proof, message)).to.be.false;
+            expect(await contract.verifyKeyPossession(pk, ethers.concat([ethers.ZeroHash, ethers.ZeroHash]), message)).to.be.false;
+            expect(await contract.verifyKeyPossession(pk, "0x", message)).to.be.false;
+        });
+
+        it("rejects a signature under the deck hash-to-curve tag", async function () {
+            const deckProof = g1ToBytes(hashToCurveG1(message).multiply(secretKey));
+            expect(await contract.verifyKeyPossession(pk, deckProof, message)).to.be.false;
+        });
+
+        it("rejects keys outside the prime-order subgroup", async function () {
+            expect(await contract.verifyKeyPossession(nonSubgroupG2(), proof, message)).to.be.false;
+        });
+
+        it("agrees with the SDK proof helpers", async function () {
+            const player = "0x00000000000000000000000000000000000000A1";
+            const escrow = "0x00000000000000000000000000000000000000E5";
+            const sdkProof = createKeyPossessionProof(secretKey, 7n, player, escrow, 31337n);
+
+            expect(verifyKeyPossessionProof(pk, sdkProof, 7n, player, escrow, 31337n)).to.be.true;
+            expect(verifyKeyPossessionProof(pk, sdkProof, 8n, player, escrow, 31337n)).to.be.false;
+            expect(verifyKeyPossessionProof(nonSubgroupG2(), sdkProof, 7n, player, escrow, 31337n)).to.be.false;
+        });
+    });
 });
@@ -0,0 +1,143 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { deployContracts, readManifest, verifyDeployment } from "../../deploy/deploy.js";
+import { connectDeployment } from "../../sdk/contracts.js";
+
+const { ethers } = hre;
+
+describe("Deployment", function () {
+    it("deploys and wires the escrow and records it in a manifest", async function () {
+        const { escrow, replay, peek, showdown, relay, manifest } = await deployContracts(ethers, { network: "test" });
+        expect(relay).to.equal(null);
+        expect(await escrow.getPeekAddress()).to.equal(await peek.getAddress());
+        expect(await escrow.getShowdownAddress()).to.equal(await showdown.getAddress());
+        expect(await escrow.getReplayAddress()).to.equal(await replay.getAddress());
+        expect(manifest).to.deep.equal({
+            network: "test",
+            chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+            contracts: {
+                escrow: await escrow.getAddress(),
+                replay: await replay.getAddress(),
+                peek: await peek.getAddress(),
+                showdown: await showdown.getAddress(),
+                relay: null
+            },
+            blockNumber: (await escrow.deploymentTransaction().wait()).blockNumber
+        });
+    });
+
+    it("reuses a complete deployment without sending transactions", async function () {
+        const first = await deployContracts(ethers);
+        const block = await ethers.provider.getBlockNumber();
+
+        const second = await deployContracts(ethers, { manifest: first.manifest });
+        expect(second.manifest).to.deep.equal(first.manifest);
+        expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("deploys and wires only what the manifest is missing", async function () {
+        const [owner] = await ethers.getSigners();
+        const escrow = await (await ethers.getContractFactory("HeadsUpPokerEscrow")).deploy();
+        const replay = await (await ethers.getContractFactory("HeadsUpPokerReplay")).deploy();
+        const manifest = {
+            network: "hardhat",
+            chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+            contracts: {
+                escrow: await escrow.getAddress(),
+                replay: await replay.getAddress(),
+                // Never deployed
+                peek: ethers.Wallet.createRandom().address,
+                showdown: null,
+                relay: null
+            },
+            blockNumber: 7
+        };
+
+        const resumed = await deployContracts(ethers, { manifest, signer: owner, relay: true });
+        expect(resumed.manifest.contracts.escrow).to.equal(manifest.contracts.escrow);
+        expect(resumed.manifest.contracts.replay).to.equal(manifest.contracts.replay);
+        expect(resumed.manifest.contracts.peek).to.not.equal(manifest.contracts.peek);
+        expect(resumed.manifest.contracts.relay).to.equal(await escrow.getRelayAddress());
+        expect(resumed.manifest.blockNumber).to.equal(7);
+        await verifyDeployment(resumed);
+
+        // A second run finds the relay wired and deploys nothing
+        const block = await ethers.provider.getBlockNumber();
+        const again = await deployContracts(ethers, { manifest: resumed.manifest, relay: true });
+        expect(again.manifest).to.deep.equal(resumed.manifest);
+        expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("saves the manifest after every deployment and resumes a failed run", async function () {
+        const saved = [];
+        await expect(deployContracts(ethers, {
+            save: (manifest) => {
+                saved.push(manifest);
+                // The run dies once the peek is deployed
+                if (manifest.contracts.peek) throw new Error("interrupted");
+            }
+        })).to.be.rejectedWith("interrupted");
+        expect(saved.map((m) => Object.keys(m.contracts).filter((key) => m.contracts[key])))
+            .to.deep.equal([["replay"], ["escrow", "replay"], ["escrow", "replay", "peek"]]);
+        const partial = saved[2];
+        expect(partial.blockNumber).to.not.equal(null);
+
+        const resumed = await deployContracts(ethers, { manifest: partial, save: (manifest) => saved.push(manifest) });
+        for (const key of ["escrow", "replay", "peek"]) {
+            expect(resumed.manifest.contracts[key]).to.equal(partial.contracts[key]);
+        }
+        expect(resumed.manifest.blockNumber).to.equal(partial.blockNumber);
+        // The showdown, then the complete manifest
+        expect(saved.slice(3)).to.have.length(2);
+        expect(saved.at(-1)).to.deep.equal(resumed.manifest);
+        await verifyDeployment(resumed);
+    });
+
+    it("rejects a manifest that disagrees with the escrow's wiring", async function () {
+        const { escrow, replay, manifest } = await deployContracts(ethers);
+        const otherPeek = await (await ethers.getContractFactory("HeadsUpPokerPeek"))
+            .deploy(await escrow.getAddress(), await replay.getAddress());
+
+        const wrongPeek = { ...manifest, contracts: { ...manifest.contracts, peek: await otherPeek.getAddress() } };
+        await expect(deployContracts(ethers, { manifest: wrongPeek }))
+            .to.be.rejectedWith(`Escrow is wired to peek ${manifest.contracts.peek}, expected ${wrongPeek.contracts.peek}`);
+        await expect(deployContracts(ethers, { manifest: { ...manifest, chainId: "1" } }))
+            .to.be.rejectedWith("Manifest is for chain 1");
+    });
+
+    it("writes the manifest from the deploy task and resumes from it", async function () {
+        const dir = mkdtempSync(join(tmpdir(), "deployments-"));
+        const log = console.log;
+        console.log = () => {};
+        try {
+            const path = join(dir, "hardhat.json");
+            const manifest = await hre.run("deploy", { manifest: path });
+            expect(readManifest(path)).to.deep.equal(manifest);
+            expect(await hre.run("deploy", { manifest: path })).to.deep.equal(manifest);
+        } finally {
+            console.log = log;
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("connects the SDK to the contracts of a manifest", async function () {
+        const [player] = await ethers.getSigners();
+        const { escrow, peek, showdown, replay, manifest } = await deployContracts(ethers);
+
+        const contracts = await connectDeployment(JSON.parse(JSON.stringify(manifest)), player);
+        expect(await contracts.escrow.getAddress()).to.equal(await escrow.getAddress());
+        expect(await contracts.escrow.getPeekAddress()).to.equal(await peek.getAddress());
+        expect(await contracts.showdown.getAddress()).to.equal(await showdown.getAddress());
+        expect(await contracts.replay.getAddress()).to.equal(await replay.getAddress());
+        expect(contracts.relay).to.equal(null);
+
+        await expect(connectDeployment({ ...manifest, chainId: "1" }, ethers.provider))
+            .to.be.rejectedWith("Manifest is for chain 1");
+        await expect(connectDeployment({ ...manifest, contracts: { escrow: manifest.contracts.escrow } }, player))
+            .to.be.rejectedWith("Manifest is missing contract addresses");
+    });
+});
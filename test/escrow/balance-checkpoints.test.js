@@ -0,0 +1,206 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import { deckHash } from "../../sdk/deck.js";
+import { signBalanceCheckpoint, signCloseChannel } from "../../sdk/signing.js";
+import {
+    buildActions,
+    signActions,
+    createMockDeck,
+    createMockCanonicalDeck,
+    registerCanonicalDeck,
+    startGameWithDeck,
+    playPlayer1WinsShowdown,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Balance checkpoints", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+
+    let escrow;
+    let player1, player2, other;
+    let escrowAddress;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2, other] = await ethers.getSigners();
+        ({ escrow } = await deployAndWireContracts());
+        escrowAddress = await escrow.getAddress();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await openAndJoin(escrow, channelId, player1, player2, { deposit });
+    });
+
+    // Without a deck the checkpoint signs zero hashes, as before both players agreed on one
+    async function checkpoint(handId, deposit1, deposit2, nonce, {
+        signers = [player1, player2], deck = [], canonicalDeckId = ethers.ZeroHash
+    } = {}) {
+        const cp = {
+            channelId, handId, deposit1, deposit2, nonce,
+            deckHash: deck.length ? deckHash(deck) : ethers.ZeroHash,
+            canonicalDeckId
+        };
+        const [signature1, signature2] = await Promise.all(
+            signers.map((signer) => signBalanceCheckpoint(cp, signer, escrowAddress, chainId))
+        );
+        return [channelId, handId, deposit1, deposit2, nonce, deck, canonicalDeckId, signature1, signature2];
+    }
+
+    it("finalizes with the checkpoint balances when no hand is in progress", async function () {
+        await startGameWithDeck(escrow, channelId, player1, player2);
+
+        await expect(escrow.connect(player1).disputeCheckpoint(...await checkpoint(12n, deposit + 40n, deposit - 40n, 11n)))
+            .to.emit(escrow, "CheckpointApplied")
+            .withArgs(channelId, 12n, deposit + 40n, deposit - 40n, 11n)
+            .and.to.emit(escrow, "DisputeStarted")
+            .withArgs(channelId, player1.address, 0n);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.handId).to.equal(12n);
+        expect(ch.gameStarted).to.equal(false);
+        expect(ch.checkpointNonce).to.equal(11n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit + 40n, deposit - 40n]);
+
+        await expect(escrow.finalizeDispute(channelId))
+            .to.be.revertedWithCustomError(escrow, "DisputeStillActive");
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await expect(escrow.finalizeDispute(channelId))
+            .to.emit(escrow, "DisputeFinalized")
+            .withArgs(channelId, ethers.ZeroAddress, 0n);
+
+        await expect(escrow.connect(player2).withdraw(channelId))
+            .to.emit(escrow, "Withdrawn")
+            .withArgs(channelId, player2.address, deposit - 40n);
+    });
+
+    it("lets the highest nonce win", async function () {
+        await escrow.connect(player1).disputeCheckpoint(...await checkpoint(3n, deposit + 9n, deposit - 9n, 2n));
+
+        await expect(escrow.connect(player2).disputeCheckpoint(...await checkpoint(5n, deposit - 4n, deposit + 4n, 4n)))
+            .to.emit(escrow, "DisputeExtended")
+            .withArgs(channelId, player2.address, 0n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 4n, deposit + 4n]);
+
+        await expect(escrow.disputeCheckpoint(...await checkpoint(5n, deposit + 9n, deposit - 9n, 4n)))
+            .to.be.revertedWithCustomError(escrow, "CheckpointNotNewer");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(3n, deposit + 9n, deposit - 9n, 7n)))
+            .to.be.revertedWithCustomError(escrow, "CheckpointWrongHand");
+    });
+
+    it("replays the in-progress hand from the checkpoint's deck while the opponent stays offline", async function () {
+        // Hands 1-3 were played off-chain; hand 4 (player 2 on the small blind) is in progress
+        // and player 1 never comes back to commit its deck with startGame
+        const deck = createMockDeck();
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createMockCanonicalDeck());
+        await expect(escrow.connect(player2).disputeCheckpoint(
+            ...await checkpoint(4n, deposit - 10n, deposit + 10n, 3n, { deck, canonicalDeckId })
+        ))
+            .to.emit(escrow, "GameStarted")
+            .withArgs(channelId, deckHash(deck));
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.gameStarted).to.equal(true);
+        expect(ch.startDeadline).to.equal(0n);
+        expect([ch.deckHashPlayer1, ch.deckHashPlayer2]).to.deep.equal([deckHash(deck), deckHash(deck)]);
+
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet1.address },
+            { action: ACTION.BET_RAISE, amount: 5n, sender: wallet2.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ], channelId, 4n);
+        const signatures = await signActions(actions, [wallet1, wallet2], escrowAddress, chainId);
+        await expect(escrow.connect(player2).dispute(channelId, actions, signatures))
+            .to.emit(escrow, "DisputeExtended")
+            .withArgs(channelId, player2.address, 4n);
+
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await expect(escrow.finalizeDispute(channelId))
+            .to.emit(escrow, "DisputeFinalized")
+            .withArgs(channelId, player2.address, 2n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 12n, deposit + 12n]);
+    });
+
+    it("discards a transcript disputed against older balances", async function () {
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, 1n);
+        const signatures = await signActions(actions, [wallet1, wallet2], escrowAddress, chainId);
+        await escrow.dispute(channelId, actions, signatures);
+
+        // Same hand: the deck stays committed but the dispute starts over
+        await escrow.disputeCheckpoint(...await checkpoint(1n, deposit + 1n, deposit - 1n, 1n));
+        expect((await escrow.getChannel(channelId)).gameStarted).to.equal(true);
+        expect((await escrow.getDispute(channelId)).actionCount).to.equal(0n);
+        await expect(escrow.dispute(channelId, actions, signatures))
+            .to.emit(escrow, "DisputeExtended");
+    });
+
+    it("keeps the deck of a hand that already started", async function () {
+        const deck = createMockDeck();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck);
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createMockCanonicalDeck());
+
+        await expect(escrow.disputeCheckpoint(
+            ...await checkpoint(1n, deposit + 1n, deposit - 1n, 1n, { deck: createMockDeck(), canonicalDeckId })
+        )).to.not.emit(escrow, "GameStarted");
+        expect((await escrow.getChannel(channelId)).deckHashPlayer1).to.equal(deckHash(deck));
+    });
+
+    it("rejects checkpoints that are not co-signed or do not match the escrow", async function () {
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 1n, { signers: [player1, player1] })))
+            .to.be.revertedWithCustomError(escrow, "CheckpointWrongSigner");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 1n, { signers: [player1, other] })))
+            .to.be.revertedWithCustomError(escrow, "CheckpointWrongSigner");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit + 1n, 1n)))
+            .to.be.revertedWithCustomError(escrow, "BalanceMismatch");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 0n)))
+            .to.be.revertedWithCustomError(escrow, "CheckpointNotNewer");
+    });
+
+    it("rejects a deck the checkpoint does not commit to", async function () {
+        const deck = createMockDeck();
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createMockCanonicalDeck());
+
+        const args = await checkpoint(2n, deposit, deposit, 1n, { deck, canonicalDeckId });
+        args[5] = [...deck].reverse();
+        await expect(escrow.disputeCheckpoint(...args))
+            .to.be.revertedWithCustomError(escrow, "CheckpointWrongSigner");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 1n, { deck })))
+            .to.be.revertedWithCustomError(escrow, "CanonicalDeckNotRegistered");
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 1n, { deck: deck.slice(1), canonicalDeckId })))
+            .to.be.revertedWithCustomError(escrow, "InvalidDeck");
+    });
+
+    it("waits for a showdown in progress", async function () {
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+
+        await expect(escrow.disputeCheckpoint(...await checkpoint(2n, deposit, deposit, 1n)))
+            .to.be.revertedWithCustomError(escrow, "ShowdownInProgress");
+    });
+
+    it("lets a cooperative close follow hands played off-chain", async function () {
+        const close = { channelId, handId: 20n, balance1: deposit + 3n, balance2: deposit - 3n, nonce: 0n };
+        const [signature1, signature2] = await Promise.all(
+            [player1, player2].map((signer) => signCloseChannel(close, signer, escrowAddress, chainId))
+        );
+        await escrow.closeChannel(channelId, 20n, close.balance1, close.balance2, 0n, signature1, signature2);
+
+        // Reopening continues after the last hand, so old checkpoints cannot be replayed
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1)
+        );
+        expect(await escrow.getHandId(channelId)).to.equal(21n);
+    });
+});
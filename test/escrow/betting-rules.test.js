@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import { BETTING_STRUCTURE, NO_LIMIT_RULES, bettingRulesId } from "../../sdk/replay.js";
+import {
+    buildActions,
+    signActions,
+    startGameWithDeck,
+    deployAndWireContracts,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Betting rules", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const potLimit = { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.POT_LIMIT };
+    const windows = { dispute: 0n, start: 0n, reveal: 0n, peek: 0n };
+
+    let escrow;
+    let replay;
+    let player1, player2;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        ({ escrow, replay } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function openWithRules(bettingRulesId) {
+        return escrow.connect(player1).openWithOptions(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { token: ethers.ZeroAddress, amount: 0n, session: false, windows, bettingRulesId, blindScheduleId: ethers.ZeroHash },
+            { value: deposit }
+        );
+    }
+
+    async function signed(specs) {
+        const actions = buildActions(specs, channelId, 1n);
+        return [channelId, actions, await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId)];
+    }
+
+    // SB raises to 6, more than the pot allows
+    const overbet = [
+        { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+        { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+        { action: ACTION.BET_RAISE, amount: 6n, sender: wallet1.address },
+        { action: ACTION.FOLD, amount: 0n, sender: wallet2.address }
+    ];
+
+    it("replays the channel's hands under its betting rules", async function () {
+        await replay.registerBettingRules(potLimit);
+        const id = bettingRulesId(potLimit);
+        await openWithRules(id);
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }
+        );
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        expect((await escrow.getChannel(channelId)).bettingRulesId).to.equal(id);
+
+        await expect(escrow.settle(...await signed(overbet)))
+            .to.be.revertedWithCustomError(replay, "PotLimitExceeded");
+        await expect(escrow.dispute(...await signed(overbet)))
+            .to.be.revertedWithCustomError(replay, "PotLimitExceeded");
+
+        await expect(escrow.settle(...await signed([
+            ...overbet.slice(0, 2),
+            { action: ACTION.BET_RAISE, amount: 5n, sender: wallet1.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet2.address }
+        ])))
+            .to.emit(escrow, "Settled")
+            .withArgs(channelId, player1.address, 2n);
+    });
+
+    it("pays the antes with the pot", async function () {
+        const antes = { ...NO_LIMIT_RULES, ante: 10n, bigBlindMultiplier: 3 };
+        await replay.registerBettingRules(antes);
+        await openWithRules(bettingRulesId(antes));
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }
+        );
+        await startGameWithDeck(escrow, channelId, player1, player2);
+
+        // Player 1 folds the small blind and loses it with the ante
+        await expect(escrow.settle(...await signed([
+            { action: ACTION.ANTE, amount: 10n, sender: wallet1.address },
+            { action: ACTION.ANTE, amount: 10n, sender: wallet2.address },
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 3n, sender: wallet2.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ])))
+            .to.emit(escrow, "Settled")
+            .withArgs(channelId, player2.address, 11n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 11n, deposit + 11n]);
+    });
+
+    it("only opens channels on registered rules", async function () {
+        await expect(openWithRules(bettingRulesId(potLimit)))
+            .to.be.revertedWithCustomError(escrow, "BettingRulesNotRegistered");
+        expect(await escrow.getReplayAddress()).to.equal(await replay.getAddress());
+
+        await openWithRules(ethers.ZeroHash);
+        expect((await escrow.getChannel(channelId)).bettingRulesId).to.equal(ethers.ZeroHash);
+    });
+});
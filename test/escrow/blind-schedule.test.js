@@ -0,0 +1,266 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import {
+    NO_LIMIT_RULES,
+    ReplayError,
+    bettingRulesId,
+    blindScheduleId,
+    replayGameState,
+    smallBlindAt
+} from "../../sdk/replay.js";
+import {
+    buildActions,
+    signActions,
+    wallet1,
+    wallet2,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    createPartialDecrypt,
+    startGameWithDeck,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+    publicKeyArgs,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Blind schedules", function () {
+    const channelId = 1n;
+    const buyIn = 10n;
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "sng_deck");
+    const canonicalDeck = createCanonicalDeck("canonical_deck");
+    const windows = { dispute: 0n, start: 0n, reveal: 0n, peek: 0n };
+    const levels = [
+        { hand: 1n, smallBlind: 1n },
+        { hand: 2n, smallBlind: 2n },
+        { hand: 3n, smallBlind: 5n }
+    ];
+
+    let escrow;
+    let replay;
+    let showdown;
+    let peek;
+    let player1, player2;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        ({ escrow, replay, showdown, peek } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    // Opens a match that player 2 has not joined yet
+    async function openMatch(scheduleId) {
+        return escrow.connect(player1).openWithOptions(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
+            {
+                token: ethers.ZeroAddress, amount: 0n, session: false, windows,
+                bettingRulesId: ethers.ZeroHash, blindScheduleId: scheduleId
+            },
+            { value: buyIn }
+        );
+    }
+
+    async function openAndJoinMatch(scheduleId, { rulesId = ethers.ZeroHash, slashAmount = 0n, deposit2 = buyIn } = {}) {
+        await openAndJoin(escrow, channelId, player1, player2, {
+            deposit: buyIn,
+            deposit2,
+            slashAmount,
+            openOptions: { windows, bettingRulesId: rulesId, blindScheduleId: scheduleId },
+            secretKeys: [crypto.secretKeyA, crypto.secretKeyB]
+        });
+    }
+
+    async function settle(specs) {
+        const actions = buildActions(specs, channelId, await escrow.getHandId(channelId));
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        return escrow.settle(channelId, actions, signatures);
+    }
+
+    it("registers schedules once and looks up the level of a hand", async function () {
+        const id = blindScheduleId(levels);
+        expect(await replay.registerBlindSchedule.staticCall(levels)).to.equal(id);
+        await expect(replay.registerBlindSchedule(levels))
+            .to.emit(replay, "BlindScheduleRegistered")
+            .withArgs(id, 3n);
+        await expect(replay.registerBlindSchedule(levels))
+            .to.not.emit(replay, "BlindScheduleRegistered");
+
+        expect(await replay.getBlindSchedule(id)).to.deep.equal(levels.map((l) => [l.hand, l.smallBlind]));
+        for (const hand of [1n, 2n, 3n, 50n]) {
+            expect(await replay.smallBlindAt(id, hand)).to.equal(smallBlindAt(levels, hand));
+        }
+        await expect(replay.smallBlindAt(ethers.ZeroHash, 1n))
+            .to.be.revertedWithCustomError(replay, "BlindScheduleNotRegistered");
+
+        for (const invalid of [
+            [],
+            [{ hand: 2n, smallBlind: 1n }],
+            [{ hand: 1n, smallBlind: 0n }],
+            [{ hand: 1n, smallBlind: 1n }, { hand: 1n, smallBlind: 2n }]
+        ]) {
+            await expect(replay.registerBlindSchedule(invalid))
+                .to.be.revertedWithCustomError(replay, "InvalidBlindSchedule");
+        }
+    });
+
+    it("raises the blinds by hand and credits the whole prize to the last player with chips", async function () {
+        await escrow.setRake(1000n, 0n);
+        await replay.registerBlindSchedule(levels);
+        const id = blindScheduleId(levels);
+        await openAndJoinMatch(id);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.blindScheduleId).to.equal(id);
+        expect(ch.scheduleStartHand).to.equal(1n);
+        expect(ch.session).to.equal(true);
+        expect(ch.rakeBps).to.equal(0n);
+        expect(await escrow.getMinSmallBlind(channelId)).to.equal(1n);
+
+        // Hand 1: player 1 folds the small blind
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settle([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ]);
+        await expect(escrow.connect(player1).closeSession(channelId))
+            .to.be.revertedWithCustomError(escrow, "MatchInProgress");
+
+        // Hand 2 plays the second level
+        expect(await escrow.getMinSmallBlind(channelId)).to.equal(2n);
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await expect(settle([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet1.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet2.address }
+        ])).to.be.revertedWithCustomError(replay, "SmallBlindAmountInvalid");
+        await settle([
+            { action: ACTION.SMALL_BLIND, amount: 2n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 4n, sender: wallet1.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet2.address }
+        ]);
+        expect(await escrow.stacks(channelId)).to.deep.equal([11n, 9n]);
+
+        // Hand 3: player 2 is short of the big blind of 10 and posts all-in
+        expect(await escrow.getMinSmallBlind(channelId)).to.equal(5n);
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settle([
+            { action: ACTION.SMALL_BLIND, amount: 5n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 9n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address }
+        ]);
+
+        // Only player 1 reveals and wins the showdown by default
+        const partials = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        await escrow.connect(player1).revealCards(channelId, partials);
+        await advanceTime(await showdown.revealWindow() + 1n);
+
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.emit(escrow, "MatchWon")
+            .withArgs(channelId, player1.address, 2n * buyIn);
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+        expect(await escrow.stacks(channelId)).to.deep.equal([2n * buyIn, 0n]);
+        expect(await escrow.accruedRake(ethers.ZeroAddress)).to.equal(0n);
+
+        // The winner withdraws the prize like any balance
+        await expect(escrow.connect(player1).withdraw(channelId))
+            .to.changeEtherBalances([escrow, player1], [-2n * buyIn, 2n * buyIn]);
+    });
+
+    it("holds the small blind to the level and plays out a stack short of the ante", async function () {
+        const rules = { ...NO_LIMIT_RULES, ante: 3n };
+        await replay.registerBettingRules(rules);
+        await replay.registerBlindSchedule(levels);
+        // Player 2 buys in for less than an ante
+        await openAndJoinMatch(blindScheduleId(levels), { rulesId: bettingRulesId(rules), deposit2: 2n });
+
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        const antes = [
+            { action: ACTION.ANTE, amount: 3n, sender: wallet1.address },
+            { action: ACTION.ANTE, amount: 2n, sender: wallet2.address }
+        ];
+        // Big blind is 0 as player 2 is all-in with the ante
+        const above = [
+            ...antes,
+            { action: ACTION.SMALL_BLIND, amount: 2n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 0n, sender: wallet2.address }
+        ];
+        await expect(settle(above)).to.be.revertedWithCustomError(replay, "SmallBlindAmountInvalid");
+        // The SDK rejects the small blind before it is co-signed
+        const actions = buildActions(above, channelId, await escrow.getHandId(channelId));
+        expect(() => replayGameState(actions, buyIn, 2n, 1n, wallet1.address, wallet2.address, rules, true))
+            .to.throw(ReplayError, "SmallBlindAmountInvalid");
+        expect(replayGameState(actions, buyIn, 2n, 1n, wallet1.address, wallet2.address, rules).ended).to.equal(true);
+        await settle([
+            ...antes,
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 0n, sender: wallet2.address }
+        ]);
+        expect((await showdown.getShowdown(channelId)).inProgress).to.equal(true);
+
+        const partials = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        await escrow.connect(player1).revealCards(channelId, partials);
+        await advanceTime(await showdown.revealWindow() + 1n);
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.emit(escrow, "MatchWon")
+            .withArgs(channelId, player1.address, buyIn + 2n);
+    });
+
+    it("ends the match when a slashed peek leaves a player without chips", async function () {
+        await replay.registerBlindSchedule(levels);
+        await openAndJoinMatch(blindScheduleId(levels), { slashAmount: buyIn });
+
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, await escrow.getHandId(channelId));
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        await peek.connect(player1).requestHoleA(channelId, actions, signatures);
+
+        // Player 2 leaves the peek unanswered and loses the whole buy-in
+        await advanceTime(await peek.peekWindow() + 1n);
+        await expect(escrow.slashPeek(channelId))
+            .to.emit(escrow, "MatchWon")
+            .withArgs(channelId, player1.address, 2n * buyIn);
+        expect(await escrow.stacks(channelId)).to.deep.equal([2n * buyIn, 0n]);
+
+        // The match is over and its schedule released for the reopened channel
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA)
+        );
+        expect((await escrow.getChannel(channelId)).blindScheduleId).to.equal(ethers.ZeroHash);
+    });
+
+    it("keeps the schedule while a reopened channel still holds chips", async function () {
+        const id = blindScheduleId(levels);
+        await expect(openMatch(id))
+            .to.be.revertedWithCustomError(replay, "BlindScheduleNotRegistered");
+        await replay.registerBlindSchedule(levels);
+        await openMatch(id);
+
+        // Player 2 never joins, player 1's buy-in stays in the channel
+        await advanceTime(await escrow.startDeadlineWindow() + 1n);
+        await escrow.finalizeStaleChannel(channelId);
+
+        await expect(
+            escrow.connect(player1).open(
+                channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA)
+            )
+        ).to.be.revertedWithCustomError(escrow, "BlindScheduleMismatch");
+        await openMatch(id);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.handId).to.equal(2n);
+        expect(ch.scheduleStartHand).to.equal(1n);
+        expect(await escrow.getMinSmallBlind(channelId)).to.equal(2n);
+    });
+});
@@ -0,0 +1,173 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { signBalanceCheckpoint, signCloseChannel } from "../../sdk/signing.js";
+import {
+    startGameWithDeck,
+    playPlayer1WinsShowdown,
+    deployAndWireContracts,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Cooperative close", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+
+    let escrow;
+    let showdown;
+    let player1, player2, other;
+    let escrowAddress;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2, other] = await ethers.getSigners();
+        ({ escrow, showdown } = await deployAndWireContracts());
+        escrowAddress = await escrow.getAddress();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function openChannel({ player1Signer = ethers.ZeroAddress, session = false } = {}) {
+        const open = session ? escrow.connect(player1).openSession : escrow.connect(player1).open;
+        await open(
+            channelId, player2.address, 1n, player1Signer, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { value: deposit }
+        );
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }
+        );
+    }
+
+    async function agreement(balance1, balance2, signers = [player1, player2], overrides = {}) {
+        const close = {
+            channelId,
+            handId: await escrow.getHandId(channelId),
+            balance1,
+            balance2,
+            nonce: 0n,
+            ...overrides
+        };
+        const [signature1, signature2] = await Promise.all(
+            signers.map((signer) => signCloseChannel(close, signer, escrowAddress, chainId))
+        );
+        return [close.channelId, close.handId, close.balance1, close.balance2, close.nonce, signature1, signature2];
+    }
+
+    it("lets anyone finalize the channel with co-signed balances", async function () {
+        await openChannel();
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        const balance1 = deposit + 5n;
+        const balance2 = deposit - 5n;
+
+        await expect(escrow.connect(other).closeChannel(...await agreement(balance1, balance2, undefined, { nonce: 7n })))
+            .to.emit(escrow, "ChannelClosed")
+            .withArgs(channelId, balance1, balance2, 7n);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.finalized).to.equal(true);
+        expect(await escrow.stacks(channelId)).to.deep.equal([balance1, balance2]);
+
+        await expect(escrow.connect(player1).withdraw(channelId))
+            .to.emit(escrow, "Withdrawn")
+            .withArgs(channelId, player1.address, balance1);
+    });
+
+    it("abandons a showdown in progress", async function () {
+        await openChannel();
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+        expect(await showdown.isInProgress(channelId)).to.equal(true);
+
+        await escrow.closeChannel(...await agreement(deposit + 2n, deposit - 2n));
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.be.revertedWithCustomError(escrow, "AlreadyFinalized");
+    });
+
+    it("ends a session", async function () {
+        await openChannel({ session: true });
+
+        await escrow.closeChannel(...await agreement(deposit, deposit));
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+    });
+
+    it("accepts signatures of an optional signer", async function () {
+        const delegate = ethers.Wallet.createRandom();
+        await openChannel({ player1Signer: delegate.address });
+
+        await expect(escrow.closeChannel(...await agreement(deposit, deposit, [delegate, player2])))
+            .to.emit(escrow, "ChannelClosed");
+    });
+
+    it("rejects agreements that are not co-signed", async function () {
+        await openChannel();
+
+        await expect(escrow.closeChannel(...await agreement(deposit * 2n, 0n, [player1, player1])))
+            .to.be.revertedWithCustomError(escrow, "CloseWrongSigner");
+        await expect(escrow.closeChannel(...await agreement(deposit * 2n, 0n, [player2, player1])))
+            .to.be.revertedWithCustomError(escrow, "CloseWrongSigner");
+        await expect(escrow.closeChannel(...await agreement(deposit * 2n, 0n, [player1, other])))
+            .to.be.revertedWithCustomError(escrow, "CloseWrongSigner");
+    });
+
+    it("rejects balances that do not match the escrow or an old hand", async function () {
+        await openChannel();
+
+        await expect(escrow.closeChannel(...await agreement(deposit * 2n, 1n)))
+            .to.be.revertedWithCustomError(escrow, "BalanceMismatch");
+        await expect(escrow.closeChannel(...await agreement(deposit, deposit, undefined, { handId: 0n })))
+            .to.be.revertedWithCustomError(escrow, "CloseWrongHand");
+
+        // A close signed during one hand cannot be replayed after reopening
+        const args = await agreement(deposit, deposit);
+        await escrow.closeChannel(...args);
+        await expect(escrow.closeChannel(...args))
+            .to.be.revertedWithCustomError(escrow, "AlreadyFinalized");
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1)
+        );
+        await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2));
+        await expect(escrow.closeChannel(...args))
+            .to.be.revertedWithCustomError(escrow, "CloseWrongHand");
+    });
+
+    it("rejects an agreement signed before a newer checkpoint", async function () {
+        await openChannel({ session: true });
+
+        // The close is signed, then play continues and a newer checkpoint is disputed
+        const stale = await agreement(deposit + 5n, deposit - 5n, undefined, { nonce: 1n });
+        const cp = {
+            channelId, handId: 1n, deposit1: deposit - 20n, deposit2: deposit + 20n, nonce: 2n,
+            deckHash: ethers.ZeroHash, canonicalDeckId: ethers.ZeroHash
+        };
+        const signatures = await Promise.all(
+            [player1, player2].map((signer) => signBalanceCheckpoint(cp, signer, escrowAddress, chainId))
+        );
+        await escrow.disputeCheckpoint(
+            channelId, cp.handId, cp.deposit1, cp.deposit2, cp.nonce, [], cp.canonicalDeckId, ...signatures
+        );
+
+        await expect(escrow.closeChannel(...stale))
+            .to.be.revertedWithCustomError(escrow, "CloseStale");
+
+        // An agreement on the checkpoint's nonce or later settles and records its nonce
+        await expect(escrow.closeChannel(...await agreement(deposit - 20n, deposit + 20n, undefined, { nonce: 2n })))
+            .to.emit(escrow, "ChannelClosed")
+            .withArgs(channelId, deposit - 20n, deposit + 20n, 2n);
+        expect((await escrow.getChannel(channelId)).checkpointNonce).to.equal(2n);
+    });
+
+    it("requires the opponent to have joined", async function () {
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { value: deposit }
+        );
+
+        await expect(escrow.closeChannel(...await agreement(deposit, 0n)))
+            .to.be.revertedWithCustomError(escrow, "ChannelNotReady");
+    });
+});
@@ -1,7 +1,7 @@
 import { expect } from "chai";
 import hre from "hardhat";
 import { ACTION } from "../helpers/actions.js";
-import { buildActions, signActions, wallet1, wallet2, startGameWithDeck, deployAndWireContracts } from "../helpers/test-utils.js";
+import { buildActions, signActions, wallet1, wallet2, startGameWithDeck, deployAndWireContracts, publicKeyArgs } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
 
@@ -22,8 +22,8 @@ describe("HeadsUpPokerEscrow - Dispute Settlement", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
         });
 
@@ -53,8 +53,8 @@ describe("HeadsUpPokerEscrow - Dispute Settlement", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
         });
 
@@ -179,8 +179,8 @@ describe("HeadsUpPokerEscrow - Dispute Settlement", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
         });
 
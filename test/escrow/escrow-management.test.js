@@ -1,7 +1,8 @@
 import { expect } from "chai";
 import hre from "hardhat";
 import { ACTION } from "../helpers/actions.js";
-import { buildActions, signActions, wallet1, wallet2, startGameWithDeck, createMockDeck, createMockCanonicalDeck, settleBasicFold, deployAndWireContracts } from "../helpers/test-utils.js";
+import { indexToCard } from "../../sdk/cards.js";
+import { buildActions, signActions, wallet1, wallet2, startGameWithDeck, createMockDeck, createMockCanonicalDeck, settleBasicFold, deployAndWireContracts, publicKeyArgs, registerCanonicalDeck } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
 
@@ -12,6 +13,7 @@ async function advanceTime(seconds) {
 
 describe("HeadsUpPokerEscrow Management", function () {
     let escrow;
+    let peek;
     let player1, player2, other;
     let chainId;
 
@@ -19,7 +21,7 @@ describe("HeadsUpPokerEscrow Management", function () {
         [player1, player2, other] = await ethers.getSigners();
         chainId = (await ethers.provider.getNetwork()).chainId;
 
-        ({ escrow } = await deployAndWireContracts());
+        ({ escrow, peek } = await deployAndWireContracts());
     });
 
     describe("Helper configuration", function () {
@@ -35,7 +37,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             await expect(
                 unconfiguredEscrow
                     .connect(player1)
-                    .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", {
+                    .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", "0x", {
                         value: deposit
                     })
             ).to.be.revertedWithCustomError(
@@ -79,7 +81,7 @@ describe("HeadsUpPokerEscrow Management", function () {
 
         it("should allow player1 to open a channel", async function () {
             const minSmallBlind = 1n;
-            await expect(escrow.connect(player1).open(channelId, player2.address, minSmallBlind, ethers.ZeroAddress, 0n, "0x", { value: deposit }))
+            await expect(escrow.connect(player1).open(channelId, player2.address, minSmallBlind, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit }))
                 .to.emit(escrow, "ChannelOpened")
                 .withArgs(channelId, player1.address, player2.address, deposit, 1n, minSmallBlind);
 
@@ -100,14 +102,14 @@ describe("HeadsUpPokerEscrow Management", function () {
                 const opponent = setup.opponent === "self" ? player1.address :
                     setup.opponent === null ? player2.address : setup.opponent;
 
-                await expect(escrow.connect(player1).open(channelId, opponent, setup.minBlind, ethers.ZeroAddress, 0n, "0x", { value: setup.deposit }))
+                await expect(escrow.connect(player1).open(channelId, opponent, setup.minBlind, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: setup.deposit }))
                     .to.be.revertedWithCustomError(escrow, test.error);
             });
         });
 
         it("should reject opening duplicate channel", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit }))
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit }))
                 .to.be.revertedWithCustomError(escrow, "ChannelExists");
         });
 
@@ -115,8 +117,8 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId1 = 100n;
             const channelId2 = 101n;
 
-            await escrow.connect(player1).open(channelId1, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player1).open(channelId2, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId1, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId1, player1), { value: deposit });
+            await escrow.connect(player1).open(channelId2, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId2, player1), { value: deposit });
 
             expect(await escrow.getHandId(channelId1)).to.equal(1n);
             expect(await escrow.getHandId(channelId2)).to.equal(1n);
@@ -128,11 +130,11 @@ describe("HeadsUpPokerEscrow Management", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
         });
 
         it("should allow player2 to join the channel", async function () {
-            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit }))
+            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }))
                 .to.emit(escrow, "ChannelJoined")
                 .withArgs(channelId, player2.address, deposit);
 
@@ -165,18 +167,112 @@ describe("HeadsUpPokerEscrow Management", function () {
                 const setup = test.setup();
                 const player = setup.player === "player2" ? player2 : other;
 
-                await expect(escrow.connect(player).join(setup.channelId, ethers.ZeroAddress, "0x", { value: setup.deposit }))
+                await expect(escrow.connect(player).join(setup.channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, setup.channelId, player), { value: setup.deposit }))
                     .to.be.revertedWithCustomError(escrow, test.error);
             });
         });
 
         it("should reject joining already joined channel", async function () {
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
-            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit }))
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
+            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }))
                 .to.be.revertedWithCustomError(escrow, "AlreadyJoined");
         });
     });
 
+    describe("Public key registration", function () {
+        const channelId = 3n;
+        const deposit = ethers.parseEther("1.0");
+
+        it("stores keys that come with a proof of possession", async function () {
+            const [publicKeyA] = await publicKeyArgs(escrow, channelId, player1, 111n);
+            const [publicKeyB] = await publicKeyArgs(escrow, channelId, player2, 222n);
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1, 111n), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, 222n), { value: deposit });
+
+            expect(await peek.getPublicKeys(channelId)).to.deep.equal([publicKeyA, publicKeyB]);
+        });
+
+        it("rejects malformed public keys", async function () {
+            const [publicKey, proof] = await publicKeyArgs(escrow, channelId, player1);
+            const badKeys = [
+                "0x",
+                "0x" + "00".repeat(128),
+                ethers.dataSlice(publicKey, 0, 64),
+                ethers.concat([ethers.dataSlice(publicKey, 0, 96), ethers.toBeHex(1n, 32)])
+            ];
+
+            for (const badKey of badKeys) {
+                await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, badKey, proof, { value: deposit }))
+                    .to.be.revertedWithCustomError(peek, "InvalidPublicKey");
+            }
+        });
+
+        it("rejects proofs made for another channel or player", async function () {
+            const [publicKeyA, proofA] = await publicKeyArgs(escrow, channelId, player1);
+            const [, otherChannelProof] = await publicKeyArgs(escrow, channelId + 1n, player1);
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, publicKeyA, otherChannelProof, { value: deposit }))
+                .to.be.revertedWithCustomError(peek, "InvalidKeyProof");
+
+            // Player 2 cannot register a copy of player 1's key
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, publicKeyA, proofA, { value: deposit });
+            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, publicKeyA, proofA, { value: deposit }))
+                .to.be.revertedWithCustomError(peek, "InvalidKeyProof");
+        });
+    });
+
+    describe("Canonical deck registry", function () {
+        const channelId = 4n;
+        const deposit = ethers.parseEther("1.0");
+
+        it("registers a deck once under its content hash", async function () {
+            const canonicalDeck = createMockCanonicalDeck();
+            const deckId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [canonicalDeck]));
+
+            expect(await peek.isCanonicalDeckRegistered(deckId)).to.equal(false);
+            expect(await escrow.connect(other).registerCanonicalDeck.staticCall(canonicalDeck)).to.equal(deckId);
+            await expect(escrow.connect(other).registerCanonicalDeck(canonicalDeck))
+                .to.emit(escrow, "CanonicalDeckRegistered")
+                .withArgs(deckId, other.address);
+            expect(await peek.isCanonicalDeckRegistered(deckId)).to.equal(true);
+
+            // Registering the same deck again is a no-op
+            await expect(escrow.connect(player1).registerCanonicalDeck(canonicalDeck))
+                .to.not.emit(escrow, "CanonicalDeckRegistered");
+        });
+
+        it("rejects invalid or duplicate cards", async function () {
+            const offCurve = createMockCanonicalDeck();
+            offCurve[7] = ethers.concat([ethers.toBeHex(1n, 32), ethers.toBeHex(1n, 32)]);
+            await expect(escrow.registerCanonicalDeck(offCurve))
+                .to.be.revertedWithCustomError(peek, "InvalidDeck");
+
+            const infinity = createMockCanonicalDeck();
+            infinity[7] = "0x" + "00".repeat(64);
+            await expect(escrow.registerCanonicalDeck(infinity))
+                .to.be.revertedWithCustomError(peek, "InvalidDeck");
+
+            const duplicate = createMockCanonicalDeck();
+            duplicate[7] = duplicate[8];
+            await expect(escrow.registerCanonicalDeck(duplicate))
+                .to.be.revertedWithCustomError(peek, "DuplicateCard");
+        });
+
+        it("starts games against a registered deck id", async function () {
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
+
+            const deck = createMockDeck();
+            const canonicalDeck = createMockCanonicalDeck();
+            const deckId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [canonicalDeck]));
+            await expect(escrow.connect(player1).startGame(channelId, deck, deckId))
+                .to.be.revertedWithCustomError(escrow, "CanonicalDeckNotRegistered");
+
+            await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+            expect(await peek.getCanonicalDeckId(channelId)).to.equal(deckId);
+            expect(await peek.getCanonicalCard(channelId, canonicalDeck[5])).to.equal(indexToCard(5));
+        });
+    });
+
     describe("Stale channel protection", function () {
         const deposit = ethers.parseEther("1.0");
         let startWindow;
@@ -189,7 +285,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 10n;
             const tx = await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
             const receipt = await tx.wait();
             const block = await ethers.provider.getBlock(receipt.blockNumber);
             const channel = await escrow.getChannel(channelId);
@@ -201,14 +297,14 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 11n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
 
             await advanceTime(startWindow + 1);
 
             await expect(
                 escrow
                     .connect(player2)
-                    .join(channelId, ethers.ZeroAddress, "0x", { value: deposit })
+                    .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit })
             ).to.be.revertedWithCustomError(escrow, "ChannelDeadlineExpired");
         });
 
@@ -216,7 +312,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 11_1n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
 
             await expect(escrow.finalizeStaleChannel(channelId))
                 .to.be.revertedWithCustomError(escrow, "ChannelDeadlineStillActive");
@@ -226,7 +322,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 12n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
 
             await advanceTime(startWindow + 1);
 
@@ -243,13 +339,13 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 13n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
 
             const beforeJoin = await escrow.getChannel(channelId);
 
             await escrow
                 .connect(player2)
-                .join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+                .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             const afterJoin = await escrow.getChannel(channelId);
             expect(afterJoin.startDeadline).to.be.gt(beforeJoin.startDeadline);
@@ -259,20 +355,20 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 15n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
             await escrow
                 .connect(player2)
-                .join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+                .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             const deck = createMockDeck();
             const canonicalDeck = createMockCanonicalDeck();
 
             await escrow
                 .connect(player1)
-                .startGame(channelId, deck, canonicalDeck);
+                .startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
             await escrow
                 .connect(player2)
-                .startGame(channelId, deck, canonicalDeck);
+                .startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             const channel = await escrow.getChannel(channelId);
             expect(channel.gameStarted).to.equal(true);
@@ -283,23 +379,23 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 16n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
             await escrow
                 .connect(player2)
-                .join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+                .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             const deck = createMockDeck();
             const canonicalDeck = createMockCanonicalDeck();
 
             await escrow
                 .connect(player1)
-                .startGame(channelId, deck, canonicalDeck);
+                .startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             await advanceTime(startWindow + 1);
 
             await escrow
                 .connect(player2)
-                .startGame(channelId, deck, canonicalDeck);
+                .startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             const channel = await escrow.getChannel(channelId);
             expect(channel.gameStarted).to.equal(true);
@@ -309,17 +405,17 @@ describe("HeadsUpPokerEscrow Management", function () {
             const channelId = 17n;
             await escrow
                 .connect(player1)
-                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+                .open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
             await escrow
                 .connect(player2)
-                .join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+                .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             const deck = createMockDeck();
             const canonicalDeck = createMockCanonicalDeck();
 
             await escrow
                 .connect(player1)
-                .startGame(channelId, deck, canonicalDeck);
+                .startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             await advanceTime(startWindow + 1);
 
@@ -340,8 +436,8 @@ describe("HeadsUpPokerEscrow Management", function () {
         const topUpAmount = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: player1Deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: player2Deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: player1Deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: player2Deposit });
         });
 
         it("should allow player1 to top up to match player2's deposit", async function () {
@@ -364,7 +460,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             const newChannelId = 6n;
             await escrow
                 .connect(player1)
-                .open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: player1Deposit });
+                .open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, newChannelId, player1), { value: player1Deposit });
 
             await expect(escrow.connect(player1).topUp(newChannelId, { value: topUpAmount }))
                 .to.be.revertedWithCustomError(escrow, "ChannelNotReady");
@@ -389,31 +485,31 @@ describe("HeadsUpPokerEscrow Management", function () {
         let canonicalDeck;
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             deck = createMockDeck();
             canonicalDeck = createMockCanonicalDeck();
             deckHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [deck]));
         });
 
         it("should allow player1 to submit deck hash", async function () {
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
             const channel = await escrow.getChannel(channelId);
             expect(channel.deckHashPlayer1).to.equal(deckHash);
             expect(channel.gameStarted).to.be.false; // Not started yet, waiting for player2
         });
 
         it("should allow player2 to submit deck hash", async function () {
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
             const channel = await escrow.getChannel(channelId);
             expect(channel.deckHashPlayer2).to.equal(deckHash);
             expect(channel.gameStarted).to.be.false; // Not started yet, waiting for player1
         });
 
         it("should emit GameStarted when both players submit matching hashes", async function () {
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
-            const tx = await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            const tx = await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
             await expect(tx)
                 .to.emit(escrow, "GameStarted")
                 .withArgs(channelId, deckHash);
@@ -427,8 +523,8 @@ describe("HeadsUpPokerEscrow Management", function () {
             const deck2 = createMockDeck();
             const canonicalDeck1 = createMockCanonicalDeck();
 
-            await escrow.connect(player1).startGame(channelId, deck1, canonicalDeck1);
-            await escrow.connect(player2).startGame(channelId, deck2, canonicalDeck1);
+            await escrow.connect(player1).startGame(channelId, deck1, await registerCanonicalDeck(escrow, canonicalDeck1));
+            await escrow.connect(player2).startGame(channelId, deck2, await registerCanonicalDeck(escrow, canonicalDeck1));
 
             // Game should not have started
             const channel = await escrow.getChannel(channelId);
@@ -436,35 +532,35 @@ describe("HeadsUpPokerEscrow Management", function () {
         });
 
         it("should revert when game already started", async function () {
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
-            await expect(escrow.connect(player1).startGame(channelId, deck, canonicalDeck))
+            await expect(escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck)))
                 .to.be.revertedWithCustomError(escrow, "GameAlreadyStarted");
         });
 
         it("should revert when channel doesn't exist", async function () {
             const nonExistentChannel = 999n;
-            await expect(escrow.connect(player1).startGame(nonExistentChannel, deck, canonicalDeck))
+            await expect(escrow.connect(player1).startGame(nonExistentChannel, deck, await registerCanonicalDeck(escrow, canonicalDeck)))
                 .to.be.revertedWithCustomError(escrow, "NoChannel");
         });
 
         it("should revert when player2 hasn't joined", async function () {
             const newChannelId = 11n;
-            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, newChannelId, player1), { value: deposit });
 
-            await expect(escrow.connect(player1).startGame(newChannelId, deck, canonicalDeck))
+            await expect(escrow.connect(player1).startGame(newChannelId, deck, await registerCanonicalDeck(escrow, canonicalDeck)))
                 .to.be.revertedWithCustomError(escrow, "ChannelNotReady");
         });
 
         it("should revert when non-player tries to start game", async function () {
-            await expect(escrow.connect(other).startGame(channelId, deck, canonicalDeck))
+            await expect(escrow.connect(other).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck)))
                 .to.be.revertedWithCustomError(escrow, "NotPlayer");
         });
 
         it("should reset game state when opening new hand", async function () {
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             const handId = 1n;
             const actions = buildActions([
@@ -477,7 +573,7 @@ describe("HeadsUpPokerEscrow Management", function () {
             await escrow.settle(channelId, actions, signatures);
 
             // Open new hand
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
 
             const channel = await escrow.getChannel(channelId);
             expect(channel.gameStarted).to.be.false;
@@ -498,7 +594,7 @@ describe("HeadsUpPokerEscrow Management", function () {
         });
 
         it("should return correct stacks after opening", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit1 });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit1 });
 
             const [p1Stack, p2Stack] = await escrow.stacks(channelId);
             expect(p1Stack).to.equal(deposit1);
@@ -506,8 +602,8 @@ describe("HeadsUpPokerEscrow Management", function () {
         });
 
         it("should return correct stacks after joining", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit1 });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit2 });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit1 });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit2 });
 
             const [p1Stack, p2Stack] = await escrow.stacks(channelId);
             expect(p1Stack).to.equal(deposit1);
@@ -521,37 +617,37 @@ describe("HeadsUpPokerEscrow Management", function () {
 
         it("should allow reusing channel after fold settlement and withdrawal", async function () {
             // First game
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
             await settleBasicFold(escrow, channelId, player1.address, wallet1, wallet2, chainId);
             await escrow.connect(player1).withdraw(channelId);
 
             // Second game - should be able to reuse the same channel
-            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit }))
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit }))
                 .to.emit(escrow, "ChannelOpened")
                 .withArgs(channelId, player1.address, player2.address, deposit, 2n, 1n);
 
-            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit }))
+            await expect(escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }))
                 .to.emit(escrow, "ChannelJoined")
                 .withArgs(channelId, player2.address, deposit);
         });
 
         it("should allow reopening with remaining deposits", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
             await settleBasicFold(escrow, channelId, player1.address, wallet1, wallet2, chainId);
 
             // Don't withdraw, try to reopen with remaining deposits
-            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit }))
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit }))
                 .to.emit(escrow, "ChannelOpened")
                 .withArgs(channelId, player1.address, player2.address, deposit, 2n, 1n);
         });
 
         it("should accumulate winnings without withdrawal", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
             await settleBasicFold(escrow, channelId, player1.address, wallet1, wallet2, chainId);
 
@@ -560,8 +656,8 @@ describe("HeadsUpPokerEscrow Management", function () {
             expect(p1Stack).to.equal(deposit + 2n); // Won BB
 
             // Second game without withdrawing
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
             // reverse order of wallets since player1 is now BB
             await settleBasicFold(escrow, channelId, player2.address, wallet2, wallet1, chainId);
@@ -573,18 +669,18 @@ describe("HeadsUpPokerEscrow Management", function () {
 
         it("should handle zero ETH deposits using existing winnings", async function () {
             // First game
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
             await settleBasicFold(escrow, channelId, player1.address, wallet1, wallet2, chainId);
 
             // Second game using existing winnings (0 ETH)
-            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: 0 }))
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: 0 }))
                 .to.emit(escrow, "ChannelOpened")
                 .withArgs(channelId, player1.address, player2.address, 0, 2n, 1n);
 
             // Player2 joins normally
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             // Verify combined deposits preserved previous winnings
             const [p1Stack, p2Stack] = await escrow.stacks(channelId);
@@ -593,8 +689,8 @@ describe("HeadsUpPokerEscrow Management", function () {
         });
 
         it("should reject opening channel that is not finalized", async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit }))
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await expect(escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit }))
                 .to.be.revertedWithCustomError(escrow, "ChannelExists");
         });
     });
@@ -605,8 +701,8 @@ describe("HeadsUpPokerEscrow Management", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
         });
 
@@ -647,7 +743,7 @@ describe("HeadsUpPokerEscrow Management", function () {
 
         it("should reject withdrawal from non-finalized channel", async function () {
             const newChannelId = 14n;
-            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
+            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, newChannelId, player1), { value: deposit });
 
             await expect(escrow.connect(player1).withdraw(newChannelId))
                 .to.be.revertedWithCustomError(escrow, "NotFinalized");
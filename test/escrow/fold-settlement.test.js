@@ -2,7 +2,7 @@ import { expect } from "chai";
 import hre from "hardhat";
 import { ACTION } from "../helpers/actions.js";
 import { domainSeparator, actionDigest } from "../helpers/hashes.js";
-import { buildActions, signActions, wallet1, wallet2, wallet3, startGameWithDeck, deployAndWireContracts } from "../helpers/test-utils.js";
+import { buildActions, signActions, wallet1, wallet2, wallet3, startGameWithDeck, deployAndWireContracts, publicKeyArgs } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
 
@@ -25,8 +25,8 @@ describe("HeadsUpPokerEscrow Fold Settlement", function () {
         const deposit = ethers.parseEther("1.0");
 
         beforeEach(async function () {
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
             await startGameWithDeck(escrow, channelId, player1, player2);
         });
 
@@ -172,8 +172,8 @@ describe("HeadsUpPokerEscrow Fold Settlement", function () {
         it("should revert settle when game not started", async function () {
             const handId = 1n;
             const newChannelId = 42n;
-            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: deposit });
-            await escrow.connect(player2).join(newChannelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player1).open(newChannelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, newChannelId, player1), { value: deposit });
+            await escrow.connect(player2).join(newChannelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, newChannelId, player2), { value: deposit });
 
             const actions = buildActions([
                 { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1.address },
@@ -222,6 +222,28 @@ describe("HeadsUpPokerEscrow Fold Settlement", function () {
             expect(p2Stack).to.equal(deposit);
         });
 
+        it("should initiate showdown when a river bet is called", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1.address },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2.address },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1.address }, // SB limps
+                { action: ACTION.BET_RAISE, amount: 2n, sender: player2.address }, // BB raises to 4
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1.address }, // SB calls 2
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2.address },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1.address }, // -> turn
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2.address },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1.address }, // -> river
+                { action: ACTION.BET_RAISE, amount: 3n, sender: player2.address }, // BB bets river
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1.address } // SB calls
+            ], channelId, await escrow.getHandId(channelId));
+            const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+
+            await expect(escrow.settle(channelId, actions, signatures))
+                .to.emit(escrow, "ShowdownStarted")
+                .withArgs(channelId);
+            expect((await showdown.getShowdown(channelId)).calledAmount).to.equal(7n);
+        });
+
         it("should prevent duplicate settle calls after showdown initiated", async function () {
             const handId = await escrow.getHandId(channelId);
 
@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import { actionHash } from "../helpers/hashes.js";
+import { nextAction } from "../../sdk/actions.js";
+import {
+    buildActions,
+    signActions,
+    startGameWithDeck,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Force-move responses", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+
+    let escrow;
+    let replay;
+    let player1, player2;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        ({ escrow, replay } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await openAndJoin(escrow, channelId, player1, player2, { deposit });
+        await startGameWithDeck(escrow, channelId, player1, player2);
+    });
+
+    async function dispute(specs) {
+        const actions = buildActions(specs, channelId, 1n);
+        await escrow.dispute(
+            channelId, actions, await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId)
+        );
+        return actions;
+    }
+
+    // Appends one action signed by its sender only
+    async function respond(actions, spec) {
+        const next = nextAction(actions, spec);
+        const [signature] = await signActions([next], [wallet1, wallet2], await escrow.getAddress(), chainId);
+        actions.push(next);
+        return escrow.respondDispute(channelId, actions, signature);
+    }
+
+    const blinds = [
+        { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+        { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+    ];
+
+    it("passes the obligation to move back and forth until a player times out", async function () {
+        // Player 1 went silent facing the big blind
+        const actions = await dispute(blinds);
+        let ds = await escrow.getDispute(channelId);
+        expect([ds.endType, ds.folder]).to.deep.equal([0n, 0n]);
+        expect(ds.lastActionHash).to.equal(actionHash(actions[1]));
+
+        await advanceTime(await escrow.disputeWindow() - 60n);
+        await expect(respond(actions, { action: ACTION.BET_RAISE, amount: 4n, sender: wallet1.address }))
+            .to.emit(escrow, "DisputeResponded")
+            .withArgs(channelId, player1.address, 3n);
+
+        // Player 2 now faces the raise and has a fresh window
+        ds = await escrow.getDispute(channelId);
+        expect([ds.endType, ds.folder, ds.actionCount]).to.deep.equal([0n, 1n, 3n]);
+        expect(ds.lastActionHash).to.equal(actionHash(actions[2]));
+        await advanceTime(120n);
+        await expect(escrow.finalizeDispute(channelId))
+            .to.be.revertedWithCustomError(escrow, "DisputeStillActive");
+
+        // Player 2 calls and bets the flop, leaving player 1 to answer
+        await respond(actions, { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address });
+        expect((await escrow.getDispute(channelId)).endType).to.equal(1n);
+        await respond(actions, { action: ACTION.BET_RAISE, amount: 2n, sender: wallet2.address });
+
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await expect(respond(actions, { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address }))
+            .to.be.revertedWithCustomError(escrow, "DisputeExpired");
+        await expect(escrow.finalizeDispute(channelId))
+            .to.emit(escrow, "DisputeFinalized")
+            .withArgs(channelId, player2.address, 5n);
+    });
+
+    it("only accepts the next move of the disputed hand", async function () {
+        await expect(respond(buildActions(blinds, channelId, 1n), {
+            action: ACTION.FOLD, amount: 0n, sender: wallet1.address
+        })).to.be.revertedWithCustomError(escrow, "NoDisputeInProgress");
+
+        const actions = await dispute(blinds);
+
+        // Out of turn
+        await expect(respond([...actions], { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address }))
+            .to.be.revertedWithCustomError(replay, "WrongPlayerTurn");
+
+        // Not following the stored transcript
+        const other = buildActions([blinds[0], { ...blinds[1], amount: 3n }], channelId, 1n);
+        await expect(respond(other, { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }))
+            .to.be.revertedWithCustomError(escrow, "DisputeTranscriptMismatch");
+        await expect(respond(actions.slice(0, 1), { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }))
+            .to.be.revertedWithCustomError(escrow, "DisputeTranscriptMismatch");
+
+        // Signed by someone other than the sender
+        const next = nextAction(actions, { action: ACTION.FOLD, amount: 0n, sender: wallet1.address });
+        const [wrongSignature] = await signActions(
+            [{ ...next, sender: wallet2.address }], [wallet2], await escrow.getAddress(), chainId
+        );
+        await expect(escrow.respondDispute(channelId, [...actions, next], wrongSignature))
+            .to.be.revertedWithCustomError(escrow, "ActionWrongSigner");
+    });
+
+    it("rejects responses once the disputed hand has ended", async function () {
+        const actions = await dispute([
+            ...blinds,
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ]);
+        await expect(respond(actions, { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address }))
+            .to.be.revertedWithCustomError(escrow, "HandAlreadyEnded");
+    });
+});
@@ -1,7 +1,7 @@
 import { expect } from "chai";
 import hre from "hardhat";
 import { ACTION } from "../helpers/actions.js";
-import { buildActions, signActions, wallet1, wallet2, wallet3, startGameWithDeck, deployAndWireContracts } from "../helpers/test-utils.js";
+import { buildActions, signActions, wallet1, wallet2, wallet3, startGameWithDeck, deployAndWireContracts, publicKeyArgs } from "../helpers/test-utils.js";
 import { domainSeparator, actionDigest } from "../helpers/hashes.js";
 
 const { ethers } = hre;
@@ -30,7 +30,7 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
                 1n, // minSmallBlind
                 signerAddress,
                 0n, // slashAmount
-                "0x", // publicKeyA
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: 10n }
             );
 
@@ -41,7 +41,7 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
                     1n,
                     signerAddress,
                     0n,
-                    "0x",
+                    ...await publicKeyArgs(escrow, channelId, player1),
                     { value: 10n }
                 )
             ).to.emit(escrow, "ChannelOpened")
@@ -55,11 +55,11 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
 
         it("should allow joining channel with optional signer for player2", async function () {
             // Player1 opens channel first
-            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: 10n });
+            await escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: 10n });
 
             const signerAddress = wallet3.address;
             await expect(
-                escrow.connect(player2).join(channelId, signerAddress, "0x", { value: 10n })
+                escrow.connect(player2).join(channelId, signerAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: 10n })
             ).to.emit(escrow, "ChannelJoined")
                 .withArgs(channelId, player2.address, 10n);
 
@@ -70,15 +70,15 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
         });
 
         it("should work with traditional open/join without signers", async function () {
-            const handId = await escrow.connect(player1).open.staticCall(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: 10n });
+            const handId = await escrow.connect(player1).open.staticCall(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: 10n });
 
             await expect(
-                escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, "0x", { value: 10n })
+                escrow.connect(player1).open(channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1), { value: 10n })
             ).to.emit(escrow, "ChannelOpened")
                 .withArgs(channelId, player1.address, player2.address, 10n, handId, 1n);
 
             await expect(
-                escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: 10n })
+                escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: 10n })
             ).to.emit(escrow, "ChannelJoined")
                 .withArgs(channelId, player2.address, 10n);
 
@@ -111,7 +111,7 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
                 1n,
                 wallet3.address,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: 10n }
             );
             await escrow.connect(player1).open(
@@ -120,12 +120,12 @@ describe("HeadsUpPokerEscrow - Optional Signers", function () {
                 1n,
                 wallet3.address,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: 10n }
             );
 
             // Join without optional signer for player2
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: 10n });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: 10n });
 
             // Start the game
             await startGameWithDeck(escrow, channelId, player1, player2);
@@ -0,0 +1,185 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import {
+    buildActions,
+    signActions,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    createPartialDecrypt,
+    startGameWithDeck,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Rake", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "rake_deck");
+    const canonicalDeck = createCanonicalDeck("canonical_deck");
+
+    // Player 2 bets the flop and player 1 folds: 100 called by each side
+    const flopFold = [
+        { action: ACTION.SMALL_BLIND, amount: 50n, sender: wallet1.address },
+        { action: ACTION.BIG_BLIND, amount: 100n, sender: wallet2.address },
+        { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address },
+        { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+        { action: ACTION.BET_RAISE, amount: 100n, sender: wallet2.address },
+        { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+    ];
+
+    let escrow;
+    let showdown;
+    let owner, player2, feeRecipient, other;
+    let chainId;
+
+    beforeEach(async function () {
+        [owner, player2, feeRecipient, other] = await ethers.getSigners();
+        ({ escrow, showdown } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    // The owner account doubles as player 1, matching wallet1
+    async function openChannel() {
+        await openAndJoin(escrow, channelId, owner, player2, {
+            deposit, secretKeys: [crypto.secretKeyA, crypto.secretKeyB]
+        });
+        await startGameWithDeck(escrow, channelId, owner, player2, deck, canonicalDeck);
+    }
+
+    async function signed(specs) {
+        const actions = buildActions(specs, channelId, await escrow.getHandId(channelId));
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        return [channelId, actions, signatures];
+    }
+
+    it("takes the rake from the winner once the flop is seen", async function () {
+        await escrow.setRake(1000n, 0n);
+        await openChannel();
+
+        // 10% of the 200 pot
+        await expect(escrow.settle(...await signed(flopFold)))
+            .to.emit(escrow, "RakeCollected")
+            .withArgs(channelId, 1n, ethers.ZeroAddress, 20n)
+            .and.to.emit(escrow, "Settled")
+            .withArgs(channelId, player2.address, 100n);
+
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 100n, deposit + 80n]);
+        expect(await escrow.accruedRake(ethers.ZeroAddress)).to.equal(20n);
+    });
+
+    it("does not rake hands folded before the flop", async function () {
+        await escrow.setRake(1000n, 0n);
+        await openChannel();
+
+        await expect(escrow.settle(...await signed([
+            { action: ACTION.SMALL_BLIND, amount: 50n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 100n, sender: wallet2.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ])))
+            .to.not.emit(escrow, "RakeCollected");
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 50n, deposit + 50n]);
+    });
+
+    it("caps the rake and applies it to disputed hands", async function () {
+        await escrow.setRake(1000n, 7n);
+        await openChannel();
+
+        await escrow.dispute(...await signed(flopFold));
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await expect(escrow.finalizeDispute(channelId))
+            .to.emit(escrow, "RakeCollected")
+            .withArgs(channelId, 1n, ethers.ZeroAddress, 7n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 100n, deposit + 93n]);
+    });
+
+    it("rakes showdowns", async function () {
+        await escrow.setRake(500n, 0n);
+        await openChannel();
+
+        await escrow.settle(...await signed([
+            { action: ACTION.SMALL_BLIND, amount: 50n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 100n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet1.address }
+        ]));
+
+        // Only player 1 reveals and wins by default
+        const partials = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        await escrow.connect(owner).revealCards(channelId, partials);
+        await advanceTime(await showdown.revealWindow() + 1n);
+
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.emit(escrow, "RakeCollected")
+            .withArgs(channelId, 1n, ethers.ZeroAddress, 10n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit + 90n, deposit - 100n]);
+    });
+
+    it("fixes a per-channel rake when the channel opens", async function () {
+        await escrow.setRake(1000n, 0n);
+        await expect(escrow.setChannelRake(channelId, 0n, 0n))
+            .to.emit(escrow, "ChannelRakeUpdated")
+            .withArgs(channelId, 0n, 0n);
+        expect(await escrow.getRake(channelId)).to.deep.equal([0n, 0n]);
+        expect(await escrow.getRake(channelId + 1n)).to.deep.equal([1000n, 0n]);
+
+        await openChannel();
+        // Later changes do not affect the open channel
+        await escrow.clearChannelRake(channelId);
+        expect(await escrow.getRake(channelId)).to.deep.equal([1000n, 0n]);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.rakeBps).to.equal(0n);
+        await expect(escrow.settle(...await signed(flopFold)))
+            .to.not.emit(escrow, "RakeCollected");
+    });
+
+    it("pays the accrued rake to the fee recipient", async function () {
+        await escrow.setRake(1000n, 0n);
+        await openChannel();
+        await escrow.settle(...await signed(flopFold));
+
+        await expect(escrow.setFeeRecipient(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(escrow, "InvalidFeeRecipient");
+        await expect(escrow.setFeeRecipient(feeRecipient.address))
+            .to.emit(escrow, "FeeRecipientUpdated")
+            .withArgs(feeRecipient.address);
+
+        await expect(escrow.connect(other).withdrawRake(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+        await expect(escrow.withdrawRake(ethers.ZeroAddress))
+            .to.changeEtherBalances([escrow, feeRecipient], [-20n, 20n]);
+        await expect(escrow.withdrawRake(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(escrow, "NoBalance");
+
+        // Player balances are untouched by the fee withdrawal
+        await expect(escrow.connect(player2).withdraw(channelId))
+            .to.changeEtherBalance(player2, deposit + 80n);
+    });
+
+    it("limits the rake to the owner and to MAX_RAKE_BPS", async function () {
+        const max = await escrow.MAX_RAKE_BPS();
+        await expect(escrow.setRake(max + 1n, 0n))
+            .to.be.revertedWithCustomError(escrow, "InvalidRake");
+        await expect(escrow.setChannelRake(channelId, max + 1n, 0n))
+            .to.be.revertedWithCustomError(escrow, "InvalidRake");
+        await expect(escrow.connect(other).setRake(1n, 0n))
+            .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+        await expect(escrow.setRake(max, 5n))
+            .to.emit(escrow, "RakeUpdated")
+            .withArgs(max, 5n);
+    });
+});
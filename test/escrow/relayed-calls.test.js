@@ -0,0 +1,320 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { signRelayRequest } from "../../sdk/signing.js";
+import { ACTION } from "../helpers/actions.js";
+import { SLOT } from "../helpers/slots.js";
+import {
+    buildActions,
+    signActions,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    createPartialDecrypt,
+    createMockDeck,
+    createMockCanonicalDeck,
+    registerCanonicalDeck,
+    playPlayer1WinsShowdown,
+    deployAndWireContracts,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerRelay - Gasless player calls", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+
+    let escrow;
+    let showdown;
+    let peek;
+    let relay;
+    let player1, player2, relayer;
+    let escrowAddress;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2, relayer] = await ethers.getSigners();
+        ({ escrow, showdown, peek } = await deployAndWireContracts());
+        escrowAddress = await escrow.getAddress();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        relay = await (await ethers.getContractFactory("HeadsUpPokerRelay")).deploy(escrowAddress);
+        await escrow.initializeRelay(await relay.getAddress());
+        relay = relay.connect(relayer);
+    });
+
+    async function request(primaryType, player, fields, { signer = player, nonce = null, deadline = null } = {}) {
+        const req = {
+            player: player.address,
+            ...fields,
+            nonce: nonce ?? await relay.nonces(player.address),
+            deadline: deadline ?? BigInt((await ethers.provider.getBlock("latest")).timestamp) + 600n
+        };
+        return [req, await signRelayRequest(primaryType, req, signer, escrowAddress, chainId)];
+    }
+
+    async function openRequest(options = {}, secretKey = null) {
+        const [publicKey, publicKeyProof] = await publicKeyArgs(escrow, channelId, player1, secretKey);
+        return request("OpenRequest", player1, {
+            channelId,
+            opponent: player2.address,
+            minSmallBlind: 1n,
+            player1Signer: options.player1Signer ?? ethers.ZeroAddress,
+            slashAmount: 0n,
+            publicKey,
+            publicKeyProof
+        }, options);
+    }
+
+    async function joinRequest(options = {}, secretKey = null) {
+        const [publicKey, publicKeyProof] = await publicKeyArgs(escrow, channelId, player2, secretKey);
+        return request("JoinRequest", player2, {
+            channelId,
+            player2Signer: options.player2Signer ?? ethers.ZeroAddress,
+            publicKey,
+            publicKeyProof
+        }, options);
+    }
+
+    async function relayStart(player, deck, canonicalDeckId, options = {}) {
+        return relay.relayStartGame(
+            ...await request("StartGameRequest", player, { channelId, deck, canonicalDeckId }, options)
+        );
+    }
+
+    it("opens, joins and starts a game submitted by a relayer", async function () {
+        await expect(relay.relayOpen(...await openRequest(), { value: deposit }))
+            .to.emit(escrow, "ChannelOpened")
+            .withArgs(channelId, player1.address, player2.address, deposit, 1n, 1n)
+            .and.to.emit(relay, "Relayed")
+            .withArgs(player1.address, channelId, 0n, escrow.interface.getFunction("open").selector);
+        await expect(relay.relayJoin(...await joinRequest(), { value: deposit }))
+            .to.emit(escrow, "ChannelJoined")
+            .withArgs(channelId, player2.address, deposit);
+
+        const deck = createMockDeck();
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createMockCanonicalDeck());
+        await relayStart(player1, deck, canonicalDeckId);
+        await expect(relayStart(player2, deck, canonicalDeckId))
+            .to.emit(escrow, "GameStarted");
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.player1).to.equal(player1.address);
+        expect(ch.gameStarted).to.equal(true);
+        expect(await relay.nonces(player1.address)).to.equal(2n);
+        expect(await relay.nonces(player2.address)).to.equal(2n);
+    });
+
+    it("opens and joins with token stakes pulled from the players", async function () {
+        const token = await (await ethers.getContractFactory("ERC20Test")).deploy();
+        const tokenAddress = await token.getAddress();
+        for (const player of [player1, player2]) {
+            await token.mint(player.address, deposit);
+            await token.connect(player).approve(escrowAddress, ethers.MaxUint256);
+        }
+
+        const [publicKeyA, publicKeyProofA] = await publicKeyArgs(escrow, channelId, player1);
+        const open = await request("OpenWithTokenRequest", player1, {
+            channelId,
+            opponent: player2.address,
+            minSmallBlind: 1n,
+            player1Signer: ethers.ZeroAddress,
+            slashAmount: 0n,
+            publicKey: publicKeyA,
+            publicKeyProof: publicKeyProofA,
+            token: tokenAddress,
+            amount: deposit,
+            session: true
+        });
+        await expect(relay.relayOpenWithToken({ ...open[0], amount: 1n }, open[1]))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+        const opened = relay.relayOpenWithToken(...open);
+        await expect(opened)
+            .to.emit(relay, "Relayed")
+            .withArgs(player1.address, channelId, 0n, escrow.interface.getFunction("openWithToken").selector);
+        await expect(opened).to.changeTokenBalances(token, [player1, relayer, escrow], [-deposit, 0n, deposit]);
+        await expect(relay.relayOpenWithToken(...open))
+            .to.be.revertedWithCustomError(relay, "RelayWrongNonce");
+
+        const [publicKeyB, publicKeyProofB] = await publicKeyArgs(escrow, channelId, player2);
+        const joined = relay.relayJoinWithToken(...await request("JoinWithTokenRequest", player2, {
+            channelId,
+            player2Signer: ethers.ZeroAddress,
+            publicKey: publicKeyB,
+            publicKeyProof: publicKeyProofB,
+            amount: deposit
+        }));
+        await expect(joined)
+            .to.emit(escrow, "ChannelJoined")
+            .withArgs(channelId, player2.address, deposit);
+        await expect(joined).to.changeTokenBalances(token, [player2, escrow], [-deposit, deposit]);
+
+        const ch = await escrow.getChannel(channelId);
+        expect([ch.player1, ch.player2, ch.token, ch.session])
+            .to.deep.equal([player1.address, player2.address, tokenAddress, true]);
+        expect(await relay.nonces(player2.address)).to.equal(1n);
+    });
+
+    it("opens with options for the player", async function () {
+        const options = {
+            token: ethers.ZeroAddress,
+            amount: 0n,
+            session: true,
+            windows: { dispute: 0n, start: 600n, reveal: 0n, peek: 0n },
+            bettingRulesId: ethers.ZeroHash,
+            blindScheduleId: ethers.ZeroHash
+        };
+        const [publicKey, publicKeyProof] = await publicKeyArgs(escrow, channelId, player1);
+        const [req, signature] = await request("OpenWithOptionsRequest", player1, {
+            channelId,
+            opponent: player2.address,
+            minSmallBlind: 1n,
+            player1Signer: ethers.ZeroAddress,
+            slashAmount: 0n,
+            publicKey,
+            publicKeyProof,
+            options
+        });
+
+        // The signature covers the nested options
+        const longer = { ...options, windows: { ...options.windows, start: 601n } };
+        await expect(relay.relayOpenWithOptions({ ...req, options: longer }, signature, { value: deposit }))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+        await expect(relay.relayOpenWithOptions(req, signature, { value: deposit }))
+            .to.emit(escrow, "ChannelOpened")
+            .withArgs(channelId, player1.address, player2.address, deposit, 1n, 1n)
+            .and.to.emit(relay, "Relayed")
+            .withArgs(player1.address, channelId, 0n, escrow.interface.getFunction("openWithOptions").selector);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.player1).to.equal(player1.address);
+        expect(ch.session).to.equal(true);
+        expect(ch.windows.start).to.equal(600n);
+    });
+
+    it("reveals cards and withdraws for the player", async function () {
+        const crypto = setupShowdownCrypto();
+        const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "relay_deck");
+        await relay.relayOpen(...await openRequest({}, crypto.secretKeyA), { value: deposit });
+        await relay.relayJoin(...await joinRequest({}, crypto.secretKeyB), { value: deposit });
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createCanonicalDeck("canonical_deck"));
+        await relayStart(player1, deck, canonicalDeckId);
+        await relayStart(player2, deck, canonicalDeckId);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+
+        const decryptedCards = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        await expect(relay.relayRevealCards(
+            ...await request("RevealCardsRequest", player1, { channelId, decryptedCards })
+        ))
+            .to.emit(escrow, "RevealsUpdated")
+            .withArgs(channelId, true, false);
+
+        await ethers.provider.send("evm_increaseTime", [Number(await showdown.revealWindow()) + 1]);
+        await ethers.provider.send("evm_mine");
+        await escrow.finalizeShowdown(channelId);
+
+        await expect(relay.relayWithdraw(...await request("WithdrawRequest", player1, { channelId })))
+            .to.changeEtherBalances([escrow, player1, relayer], [-(deposit + 2n), deposit + 2n, 0n]);
+    });
+
+    it("accepts the optional signer for channel calls", async function () {
+        const delegate = ethers.Wallet.createRandom();
+
+        // The channel does not exist yet, so only the player can sign `open`
+        await expect(relay.relayOpen(...await openRequest({ player1Signer: delegate.address, signer: delegate })))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+        await relay.relayOpen(...await openRequest({ player1Signer: delegate.address }), { value: deposit });
+        await relay.relayJoin(...await joinRequest(), { value: deposit });
+
+        const deck = createMockDeck();
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createMockCanonicalDeck());
+        await expect(relayStart(player1, deck, canonicalDeckId, { signer: delegate }))
+            .to.emit(relay, "Relayed");
+        await expect(relayStart(player2, deck, canonicalDeckId, { signer: delegate }))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+    });
+
+    it("answers a peek with the optional signer", async function () {
+        const crypto = setupShowdownCrypto();
+        const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "relay_deck");
+        const delegate = ethers.Wallet.createRandom();
+        await relay.relayOpen(...await openRequest({}, crypto.secretKeyA), { value: deposit });
+        await relay.relayJoin(
+            ...await joinRequest({ player2Signer: delegate.address }, crypto.secretKeyB), { value: deposit }
+        );
+        const canonicalDeckId = await registerCanonicalDeck(escrow, createCanonicalDeck("canonical_deck"));
+        await relayStart(player1, deck, canonicalDeckId);
+        await relayStart(player2, deck, canonicalDeckId);
+
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, await escrow.getHandId(channelId));
+        await peek.connect(player1).requestHoleA(
+            channelId, actions, await signActions(actions, [wallet1, wallet2], escrowAddress, chainId)
+        );
+
+        const decryptedCards = await Promise.all(
+            [SLOT.A1, SLOT.A2].map((slot) => createPartialDecrypt(crypto.secretKeyB, deck[slot]))
+        );
+        await expect(relay.relayPeekAnswer(...await request("PeekAnswerRequest", player2, {
+            channelId, stage: 2n, decryptedCards
+        }, { signer: delegate })))
+            .to.be.revertedWithCustomError(peek, "PeekWrongStage");
+        // Only the obligated helper can answer, relayed or not
+        await expect(relay.relayPeekAnswer(...await request("PeekAnswerRequest", player1, {
+            channelId, stage: 1n, decryptedCards
+        })))
+            .to.be.revertedWithCustomError(peek, "ActionInvalidSender");
+        await expect(relay.relayPeekAnswer(...await request("PeekAnswerRequest", player2, {
+            channelId, stage: 1n, decryptedCards
+        }, { signer: delegate })))
+            .to.emit(peek, "PeekServed")
+            .withArgs(channelId, 1n)
+            .and.to.emit(relay, "Relayed");
+    });
+
+    it("rejects expired, replayed and foreign requests", async function () {
+        const latest = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        await expect(relay.relayOpen(...await openRequest({ deadline: latest })))
+            .to.be.revertedWithCustomError(relay, "RelayRequestExpired");
+        await expect(relay.relayOpen(...await openRequest({ nonce: 1n })))
+            .to.be.revertedWithCustomError(relay, "RelayWrongNonce");
+        await expect(relay.relayOpen(...await openRequest({ signer: player2 })))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+
+        const [req, signature] = await openRequest();
+        await expect(relay.relayOpen({ ...req, minSmallBlind: 2n }, signature))
+            .to.be.revertedWithCustomError(relay, "RelayWrongSigner");
+        await relay.relayOpen(req, signature, { value: deposit });
+        await expect(relay.relayOpen(req, signature, { value: deposit }))
+            .to.be.revertedWithCustomError(relay, "RelayWrongNonce");
+    });
+
+    it("bubbles up escrow errors without using the nonce", async function () {
+        await expect(relayStart(player1, createMockDeck(), ethers.ZeroHash))
+            .to.be.revertedWithCustomError(escrow, "NoChannel");
+        expect(await relay.nonces(player1.address)).to.equal(0n);
+    });
+
+    it("only lets the configured relay speak for a player", async function () {
+        await relay.relayOpen(...await openRequest(), { value: deposit });
+        await relay.relayJoin(...await joinRequest(), { value: deposit });
+
+        // Appending a player address to a direct call does not impersonate them
+        const data = ethers.concat([
+            escrow.interface.encodeFunctionData("startGame", [channelId, createMockDeck(), ethers.ZeroHash]),
+            player1.address
+        ]);
+        await expect(relayer.sendTransaction({ to: escrowAddress, data }))
+            .to.be.revertedWithCustomError(escrow, "NotPlayer");
+
+        await expect(escrow.initializeRelay(relayer.address))
+            .to.be.revertedWithCustomError(escrow, "HelpersAlreadyConfigured");
+        await expect(escrow.connect(relayer).initializeRelay(relayer.address))
+            .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+        expect(await escrow.getRelayAddress()).to.equal(await relay.getAddress());
+    });
+});
@@ -0,0 +1,208 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import {
+    buildActions,
+    signActions,
+    wallet1,
+    wallet2,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    createPartialDecrypt,
+    startGameWithDeck,
+    settleBasicFold,
+    playPlayer1WinsShowdown,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - Multi-hand sessions", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "session_deck");
+    const canonicalDeck = createCanonicalDeck("canonical_deck");
+
+    let escrow;
+    let peek;
+    let showdown;
+    let player1, player2, other;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2, other] = await ethers.getSigners();
+        ({ escrow, peek, showdown } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function openSession(deposit1 = deposit, deposit2 = deposit) {
+        await openAndJoin(escrow, channelId, player1, player2, {
+            deposit: deposit1, deposit2, session: true, secretKeys: [crypto.secretKeyA, crypto.secretKeyB]
+        });
+    }
+
+    async function settle(specs) {
+        const handId = await escrow.getHandId(channelId);
+        const actions = buildActions(specs, channelId, handId);
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        return escrow.settle(channelId, actions, signatures);
+    }
+
+    it("moves on to the next hand after a fold instead of finalizing", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        const publicKeys = await peek.getPublicKeys(channelId);
+
+        await expect(settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId))
+            .to.emit(escrow, "HandAdvanced")
+            .withArgs(channelId, 2n);
+
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.finalized).to.equal(false);
+        expect(ch.session).to.equal(true);
+        expect(ch.gameStarted).to.equal(false);
+        expect(ch.handId).to.equal(2n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit + 2n, deposit - 2n]);
+        expect(await peek.getPublicKeys(channelId)).to.deep.equal(publicKeys);
+
+        await expect(escrow.connect(player1).withdraw(channelId))
+            .to.be.revertedWithCustomError(escrow, "NotFinalized");
+        await expect(settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId))
+            .to.be.revertedWithCustomError(escrow, "GameNotStarted");
+    });
+
+    it("rotates the blinds and keeps playing without rejoining", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+
+        // Hand 2: player 2 posts the small blind and folds to the big blind
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await expect(settle([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet1.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet2.address }
+        ]))
+            .to.emit(escrow, "Settled")
+            .withArgs(channelId, player1.address, 1n);
+
+        expect(await escrow.getHandId(channelId)).to.equal(3n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit + 3n, deposit - 3n]);
+    });
+
+    it("advances the hand once a showdown is finalized", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+
+        const partials = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        await escrow.connect(player1).revealCards(channelId, partials);
+        await advanceTime(await showdown.revealWindow() + 1n);
+
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.emit(escrow, "HandAdvanced")
+            .withArgs(channelId, 2n);
+        expect(await showdown.isInProgress(channelId)).to.equal(false);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit + 2n, deposit - 2n]);
+
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        expect((await escrow.getChannel(channelId)).gameStarted).to.equal(true);
+    });
+
+    it("clears a pending dispute when the hand is settled", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+
+        const handId = await escrow.getHandId(channelId);
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, handId);
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        await escrow.dispute(channelId, actions, signatures);
+
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+        expect((await escrow.getDispute(channelId)).inProgress).to.equal(false);
+        await expect(escrow.finalizeDispute(channelId))
+            .to.be.revertedWithCustomError(escrow, "NoDisputeInProgress");
+    });
+
+    it("lets either player close the session between hands", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+
+        await expect(escrow.connect(player2).closeSession(channelId))
+            .to.be.revertedWithCustomError(escrow, "GameAlreadyStarted");
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+
+        await expect(escrow.connect(other).closeSession(channelId))
+            .to.be.revertedWithCustomError(escrow, "NotPlayer");
+        await expect(escrow.connect(player2).closeSession(channelId))
+            .to.emit(escrow, "SessionClosed")
+            .withArgs(channelId, player2.address);
+        await expect(escrow.connect(player1).closeSession(channelId))
+            .to.be.revertedWithCustomError(escrow, "AlreadyFinalized");
+
+        await expect(escrow.connect(player1).withdraw(channelId))
+            .to.emit(escrow, "Withdrawn")
+            .withArgs(channelId, player1.address, deposit + 2n);
+        await expect(escrow.connect(player2).withdraw(channelId))
+            .to.emit(escrow, "Withdrawn")
+            .withArgs(channelId, player2.address, deposit - 2n);
+    });
+
+    it("closes the session when the next deck is not committed in time", async function () {
+        await openSession();
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+
+        await expect(escrow.finalizeStaleChannel(channelId))
+            .to.be.revertedWithCustomError(escrow, "ChannelDeadlineStillActive");
+        await advanceTime(await escrow.startDeadlineWindow() + 1n);
+        await expect(escrow.finalizeStaleChannel(channelId))
+            .to.emit(escrow, "ChannelStaleFinalized")
+            .withArgs(channelId);
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+    });
+
+    it("ends the session when a player runs out of chips", async function () {
+        await openSession(3n, deposit);
+
+        // Hand 1: player 1 folds the small blind, keeping 2 chips
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settleBasicFold(escrow, channelId, wallet2.address, wallet1, wallet2, chainId);
+
+        // Hand 2: player 1 is all-in with the big blind and loses the showdown by not revealing
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await settle([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet1.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address }
+        ]);
+        const partials = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyB, card)));
+        await escrow.connect(player2).revealCards(channelId, partials);
+        await advanceTime(await showdown.revealWindow() + 1n);
+
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.not.emit(escrow, "HandAdvanced");
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.finalized).to.equal(true);
+        expect(ch.deposit1).to.equal(0n);
+        expect(ch.deposit2).to.equal(deposit + 3n);
+    });
+
+    it("only applies to channels opened as a session", async function () {
+        await openAndJoin(escrow, channelId, player1, player2, { deposit });
+        await startGameWithDeck(escrow, channelId, player1, player2);
+
+        await expect(escrow.connect(player1).closeSession(channelId))
+            .to.be.revertedWithCustomError(escrow, "NotSession");
+        await expect(settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId))
+            .to.not.emit(escrow, "HandAdvanced");
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+    });
+});
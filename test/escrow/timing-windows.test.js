@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import {
+    buildActions,
+    signActions,
+    startGameWithDeck,
+    playPlayer1WinsShowdown,
+    deployAndWireContracts,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+async function latest() {
+    return BigInt((await ethers.provider.getBlock("latest")).timestamp);
+}
+
+describe("HeadsUpPokerEscrow - Timing windows", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const fast = { dispute: 120n, start: 180n, reveal: 240n, peek: 300n };
+    const defaults = { dispute: 0n, start: 0n, reveal: 0n, peek: 0n };
+
+    let escrow;
+    let peek;
+    let showdown;
+    let player1, player2, other;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2, other] = await ethers.getSigners();
+        ({ escrow, peek, showdown } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function openWithOptions(windows, { token = ethers.ZeroAddress, amount = 0n, value = deposit } = {}) {
+        return escrow.connect(player1).openWithOptions(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { token, amount, session: false, windows, bettingRulesId: ethers.ZeroHash, blindScheduleId: ethers.ZeroHash },
+            { value }
+        );
+    }
+
+    async function join() {
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }
+        );
+    }
+
+    async function blinds() {
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, 1n);
+        return [actions, await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId)];
+    }
+
+    it("runs every deadline of the channel on its own windows", async function () {
+        await expect(openWithOptions(fast)).to.emit(escrow, "ChannelOpened");
+        const ch = await escrow.getChannel(channelId);
+        expect(ch.windows).to.deep.equal([fast.dispute, fast.start, fast.reveal, fast.peek]);
+        expect(ch.startDeadline).to.equal(await latest() + fast.start);
+
+        await join();
+        expect((await escrow.getChannel(channelId)).startDeadline).to.equal(await latest() + fast.start);
+        await startGameWithDeck(escrow, channelId, player1, player2);
+
+        const [actions, signatures] = await blinds();
+        await peek.connect(player1).requestHoleA(channelId, actions, signatures);
+        expect((await peek.getPeek(channelId)).deadline).to.equal(await latest() + fast.peek);
+
+        await escrow.dispute(channelId, actions, signatures);
+        expect((await escrow.getDispute(channelId)).deadline).to.equal(await latest() + fast.dispute);
+    });
+
+    it("gives the showdown the channel's reveal window", async function () {
+        await openWithOptions(fast);
+        await join();
+        await startGameWithDeck(escrow, channelId, player1, player2);
+
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+        expect((await showdown.getShowdown(channelId)).deadline).to.equal(await latest() + fast.reveal);
+
+        await ethers.provider.send("evm_increaseTime", [Number(fast.reveal) + 1]);
+        await ethers.provider.send("evm_mine");
+        await expect(escrow.finalizeShowdown(channelId))
+            .to.emit(escrow, "ShowdownFinalized");
+    });
+
+    it("keeps the default windows when none are chosen", async function () {
+        await openWithOptions(defaults);
+        expect((await escrow.getChannel(channelId)).windows).to.deep.equal([
+            await escrow.disputeWindow(),
+            await escrow.startDeadlineWindow(),
+            await showdown.revealWindow(),
+            await peek.peekWindow()
+        ]);
+    });
+
+    it("keeps windows within the owner's bounds", async function () {
+        await expect(openWithOptions({ ...fast, dispute: 59n }))
+            .to.be.revertedWithCustomError(escrow, "InvalidWindow");
+        await expect(openWithOptions({ ...fast, peek: 30n * 24n * 3600n + 1n }))
+            .to.be.revertedWithCustomError(escrow, "InvalidWindow");
+
+        await expect(escrow.connect(other).setWindowBounds(1n, 2n))
+            .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+        await expect(escrow.setWindowBounds(0n, 60n))
+            .to.be.revertedWithCustomError(escrow, "InvalidWindow");
+        await expect(escrow.setWindowBounds(61n, 60n))
+            .to.be.revertedWithCustomError(escrow, "InvalidWindow");
+
+        await expect(escrow.setWindowBounds(2n * 3600n, 24n * 3600n))
+            .to.emit(escrow, "WindowBoundsUpdated")
+            .withArgs(2n * 3600n, 24n * 3600n);
+        await expect(openWithOptions({ ...fast, dispute: 3600n }))
+            .to.be.revertedWithCustomError(escrow, "InvalidWindow");
+        await expect(openWithOptions({ dispute: 7200n, start: 7200n, reveal: 86400n, peek: 3n * 3600n }))
+            .to.emit(escrow, "ChannelOpened");
+    });
+
+    it("clamps the default windows into narrowed bounds", async function () {
+        // Bounds above the 1 hour defaults
+        await escrow.setWindowBounds(2n * 3600n, 24n * 3600n);
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { value: deposit }
+        );
+        expect((await escrow.getChannel(channelId)).windows).to.deep.equal([7200n, 7200n, 7200n, 7200n]);
+
+        // Bounds below them
+        await escrow.setWindowBounds(60n, 600n);
+        await escrow.connect(player1).openSession(
+            channelId + 1n, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId + 1n, player1),
+            { value: deposit }
+        );
+        expect((await escrow.getChannel(channelId + 1n)).windows).to.deep.equal([600n, 600n, 600n, 600n]);
+    });
+
+    it("stakes tokens through the options", async function () {
+        const token = await (await ethers.getContractFactory("ERC20Test")).deploy();
+        await token.mint(player1.address, deposit);
+        await token.connect(player1).approve(await escrow.getAddress(), deposit);
+
+        await expect(openWithOptions(fast, { token: await token.getAddress(), amount: deposit, value: 1n }))
+            .to.be.revertedWithCustomError(escrow, "TokenMismatch");
+        await expect(openWithOptions(fast, { amount: deposit }))
+            .to.be.revertedWithCustomError(escrow, "TokenMismatch");
+        await openWithOptions(fast, { token: await token.getAddress(), amount: deposit, value: 0n });
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit, 0n]);
+    });
+});
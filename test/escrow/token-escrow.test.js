@@ -0,0 +1,130 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+    startGameWithDeck,
+    settleBasicFold,
+    deployAndWireContracts,
+    publicKeyArgs,
+    wallet1,
+    wallet2,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerEscrow - ERC-20 stakes", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseUnits("100", 18);
+
+    let escrow;
+    let token;
+    let player1, player2;
+    let escrowAddress;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        ({ escrow } = await deployAndWireContracts());
+        escrowAddress = await escrow.getAddress();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        token = await (await ethers.getContractFactory("ERC20Test")).deploy();
+        for (const player of [player1, player2]) {
+            await token.mint(player.address, deposit * 10n);
+            await token.connect(player).approve(escrowAddress, ethers.MaxUint256);
+        }
+    });
+
+    async function openWithToken(amount = deposit, tokenAddress = null, session = false) {
+        return escrow.connect(player1).openWithToken(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            tokenAddress ?? await token.getAddress(), amount, session
+        );
+    }
+
+    async function joinWithToken(amount = deposit) {
+        return escrow.connect(player2).joinWithToken(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), amount
+        );
+    }
+
+    it("holds token stakes through a hand and pays them out", async function () {
+        await expect(openWithToken())
+            .to.emit(escrow, "ChannelOpened")
+            .withArgs(channelId, player1.address, player2.address, deposit, 1n, 1n);
+        await expect(joinWithToken())
+            .to.emit(escrow, "ChannelJoined")
+            .withArgs(channelId, player2.address, deposit);
+        expect(await token.balanceOf(escrowAddress)).to.equal(deposit * 2n);
+        expect((await escrow.getChannel(channelId)).token).to.equal(await token.getAddress());
+
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+
+        await expect(escrow.connect(player1).withdraw(channelId))
+            .to.changeTokenBalances(token, [escrowAddress, player1], [-(deposit + 2n), deposit + 2n]);
+        await expect(escrow.connect(player2).withdraw(channelId))
+            .to.changeTokenBalances(token, [escrowAddress, player2], [-(deposit - 2n), deposit - 2n]);
+    });
+
+    it("tops up in the channel's token", async function () {
+        await openWithToken(deposit / 2n);
+        await joinWithToken();
+
+        await expect(escrow.connect(player1).topUpWithToken(channelId, deposit))
+            .to.be.revertedWithCustomError(escrow, "DepositExceedsOpponent");
+        await expect(escrow.connect(player1).topUp(channelId, { value: 1n }))
+            .to.be.revertedWithCustomError(escrow, "TokenMismatch");
+
+        await expect(escrow.connect(player1).topUpWithToken(channelId, deposit / 2n))
+            .to.emit(escrow, "ChannelTopUp")
+            .withArgs(channelId, player1.address, deposit / 2n);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit, deposit]);
+    });
+
+    it("rejects fee-on-transfer tokens", async function () {
+        const feeToken = await (await ethers.getContractFactory("FeeOnTransferERC20Test")).deploy();
+        await feeToken.mint(player1.address, deposit);
+        await feeToken.connect(player1).approve(escrowAddress, deposit);
+
+        await expect(openWithToken(deposit, await feeToken.getAddress()))
+            .to.be.revertedWithCustomError(escrow, "FeeOnTransferNotSupported");
+    });
+
+    it("does not mix ETH and tokens", async function () {
+        await expect(openWithToken(deposit, ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(escrow, "InvalidToken");
+
+        await openWithToken();
+        await expect(
+            escrow.connect(player2).join(
+                channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit }
+            )
+        ).to.be.revertedWithCustomError(escrow, "TokenMismatch");
+        await joinWithToken();
+
+        // Balances left in the channel keep it on the same token when reopened
+        await startGameWithDeck(escrow, channelId, player1, player2);
+        await settleBasicFold(escrow, channelId, wallet1.address, wallet1, wallet2, chainId);
+        await expect(
+            escrow.connect(player1).open(
+                channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+                ...await publicKeyArgs(escrow, channelId, player1),
+                { value: deposit }
+            )
+        ).to.be.revertedWithCustomError(escrow, "TokenMismatch");
+        await expect(openWithToken(0n)).to.emit(escrow, "ChannelOpened");
+    });
+
+    it("keeps ETH channels unchanged", async function () {
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n,
+            ...await publicKeyArgs(escrow, channelId, player1),
+            { value: deposit }
+        );
+        expect((await escrow.getChannel(channelId)).token).to.equal(ethers.ZeroAddress);
+
+        await expect(joinWithToken())
+            .to.be.revertedWithCustomError(escrow, "TokenMismatch");
+    });
+});
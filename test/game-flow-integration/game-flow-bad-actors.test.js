@@ -2,6 +2,7 @@ import { expect } from "chai";
 import hre from "hardhat";
 import { ACTION } from "../helpers/actions.js";
 import { SLOT } from "../helpers/slots.js";
+import { canonicalDeckHash } from "../../sdk/deck.js";
 import {
     buildActions,
     signActions,
@@ -14,6 +15,8 @@ import {
     createMockCanonicalDeck,
     createPartialDecrypt,
     deployAndWireContracts,
+    publicKeyArgs,
+    registerCanonicalDeck,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -52,7 +55,7 @@ describe("Integration Tests - Bad Actors", function () {
                     minSmallBlind,
                     ethers.ZeroAddress,
                     0n,
-                    "0x",
+                    ...await publicKeyArgs(escrow, channelId, player1),
                     { value: deposit }
                 )
             )
@@ -69,7 +72,7 @@ describe("Integration Tests - Bad Actors", function () {
             const canonicalDeck = createMockCanonicalDeck();
 
             await expect(
-                escrow.connect(player1).startGame(channelId, deck, canonicalDeck)
+                escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck))
             ).to.be.revertedWithCustomError(escrow, "ChannelNotReady");
         });
 
@@ -81,7 +84,7 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: deposit }
             );
 
@@ -123,10 +126,10 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
         });
 
         it("should prevent game start if only one player submits deck", async function () {
@@ -135,7 +138,7 @@ describe("Integration Tests - Bad Actors", function () {
 
             // Player 1 submits deck
             await expect(
-                escrow.connect(player1).startGame(channelId, deck, canonicalDeck)
+                escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck))
             ).to.not.be.reverted;
 
             // Player 2 does not submit deck - game should not start
@@ -189,7 +192,7 @@ describe("Integration Tests - Bad Actors", function () {
             const canonicalDeck = createMockCanonicalDeck();
 
             // Player 1 submits deck
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             // Player 2 does not submit deck
             // Fast forward past the deadline
@@ -257,10 +260,10 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
         });
 
         it("should prevent game start if players submit mismatched decks", async function () {
@@ -269,10 +272,10 @@ describe("Integration Tests - Bad Actors", function () {
             const canonicalDeck = createMockCanonicalDeck();
 
             // Player 1 submits first deck
-            await escrow.connect(player1).startGame(channelId, deck1, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck1, await registerCanonicalDeck(escrow, canonicalDeck));
 
             // Player 2 submits different deck - game should not start
-            await escrow.connect(player2).startGame(channelId, deck2, canonicalDeck);
+            await escrow.connect(player2).startGame(channelId, deck2, await registerCanonicalDeck(escrow, canonicalDeck));
 
             // Verify game has not started
             const channel = await escrow.getChannel(channelId);
@@ -305,10 +308,10 @@ describe("Integration Tests - Bad Actors", function () {
             const canonicalDeck2 = createMockCanonicalDeck(); // Different canonical deck
 
             // Player 1 submits first canonical deck
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck1);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck1));
 
             // Player 2 submits different canonical deck - game should not start
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck2);
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck2));
 
             // Verify game has not started
             const channel = await escrow.getChannel(channelId);
@@ -320,18 +323,26 @@ describe("Integration Tests - Bad Actors", function () {
             const canonicalDeck = createMockCanonicalDeck();
 
             await expect(
-                escrow.connect(player1).startGame(channelId, invalidDeck, canonicalDeck)
+                escrow.connect(player1).startGame(channelId, invalidDeck, await registerCanonicalDeck(escrow, canonicalDeck))
             ).to.be.revertedWithCustomError(peek, "InvalidDeck");
         });
 
         it("should prevent game start with invalid canonical deck size", async function () {
-            const deck = createMockDeck();
             const invalidCanonicalDeck = createMockCanonicalDeck().slice(0, 30); // Only 30 cards instead of 52
 
             await expect(
-                escrow.connect(player1).startGame(channelId, deck, invalidCanonicalDeck)
+                escrow.connect(player1).registerCanonicalDeck(invalidCanonicalDeck)
             ).to.be.revertedWithCustomError(peek, "InvalidDeck");
         });
+
+        it("should prevent game start with an unregistered canonical deck", async function () {
+            const deck = createMockDeck();
+            const canonicalDeckId = canonicalDeckHash(createMockCanonicalDeck());
+
+            await expect(
+                escrow.connect(player1).startGame(channelId, deck, canonicalDeckId)
+            ).to.be.revertedWithCustomError(escrow, "CanonicalDeckNotRegistered");
+        });
     });
 
     describe("Player Does Not Act On Their Turn (Dispute Mechanism)", function () {
@@ -342,15 +353,15 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                "0x",
+                ...await publicKeyArgs(escrow, channelId, player1),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, "0x", { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2), { value: deposit });
 
             const deck = createMockDeck();
             const canonicalDeck = createMockCanonicalDeck();
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
         });
 
         it("should allow dispute when player stops responding mid-game", async function () {
@@ -473,10 +484,10 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 slashAmount,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit });
             const deckContext = "peek_bad_actor_test";
             deck = createEncryptedDeck(
                 crypto.secretKeyA,
@@ -485,8 +496,8 @@ describe("Integration Tests - Bad Actors", function () {
             );
             canonicalDeck = createCanonicalDeck(deckContext);
 
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
         });
 
         it("should allow peek contract to help reveal hole cards when player cooperates", async function () {
@@ -797,10 +808,10 @@ describe("Integration Tests - Bad Actors", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit });
             const deckContext = "showdown_no_reveal";
             deck = createEncryptedDeck(
                 crypto.secretKeyA,
@@ -809,8 +820,8 @@ describe("Integration Tests - Bad Actors", function () {
             );
             canonicalDeck = createCanonicalDeck("canonical_deck");
 
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
         });
 
         it("should award pot to player who reveals when opponent does not", async function () {
@@ -15,6 +15,8 @@ import {
     createPartialDecrypt,
     createPlaintext,
     deployAndWireContracts,
+    publicKeyArgs,
+    registerCanonicalDeck,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -53,7 +55,7 @@ describe("Integration Tests - Happy Path", function () {
                     minSmallBlind,
                     ethers.ZeroAddress,
                     0n,
-                    crypto.publicKeyA,
+                    ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                     { value: deposit }
                 )
             )
@@ -62,7 +64,7 @@ describe("Integration Tests - Happy Path", function () {
 
             // Step 3: Player 2 joins channel with public key
             await expect(
-                escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit })
+                escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit })
             )
                 .to.emit(escrow, "ChannelJoined")
                 .withArgs(channelId, player2.address, deposit);
@@ -103,11 +105,11 @@ describe("Integration Tests - Happy Path", function () {
             const deckHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes[]"], [deck]));
 
             await expect(
-                escrow.connect(player1).startGame(channelId, deck, canonicalDeck)
+                escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck))
             ).to.not.be.reverted;
 
             await expect(
-                escrow.connect(player2).startGame(channelId, deck, canonicalDeck)
+                escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck))
             )
                 .to.emit(escrow, "GameStarted")
                 .withArgs(channelId, deckHash);
@@ -218,12 +220,12 @@ describe("Integration Tests - Happy Path", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
 
             // Step 3: Player 2 joins channel
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit });
 
             // Step 4: Setup decks
             const deckContext = "happy_path_fold";
@@ -235,8 +237,8 @@ describe("Integration Tests - Happy Path", function () {
             const canonicalDeck = createCanonicalDeck("canonical_deck");
 
             // Step 5: Both players start game with matching decks
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             // Step 6: Play with a fold
             const handId = await escrow.getHandId(channelId);
@@ -288,10 +290,10 @@ describe("Integration Tests - Happy Path", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit });
 
             // Create deck with known cards
             const deckContext = "canonical_verification";
@@ -321,8 +323,8 @@ describe("Integration Tests - Happy Path", function () {
             }
 
             // Start game
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
 
             // Play to showdown
             const handId = await escrow.getHandId(channelId);
@@ -398,10 +400,10 @@ describe("Integration Tests - Happy Path", function () {
                 minSmallBlind,
                 ethers.ZeroAddress,
                 0n,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
-            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, crypto.publicKeyB, { value: deposit });
+            await escrow.connect(player2).join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit });
             const deckContext = "peek_actor_test";
             deck = createEncryptedDeck(
                 crypto.secretKeyA,
@@ -410,8 +412,8 @@ describe("Integration Tests - Happy Path", function () {
             );
             canonicalDeck = createCanonicalDeck(deckContext);
 
-            await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-            await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+            await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+            await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
         });
 
         it("should allow peek contract to help reveal hole cards when player cooperates", async function () {
@@ -0,0 +1,317 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import { buildActions } from "../helpers/test-utils.js";
+import { BETTING_STRUCTURE, NO_LIMIT_RULES, bettingRulesId } from "../../sdk/replay.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerReplay - Betting structures", function () {
+    let replay;
+
+    const player1 = "0x1000000000000000000000000000000000000001";
+    const player2 = "0x2000000000000000000000000000000000000002";
+
+    const potLimit = { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.POT_LIMIT };
+    const fixedLimit = {
+        ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.FIXED_LIMIT, smallBet: 2n, bigBet: 4n, raiseCap: 3
+    };
+
+    beforeEach(async function () {
+        const Replay = await ethers.getContractFactory("HeadsUpPokerReplay");
+        replay = await Replay.deploy();
+    });
+
+    async function register(rules) {
+        await replay.registerBettingRules(rules);
+        return bettingRulesId(rules);
+    }
+
+    // Blinds of 1/2 with player 1 on the small blind
+    function hand(rest) {
+        return buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+            ...rest
+        ]);
+    }
+
+    describe("Registry", function () {
+        it("registers rules once under their hash", async function () {
+            const id = bettingRulesId(fixedLimit);
+            expect(await replay.registerBettingRules.staticCall(fixedLimit)).to.equal(id);
+            await expect(replay.registerBettingRules(fixedLimit))
+                .to.emit(replay, "BettingRulesRegistered")
+                .withArgs(id, BETTING_STRUCTURE.FIXED_LIMIT);
+            await expect(replay.registerBettingRules(fixedLimit))
+                .to.not.emit(replay, "BettingRulesRegistered");
+
+            expect(await replay.isBettingRulesRegistered(id)).to.equal(true);
+            expect(await replay.getBettingRules(id)).to.deep.equal([2n, 2n, 4n, 3n, 0n, 0n]);
+            // Id zero is plain no-limit
+            expect(await replay.isBettingRulesRegistered(ethers.ZeroHash)).to.equal(true);
+            expect(await replay.getBettingRules(ethers.ZeroHash)).to.deep.equal([0n, 0n, 0n, 0n, 0n, 0n]);
+        });
+
+        it("rejects malformed and unknown rules", async function () {
+            for (const rules of [
+                { ...fixedLimit, smallBet: 0n },
+                { ...fixedLimit, bigBet: 1n },
+                { ...potLimit, smallBet: 2n },
+                { ...NO_LIMIT_RULES, bigBet: 4n },
+                { ...NO_LIMIT_RULES, bigBlindMultiplier: 1 }
+            ]) {
+                await expect(replay.registerBettingRules(rules))
+                    .to.be.revertedWithCustomError(replay, "InvalidBettingRules");
+            }
+
+            const unknown = bettingRulesId(potLimit);
+            expect(await replay.isBettingRulesRegistered(unknown)).to.equal(false);
+            await expect(replay.replayStateWithRules(hand([]), 100n, 100n, 1n, player1, player2, unknown, false))
+                .to.be.revertedWithCustomError(replay, "BettingRulesNotRegistered");
+        });
+    });
+
+    describe("Pot-limit", function () {
+        it("caps bets and raises at the size of the pot", async function () {
+            const id = await register(potLimit);
+
+            // SB may complete 1 and raise the 4 chip pot: 5 chips in total
+            let state = await replay.replayGameStateWithRules(hand([]), 100n, 100n, 1n, player1, player2, id, false);
+            expect(state.legal.minRaise).to.equal(3n);
+            expect(state.legal.maxRaise).to.equal(5n);
+            await expect(replay.replayStateWithRules(
+                hand([{ action: ACTION.BET_RAISE, amount: 6n, sender: player1 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "PotLimitExceeded");
+
+            // BB calls 4 into a pot of 12 and may raise all of it
+            const reraise = hand([{ action: ACTION.BET_RAISE, amount: 5n, sender: player1 }]);
+            state = await replay.replayGameStateWithRules(reraise, 100n, 100n, 1n, player1, player2, id, false);
+            expect(state.legal.maxRaise).to.equal(16n);
+            await replay.replayStateWithRules(
+                hand([
+                    { action: ACTION.BET_RAISE, amount: 5n, sender: player1 },
+                    { action: ACTION.BET_RAISE, amount: 16n, sender: player2 }
+                ]),
+                100n, 100n, 1n, player1, player2, id, false
+            );
+
+            // Short stacks still go all-in below the limit
+            state = await replay.replayGameStateWithRules(reraise, 100n, 10n, 1n, player1, player2, id, false);
+            expect(state.legal.maxRaise).to.equal(8n);
+        });
+
+        it("opens postflop betting at the pot", async function () {
+            const id = await register(potLimit);
+            const flop = [
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 }
+            ];
+
+            const state = await replay.replayGameStateWithRules(hand(flop), 100n, 100n, 1n, player1, player2, id, false);
+            expect(state.street).to.equal(1n);
+            expect([state.legal.minRaise, state.legal.maxRaise]).to.deep.equal([2n, 4n]);
+            await expect(replay.replayStateWithRules(
+                hand([...flop, { action: ACTION.BET_RAISE, amount: 5n, sender: player2 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "PotLimitExceeded");
+
+            // The same bet is fine without rules
+            await replay.replayState(
+                hand([...flop, { action: ACTION.BET_RAISE, amount: 5n, sender: player2 }]),
+                100n, 100n, 1n, player1, player2
+            );
+        });
+    });
+
+    describe("Fixed-limit", function () {
+        const checkToTurn = [
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }
+        ];
+
+        it("takes exactly one small bet preflop and on the flop", async function () {
+            const id = await register(fixedLimit);
+
+            const state = await replay.replayGameStateWithRules(hand([]), 100n, 100n, 1n, player1, player2, id, false);
+            expect([state.legal.minRaise, state.legal.maxRaise]).to.deep.equal([3n, 3n]);
+
+            await expect(replay.replayStateWithRules(
+                hand([{ action: ACTION.BET_RAISE, amount: 4n, sender: player1 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "FixedLimitAmountInvalid");
+            await expect(replay.replayStateWithRules(
+                hand([{ action: ACTION.BET_RAISE, amount: 2n, sender: player1 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "MinimumRaiseNotMet");
+
+            const flop = await replay.replayGameStateWithRules(
+                hand(checkToTurn.slice(0, 2)), 100n, 100n, 1n, player1, player2, id, false
+            );
+            expect([flop.legal.minRaise, flop.legal.maxRaise]).to.deep.equal([2n, 2n]);
+        });
+
+        it("switches to big bets on the turn", async function () {
+            const id = await register(fixedLimit);
+
+            const state = await replay.replayGameStateWithRules(hand(checkToTurn), 100n, 100n, 1n, player1, player2, id, false);
+            expect(state.street).to.equal(2n);
+            expect([state.legal.minRaise, state.legal.maxRaise]).to.deep.equal([4n, 4n]);
+
+            await expect(replay.replayStateWithRules(
+                hand([...checkToTurn, { action: ACTION.BET_RAISE, amount: 2n, sender: player2 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "MinimumRaiseNotMet");
+            await expect(replay.replayStateWithRules(
+                hand([...checkToTurn, { action: ACTION.BET_RAISE, amount: 5n, sender: player2 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "FixedLimitAmountInvalid");
+
+            // A raise calls the bet and adds one more
+            const [ended, , street] = await replay.replayStateWithRules(
+                hand([
+                    ...checkToTurn,
+                    { action: ACTION.BET_RAISE, amount: 4n, sender: player2 },
+                    { action: ACTION.BET_RAISE, amount: 8n, sender: player1 },
+                    { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 }
+                ]),
+                100n, 100n, 1n, player1, player2, id, false
+            );
+            expect([ended, street]).to.deep.equal([false, 3n]);
+        });
+
+        it("enforces the raise cap and allows short all-ins", async function () {
+            const id = await register(fixedLimit);
+            const raises = [
+                { action: ACTION.BET_RAISE, amount: 3n, sender: player1 },
+                { action: ACTION.BET_RAISE, amount: 4n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 4n, sender: player1 }
+            ];
+
+            const state = await replay.replayGameStateWithRules(hand(raises), 100n, 100n, 1n, player1, player2, id, false);
+            expect(state.raiseCount).to.equal(3n);
+            expect(state.legal.raise).to.equal(false);
+            await expect(replay.replayStateWithRules(
+                hand([...raises, { action: ACTION.BET_RAISE, amount: 4n, sender: player2 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "RaiseLimitExceeded");
+
+            // BB has 3 chips behind, one short of a full raise
+            const shortState = await replay.replayGameStateWithRules(
+                hand([{ action: ACTION.BET_RAISE, amount: 3n, sender: player1 }]),
+                100n, 5n, 1n, player1, player2, id, false
+            );
+            expect([shortState.legal.minRaise, shortState.legal.maxRaise]).to.deep.equal([3n, 3n]);
+            const [end] = await replay.replayIncompleteGameWithRules(
+                hand([
+                    { action: ACTION.BET_RAISE, amount: 3n, sender: player1 },
+                    { action: ACTION.BET_RAISE, amount: 3n, sender: player2 },
+                    { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }
+                ]),
+                100n, 5n, 1n, player1, player2, id, false
+            );
+            expect(end).to.equal(1n); // End.SHOWDOWN
+        });
+    });
+
+    describe("Antes and blind ratio", function () {
+        // Antes of 1 and blinds of 1/3
+        const anteRules = { ...NO_LIMIT_RULES, ante: 1n, bigBlindMultiplier: 3 };
+        const antes = [
+            { action: ACTION.ANTE, amount: 1n, sender: player1 },
+            { action: ACTION.ANTE, amount: 1n, sender: player2 }
+        ];
+        const blinds = [
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+            { action: ACTION.BIG_BLIND, amount: 3n, sender: player2 }
+        ];
+
+        it("posts the antes before the blinds and counts them in the pot", async function () {
+            const id = await register(anteRules);
+
+            const state = await replay.replayGameStateWithRules(
+                buildActions([...antes, ...blinds]), 100n, 100n, 1n, player1, player2, id, false
+            );
+            expect(state.stacks).to.deep.equal([98n, 96n]);
+            expect(state.contrib).to.deep.equal([1n, 3n]);
+            expect(state.total).to.deep.equal([2n, 4n]);
+            expect(state.toCall).to.equal(2n);
+            expect(state.legal.minRaise).to.equal(5n); // call 2 + raise by 3
+
+            // Folding the small blind loses the ante with it
+            const [end, folder, calledAmount] = await replay.replayGameWithRules(
+                buildActions([...antes, ...blinds, { action: ACTION.FOLD, amount: 0n, sender: player1 }]),
+                100n, 100n, 1n, player1, player2, id, false
+            );
+            expect([end, folder, calledAmount]).to.deep.equal([0n, 0n, 2n]);
+
+            // Antes alone do not start the hand
+            const [noBlinds] = await replay.replayIncompleteGameWithRules(
+                buildActions(antes), 100n, 100n, 1n, player1, player2, id, false
+            );
+            expect(noBlinds).to.equal(2n); // End.NO_BLINDS
+        });
+
+        it("puts a stack short of the ante all-in", async function () {
+            const id = await register({ ...anteRules, ante: 5n });
+            const bigAntes = [{ ...antes[0], amount: 5n }, { ...antes[1], amount: 5n }];
+
+            // The big blind antes its last 3 chips and posts no blind
+            const short = [...bigAntes.slice(0, 1), { ...antes[1], amount: 3n }, blinds[0], { ...blinds[1], amount: 0n }];
+            const state = await replay.replayGameStateWithRules(buildActions(short), 100n, 3n, 1n, player1, player2, id, false);
+            expect(state.stacks).to.deep.equal([94n, 0n]);
+            expect(state.total).to.deep.equal([6n, 3n]);
+            expect(state.allIn).to.deep.equal([false, true]);
+            const [end, , calledAmount] = await replay.replayGameWithRules(
+                buildActions(short), 100n, 3n, 1n, player1, player2, id, false
+            );
+            expect([end, calledAmount]).to.deep.equal([1n, 3n]); // End.SHOWDOWN
+
+            // The small blind antes its last 2 chips and posts a blind of 0
+            const shortSb = [{ ...antes[0], amount: 2n }, bigAntes[1], { ...blinds[0], amount: 0n }, { ...blinds[1], amount: 0n }];
+            const [sbEnd, , sbCalled] = await replay.replayGameWithRules(
+                buildActions(shortSb), 2n, 100n, 1n, player1, player2, id, false
+            );
+            expect([sbEnd, sbCalled]).to.deep.equal([1n, 2n]);
+
+            const cases = [
+                // A short stack antes all of it, a covered one the full ante
+                [[...bigAntes, ...short.slice(2)], 100n, 3n, "AnteAmountInvalid"],
+                [[short[0], { ...antes[1], amount: 2n }, ...short.slice(2)], 100n, 3n, "AnteAmountInvalid"],
+                [[{ ...antes[0], amount: 2n }, bigAntes[1], ...shortSb.slice(2)], 100n, 100n, "AnteAmountInvalid"],
+                // Nothing left for the blinds
+                [[...short.slice(0, 3), { ...blinds[1], amount: 3n }], 100n, 3n, "BigBlindStackInvalid"],
+                [[...shortSb.slice(0, 2), ...blinds], 2n, 100n, "SmallBlindAmountInvalid"]
+            ];
+            for (const [specs, stackA, stackB, error] of cases) {
+                await expect(replay.replayStateWithRules(buildActions(specs), stackA, stackB, 1n, player1, player2, id, false))
+                    .to.be.revertedWithCustomError(replay, error);
+            }
+        });
+
+        it("rejects hands that skip or misstate the antes", async function () {
+            const id = await register(anteRules);
+            const cases = [
+                [[...blinds, ...antes], "AnteActionInvalid"],
+                [[{ ...antes[0], amount: 2n }, antes[1], ...blinds], "AnteAmountInvalid"],
+                [[{ ...antes[0], sender: player2 }, antes[1], ...blinds], "WrongPlayerTurn"],
+                [[...antes, blinds[0], { ...blinds[1], amount: 2n }], "BigBlindAmountInvalid"],
+                [[...antes, ...blinds, { action: ACTION.ANTE, amount: 1n, sender: player1 }], "BlindOnlyStart"]
+            ];
+            for (const [specs, error] of cases) {
+                await expect(replay.replayStateWithRules(buildActions(specs), 100n, 100n, 1n, player1, player2, id, false))
+                    .to.be.revertedWithCustomError(replay, error);
+            }
+
+            await expect(replay.replayStateWithRules(
+                buildActions([...antes, ...blinds]), 100n, 0n, 1n, player1, player2, id, false
+            )).to.be.revertedWithCustomError(replay, "AnteStackInvalid");
+            // Without antes in the rules the action is unknown to the blinds
+            await expect(replay.replayState(buildActions([...antes, ...blinds]), 100n, 100n, 1n, player1, player2))
+                .to.be.revertedWithCustomError(replay, "SmallBlindActionInvalid");
+        });
+    });
+});
@@ -680,6 +680,34 @@ describe("HeadsUpPokerReplay", function () {
             expect(end).to.equal(1n); // End.SHOWDOWN;
         });
 
+        it("lets stacks short of a blind post it all-in", async function () {
+            // The small blind of 3 is below the minimum of 5 but is the whole stack
+            let actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 3n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 6n, sender: player2 }
+            ]);
+            expect(await replay.replayGame(actions, 3n, 10n, 5n, player1, player2)).to.deep.equal([1n, 0n, 3n]);
+            await expect(replay.replayGame(actions, 4n, 10n, 5n, player1, player2))
+                .to.be.revertedWithCustomError(replay, "SmallBlindAmountInvalid");
+
+            // A big blind all-in for no more than the small blind leaves nothing to call
+            actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 2n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 1n, sender: player2 }
+            ]);
+            expect(await replay.replayGame(actions, 10n, 1n, 1n, player1, player2)).to.deep.equal([1n, 0n, 1n]);
+
+            // Otherwise the small blind calls or folds the short big blind
+            actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 2n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 3n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }
+            ]);
+            expect(await replay.replayGame(actions, 10n, 3n, 1n, player1, player2)).to.deep.equal([1n, 0n, 3n]);
+            await expect(replay.replayGame(actions, 10n, 4n, 1n, player1, player2))
+                .to.be.revertedWithCustomError(replay, "BigBlindAmountInvalid");
+        });
+
         it("handles both players all-in from blinds by going to showdown", async function () {
             // When both players go all-in from posting blinds, contract should
             // automatically go to showdown instead of expecting more actions
@@ -1300,4 +1328,192 @@ describe("HeadsUpPokerReplay", function () {
                 .to.be.revertedWithCustomError(replay, "SmallBlindActionInvalid");
         });
     });
+
+    describe("replayGameState Tests", function () {
+        it("reports blinds, contributions and the opening options", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 }
+            ]);
+
+            const state = await replay.replayGameState(actions, 10n, 10n, 1n, player1, player2);
+            expect(state.ended).to.equal(false);
+            expect(state.actor).to.equal(0n);
+            expect(state.street).to.equal(0n);
+            expect(state.stacks).to.deep.equal([9n, 8n]);
+            expect(state.contrib).to.deep.equal([1n, 2n]);
+            expect(state.toCall).to.equal(1n);
+            expect(state.lastRaise).to.equal(2n);
+            expect(state.reopen).to.equal(true);
+            expect(state.raiseCount).to.equal(0n);
+
+            expect(state.legal.fold).to.equal(true);
+            expect(state.legal.check).to.equal(false);
+            expect(state.legal.call).to.equal(true);
+            expect(state.legal.callAmount).to.equal(1n);
+            expect(state.legal.raise).to.equal(true);
+            expect(state.legal.minRaise).to.equal(3n); // call 1 + raise by 2
+            expect(state.legal.maxRaise).to.equal(9n);
+        });
+
+        it("only offers the all-in after a short all-in closed reopening", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 7n, sender: player1 }, // SB raises to 8
+                { action: ACTION.BET_RAISE, amount: 8n, sender: player2 }, // BB all-in for 10, raise by 2 only
+            ]);
+
+            const state = await replay.replayGameState(actions, 20n, 10n, 1n, player1, player2);
+            expect(state.reopen).to.equal(false);
+            expect(state.allIn).to.deep.equal([false, true]);
+            expect(state.toCall).to.equal(2n);
+            expect(state.legal.call).to.equal(true);
+            // The short all-in did not reopen the betting for SB
+            expect(state.legal.raise).to.equal(false);
+        });
+
+        it("allows a short all-in raise when the stack cannot cover a full raise", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 5n, sender: player1 }, // SB raises to 6
+            ]);
+
+            const state = await replay.replayGameState(actions, 10n, 9n, 1n, player1, player2);
+            expect(state.toCall).to.equal(4n);
+            expect(state.legal.raise).to.equal(true);
+            expect(state.legal.minRaise).to.equal(7n); // all-in only: 4 to call + 3 more
+            expect(state.legal.maxRaise).to.equal(7n);
+        });
+
+        it("offers no raise after the street raise cap", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 3n, sender: player1 },
+                { action: ACTION.BET_RAISE, amount: 4n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 4n, sender: player1 },
+                { action: ACTION.BET_RAISE, amount: 4n, sender: player2 },
+            ]);
+
+            const state = await replay.replayGameState(actions, 100n, 100n, 1n, player1, player2);
+            expect(state.raiseCount).to.equal(4n);
+            expect(state.legal.call).to.equal(true);
+            expect(state.legal.raise).to.equal(false);
+        });
+
+        it("reports a finished hand with no legal actions", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.FOLD, amount: 0n, sender: player1 }
+            ]);
+
+            const state = await replay.replayGameState(actions, 10n, 10n, 1n, player1, player2);
+            expect(state.ended).to.equal(true);
+            expect(state.end).to.equal(0n); // End.FOLD
+            expect(state.legal.fold).to.equal(false);
+            expect(state.legal.check).to.equal(false);
+            expect(state.legal.raise).to.equal(false);
+        });
+
+        it("asks the limper to call only the raise after the big blind option", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // SB limps
+                { action: ACTION.BET_RAISE, amount: 2n, sender: player2 }, // BB raises by 2
+            ]);
+
+            const state = await replay.replayGameState(actions, 10n, 10n, 1n, player1, player2);
+            expect(state.contrib).to.deep.equal([2n, 4n]);
+            expect(state.toCall).to.equal(2n);
+            expect(state.legal.callAmount).to.equal(2n);
+        });
+
+        it("reaches showdown when a river bet is called", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // SB calls
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 }, // BB checks -> flop
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // -> turn
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // -> river
+                { action: ACTION.BET_RAISE, amount: 2n, sender: player2 }, // BB bets river
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }  // SB calls
+            ]);
+
+            const [end, , calledAmount] = await replay.replayGame(actions, 10n, 10n, 1n, player1, player2);
+            expect(end).to.equal(1n); // End.SHOWDOWN
+            expect(calledAmount).to.equal(4n);
+        });
+
+        it("reverts without blinds", async function () {
+            await expect(replay.replayGameState([], 10n, 10n, 1n, player1, player2))
+                .to.be.revertedWithCustomError(replay, "NoBlinds");
+        });
+    });
+
+    // Transcripts these rules settle differently from the first replay version
+    describe("Call contributions and river calls", function () {
+        // SB limps, BB raises by 2 and SB calls: both have 4 in the pot
+        const limpRaiseCall = () => [
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 },
+            { action: ACTION.BET_RAISE, amount: 2n, sender: player2 },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }
+        ];
+
+        it("charges a limper calling a raise only the raise", async function () {
+            // Calls used to leave the street contribution behind, so the limper
+            // was charged 3 here, leaving [5, 6] behind
+            const state = await replay.replayGameState(buildActions(limpRaiseCall()), 10n, 10n, 1n, player1, player2);
+            expect(state.street).to.equal(1n);
+            expect(state.total).to.deep.equal([4n, 4n]);
+            expect(state.stacks).to.deep.equal([6n, 6n]);
+        });
+
+        it("lets the limper shove the stack left after calling a raise", async function () {
+            // With the overcharge the 6 chip shove failed with RaiseStackInvalid
+            const actions = buildActions([
+                ...limpRaiseCall(),
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+                { action: ACTION.BET_RAISE, amount: 6n, sender: player1 },
+                { action: ACTION.FOLD, amount: 0n, sender: player2 }
+            ]);
+            const [end, folder, calledAmount] = await replay.replayGame(actions, 10n, 10n, 1n, player1, player2);
+            expect(end).to.equal(0n); // End.FOLD
+            expect(folder).to.equal(1n);
+            expect(calledAmount).to.equal(4n);
+        });
+
+        it("ends in a showdown when a river bet is called", async function () {
+            // Calling on the river used to revert with StreetOverflow, so the
+            // hand could not be settled or disputed
+            const actions = buildActions([
+                ...limpRaiseCall(),
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // -> turn
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }, // -> river
+                { action: ACTION.BET_RAISE, amount: 3n, sender: player2 },
+                { action: ACTION.CHECK_CALL, amount: 0n, sender: player1 }
+            ]);
+            const [end, , calledAmount] = await replay.replayGame(actions, 10n, 10n, 1n, player1, player2);
+            expect(end).to.equal(1n); // End.SHOWDOWN
+            expect(calledAmount).to.equal(7n);
+
+            const disputed = await replay.replayIncompleteGame(actions, 10n, 10n, 1n, player1, player2);
+            expect([disputed.end, disputed.calledAmount]).to.deep.equal([1n, 7n]);
+
+            const state = await replay.replayGameState(actions, 10n, 10n, 1n, player1, player2);
+            expect(state.ended).to.equal(true);
+            expect(state.street).to.equal(4n);
+            expect(state.total).to.deep.equal([7n, 7n]);
+        });
+    });
 });
@@ -0,0 +1,396 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { ACTION } from "../helpers/actions.js";
+import { actionHash } from "../helpers/hashes.js";
+import { buildActions } from "../helpers/test-utils.js";
+import { mulberry32 } from "../helpers/random.js";
+import {
+    BETTING_STRUCTURE,
+    NO_LIMIT_RULES,
+    ReplayError,
+    bettingRulesId,
+    replayActions,
+    replayGame,
+    replayIncompleteGame,
+    replayGameState,
+    replayState,
+    verifyNextAction,
+} from "../../sdk/replay.js";
+
+const { ethers } = hre;
+
+describe("HeadsUpPokerReplay - JS mirror", function () {
+    let replay;
+
+    const player1 = "0x1000000000000000000000000000000000000001";
+    const player2 = "0x2000000000000000000000000000000000000002";
+
+    before(async function () {
+        const Replay = await ethers.getContractFactory("HeadsUpPokerReplay");
+        replay = await Replay.deploy();
+    });
+
+    function jsOutcome(fn) {
+        try {
+            return { value: fn() };
+        } catch (err) {
+            if (!(err instanceof ReplayError)) throw err;
+            return { error: err.errorName };
+        }
+    }
+
+    async function chainOutcome(promise) {
+        try {
+            return { value: await promise };
+        } catch (err) {
+            if (!err.data) throw err;
+            return { error: replay.interface.parseError(err.data).name };
+        }
+    }
+
+    // Rules the structured runs pick from, registered before comparing
+    const RULES = [
+        { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.POT_LIMIT },
+        { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.POT_LIMIT, raiseCap: 2 },
+        { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.FIXED_LIMIT, smallBet: 2n, bigBet: 4n },
+        { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.FIXED_LIMIT, smallBet: 1n, bigBet: 3n, raiseCap: 3 },
+        { ...NO_LIMIT_RULES, ante: 1n, bigBlindMultiplier: 3 },
+        { ...NO_LIMIT_RULES, structure: BETTING_STRUCTURE.POT_LIMIT, ante: 2n },
+    ];
+
+    function randomAmount(rand, game, rules) {
+        const stack = game.stacks[game.actor];
+        const potLimit = 2n * game.toCall + game.total[0] + game.total[1];
+        const fixedBet = game.street < 2 ? rules.smallBet : rules.bigBet;
+        const choices = [
+            game.toCall + game.lastRaise,
+            game.toCall + game.lastRaise + BigInt(Math.floor(rand() * 5)),
+            stack,
+            game.toCall,
+            game.toCall + 1n,
+            BigInt(Math.floor(rand() * Number(stack + 2n))),
+            potLimit,
+            potLimit + 1n,
+            game.toCall + fixedBet,
+        ];
+        return choices[Math.floor(rand() * choices.length)];
+    }
+
+    // Builds a mostly-legal hand and sprinkles in malformed actions
+    function randomSequence(rand, rules = NO_LIMIT_RULES) {
+        const handId = BigInt(1 + Math.floor(rand() * 4));
+        const stackA = BigInt(1 + Math.floor(rand() * 60));
+        const stackB = BigInt(1 + Math.floor(rand() * 60));
+        const minSmallBlind = BigInt(1 + Math.floor(rand() * 3));
+        const sbFirst = handId % 2n === 1n;
+        const sbSender = sbFirst ? player1 : player2;
+        const bbSender = sbFirst ? player2 : player1;
+
+        let sbAmount = minSmallBlind + BigInt(Math.floor(rand() * 3));
+        if (rand() < 0.05) sbAmount = 0n;
+        let bbAmount = sbAmount * BigInt(rules.bigBlindMultiplier || 2);
+        if (rand() < 0.05) bbAmount += 1n;
+
+        // Blinds posted all-in, legal when the stack is short of the blind
+        const sbStack = (sbFirst ? stackA : stackB) - rules.ante;
+        const bbStack = (sbFirst ? stackB : stackA) - rules.ante;
+        if (rand() < 0.04 && sbStack > 0n) sbAmount = sbStack;
+        if (rand() < 0.04 && bbStack > 0n) bbAmount = bbStack;
+
+        const antes = [];
+        if (rules.ante > 0n) {
+            const ante = rand() < 0.05 ? rules.ante + 1n : rules.ante;
+            antes.push(
+                { action: ACTION.ANTE, amount: ante, sender: sbSender },
+                { action: ACTION.ANTE, amount: rules.ante, sender: bbSender }
+            );
+        }
+
+        const actions = buildActions([
+            ...antes,
+            { action: ACTION.SMALL_BLIND, amount: sbAmount, sender: sbSender },
+            { action: ACTION.BIG_BLIND, amount: bbAmount, sender: bbSender },
+        ], 1n, handId);
+
+        const length = Math.floor(rand() * 14);
+        for (let i = 0; i < length; i++) {
+            let game;
+            try {
+                ({ game } = replayActions(actions, stackA, stackB, minSmallBlind, player1, player2, rules));
+            } catch {
+                break;
+            }
+
+            const prev = actions[actions.length - 1];
+            const roll = rand();
+            let verb;
+            let amount = 0n;
+            if (roll < 0.08) {
+                verb = ACTION.FOLD;
+            } else if (roll < 0.5) {
+                verb = ACTION.CHECK_CALL;
+            } else {
+                verb = ACTION.BET_RAISE;
+                amount = randomAmount(rand, game, rules);
+            }
+
+            const act = {
+                channelId: prev.channelId,
+                handId: prev.handId,
+                seq: prev.seq + 1,
+                action: verb,
+                amount,
+                prevHash: actionHash(prev),
+                sender: game.actor === 0 ? player1 : player2,
+            };
+
+            const mutation = rand();
+            if (mutation < 0.03) act.sender = game.actor === 0 ? player2 : player1;
+            else if (mutation < 0.05) act.amount += 1n;
+            else if (mutation < 0.06) act.seq = prev.seq;
+            else if (mutation < 0.07) act.action = Math.floor(rand() * 6);
+            else if (mutation < 0.08) act.prevHash = ethers.ZeroHash;
+
+            actions.push(act);
+        }
+
+        return { actions, stackA, stackB, minSmallBlind };
+    }
+
+    it("matches the contract on random action sequences", async function () {
+        this.timeout(120000);
+        const rand = mulberry32(0x5eed);
+
+        for (let i = 0; i < 250; i++) {
+            const { actions, stackA, stackB, minSmallBlind } = randomSequence(rand);
+            const args = [actions, stackA, stackB, minSmallBlind, player1, player2];
+            const label = `sequence #${i}`;
+
+            const jsGame = jsOutcome(() => replayGame(...args));
+            const chainGame = await chainOutcome(replay.replayGame(...args));
+            expect(jsGame.error, label).to.equal(chainGame.error);
+            if (!jsGame.error) {
+                expect(
+                    [BigInt(jsGame.value.end), BigInt(jsGame.value.folder), jsGame.value.calledAmount],
+                    label
+                ).to.deep.equal([...chainGame.value]);
+            }
+
+            const jsIncomplete = jsOutcome(() => replayIncompleteGame(...args));
+            const chainIncomplete = await chainOutcome(replay.replayIncompleteGame(...args));
+            expect(jsIncomplete.error, label).to.equal(chainIncomplete.error);
+            if (!jsIncomplete.error) {
+                expect(
+                    [BigInt(jsIncomplete.value.end), BigInt(jsIncomplete.value.folder), jsIncomplete.value.calledAmount],
+                    label
+                ).to.deep.equal([...chainIncomplete.value]);
+            }
+
+            const jsState = jsOutcome(() => replayState(...args));
+            const chainState = await chainOutcome(replay.replayState(...args));
+            expect(jsState.error, label).to.equal(chainState.error);
+            if (!jsState.error) {
+                expect(
+                    [jsState.value.ended, BigInt(jsState.value.gameEnd), BigInt(jsState.value.street)],
+                    label
+                ).to.deep.equal([...chainState.value]);
+            }
+
+            const jsFull = jsOutcome(() => replayGameState(...args));
+            const chainFull = await chainOutcome(replay.replayGameState(...args));
+            expect(jsFull.error, label).to.equal(chainFull.error);
+            if (!jsFull.error) {
+                expect(normalizeState(jsFull.value), label).to.deep.equal(normalizeState(chainFull.value));
+            }
+        }
+    });
+
+    it("matches the contract under pot-limit, fixed-limit and ante rules", async function () {
+        this.timeout(120000);
+        const rand = mulberry32(0xb375);
+        for (const rules of RULES) {
+            await replay.registerBettingRules(rules);
+        }
+
+        for (let i = 0; i < 120; i++) {
+            const rules = RULES[Math.floor(rand() * RULES.length)];
+            const { actions, stackA, stackB, minSmallBlind } = randomSequence(rand, rules);
+            const args = [actions, stackA, stackB, minSmallBlind, player1, player2];
+            // Every other sequence holds the small blind to the minimum, as a match does
+            const exact = i % 2 === 1;
+            const label = `sequence #${i} structure ${rules.structure} exact ${exact}`;
+
+            const jsGame = jsOutcome(() => replayIncompleteGame(...args, rules, exact));
+            const chainGame = await chainOutcome(
+                replay.replayIncompleteGameWithRules(...args, bettingRulesId(rules), exact)
+            );
+            expect(jsGame.error, label).to.equal(chainGame.error);
+            if (!jsGame.error) {
+                expect(
+                    [BigInt(jsGame.value.end), BigInt(jsGame.value.folder), jsGame.value.calledAmount],
+                    label
+                ).to.deep.equal([...chainGame.value]);
+            }
+
+            const jsFull = jsOutcome(() => replayGameState(...args, rules, exact));
+            const chainFull = await chainOutcome(
+                replay.replayGameStateWithRules(...args, bettingRulesId(rules), exact)
+            );
+            expect(jsFull.error, label).to.equal(chainFull.error);
+            if (!jsFull.error) {
+                expect(normalizeState(jsFull.value), label).to.deep.equal(normalizeState(chainFull.value));
+            }
+        }
+    });
+
+    function normalizeState(state) {
+        const legal = state.legal;
+        return {
+            ended: state.ended,
+            end: BigInt(state.end),
+            folder: BigInt(state.folder),
+            actor: BigInt(state.actor),
+            street: BigInt(state.street),
+            stacks: [...state.stacks],
+            contrib: [...state.contrib],
+            total: [...state.total],
+            allIn: [...state.allIn],
+            toCall: state.toCall,
+            lastRaise: state.lastRaise,
+            reopen: state.reopen,
+            raiseCount: BigInt(state.raiseCount),
+            legal: [legal.fold, legal.check, legal.call, legal.raise, legal.callAmount, legal.minRaise, legal.maxRaise],
+        };
+    }
+
+    it("reports exactly the moves the replay accepts", function () {
+        const rand = mulberry32(0x1e6a1);
+        let checked = 0;
+
+        const acceptedAfter = (actions, params, sender, action, amount) => {
+            const prev = actions[actions.length - 1];
+            const next = {
+                channelId: prev.channelId,
+                handId: prev.handId,
+                seq: prev.seq + 1,
+                action,
+                amount,
+                prevHash: actionHash(prev),
+                sender,
+            };
+            try {
+                verifyNextAction(actions, next, ...params);
+                return true;
+            } catch (err) {
+                if (!(err instanceof ReplayError)) throw err;
+                return false;
+            }
+        };
+
+        for (let i = 0; i < 240; i++) {
+            // Half of the hands are no-limit, the rest spread over the structured rules
+            const rules = i % 2 === 0 ? NO_LIMIT_RULES : RULES[(i >> 1) % RULES.length];
+            const sequence = randomSequence(rand, rules);
+            const params = [sequence.stackA, sequence.stackB, sequence.minSmallBlind, player1, player2, rules];
+
+            // Check every valid, unfinished prefix of the sequence from the blinds on
+            const blinds = rules.ante > 0n ? 4 : 2;
+            for (let length = blinds; length <= sequence.actions.length; length++) {
+                const actions = sequence.actions.slice(0, length);
+
+                let state;
+                try {
+                    state = replayGameState(actions, ...params);
+                } catch {
+                    break;
+                }
+                if (state.ended) break;
+
+                const label = `sequence #${i} prefix ${length}`;
+                const { legal } = state;
+                const sender = state.actor === 0 ? player1 : player2;
+                expect(acceptedAfter(actions, params, sender, ACTION.FOLD, 0n), label).to.equal(legal.fold);
+                expect(acceptedAfter(actions, params, sender, ACTION.CHECK_CALL, 0n), label).to.equal(
+                    legal.check || legal.call
+                );
+
+                // Probe around every boundary a raise can hit
+                const stack = state.stacks[state.actor];
+                const probes = new Set([
+                    1n, stack, stack - 1n, state.toCall, state.toCall + 1n,
+                    state.toCall + state.lastRaise - 1n, state.toCall + state.lastRaise,
+                    legal.minRaise - 1n, legal.minRaise, legal.minRaise + 1n,
+                    legal.maxRaise, legal.maxRaise + 1n,
+                ]);
+                for (const amount of probes) {
+                    if (amount < 1n || amount > stack) continue;
+                    const inRange = legal.raise && amount >= legal.minRaise && amount <= legal.maxRaise;
+                    expect(
+                        acceptedAfter(actions, params, sender, ACTION.BET_RAISE, amount),
+                        `${label} raise ${amount}`
+                    ).to.equal(inRange);
+                }
+                checked++;
+            }
+        }
+
+        expect(checked).to.be.greaterThan(300);
+    });
+
+    describe("verifyNextAction", function () {
+        const blinds = () => buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: player2 },
+        ]);
+
+        function next(actions, action, amount, sender) {
+            const prev = actions[actions.length - 1];
+            return {
+                channelId: prev.channelId,
+                handId: prev.handId,
+                seq: prev.seq + 1,
+                action,
+                amount,
+                prevHash: actionHash(prev),
+                sender,
+            };
+        }
+
+        it("accepts a legal raise", function () {
+            const actions = blinds();
+            const res = verifyNextAction(actions, next(actions, ACTION.BET_RAISE, 3n, player1), 10n, 10n, 1n, player1, player2);
+            expect(res.ended).to.equal(false);
+        });
+
+        it("rejects an undersized raise with the contract error name", function () {
+            const actions = blinds();
+            expect(() =>
+                verifyNextAction(actions, next(actions, ACTION.BET_RAISE, 2n, player1), 10n, 10n, 1n, player1, player2)
+            ).to.throw(ReplayError, "MinimumRaiseNotMet");
+        });
+
+        it("checks the blinds of a hand that opens with antes", function () {
+            const rules = { ...NO_LIMIT_RULES, ante: 1n };
+            const actions = buildActions([
+                { action: ACTION.ANTE, amount: 1n, sender: player1 },
+                { action: ACTION.ANTE, amount: 1n, sender: player2 },
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: player1 },
+            ]);
+            const res = verifyNextAction(
+                actions, next(actions, ACTION.BIG_BLIND, 2n, player2), 10n, 10n, 1n, player1, player2, rules
+            );
+            expect(res.ended).to.equal(false);
+            expect(() => verifyNextAction(
+                actions, next(actions, ACTION.BIG_BLIND, 3n, player2), 10n, 10n, 1n, player1, player2, rules
+            )).to.throw(ReplayError, "BigBlindAmountInvalid");
+        });
+
+        it("rejects actions after the hand ended", function () {
+            const actions = blinds();
+            actions.push(next(actions, ACTION.FOLD, 0n, player1));
+            expect(() =>
+                verifyNextAction(actions, next(actions, ACTION.CHECK_CALL, 0n, player2), 10n, 10n, 1n, player1, player2)
+            ).to.throw("Hand already ended");
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mulberry32 } from "../helpers/random.js";
+import { CARD, makeCard } from "../../sdk/cards.js";
+import { HAND, compareHands, describeHand, evaluateHand, handType } from "../../sdk/evaluator.js";
+
+const { ethers } = hre;
+
+// Draws 7 distinct cards from the given suits and ranks
+function drawHand(rand, suits, ranks) {
+    const pool = [];
+    for (const suit of suits) {
+        for (const rank of ranks) pool.push(makeCard(suit, rank));
+    }
+    const hand = [];
+    for (let i = 0; i < 7; i++) {
+        const idx = Math.floor(rand() * pool.length);
+        hand.push(pool.splice(idx, 1)[0]);
+    }
+    return hand;
+}
+
+function pickDistinct(rand, values, count) {
+    const copy = [...values];
+    const out = [];
+    for (let i = 0; i < count; i++) {
+        out.push(copy.splice(Math.floor(rand() * copy.length), 1)[0]);
+    }
+    return out;
+}
+
+const ALL_SUITS = [0, 1, 2, 3];
+const ALL_RANKS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+
+// Narrow pools produce quads, full houses, flushes and straight flushes
+// far more often than uniform draws do
+function drawCrowdedHand(rand) {
+    for (;;) {
+        const suitCount = 2 + Math.floor(rand() * 3);
+        const rankCount = Math.ceil(7 / suitCount) + Math.floor(rand() * 5);
+        const suits = pickDistinct(rand, ALL_SUITS, suitCount);
+        let ranks;
+        if (rand() < 0.5) {
+            // Consecutive window, including the ace-low wheel
+            const start = Math.floor(rand() * (14 - rankCount + 1));
+            ranks = [];
+            for (let r = 0; r < rankCount; r++) ranks.push(((start + r) % 13) + 1);
+        } else {
+            ranks = pickDistinct(rand, ALL_RANKS, rankCount);
+        }
+        if (suits.length * ranks.length >= 7) return drawHand(rand, suits, ranks);
+    }
+}
+
+describe("PokerEvaluator - JS mirror", function () {
+    let evaluator;
+
+    before(async function () {
+        const PokerEvaluator = await ethers.getContractFactory("PokerEvaluatorTest");
+        evaluator = await PokerEvaluator.deploy();
+    });
+
+    async function expectSameRank(hand) {
+        const onChain = await evaluator.evaluateHand(hand);
+        expect(BigInt(evaluateHand(hand)), `hand ${hand.join(",")}`).to.equal(onChain);
+        return Number(onChain);
+    }
+
+    it("matches the contract on uniformly random hands", async function () {
+        const rand = mulberry32(0xca4d5);
+        for (let i = 0; i < 1000; i++) {
+            await expectSameRank(drawHand(rand, ALL_SUITS, ALL_RANKS));
+        }
+    });
+
+    it("matches the contract on hands crowded into few ranks and suits", async function () {
+        const rand = mulberry32(0xf1a5);
+        const seen = new Set();
+        for (let i = 0; i < 1000; i++) {
+            seen.add(handType(await expectSameRank(drawCrowdedHand(rand))));
+        }
+        expect(seen.size).to.equal(Object.keys(HAND).length);
+    });
+
+    it("describeHand matches the contract", async function () {
+        const rand = mulberry32(0xde5c);
+        for (let i = 0; i < 300; i++) {
+            const hand = i % 2 === 0
+                ? drawHand(rand, ALL_SUITS, ALL_RANKS)
+                : drawCrowdedHand(rand);
+            const [category, bestCards, description] = await evaluator.describeHand(hand);
+            const js = describeHand(hand);
+            const label = `hand ${hand.join(",")}`;
+            expect(js.category, label).to.equal(Number(category));
+            expect(js.bestCards, label).to.deep.equal(bestCards.map(Number));
+            expect(js.description, label).to.equal(description);
+        }
+    });
+
+    it("matches the contract on ranking edge cases", async function () {
+        const hands = [
+            // Wheel and wheel straight flush
+            [CARD.ACE_SPADES, CARD.TWO_SPADES, CARD.THREE_SPADES, CARD.FOUR_SPADES, CARD.FIVE_SPADES, CARD.KING_HEARTS, CARD.NINE_CLUBS],
+            [CARD.ACE_HEARTS, CARD.TWO_CLUBS, CARD.THREE_DIAMONDS, CARD.FOUR_SPADES, CARD.FIVE_HEARTS, CARD.SIX_CLUBS, CARD.KING_CLUBS],
+            // Royal flush
+            [CARD.TEN_HEARTS, CARD.JACK_HEARTS, CARD.QUEEN_HEARTS, CARD.KING_HEARTS, CARD.ACE_HEARTS, CARD.TWO_CLUBS, CARD.THREE_CLUBS],
+            // Two sets of trips
+            [CARD.ACE_SPADES, CARD.ACE_HEARTS, CARD.ACE_CLUBS, CARD.KING_SPADES, CARD.KING_HEARTS, CARD.KING_CLUBS, CARD.TWO_CLUBS],
+            // Three pairs
+            [CARD.ACE_SPADES, CARD.ACE_HEARTS, CARD.KING_SPADES, CARD.KING_HEARTS, CARD.QUEEN_CLUBS, CARD.QUEEN_HEARTS, CARD.TWO_CLUBS],
+            // Quads with a pair
+            [CARD.NINE_SPADES, CARD.NINE_HEARTS, CARD.NINE_CLUBS, CARD.NINE_DIAMONDS, CARD.KING_HEARTS, CARD.KING_CLUBS, CARD.TWO_CLUBS],
+            // Six-card flush
+            [CARD.TWO_DIAMONDS, CARD.FIVE_DIAMONDS, CARD.SEVEN_DIAMONDS, CARD.NINE_DIAMONDS, CARD.JACK_DIAMONDS, CARD.KING_DIAMONDS, CARD.ACE_CLUBS],
+        ];
+        for (const hand of hands) {
+            await expectSameRank(hand);
+        }
+    });
+
+    it("rejects hands that are not seven cards", function () {
+        expect(() => evaluateHand([CARD.ACE_SPADES])).to.throw("exactly 7 cards");
+    });
+
+    it("compareHands picks the higher rank", function () {
+        const board = [CARD.TWO_CLUBS, CARD.SEVEN_DIAMONDS, CARD.NINE_HEARTS, CARD.JACK_SPADES, CARD.KING_CLUBS];
+        const result = compareHands(
+            [CARD.ACE_SPADES, CARD.ACE_HEARTS],
+            [CARD.KING_SPADES, CARD.QUEEN_HEARTS],
+            board
+        );
+        expect(result.winner).to.equal(0);
+        expect(handType(result.rankA)).to.equal(HAND.PAIR);
+        expect(result.rankA).to.be.greaterThan(result.rankB);
+        expect(compareHands(
+            [CARD.THREE_SPADES, CARD.FOUR_HEARTS],
+            [CARD.THREE_HEARTS, CARD.FOUR_SPADES],
+            board
+        ).winner).to.equal(-1);
+    });
+});
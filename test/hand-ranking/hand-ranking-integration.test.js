@@ -15,6 +15,7 @@ import {
     playPlayer1WinsShowdown,
     startGameWithDeck,
     deployAndWireContracts,
+    publicKeyArgs,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -44,12 +45,12 @@ describe("HeadsUpPokerEscrow - Poker Hand Ranking Integration", function () {
                 1n,
                 ethers.ZeroAddress,
                 0n,
-                crypto.publicKeyA,
+                ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
                 { value: deposit }
             );
         await escrow
             .connect(player2)
-            .join(channelId, ethers.ZeroAddress, crypto.publicKeyB, {
+            .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), {
                 value: deposit,
             });
     });
@@ -139,6 +140,27 @@ describe("HeadsUpPokerEscrow - Poker Hand Ranking Integration", function () {
         const sd = await showdown.getShowdown(channelId);
         expect(sd.cards[SLOT.A1]).to.equal(desiredCards[SLOT.A1]);
         expect(sd.cards[SLOT.B1]).to.equal(desiredCards[SLOT.B1]);
+
+        const winnerHand = await showdown.describeShowdownHand(channelId, 0);
+        expect(winnerHand.category).to.equal(1n);
+        expect(winnerHand.bestCards.map(Number)).to.deep.equal([
+            CARD.ACE_SPADES,
+            CARD.ACE_CLUBS,
+            CARD.KING_SPADES,
+            CARD.SEVEN_CLUBS,
+            CARD.FIVE_DIAMONDS,
+        ]);
+        expect(winnerHand.description).to.equal("Pair of Aces");
+
+        const loserHand = await showdown.describeShowdownHand(channelId, 1);
+        expect(loserHand.description).to.equal("High card, Ace");
+    });
+
+    it("describes showdown hands only once cards are resolved", async function () {
+        await expect(showdown.describeShowdownHand(channelId, 0))
+            .to.be.revertedWithCustomError(showdown, "CardsNotResolved");
+        await expect(showdown.describeShowdownHand(channelId, 2))
+            .to.be.revertedWithCustomError(showdown, "BadRoleIndex");
     });
 
     it("determines winner correctly - straight beats pair", async function () {
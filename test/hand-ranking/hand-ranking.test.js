@@ -204,4 +204,105 @@ describe("PokerEvaluator", function () {
             expect(handType).to.equal(4n); // HAND_STRAIGHT
         });
     });
+
+    describe("Hand Descriptions", function () {
+        const descriptionTests = [
+            {
+                hand: [
+                    CARD.KING_CLUBS, CARD.SEVEN_DIAMONDS, CARD.KING_HEARTS,
+                    CARD.SEVEN_SPADES, CARD.KING_DIAMONDS, CARD.TWO_CLUBS, CARD.NINE_HEARTS
+                ],
+                category: 6n,
+                bestCards: [
+                    CARD.KING_CLUBS, CARD.KING_HEARTS, CARD.KING_DIAMONDS,
+                    CARD.SEVEN_DIAMONDS, CARD.SEVEN_SPADES
+                ],
+                description: "Full house, Kings full of Sevens"
+            },
+            {
+                hand: [
+                    CARD.ACE_CLUBS, CARD.TWO_DIAMONDS, CARD.THREE_HEARTS,
+                    CARD.FOUR_SPADES, CARD.FIVE_CLUBS, CARD.NINE_DIAMONDS, CARD.KING_HEARTS
+                ],
+                category: 4n,
+                bestCards: [
+                    CARD.FIVE_CLUBS, CARD.FOUR_SPADES, CARD.THREE_HEARTS,
+                    CARD.TWO_DIAMONDS, CARD.ACE_CLUBS
+                ],
+                description: "Straight, Five high"
+            },
+            {
+                hand: [
+                    CARD.SIX_CLUBS, CARD.SIX_DIAMONDS, CARD.ACE_HEARTS,
+                    CARD.JACK_SPADES, CARD.SIX_HEARTS, CARD.SIX_SPADES, CARD.TWO_HEARTS
+                ],
+                category: 7n,
+                bestCards: [
+                    CARD.SIX_CLUBS, CARD.SIX_DIAMONDS, CARD.SIX_HEARTS,
+                    CARD.SIX_SPADES, CARD.ACE_HEARTS
+                ],
+                description: "Four of a kind, Sixes"
+            },
+            {
+                hand: [
+                    CARD.ACE_HEARTS, CARD.TWO_HEARTS, CARD.NINE_HEARTS,
+                    CARD.JACK_HEARTS, CARD.FOUR_HEARTS, CARD.KING_CLUBS, CARD.SIX_HEARTS
+                ],
+                category: 5n,
+                bestCards: [
+                    CARD.ACE_HEARTS, CARD.JACK_HEARTS, CARD.NINE_HEARTS,
+                    CARD.SIX_HEARTS, CARD.FOUR_HEARTS
+                ],
+                description: "Flush, Ace high"
+            },
+            {
+                hand: [
+                    CARD.QUEEN_CLUBS, CARD.QUEEN_DIAMONDS, CARD.FIVE_HEARTS,
+                    CARD.FIVE_SPADES, CARD.ACE_CLUBS, CARD.NINE_DIAMONDS, CARD.SEVEN_HEARTS
+                ],
+                category: 2n,
+                bestCards: [
+                    CARD.QUEEN_CLUBS, CARD.QUEEN_DIAMONDS, CARD.FIVE_HEARTS,
+                    CARD.FIVE_SPADES, CARD.ACE_CLUBS
+                ],
+                description: "Two pair, Queens and Fives"
+            },
+            {
+                hand: [
+                    CARD.ACE_CLUBS, CARD.KING_DIAMONDS, CARD.QUEEN_HEARTS,
+                    CARD.JACK_SPADES, CARD.NINE_CLUBS, CARD.SEVEN_DIAMONDS, CARD.FIVE_HEARTS
+                ],
+                category: 0n,
+                bestCards: [
+                    CARD.ACE_CLUBS, CARD.KING_DIAMONDS, CARD.QUEEN_HEARTS,
+                    CARD.JACK_SPADES, CARD.NINE_CLUBS
+                ],
+                description: "High card, Ace"
+            }
+        ];
+
+        descriptionTests.forEach((test) => {
+            it(`should describe "${test.description}"`, async function () {
+                const [category, bestCards, description] =
+                    await evaluator.describeHand(test.hand);
+                expect(category).to.equal(test.category);
+                expect(bestCards.map(Number)).to.deep.equal(test.bestCards);
+                expect(description).to.equal(test.description);
+            });
+        });
+
+        it("should pick the straight flush cards from the flush suit", async function () {
+            const hand = [
+                CARD.NINE_SPADES, CARD.TEN_SPADES, CARD.JACK_SPADES,
+                CARD.QUEEN_SPADES, CARD.KING_SPADES, CARD.KING_HEARTS, CARD.TWO_CLUBS
+            ];
+            const [category, bestCards, description] = await evaluator.describeHand(hand);
+            expect(category).to.equal(8n);
+            expect(bestCards.map(Number)).to.deep.equal([
+                CARD.KING_SPADES, CARD.QUEEN_SPADES, CARD.JACK_SPADES,
+                CARD.TEN_SPADES, CARD.NINE_SPADES
+            ]);
+            expect(description).to.equal("Straight flush, King high");
+        });
+    });
 });
@@ -1,7 +1 @@
-export const ACTION = {
-    SMALL_BLIND: 0,
-    BIG_BLIND: 1,
-    FOLD: 2,
-    CHECK_CALL: 3,
-    BET_RAISE: 4
-};
+export { ACTION } from "../../sdk/actions.js";
@@ -0,0 +1,11 @@
+// Small deterministic PRNG for the differential tests, so failing inputs can
+// be reproduced from the seed
+export function mulberry32(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
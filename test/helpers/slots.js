@@ -1,11 +1 @@
-export const SLOT = {
-    A1: 0,
-    A2: 1,
-    B1: 2,
-    B2: 3,
-    FLOP1: 4,
-    FLOP2: 5,
-    FLOP3: 6,
-    TURN: 7,
-    RIVER: 8
-};
+export { SLOT } from "../../sdk/cards.js";
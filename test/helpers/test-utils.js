@@ -1,42 +1,16 @@
 import hre from "hardhat";
-import { actionHash, actionDigest, handGenesis, domainSeparator } from "./hashes.js";
 import { ACTION } from "./actions.js";
+import { buildActions } from "../../sdk/actions.js";
+import { signActions } from "../../sdk/signing.js";
+import { deployContracts } from "../../deploy/deploy.js";
 
 const { ethers } = hre;
 
-export async function deployAndWireContracts() {
-    const HeadsUpPokerEscrow = await ethers.getContractFactory(
-        "HeadsUpPokerEscrow"
-    );
-    const HeadsUpPokerReplay = await ethers.getContractFactory(
-        "HeadsUpPokerReplay"
-    );
-    const HeadsUpPokerPeek = await ethers.getContractFactory("HeadsUpPokerPeek");
-    const HeadsUpPokerShowdown = await ethers.getContractFactory(
-        "HeadsUpPokerShowdown"
-    );
-
-    const replay = await HeadsUpPokerReplay.deploy();
-    const escrow = await HeadsUpPokerEscrow.deploy();
-    
-    // Deploy helpers with escrow address in their constructors
-    const peek = await HeadsUpPokerPeek.deploy(
-        await escrow.getAddress(),
-        await replay.getAddress()
-    );
-    const showdown = await HeadsUpPokerShowdown.deploy(
-        await escrow.getAddress(),
-        await peek.getAddress()
-    );
-
-    // Initialize helpers in escrow
-    await escrow.initializeHelpers(
-        await replay.getAddress(),
-        await peek.getAddress(),
-        await showdown.getAddress()
-    );
-
-    return { escrow, replay, peek, showdown };
+// Helper to deploy and wire the contracts with the deployment script
+// @param options - `deployContracts` options, e.g. `{ relay: true }`
+// @returns The contracts `deployContracts` returns: escrow, replay, peek, showdown and relay
+export async function deployAndWireContracts(options = {}) {
+    return deployContracts(ethers, options);
 }
 
 // Standard test wallet private keys
@@ -50,67 +24,7 @@ export const wallet3 = new ethers.Wallet(
     "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a"
 );
 
-// Helper to build actions with proper hashes and sequence numbers
-// @param specs - Array of action specifications {action, amount, sender}
-// @param channelId - Channel ID (default: 1n)
-// @param handId - Hand ID (default: 1n)
-// @returns Array of action objects
-export function buildActions(specs, channelId = 1n, handId = 1n) {
-    let seq = 0;
-    let prevHash = handGenesis(channelId, handId);
-    const actions = [];
-
-    for (const spec of specs) {
-        if (!spec.sender) {
-            throw new Error(`Action at index ${seq} must have an explicit sender address`);
-        }
-
-        const act = {
-            channelId,
-            handId,
-            seq: seq++,
-            action: spec.action,
-            amount: spec.amount,
-            prevHash,
-            sender: spec.sender
-        };
-        actions.push(act);
-        prevHash = actionHash(act);
-    }
-    return actions;
-}
-
-// Helper to sign actions
-// @param actions - Array of actions to sign
-// @param signers - Array of wallet signers
-// @param contractAddress - Contract address for domain separator
-// @param chainId - Chain ID for domain separator
-// @returns Array of signatures
-export async function signActions(actions, signers, contractAddress, chainId) {
-    const signatures = [];
-    const domain = domainSeparator(contractAddress, chainId);
-
-    for (const action of actions) {
-        const digest = actionDigest(domain, action);
-
-        // Find which signer matches the action sender
-        let signer = null;
-        for (const s of signers) {
-            if (s.address.toLowerCase() === action.sender.toLowerCase()) {
-                signer = s;
-                break;
-            }
-        }
-
-        if (!signer) {
-            throw new Error(`No signer found for sender ${action.sender}`);
-        }
-
-        const sig = signer.signingKey.sign(digest).serialized;
-        signatures.push(sig);
-    }
-    return signatures;
-}
+export { buildActions, signActions };
 
 // Helper to create a mock deck (9 cards, each 64 bytes) - we only use up to RIVER
 export function createMockDeck() {
@@ -123,15 +37,23 @@ export function createMockDeck() {
 }
 
 // Helper to create a mock canonical deck (52 unencrypted base points, each 64 bytes)
+// Cards are distinct valid points so the deck passes registration
 export function createMockCanonicalDeck() {
+    const context = ethers.hexlify(ethers.randomBytes(16));
     const deck = [];
     for (let i = 0; i < 52; i++) {
-        // Create a 64-byte mock card
-        deck.push(ethers.hexlify(ethers.randomBytes(64)));
+        deck.push(g1ToBytes(hashToG1(context, i)));
     }
     return deck;
 }
 
+// Helper to register a canonical deck with the escrow
+// @returns The registry id to pass to `startGame`
+export async function registerCanonicalDeck(escrow, canonicalDeck) {
+    await escrow.registerCanonicalDeck(canonicalDeck);
+    return canonicalDeckHash(canonicalDeck);
+}
+
 // Helper to start a game by having both players submit the same deck
 // @param escrow - The escrow contract
 // @param channelId - Channel ID
@@ -146,8 +68,9 @@ export async function startGameWithDeck(escrow, channelId, player1, player2, dec
     if (!canonicalDeck) {
         canonicalDeck = createMockCanonicalDeck();
     }
-    await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-    await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+    const canonicalDeckId = await registerCanonicalDeck(escrow, canonicalDeck);
+    await escrow.connect(player1).startGame(channelId, deck, canonicalDeckId);
+    await escrow.connect(player2).startGame(channelId, deck, canonicalDeckId);
 }
 
 // Helper to play a basic showdown game where player1 wins 2 chips
@@ -213,27 +136,102 @@ export async function settleBasicFold(escrow, channelId, winner, wallet1, wallet
 // ------------------------------------------------------------------
 
 import { bn254 } from "@noble/curves/bn254.js";
-import { hashToG1, g1ToBytes, g2ToBytes } from "./bn254.js";
-
-const Fr = bn254.fields.Fr;
-const G2 = bn254.G2.Point;
+import {
+    hashToG1,
+    g1ToBytes,
+    partialDecrypt,
+    publicKeyFromSecret,
+    createKeyPossessionProof
+} from "../../sdk/bn254.js";
+
+// Canonical decks are built exactly as clients build them
+export { createCanonicalDeck } from "../../sdk/deck.js";
+import { canonicalDeckHash } from "../../sdk/deck.js";
 
 /// @notice Setup crypto keys for testing showdown
 /// @returns Object with secret keys and public keys for both players
 export function setupShowdownCrypto() {
     const secretKeyA = 12345n;
     const secretKeyB = 67890n;
-    const publicKeyA = G2.BASE.multiply(secretKeyA);
-    const publicKeyB = G2.BASE.multiply(secretKeyB);
-    
+
     return {
         secretKeyA,
         secretKeyB,
-        publicKeyA: g2ToBytes(publicKeyA),
-        publicKeyB: g2ToBytes(publicKeyB)
+        publicKeyA: publicKeyFromSecret(secretKeyA),
+        publicKeyB: publicKeyFromSecret(secretKeyB)
     };
 }
 
+/// @notice Public key and proof of possession arguments for `open`/`join`
+/// @param escrow - Escrow contract the key is registered with
+/// @param channelId - Channel being opened or joined
+/// @param player - Signer calling `open`/`join`
+/// @param secretKey - BN254 secret key, by default one derived from the player's address
+/// @returns [publicKey, proof]
+export async function publicKeyArgs(escrow, channelId, player, secretKey = null) {
+    const key = secretKey ?? BigInt(ethers.keccak256(player.address)) % bn254.fields.Fr.ORDER;
+    const { chainId } = await ethers.provider.getNetwork();
+    return [
+        publicKeyFromSecret(key),
+        createKeyPossessionProof(key, channelId, player.address, await escrow.getAddress(), chainId)
+    ];
+}
+
+/// @notice Move the chain clock forward and mine a block at the new time
+/// @param seconds - Number or bigint of seconds to advance
+export async function advanceTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [Number(seconds)]);
+    await ethers.provider.send("evm_mine");
+}
+
+/// @notice Open a native-token channel and have the opponent join it
+/// @param escrow - The escrow contract
+/// @param channelId - Channel ID
+/// @param player1 - Signer opening the channel
+/// @param player2 - Signer joining it
+/// @param options.deposit - Deposit of player1, and of player2 unless `deposit2` is given
+/// @param options.deposit2 - Deposit of player2
+/// @param options.session - Open a multi-hand session
+/// @param options.slashAmount - Slash amount for unanswered peeks
+/// @param options.openOptions - Fields of `openWithOptions` to set, such as windows, betting
+/// rules or a blind schedule; without them the channel is opened with `open`/`openSession`
+/// @param options.secretKeys - BN254 secret keys of player1 and player2, see `publicKeyArgs`
+/// @param options.signers - Optional signers of player1 and player2
+export async function openAndJoin(escrow, channelId, player1, player2, {
+    deposit = ethers.parseEther("1"),
+    deposit2 = deposit,
+    session = false,
+    slashAmount = 0n,
+    openOptions = null,
+    secretKeys = [null, null],
+    signers = [ethers.ZeroAddress, ethers.ZeroAddress]
+} = {}) {
+    const args = [
+        channelId, player2.address, 1n, signers[0], slashAmount,
+        ...await publicKeyArgs(escrow, channelId, player1, secretKeys[0])
+    ];
+    if (openOptions) {
+        await escrow.connect(player1).openWithOptions(...args, {
+            token: ethers.ZeroAddress,
+            amount: 0n,
+            session,
+            windows: { dispute: 0n, start: 0n, reveal: 0n, peek: 0n },
+            bettingRulesId: ethers.ZeroHash,
+            blindScheduleId: ethers.ZeroHash,
+            ...openOptions
+        }, { value: deposit });
+    } else if (session) {
+        await escrow.connect(player1).openSession(...args, { value: deposit });
+    } else {
+        await escrow.connect(player1).open(...args, { value: deposit });
+    }
+    await escrow.connect(player2).join(
+        channelId, signers[1],
+        ...await publicKeyArgs(escrow, channelId, player2, secretKeys[1]),
+        { value: deposit2 }
+    );
+}
+
 /// @notice Create an encrypted deck for testing
 /// @param secretKeyA - Player A's secret key
 /// @param secretKeyB - Player B's secret key
@@ -250,40 +248,12 @@ export function createEncryptedDeck(secretKeyA, secretKeyB, context = "test_poke
     return deck;
 }
 
-/// @notice Create a canonical deck for card ID resolution
-/// @param context - Context string for hashing
-/// @returns Array of 52 unencrypted G1 base points
-export function createCanonicalDeck(context = "canonical_deck") {
-    const canonicalDeck = [];
-    for (let i = 0; i < 52; i++) {
-        const R = hashToG1(context, i);
-        canonicalDeck.push(g1ToBytes(R));
-    }
-    return canonicalDeck;
-}
-
 /// @notice Create a partial decryption (one player removes their layer)
 /// @param secretKey - Secret key of the player
 /// @param encryptedCard - The encrypted card bytes (Y)
 /// @returns Decrypted card bytes
 export async function createPartialDecrypt(secretKey, encryptedCard) {
-    const G1 = bn254.G1.Point;
-    
-    // Convert encrypted card bytes to G1 point
-    // encryptedCard is 64 bytes: x||y (each 32 bytes)
-    const xHex = encryptedCard.slice(0, 66);  // 0x + 64 hex chars (32 bytes)
-    const yHex = '0x' + encryptedCard.slice(66); // Remaining 64 hex chars (32 bytes)
-    
-    const x = BigInt(xHex);
-    const y = BigInt(yHex);
-    
-    const Y = G1.fromAffine({ x, y });
-    
-    // Compute partial decryption: U = scalar^(-1) · Y
-    const scalar_inv = Fr.inv(secretKey);
-    const U = Y.multiply(scalar_inv);
-
-    return g1ToBytes(U);
+    return partialDecrypt(secretKey, encryptedCard);
 }
 
 /// @notice Create the final plaintext (both players' layers removed)
@@ -291,21 +261,5 @@ export async function createPartialDecrypt(secretKey, encryptedCard) {
 /// @param partialCard - The partial decryption bytes (U_other)
 /// @returns Plaintext card bytes
 export async function createPlaintext(secretKey, partialCard) {
-    const G1 = bn254.G1.Point;
-    
-    // Convert partial card bytes to G1 point
-    // partialCard is 64 bytes: x||y (each 32 bytes)
-    const xHex = partialCard.slice(0, 66);  // 0x + 64 hex chars (32 bytes)
-    const yHex = '0x' + partialCard.slice(66); // Remaining 64 hex chars (32 bytes)
-    
-    const x = BigInt(xHex);
-    const y = BigInt(yHex);
-    
-    const U_other = G1.fromAffine({ x, y });
-    
-    // Compute final plaintext: R = scalar^(-1) · U_other
-    const scalar_inv = Fr.inv(secretKey);
-    const R = U_other.multiply(scalar_inv);
-
-    return g1ToBytes(R);
+    return partialDecrypt(secretKey, partialCard);
 }
@@ -0,0 +1,239 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { ACTION } from "../helpers/actions.js";
+import { Indexer } from "../../indexer/indexer.js";
+import { CHANNEL_PHASE } from "../../indexer/projection.js";
+import { createApiServer } from "../../indexer/server.js";
+import { FileStore } from "../../indexer/store.js";
+import {
+    buildActions,
+    signActions,
+    wallet1,
+    wallet2,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    startGameWithDeck,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("Channel indexer", function () {
+    const channelId = 1n;
+    const deposit = 1000n;
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "indexer_deck");
+    const canonicalDeck = createCanonicalDeck("indexer_deck");
+
+    let escrow;
+    let player1, player2;
+    let chainId;
+    let fromBlock;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        fromBlock = await ethers.provider.getBlockNumber() + 1;
+        ({ escrow } = await deployAndWireContracts());
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function createIndexer(options = {}) {
+        return new Indexer({
+            provider: ethers.provider,
+            escrow: await escrow.getAddress(),
+            confirmations: 0,
+            fromBlock,
+            ...options
+        });
+    }
+
+    async function openSession() {
+        await openAndJoin(escrow, channelId, player1, player2, {
+            deposit, session: true, secretKeys: [crypto.secretKeyA, crypto.secretKeyB]
+        });
+    }
+
+    async function signed(specs) {
+        const actions = buildActions(specs, channelId, await escrow.getHandId(channelId));
+        return [actions, await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId)];
+    }
+
+    // The projected balances, hand and deadlines agree with the escrow
+    async function expectInSync(indexer) {
+        const channel = indexer.getChannel(channelId);
+        const ch = await escrow.getChannel(channelId);
+        expect(channel.balances).to.deep.equal([ch.deposit1.toString(), ch.deposit2.toString()]);
+        expect(channel.handId).to.equal(ch.handId.toString());
+        expect(channel.deadlines.start).to.equal(ch.startDeadline === 0n ? null : Number(ch.startDeadline));
+        return channel;
+    }
+
+    it("projects a session hand by hand in step with the escrow", async function () {
+        await escrow.setRake(1000n, 0n);
+        const indexer = await createIndexer();
+
+        await openSession();
+        await indexer.poll();
+        let channel = await expectInSync(indexer);
+        expect(channel.phase).to.equal(CHANNEL_PHASE.STARTING);
+        expect([channel.player1, channel.player2]).to.deep.equal([player1.address, player2.address]);
+        expect(channel.config.session).to.equal(true);
+        expect(channel.config.rakeBps).to.equal("1000");
+
+        // Hand 1 is folded on the flop and raked
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await indexer.poll();
+        expect(indexer.getChannel(channelId).phase).to.equal(CHANNEL_PHASE.PLAYING);
+        await escrow.settle(channelId, ...await signed([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+            { action: ACTION.BET_RAISE, amount: 4n, sender: wallet1.address },
+            { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+            { action: ACTION.BET_RAISE, amount: 2n, sender: wallet2.address },
+            { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+        ]));
+        await indexer.poll();
+        channel = await expectInSync(indexer);
+        expect(channel.balances).to.deep.equal(["995", "1004"]);
+        expect(channel.phase).to.equal(CHANNEL_PHASE.STARTING);
+
+        // Hand 2 is disputed and player 2 times out on the small blind
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await escrow.dispute(channelId, ...await signed([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet2.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet1.address }
+        ]));
+        await indexer.poll();
+        channel = await expectInSync(indexer);
+        expect(channel.phase).to.equal(CHANNEL_PHASE.DISPUTE);
+        expect(channel.deadlines.dispute).to.equal(Number((await escrow.getDispute(channelId)).deadline));
+
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await escrow.finalizeDispute(channelId);
+        await escrow.connect(player1).closeSession(channelId);
+        await escrow.connect(player1).withdraw(channelId);
+        await indexer.poll();
+        channel = await expectInSync(indexer);
+        expect(channel.phase).to.equal(CHANNEL_PHASE.FINALIZED);
+        expect(channel.balances).to.deep.equal(["0", "1003"]);
+        expect(channel.deadlines).to.deep.equal({ start: null, dispute: null, peek: null, reveal: null });
+        expect(channel.history.map((event) => event.name)).to.deep.equal([
+            "ChannelOpened", "ChannelJoined", "GameStarted", "RakeCollected", "Settled", "HandAdvanced",
+            "GameStarted", "DisputeStarted", "DisputeFinalized", "HandAdvanced", "SessionClosed", "Withdrawn"
+        ]);
+    });
+
+    it("rolls back to the confirmed block when the chain reorganizes", async function () {
+        const indexer = await createIndexer({ confirmations: 3 });
+        const reorgs = [];
+        indexer.on("reorg", (event) => reorgs.push(event));
+
+        await openSession();
+        await ethers.provider.send("evm_mine");
+        await ethers.provider.send("evm_mine");
+        await indexer.poll();
+        expect(indexer.getChannel(channelId).phase).to.equal(CHANNEL_PHASE.STARTING);
+
+        // The game starts in three blocks on a branch that is about to be dropped
+        const snapshot = await ethers.provider.send("evm_snapshot");
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await indexer.poll();
+        const head = indexer.status().head;
+        expect(indexer.getChannel(channelId).phase).to.equal(CHANNEL_PHASE.PLAYING);
+        expect(indexer.status().confirmed).to.equal(head - 3);
+
+        await ethers.provider.send("evm_revert", [snapshot]);
+        for (let i = 0; i < 4; i++) {
+            await ethers.provider.send("evm_mine");
+        }
+        await indexer.poll();
+        expect(reorgs).to.deep.equal([{ from: head, to: head - 3 }]);
+        const channel = await expectInSync(indexer);
+        expect(channel.phase).to.equal(CHANNEL_PHASE.STARTING);
+        expect(channel.history.map((event) => event.name)).to.deep.equal(["ChannelOpened", "ChannelJoined"]);
+    });
+
+    it("persists the confirmed projection and resumes from it", async function () {
+        const dir = mkdtempSync(join(tmpdir(), "indexer-"));
+        try {
+            const store = new FileStore(join(dir, "channels.json"));
+            const first = await createIndexer({ store, confirmations: 1 });
+            await openSession();
+            await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+            await first.poll();
+            expect(store.load().block).to.equal(first.status().confirmed);
+
+            // A restarted indexer starts from the snapshot and catches up on the rest
+            const second = await createIndexer({ store: new FileStore(store.path), confirmations: 1 });
+            expect(second.status()).to.deep.equal({ head: null, confirmed: first.status().confirmed, channels: 1 });
+            expect(second.getChannel(channelId).phase).to.equal(CHANNEL_PHASE.STARTING);
+            await second.poll();
+            expect(second.getChannel(channelId)).to.deep.equal(first.getChannel(channelId));
+            expect(second.getChannel(channelId).phase).to.equal(CHANNEL_PHASE.PLAYING);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("fails clearly on a node without historical state", async function () {
+        // A pruned node only serves state at the head
+        const provider = new Proxy(ethers.provider, {
+            get(target, key) {
+                if (key === "call") {
+                    return async (tx) => {
+                        if (tx.blockTag !== undefined && tx.blockTag !== await target.getBlockNumber()) {
+                            throw new Error("missing trie node");
+                        }
+                        return target.call(tx);
+                    };
+                }
+                const value = Reflect.get(target, key);
+                return typeof value === "function" ? value.bind(target) : value;
+            }
+        });
+        const indexer = await createIndexer({ provider });
+        await openSession();
+
+        await expect(indexer.poll()).to.be.rejectedWith(
+            "Cannot read channel 1 at block " + (await ethers.provider.getBlockNumber() - 1) +
+            ", the indexer needs an archive node: missing trie node"
+        );
+        expect(indexer.status().head).to.equal(null);
+    });
+
+    it("serves the projection over HTTP", async function () {
+        const indexer = await createIndexer();
+        await openSession();
+        await indexer.poll();
+
+        const server = createApiServer(indexer);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const url = `http://127.0.0.1:${server.address().port}`;
+        try {
+            const status = await fetch(`${url}/status`);
+            expect(await status.json()).to.deep.equal(indexer.status());
+
+            const list = await (await fetch(`${url}/channels?player=${player2.address.toLowerCase()}`)).json();
+            expect(list).to.have.length(1);
+            expect(list[0].channelId).to.equal("1");
+            expect(list[0]).to.not.have.property("history");
+            expect(await (await fetch(`${url}/channels?phase=${CHANNEL_PHASE.PLAYING}`)).json()).to.deep.equal([]);
+
+            const channel = await (await fetch(`${url}/channels/1`)).json();
+            expect(channel).to.deep.equal(indexer.getChannel(channelId));
+
+            expect((await fetch(`${url}/channels/2`)).status).to.equal(404);
+            expect((await fetch(`${url}/channels`, { method: "POST" })).status).to.equal(405);
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
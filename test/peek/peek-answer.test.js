@@ -14,6 +14,7 @@ import {
     createCanonicalDeck,
     createPartialDecrypt,
     deployAndWireContracts,
+    publicKeyArgs,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -52,12 +53,12 @@ describe("Peek - answer functions", function () {
             1n,
             ethers.ZeroAddress,
             0n,
-            crypto.publicKeyA,
+            ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
             { value: deposit }
         );
         await escrow
             .connect(player2)
-            .join(channelId, ethers.ZeroAddress, crypto.publicKeyB, {
+            .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), {
                 value: deposit,
             });
 
@@ -13,6 +13,7 @@ import {
     createCanonicalDeck,
     createPartialDecrypt,
     deployAndWireContracts,
+    publicKeyArgs,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -51,12 +52,12 @@ describe("Peek - Request Validation", function () {
             1n,
             ethers.ZeroAddress,
             0n,
-            crypto.publicKeyA,
+            ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
             { value: deposit }
         );
         await escrow
             .connect(player2)
-            .join(channelId, ethers.ZeroAddress, crypto.publicKeyB, {
+            .join(channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), {
                 value: deposit,
             });
 
@@ -184,12 +185,12 @@ describe("Peek - View", function () {
             1n,
             ethers.ZeroAddress,
             0n,
-            crypto.publicKeyA,
+            ...await publicKeyArgs(escrow, 1n, player1, crypto.secretKeyA),
             { value: ethers.parseEther("1") }
         );
         await escrow
             .connect(player2)
-            .join(1n, ethers.ZeroAddress, crypto.publicKeyB, {
+            .join(1n, ethers.ZeroAddress, ...await publicKeyArgs(escrow, 1n, player2, crypto.secretKeyB), {
                 value: ethers.parseEther("1"),
             });
 
@@ -0,0 +1,222 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { SLOT } from "../helpers/slots.js";
+import { indexToCard } from "../../sdk/cards.js";
+import {
+    DECK_MESSAGE,
+    DeckProtocolError,
+    createCanonicalDeck,
+    createShuffleA,
+    createShuffleB,
+    deriveGameDeck,
+    parseDeckMessage,
+    serializeDeckMessage,
+    shuffleAndEncrypt,
+    signDeckCommitment,
+    validateShuffleA,
+    validateShuffleB,
+} from "../../sdk/deck.js";
+import {
+    setupShowdownCrypto,
+    createPartialDecrypt,
+    createPlaintext,
+    playPlayer1WinsShowdown,
+    startGameWithDeck,
+    deployAndWireContracts,
+    wallet1,
+    wallet2,
+    publicKeyArgs,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+// Fixed permutations (multipliers coprime with 52) for a reproducible vector
+const PERMUTATION_A = Array.from({ length: 52 }, (_, i) => (i * 7 + 3) % 52);
+const PERMUTATION_B = Array.from({ length: 52 }, (_, i) => (i * 11 + 5) % 52);
+
+describe("Deck protocol", function () {
+    const channelId = 1n;
+    const handId = 1n;
+    const crypto = setupShowdownCrypto();
+    const canonicalDeck = createCanonicalDeck();
+
+    let shuffleA;
+    let shuffleB;
+
+    before(function () {
+        shuffleA = createShuffleA({
+            channelId,
+            handId,
+            canonicalDeck,
+            secretKey: crypto.secretKeyA,
+            permutation: PERMUTATION_A,
+        });
+        shuffleB = createShuffleB({
+            shuffleA,
+            secretKey: crypto.secretKeyB,
+            permutation: PERMUTATION_B,
+        });
+    });
+
+    it("matches the deterministic test vector", function () {
+        expect(shuffleA.canonicalDeckHash).to.equal(
+            "0x410ba21b1cd131c486fe7e0a20c0ae619d8c059f8a77904aadfb15e96e135313"
+        );
+
+        validateShuffleA(shuffleA, { channelId, handId, canonicalDeck });
+        validateShuffleB(shuffleB, { shuffleA });
+
+        const deck = deriveGameDeck(shuffleB);
+        expect(deck).to.have.length(9);
+        expect(deck[SLOT.A1]).to.equal(
+            "0x21e0352beba37d8c13f093230c903207efe4001f0a156228880c62d910308c12" +
+            "2daa50180f2b8a4a5fcbbba2669333328b64b9777eb69ddea50ee8ef8f30a27b"
+        );
+        expect(ethers.keccak256(ethers.concat(deck))).to.equal(
+            "0x2f4075777581c1c24f8e5efa7511df02eb19bc6201def9a160a898667627ecb4"
+        );
+    });
+
+    it("produces a deck that plays through showdown on-chain", async function () {
+        const [player1, player2] = await ethers.getSigners();
+        const { escrow, showdown } = await deployAndWireContracts();
+        const deposit = ethers.parseEther("1");
+
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
+            { value: deposit }
+        );
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit }
+        );
+
+        const deck = deriveGameDeck(shuffleB);
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+
+        const partialsA = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        const partialsB = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyB, card)));
+        await escrow.connect(player1).revealCards(channelId, partialsA);
+        await escrow.connect(player2).revealCards(channelId, partialsB);
+        const plaintexts = await Promise.all(partialsB.map((card) => createPlaintext(crypto.secretKeyA, card)));
+        await escrow.connect(player1).finalizeReveals(channelId, plaintexts);
+
+        // Slot s holds canonical card PERMUTATION_A[PERMUTATION_B[s]]
+        const sd = await showdown.getShowdown(channelId);
+        for (let slot = 0; slot < 9; slot++) {
+            expect(sd.cards[slot]).to.equal(indexToCard(PERMUTATION_A[PERMUTATION_B[slot]]));
+        }
+    });
+
+    it("derives a canonical deck anyone can check from its seed", async function () {
+        const { peek } = await deployAndWireContracts();
+        const seed = ethers.toUtf8Bytes("canonical_deck");
+        expect(await peek.isDerivedCanonicalDeck(seed, canonicalDeck)).to.equal(true);
+
+        expect(await peek.isDerivedCanonicalDeck(ethers.toUtf8Bytes("other_deck"), canonicalDeck)).to.equal(false);
+        const swapped = [...canonicalDeck];
+        [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+        expect(await peek.isDerivedCanonicalDeck(seed, swapped)).to.equal(false);
+        expect(await peek.isDerivedCanonicalDeck(seed, canonicalDeck.slice(1))).to.equal(false);
+    });
+
+    it("round-trips messages through JSON", function () {
+        const decoded = parseDeckMessage(serializeDeckMessage(shuffleB));
+        expect(decoded).to.deep.equal(shuffleB);
+        validateShuffleB(decoded, { shuffleA });
+
+        expect(() => parseDeckMessage(JSON.stringify({ type: "bogus", deck: [] })))
+            .to.throw(DeckProtocolError, "Unknown message type");
+    });
+
+    it("checks deck commitment signatures when asked to", async function () {
+        const [player1, player2] = await ethers.getSigners();
+        const commitment = (signer) => ({
+            contractAddress: "0x00000000000000000000000000000000000000E5",
+            chainId: 31337n,
+            signers: [signer.address],
+        });
+        const { contractAddress, chainId } = commitment(player1);
+
+        const signedA = {
+            ...shuffleA,
+            signature: await signDeckCommitment(shuffleA, player1, contractAddress, chainId),
+        };
+        const signedB = {
+            ...shuffleB,
+            signature: await signDeckCommitment(shuffleA, player2, contractAddress, chainId),
+        };
+        validateShuffleA(signedA, { channelId, handId, canonicalDeck, commitment: commitment(player1) });
+        validateShuffleB(signedB, { shuffleA: signedA, commitment: commitment(player2) });
+
+        expect(() => validateShuffleA(shuffleA, { channelId, handId, canonicalDeck, commitment: commitment(player1) }))
+            .to.throw(DeckProtocolError, "Missing deck commitment signature");
+        expect(() => validateShuffleB(signedB, { shuffleA: signedA, commitment: commitment(player1) }))
+            .to.throw(DeckProtocolError, "wrong key");
+    });
+
+    describe("validation", function () {
+        const expectedA = { channelId, handId, canonicalDeck };
+
+        it("rejects messages of the wrong type or for another hand", function () {
+            expect(() => validateShuffleA(shuffleB, expectedA))
+                .to.throw(DeckProtocolError, `Expected ${DECK_MESSAGE.SHUFFLE_A}`);
+            expect(() => validateShuffleA(shuffleA, { ...expectedA, handId: 2n }))
+                .to.throw(DeckProtocolError, "different channel or hand");
+            expect(() => deriveGameDeck(shuffleA))
+                .to.throw(DeckProtocolError, `Expected ${DECK_MESSAGE.SHUFFLE_B}`);
+        });
+
+        it("rejects a different canonical deck", function () {
+            const otherCanonical = createCanonicalDeck("other_deck");
+            expect(() => validateShuffleA(shuffleA, { ...expectedA, canonicalDeck: otherCanonical }))
+                .to.throw(DeckProtocolError, "Canonical deck mismatch");
+        });
+
+        it("rejects decks with missing, invalid or duplicate cards", function () {
+            const short = { ...shuffleA, deck: shuffleA.deck.slice(1) };
+            expect(() => validateShuffleA(short, expectedA))
+                .to.throw(DeckProtocolError, "52 cards");
+
+            const offCurve = [...shuffleA.deck];
+            offCurve[3] = ethers.concat([ethers.toBeHex(1n, 32), ethers.toBeHex(1n, 32)]);
+            expect(() => validateShuffleA({ ...shuffleA, deck: offCurve }, expectedA))
+                .to.throw(DeckProtocolError, "invalid G1 point");
+
+            const infinity = [...shuffleA.deck];
+            infinity[3] = ethers.ZeroHash + ethers.ZeroHash.slice(2);
+            expect(() => validateShuffleA({ ...shuffleA, deck: infinity }, expectedA))
+                .to.throw(DeckProtocolError, "point at infinity");
+
+            const duplicate = [...shuffleA.deck];
+            duplicate[3] = duplicate[4];
+            expect(() => validateShuffleA({ ...shuffleA, deck: duplicate }, expectedA))
+                .to.throw(DeckProtocolError, "duplicate cards");
+        });
+
+        it("rejects a re-shuffle that skipped encryption", function () {
+            const unencrypted = {
+                ...shuffleB,
+                deck: shuffleAndEncrypt(shuffleA.deck, 1n, PERMUTATION_B),
+            };
+            expect(() => validateShuffleB(unencrypted, { shuffleA }))
+                .to.throw(DeckProtocolError, "unencrypted cards");
+
+            const plainA = {
+                ...shuffleA,
+                deck: shuffleAndEncrypt(canonicalDeck, 1n, PERMUTATION_A),
+            };
+            expect(() => validateShuffleA(plainA, expectedA))
+                .to.throw(DeckProtocolError, "unencrypted cards");
+        });
+
+        it("rejects invalid permutations and keys", function () {
+            expect(() => shuffleAndEncrypt(canonicalDeck, 5n, [0, 1, 2]))
+                .to.throw(DeckProtocolError, "52 entries");
+            expect(() => shuffleAndEncrypt(canonicalDeck, 5n, Array(52).fill(0)))
+                .to.throw(DeckProtocolError, "Invalid permutation");
+            expect(() => shuffleAndEncrypt(canonicalDeck, 0n, PERMUTATION_A))
+                .to.throw(DeckProtocolError, "non-zero");
+        });
+    });
+});
@@ -0,0 +1,171 @@
+import { expect } from "chai";
+import hre from "hardhat";
+
+import {
+    ACTION,
+    ESCROW_ABI,
+    PEEK_ABI,
+    RELAY_ABI,
+    REPLAY_ABI,
+    SHOWDOWN_ABI,
+    actionHash,
+    buildActions,
+    cardToIndex,
+    closeChannelDigest,
+    connectContracts,
+    createKeyPossessionProof,
+    domainSeparator,
+    indexToCard,
+    nextAction,
+    signActionTypedData,
+    signActions,
+    signCloseChannel,
+    publicKeyFromSecret,
+} from "../../sdk/index.js";
+import { deployAndWireContracts, wallet1, wallet2 } from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("SDK", function () {
+    describe("ABI fragments", function () {
+        const cases = [
+            ["HeadsUpPokerEscrow", ESCROW_ABI],
+            ["HeadsUpPokerPeek", PEEK_ABI],
+            ["HeadsUpPokerShowdown", SHOWDOWN_ABI],
+            ["HeadsUpPokerRelay", RELAY_ABI],
+            ["HeadsUpPokerReplay", REPLAY_ABI],
+        ];
+
+        for (const [name, abi] of cases) {
+            it(`matches the compiled ${name} functions and events`, async function () {
+                const artifact = await hre.artifacts.readArtifact(name);
+                const compiled = new ethers.Interface(artifact.abi);
+                const sdk = new ethers.Interface(abi);
+
+                sdk.forEachFunction((fn) => {
+                    const match = compiled.getFunction(fn.selector);
+                    expect(match, fn.format()).to.not.equal(null);
+                    expect(match.format("full")).to.equal(fn.format("full"));
+                });
+                sdk.forEachEvent((ev) => {
+                    const match = compiled.getEvent(ev.topicHash);
+                    expect(match, ev.format()).to.not.equal(null);
+                    expect(match.format("full")).to.equal(ev.format("full"));
+                });
+            });
+        }
+
+        it("only declares errors that some contract can revert with", async function () {
+            const names = [
+                "HeadsUpPokerEscrow",
+                "HeadsUpPokerPeek",
+                "HeadsUpPokerShowdown",
+                "HeadsUpPokerReplay",
+                "HeadsUpPokerRelay",
+                "Bn254Test",
+            ];
+            const selectors = new Set();
+            for (const name of names) {
+                const artifact = await hre.artifacts.readArtifact(name);
+                new ethers.Interface(artifact.abi).forEachError((err) => selectors.add(err.selector));
+            }
+
+            new ethers.Interface(ESCROW_ABI).forEachError((err) => {
+                expect(selectors.has(err.selector), err.format()).to.equal(true);
+            });
+        });
+    });
+
+    describe("Hashing and signing", function () {
+        let escrow;
+        let chainId;
+
+        beforeEach(async function () {
+            ({ escrow } = await deployAndWireContracts());
+            chainId = (await ethers.provider.getNetwork()).chainId;
+        });
+
+        it("matches the escrow domain separator and action hash", async function () {
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+            ], 5n, 3n);
+
+            expect(await escrow.DOMAIN_SEPARATOR()).to.equal(
+                domainSeparator(await escrow.getAddress(), chainId)
+            );
+            for (const act of actions) {
+                expect(await escrow.hashAction(act)).to.equal(actionHash(act));
+            }
+        });
+
+        it("produces identical signatures through raw keys and typed data", async function () {
+            const escrowAddress = await escrow.getAddress();
+            const actions = buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+            ]);
+            actions.push(nextAction(actions, { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }));
+
+            expect(actions).to.deep.equal(buildActions([
+                { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+                { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+                { action: ACTION.FOLD, amount: 0n, sender: wallet1.address },
+            ]));
+
+            const raw = await signActions(actions, [wallet1, wallet2], escrowAddress, chainId);
+            const typed = [];
+            for (const act of actions) {
+                const wallet = act.sender === wallet1.address ? wallet1 : wallet2;
+                typed.push(await signActionTypedData(act, wallet, escrowAddress, chainId));
+            }
+            expect(typed).to.deep.equal(raw);
+        });
+
+        it("signs close agreements over the typed-data digest", async function () {
+            const escrowAddress = await escrow.getAddress();
+            const close = { channelId: 5n, handId: 3n, balance1: 10n, balance2: 20n, nonce: 1n };
+
+            const signature = await signCloseChannel(close, wallet1, escrowAddress, chainId);
+            expect(ethers.recoverAddress(closeChannelDigest(close, escrowAddress, chainId), signature))
+                .to.equal(wallet1.address);
+        });
+    });
+
+    describe("Card encoding", function () {
+        it("round-trips canonical deck positions", function () {
+            for (let i = 0; i < 52; i++) {
+                expect(cardToIndex(indexToCard(i))).to.equal(i);
+            }
+        });
+    });
+
+    describe("Contract wrappers", function () {
+        it("resolves helpers from the escrow and drives a channel", async function () {
+            const [player1, player2] = await ethers.getSigners();
+            const { escrow, peek, showdown, replay } = await deployAndWireContracts();
+
+            const contracts = await connectContracts(await escrow.getAddress(), player1);
+            expect(await contracts.peek.getAddress()).to.equal(await peek.getAddress());
+            expect(await contracts.showdown.getAddress()).to.equal(await showdown.getAddress());
+            expect(await contracts.replay.getAddress()).to.equal(await replay.getAddress());
+            expect(contracts.relay).to.equal(null);
+
+            const publicKeyA = publicKeyFromSecret(12345n);
+            const { chainId } = await ethers.provider.getNetwork();
+            const proofA = createKeyPossessionProof(
+                12345n, 1n, player1.address, await escrow.getAddress(), chainId
+            );
+            await expect(
+                contracts.escrow.open(1n, player2.address, 1n, ethers.ZeroAddress, 0n, publicKeyA, proofA, { value: 10n })
+            ).to.emit(contracts.escrow, "ChannelOpened");
+
+            const [storedKey] = await contracts.peek.getPublicKeys(1n);
+            expect(storedKey).to.equal(publicKeyA);
+
+            await expect(
+                contracts.escrow.connect(player2).startGame(1n, [], ethers.ZeroHash)
+            ).to.be.revertedWithCustomError(contracts.escrow, "ChannelNotReady");
+        });
+    });
+});
@@ -0,0 +1,246 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { bn254 } from "@noble/curves/bn254.js";
+import { g1FromBytes, g1ToBytes } from "../../sdk/bn254.js";
+import {
+    createCanonicalDeck,
+    createShuffleA,
+    createShuffleB,
+    deriveGameDeck,
+    firstShuffleFraudProof,
+    isDeckFouled,
+    secondShuffleFraudProof,
+    signDeckCommitment,
+} from "../../sdk/deck.js";
+import {
+    setupShowdownCrypto,
+    createPartialDecrypt,
+    createPlaintext,
+    playPlayer1WinsShowdown,
+    startGameWithDeck,
+    deployAndWireContracts,
+    wallet1,
+    wallet2,
+    publicKeyArgs,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+const PERMUTATION_A = Array.from({ length: 52 }, (_, i) => (i * 7 + 3) % 52);
+const PERMUTATION_B = Array.from({ length: 52 }, (_, i) => (i * 11 + 5) % 52);
+
+// Replace a card by a multiple of itself: still a valid point, but no longer
+// the owner's key applied to the previous deck
+function tamper(card) {
+    return g1ToBytes(g1FromBytes(card).multiply(2n));
+}
+
+describe("HeadsUpPokerEscrow - Deck fraud proofs", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const crypto = setupShowdownCrypto();
+    const canonicalDeck = createCanonicalDeck();
+
+    let escrow;
+    let peek;
+    let showdown;
+    let player1;
+    let player2;
+    let escrowAddress;
+    let chainId;
+
+    beforeEach(async function () {
+        [player1, player2] = await ethers.getSigners();
+        ({ escrow, peek, showdown } = await deployAndWireContracts());
+        escrowAddress = await escrow.getAddress();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await escrow.connect(player1).open(
+            channelId, player2.address, 1n, ethers.ZeroAddress, 0n, ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
+            { value: deposit }
+        );
+        await escrow.connect(player2).join(
+            channelId, ethers.ZeroAddress, ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB), { value: deposit }
+        );
+    });
+
+    // Runs the deck protocol; `tamperA`/`tamperB` let one side cheat on its layer
+    async function shuffle({ tamperA = (deck) => deck, tamperB = (deck) => deck } = {}) {
+        const honestA = createShuffleA({
+            channelId,
+            handId: 1n,
+            canonicalDeck,
+            secretKey: crypto.secretKeyA,
+            permutation: PERMUTATION_A,
+        });
+        const shuffleA = { ...honestA, deck: tamperA([...honestA.deck]) };
+        shuffleA.signature = await signDeckCommitment(shuffleA, player1, escrowAddress, chainId);
+
+        const honestB = createShuffleB({
+            shuffleA,
+            secretKey: crypto.secretKeyB,
+            permutation: PERMUTATION_B,
+        });
+        const shuffleB = { ...honestB, deck: tamperB([...honestB.deck]) };
+        shuffleB.signature = await signDeckCommitment(shuffleA, player2, escrowAddress, chainId);
+
+        return { shuffleA, shuffleB };
+    }
+
+    // Starts the game with the derived deck, plays to showdown and reveals
+    async function playToReveals(shuffleB) {
+        const deck = deriveGameDeck(shuffleB);
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+        await playPlayer1WinsShowdown(escrow, channelId, player1, wallet1, wallet2);
+
+        const partialsA = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyA, card)));
+        const partialsB = await Promise.all(deck.map((card) => createPartialDecrypt(crypto.secretKeyB, card)));
+        await escrow.connect(player1).revealCards(channelId, partialsA);
+        await escrow.connect(player2).revealCards(channelId, partialsB);
+
+        return Promise.all(partialsB.map((card) => createPlaintext(crypto.secretKeyA, card)));
+    }
+
+    function proofFromPlayer1(shuffleA, shuffleB, plaintexts) {
+        return firstShuffleFraudProof({
+            shuffleA,
+            opponentSignature: shuffleB.signature,
+            plaintexts,
+            canonicalDeck,
+            permutation: PERMUTATION_A,
+        });
+    }
+
+    function proofFromPlayer2(shuffleA, plaintexts) {
+        return secondShuffleFraudProof({
+            shuffleA,
+            opponentSignature: shuffleA.signature,
+            plaintexts,
+            permutation: PERMUTATION_B,
+        });
+    }
+
+    it("rejects fraud claims against an honest deck", async function () {
+        const { shuffleA, shuffleB } = await shuffle();
+        const plaintexts = await playToReveals(shuffleB);
+        expect(isDeckFouled(plaintexts, canonicalDeck)).to.equal(false);
+
+        await expect(
+            escrow.connect(player1).proveDeckFraud(channelId, proofFromPlayer1(shuffleA, shuffleB, plaintexts))
+        ).to.be.revertedWithCustomError(showdown, "NoDeckFraud");
+        await expect(
+            escrow.connect(player2).proveDeckFraud(channelId, proofFromPlayer2(shuffleA, plaintexts))
+        ).to.be.revertedWithCustomError(showdown, "NoDeckFraud");
+    });
+
+    it("forfeits player 1's deposit when their shuffle fouled the deck", async function () {
+        // Player 1 corrupts the card that player 2 deals into the river slot
+        const { shuffleA, shuffleB } = await shuffle({
+            tamperA: (deck) => {
+                deck[PERMUTATION_B[8]] = tamper(deck[PERMUTATION_B[8]]);
+                return deck;
+            },
+        });
+        const plaintexts = await playToReveals(shuffleB);
+        expect(isDeckFouled(plaintexts, canonicalDeck)).to.equal(true);
+
+        await expect(escrow.connect(player1).finalizeReveals(channelId, plaintexts))
+            .to.be.revertedWithCustomError(peek, "InvalidUnencryptedCard");
+
+        // The cheater cannot prove their own layer honest
+        await expect(
+            escrow.connect(player1).proveDeckFraud(channelId, proofFromPlayer1(shuffleA, shuffleB, plaintexts))
+        ).to.be.revertedWithCustomError(showdown, "InvalidDeckProof");
+
+        await expect(
+            escrow.connect(player2).proveDeckFraud(channelId, proofFromPlayer2(shuffleA, plaintexts))
+        )
+            .to.emit(escrow, "DeckFraudProven")
+            .withArgs(channelId, player1.address, deposit);
+
+        const [p1, p2] = await escrow.stacks(channelId);
+        expect(p1).to.equal(0n);
+        expect(p2).to.equal(deposit * 2n);
+        expect(await showdown.isInProgress(channelId)).to.equal(false);
+    });
+
+    it("forfeits player 2's deposit when their re-shuffle fouled the deck", async function () {
+        const { shuffleA, shuffleB } = await shuffle({
+            tamperB: (deck) => {
+                deck[4] = tamper(deck[4]);
+                return deck;
+            },
+        });
+        const plaintexts = await playToReveals(shuffleB);
+
+        await expect(
+            escrow.connect(player2).proveDeckFraud(channelId, proofFromPlayer2(shuffleA, plaintexts))
+        ).to.be.revertedWithCustomError(showdown, "InvalidDeckProof");
+
+        await expect(
+            escrow.connect(player1).proveDeckFraud(channelId, proofFromPlayer1(shuffleA, shuffleB, plaintexts))
+        )
+            .to.emit(escrow, "DeckFraudProven")
+            .withArgs(channelId, player2.address, deposit);
+
+        const [p1, p2] = await escrow.stacks(channelId);
+        expect(p1).to.equal(deposit * 2n);
+        expect(p2).to.equal(0n);
+    });
+
+    it("treats a card dealt twice as fouled", async function () {
+        const { shuffleA, shuffleB } = await shuffle({
+            tamperB: (deck) => {
+                deck[1] = deck[0];
+                return deck;
+            },
+        });
+        const plaintexts = await playToReveals(shuffleB);
+
+        await expect(escrow.connect(player1).finalizeReveals(channelId, plaintexts))
+            .to.be.revertedWithCustomError(showdown, "DuplicateCard");
+
+        await expect(
+            escrow.connect(player1).proveDeckFraud(channelId, proofFromPlayer1(shuffleA, shuffleB, plaintexts))
+        )
+            .to.emit(escrow, "DeckFraudProven")
+            .withArgs(channelId, player2.address, deposit);
+    });
+
+    it("requires the opponent's deck commitment and valid plaintexts", async function () {
+        const { shuffleA, shuffleB } = await shuffle({
+            tamperB: (deck) => {
+                deck[4] = tamper(deck[4]);
+                return deck;
+            },
+        });
+        const plaintexts = await playToReveals(shuffleB);
+
+        // Player 1 signing for themselves does not bind player 2
+        const selfSigned = {
+            ...proofFromPlayer1(shuffleA, shuffleB, plaintexts),
+            opponentSignature: shuffleA.signature,
+        };
+        await expect(escrow.connect(player1).proveDeckFraud(channelId, selfSigned))
+            .to.be.revertedWithCustomError(showdown, "InvalidDeckProof");
+
+        const wrongPlaintexts = [...plaintexts];
+        wrongPlaintexts[4] = g1ToBytes(bn254.G1.Point.BASE);
+        await expect(
+            escrow.connect(player1).proveDeckFraud(
+                channelId,
+                proofFromPlayer1(shuffleA, shuffleB, wrongPlaintexts)
+            )
+        ).to.be.revertedWithCustomError(showdown, "InvalidDecryptedCard");
+    });
+
+    it("is only available while both reveals are in", async function () {
+        const { shuffleA, shuffleB } = await shuffle();
+        const deck = deriveGameDeck(shuffleB);
+        await startGameWithDeck(escrow, channelId, player1, player2, deck, canonicalDeck);
+
+        await expect(
+            escrow.connect(player2).proveDeckFraud(channelId, proofFromPlayer2(shuffleA, []))
+        ).to.be.revertedWithCustomError(showdown, "NoShowdownInProgress");
+    });
+});
@@ -16,6 +16,8 @@ import {
     createPartialDecrypt,
     createPlaintext,
     deployAndWireContracts,
+    publicKeyArgs,
+    registerCanonicalDeck,
 } from "../helpers/test-utils.js";
 
 const { ethers } = hre;
@@ -59,13 +61,13 @@ describe("Showdown - DecryptedCard Verification", function () {
             1n,
             ethers.ZeroAddress,
             0n,
-            crypto.publicKeyA,
+            ...await publicKeyArgs(escrow, channelId, player1, crypto.secretKeyA),
             { value: deposit }
         );
         await escrow.connect(player2).join(
             channelId,
             ethers.ZeroAddress,
-            crypto.publicKeyB,
+            ...await publicKeyArgs(escrow, channelId, player2, crypto.secretKeyB),
             { value: deposit }
         );
 
@@ -81,8 +83,8 @@ describe("Showdown - DecryptedCard Verification", function () {
             canonicalDeck[cardToIndex(desiredCards[i])] = plaintext;
         }
 
-        await escrow.connect(player1).startGame(channelId, deck, canonicalDeck);
-        await escrow.connect(player2).startGame(channelId, deck, canonicalDeck);
+        await escrow.connect(player1).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
+        await escrow.connect(player2).startGame(channelId, deck, await registerCanonicalDeck(escrow, canonicalDeck));
     });
 
     async function initiateShowdown() {
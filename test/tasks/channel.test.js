@@ -0,0 +1,152 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { ACTION } from "../helpers/actions.js";
+import { serializeTranscript } from "../../watchtower/watchtower.js";
+import {
+    buildActions,
+    signActions,
+    wallet1,
+    wallet2,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    deployAndWireContracts,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+describe("Channel tasks", function () {
+    const channelId = 1n;
+    const deposit = 1000n;
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "tasks_deck");
+
+    let escrow;
+    let dir;
+    let files;
+    let log;
+
+    before(function () {
+        // The tasks report every transaction on the console
+        log = console.log;
+        console.log = () => {};
+    });
+
+    after(function () {
+        console.log = log;
+    });
+
+    beforeEach(async function () {
+        ({ escrow } = await deployAndWireContracts());
+        dir = mkdtempSync(join(tmpdir(), "channel-tasks-"));
+        files = {
+            keys1: join(dir, "player1.json"),
+            keys2: join(dir, "player2.json"),
+            deck: join(dir, "deck.json"),
+            transcript: join(dir, "transcript.json")
+        };
+        writeFileSync(files.keys1, JSON.stringify({ privateKey: wallet1.privateKey, secretKey: crypto.secretKeyA.toString() }));
+        writeFileSync(files.keys2, JSON.stringify({ privateKey: wallet2.privateKey, secretKey: crypto.secretKeyB.toString() }));
+        writeFileSync(files.deck, JSON.stringify({ deck, canonicalDeckSeed: "tasks_deck" }));
+    });
+
+    afterEach(function () {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Runs a `channel:*` task against the escrow and channel under test
+    async function run(name, args = {}) {
+        return hre.run(`channel:${name}`, {
+            escrow: await escrow.getAddress(),
+            channel: channelId.toString(),
+            ...args
+        });
+    }
+
+    async function openAndStart() {
+        await run("open", { opponent: wallet2.address, keys: files.keys1, deposit: deposit.toString() });
+        await run("join", { keys: files.keys2, deposit: deposit.toString() });
+        await run("start", { keys: files.keys1, deck: files.deck });
+        await run("start", { keys: files.keys2, deck: files.deck });
+    }
+
+    it("plays a hand from open to withdraw", async function () {
+        await openAndStart();
+        let status = await run("status");
+        expect(status.channel.gameStarted).to.equal(true);
+        expect(status.channel.deposit2).to.equal(deposit.toString());
+
+        // Unsigned specs are chained onto the current hand and signed with the key files
+        writeFileSync(files.transcript, JSON.stringify({
+            actions: [
+                { action: "SMALL_BLIND", amount: "1", sender: wallet1.address },
+                { action: "BIG_BLIND", amount: "2", sender: wallet2.address },
+                { action: "FOLD", sender: wallet1.address }
+            ]
+        }));
+        await run("settle", {
+            keys: files.keys2,
+            transcript: files.transcript,
+            signers: `${files.keys1},${files.keys2}`
+        });
+        status = await run("status");
+        expect(status.channel.finalized).to.equal(true);
+
+        await expect(run("withdraw", { keys: files.keys2 })).to.changeEtherBalance(wallet2, deposit + 1n);
+    });
+
+    it("disputes with a signed transcript", async function () {
+        await openAndStart();
+        const { chainId } = await ethers.provider.getNetwork();
+        const actions = buildActions([
+            { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+            { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address }
+        ], channelId, await escrow.getHandId(channelId));
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        writeFileSync(files.transcript, serializeTranscript({ actions, signatures }));
+
+        await run("dispute", { keys: files.keys1, transcript: files.transcript });
+        const { dispute } = await run("status");
+        expect(dispute.inProgress).to.equal(true);
+        expect(dispute.actionCount).to.equal("2");
+
+        await expect(run("settle", { keys: files.keys1, transcript: join(dir, "missing.json") }))
+            .to.be.rejectedWith("ENOENT");
+    });
+
+    it("reveals both players' decryption shares at showdown", async function () {
+        await openAndStart();
+        writeFileSync(files.transcript, JSON.stringify({
+            actions: [
+                { action: "SMALL_BLIND", amount: "1", sender: wallet1.address },
+                { action: "BIG_BLIND", amount: "2", sender: wallet2.address },
+                // Player 1 completes the blind and player 2 acts first after the flop
+                ...[wallet1, wallet2, wallet2, wallet1, wallet2, wallet1, wallet2, wallet1]
+                    .map((wallet) => ({ action: "CHECK_CALL", sender: wallet.address }))
+            ]
+        }));
+        await run("settle", {
+            keys: files.keys1,
+            transcript: files.transcript,
+            signers: `${files.keys1},${files.keys2}`
+        });
+        expect((await run("status")).showdown.inProgress).to.equal(true);
+
+        await run("reveal", { keys: files.keys1 });
+        await run("reveal", { keys: files.keys2 });
+        const { showdown } = await run("status");
+        expect([showdown.player1Revealed, showdown.player2Revealed]).to.deep.equal([true, true]);
+    });
+
+    it("rejects an unsigned transcript without signers", async function () {
+        await openAndStart();
+        writeFileSync(files.transcript, JSON.stringify({
+            actions: [{ action: "SMALL_BLIND", amount: "1", sender: wallet1.address }]
+        }));
+        await expect(run("dispute", { keys: files.keys1, transcript: files.transcript }))
+            .to.be.rejectedWith("pass the players' key files in --signers");
+    });
+});
@@ -0,0 +1,304 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { TASK_NODE_CREATE_SERVER } from "hardhat/builtin-tasks/task-names.js";
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { ACTION } from "../helpers/actions.js";
+import { SLOT } from "../helpers/slots.js";
+import { partialDecrypt } from "../../sdk/bn254.js";
+import { Watchtower, serializeTranscript } from "../../watchtower/watchtower.js";
+import {
+    buildActions,
+    signActions,
+    wallet1,
+    wallet2,
+    wallet3,
+    setupShowdownCrypto,
+    createEncryptedDeck,
+    createCanonicalDeck,
+    startGameWithDeck,
+    deployAndWireContracts,
+    advanceTime,
+    openAndJoin,
+} from "../helpers/test-utils.js";
+
+const { ethers } = hre;
+
+// Resolves once the tower has mined a transaction calling `method`
+function submitted(tower, method) {
+    return new Promise((resolve, reject) => {
+        const onSubmitted = (event) => {
+            if (event.method !== method) return;
+            tower.off("failed", onFailed);
+            tower.off("submitted", onSubmitted);
+            resolve(event);
+        };
+        const onFailed = (event) => {
+            tower.off("failed", onFailed);
+            tower.off("submitted", onSubmitted);
+            reject(event.error);
+        };
+        tower.on("submitted", onSubmitted);
+        tower.on("failed", onFailed);
+    });
+}
+
+describe("Watchtower", function () {
+    const channelId = 1n;
+    const deposit = ethers.parseEther("1");
+    const slashAmount = ethers.parseEther("0.5");
+    const crypto = setupShowdownCrypto();
+    const deck = createEncryptedDeck(crypto.secretKeyA, crypto.secretKeyB, "watchtower_deck");
+    const canonicalDeck = createCanonicalDeck("watchtower_deck");
+    // Optional signer the player hands to the tower, which sends from its own account
+    const delegate = ethers.Wallet.createRandom();
+
+    let server;
+    let rpcUrl;
+    let rpc;
+    let escrow;
+    let peek;
+    let showdown;
+    let opponent, player;
+    let chainId;
+    let tower;
+
+    before(async function () {
+        // Serve the in-process Hardhat network over JSON-RPC, as `hardhat node` does
+        server = await hre.run(TASK_NODE_CREATE_SERVER, {
+            hostname: "127.0.0.1",
+            port: 0,
+            provider: hre.network.provider
+        });
+        const { port } = await server.listen();
+        rpcUrl = `http://127.0.0.1:${port}`;
+        rpc = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    });
+
+    after(async function () {
+        rpc.destroy();
+        await server.close();
+    });
+
+    beforeEach(async function () {
+        // Player 1 is the opponent going offline, player 2 is defended by the tower
+        [opponent, player] = await ethers.getSigners();
+        ({ escrow, peek, showdown } = await deployAndWireContracts({ relay: true }));
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await openAndJoin(escrow, channelId, opponent, player, {
+            deposit,
+            slashAmount,
+            secretKeys: [crypto.secretKeyA, crypto.secretKeyB],
+            signers: [ethers.ZeroAddress, delegate.address]
+        });
+        await startGameWithDeck(escrow, channelId, opponent, player, deck, canonicalDeck);
+
+        tower = await createTower(rpc);
+    });
+
+    async function createTower(provider) {
+        const created = new Watchtower({
+            provider,
+            escrow: await escrow.getAddress(),
+            sender: wallet3.connect(provider),
+            pollInterval: 50,
+            fromBlock: await ethers.provider.getBlockNumber() + 1
+        });
+        created.watch(channelId, player.address, delegate, crypto.secretKeyB);
+        return created;
+    }
+
+    afterEach(async function () {
+        await tower.stop();
+    });
+
+    async function signed(specs) {
+        const actions = buildActions(specs, channelId, 1n);
+        const signatures = await signActions(actions, [wallet1, wallet2], await escrow.getAddress(), chainId);
+        return { actions, signatures };
+    }
+
+    // Player 1 raises, player 2 calls and bets the flop, player 1 folds
+    const handSpecs = [
+        { action: ACTION.SMALL_BLIND, amount: 1n, sender: wallet1.address },
+        { action: ACTION.BIG_BLIND, amount: 2n, sender: wallet2.address },
+        { action: ACTION.BET_RAISE, amount: 4n, sender: wallet1.address },
+        { action: ACTION.CHECK_CALL, amount: 0n, sender: wallet2.address },
+        { action: ACTION.BET_RAISE, amount: 2n, sender: wallet2.address },
+        { action: ACTION.FOLD, amount: 0n, sender: wallet1.address }
+    ];
+
+    it("answers a stale dispute with the latest transcript and finalizes it", async function () {
+        const latest = await signed(handSpecs);
+        tower.updateTranscript(channelId, latest);
+        tower.start();
+
+        // The opponent disputes the hand as it stood before their fold, then leaves
+        const stale = await signed(handSpecs.slice(0, 3));
+        const extended = submitted(tower, "dispute");
+        await escrow.connect(opponent).dispute(channelId, stale.actions, stale.signatures);
+        await extended;
+
+        const ds = await escrow.getDispute(channelId);
+        expect([ds.actionCount, ds.endType, ds.folder, ds.calledAmount]).to.deep.equal([6n, 0n, 0n, 5n]);
+
+        const finalized = submitted(tower, "finalizeDispute");
+        await advanceTime(await escrow.disputeWindow() + 1n);
+        await finalized;
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 5n, deposit + 5n]);
+    });
+
+    // The opponent disputes the blinds and raises on-chain, which would fold the player
+    async function forceRaise() {
+        const blinds = await signed(handSpecs.slice(0, 2));
+        tower.updateTranscript(channelId, blinds);
+        await escrow.connect(opponent).dispute(channelId, blinds.actions, blinds.signatures);
+        const raise = buildActions(handSpecs.slice(0, 3), channelId, 1n);
+        const [signature] = await signActions(raise.slice(2), [wallet1], await escrow.getAddress(), chainId);
+        await escrow.connect(opponent).respondDispute(channelId, raise, signature);
+    }
+
+    it("calls a force move before the deadline", async function () {
+        tower.start();
+        const called = submitted(tower, "respondDispute");
+        await forceRaise();
+        const { hash } = await called;
+        expect((await ethers.provider.getTransaction(hash)).from).to.equal(wallet3.address);
+
+        // The call closes the preflop and the dispute now ends in a showdown
+        const ds = await escrow.getDispute(channelId);
+        expect([ds.actionCount, ds.endType, ds.calledAmount]).to.deep.equal([4n, 1n, 5n]);
+        expect(ds.deadline).to.be.greaterThan(BigInt((await ethers.provider.getBlock("latest")).timestamp));
+    });
+
+    it("leaves a force move above the player's limit to the timeout", async function () {
+        tower.watch(channelId, player.address, delegate, crypto.secretKeyB, { maxCall: 1n });
+        await forceRaise();
+
+        const sent = [];
+        tower.on("submitted", ({ method }) => sent.push(method));
+        tower.on("failed", ({ method }) => sent.push(method));
+        await tower.poll();
+        expect(sent).to.deep.equal([]);
+        const ds = await escrow.getDispute(channelId);
+        expect([ds.actionCount, ds.endType, ds.folder]).to.deep.equal([3n, 0n, 1n]);
+    });
+
+    it("reports a disputed transcript it cannot read back", async function () {
+        // The opponent disputes through a contract wallet, so the calldata is not an escrow call
+        const provider = new Proxy(rpc, {
+            get(target, key) {
+                if (key === "getTransaction") {
+                    return async (hash) => ({ ...await target.getTransaction(hash), to: wallet1.address });
+                }
+                const value = Reflect.get(target, key);
+                return typeof value === "function" ? value.bind(target) : value;
+            }
+        });
+        tower = await createTower(provider);
+        const blinds = await signed(handSpecs.slice(0, 2));
+        await escrow.connect(opponent).dispute(channelId, blinds.actions, blinds.signatures);
+
+        const failed = [];
+        tower.on("failed", (event) => failed.push(event));
+        await tower.poll();
+        expect(failed.map(({ method }) => method)).to.deep.equal(["respondDispute"]);
+        expect(failed[0].error.message).to.include("which was not sent to the escrow");
+    });
+
+    it("serves the opponent's peeks and slashes them for leaving one unanswered", async function () {
+        tower.start();
+        const blinds = await signed(handSpecs.slice(0, 2));
+
+        const served = submitted(tower, "relayPeekAnswer");
+        await peek.connect(opponent).requestHoleA(channelId, blinds.actions, blinds.signatures);
+        await served;
+        for (const slot of [SLOT.A1, SLOT.A2]) {
+            expect(await peek.getRevealedCardB(channelId, slot))
+                .to.equal(partialDecrypt(crypto.secretKeyB, deck[slot]));
+        }
+
+        await tower.stop();
+        await peek.connect(player).requestHoleB(channelId, blinds.actions, blinds.signatures);
+        tower.start();
+
+        const slashed = submitted(tower, "slashPeek");
+        await advanceTime(await peek.peekWindow() + 1n);
+        await slashed;
+        expect((await escrow.getChannel(channelId)).finalized).to.equal(true);
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - slashAmount, deposit + slashAmount]);
+    });
+
+    it("reveals at showdown and wins by default when the opponent does not", async function () {
+        tower.start();
+        const checkDown = await signed([
+            ...handSpecs.slice(0, 2),
+            // Player 1 completes the blind and player 2 acts first after the flop
+            ...[wallet1, wallet2, wallet2, wallet1, wallet2, wallet1, wallet2, wallet1].map((wallet) => ({
+                action: ACTION.CHECK_CALL, amount: 0n, sender: wallet.address
+            }))
+        ]);
+
+        const revealed = submitted(tower, "relayRevealCards");
+        await escrow.connect(opponent).settle(channelId, checkDown.actions, checkDown.signatures);
+        await revealed;
+        const state = await showdown.getShowdown(channelId);
+        expect([state.player1Revealed, state.player2Revealed]).to.deep.equal([false, true]);
+
+        const finalized = submitted(tower, "finalizeShowdown");
+        await advanceTime(await showdown.revealWindow() + 1n);
+        await finalized;
+        expect(await escrow.stacks(channelId)).to.deep.equal([deposit - 2n, deposit + 2n]);
+    });
+
+    it("runs as a daemon from a config file", async function () {
+        this.timeout(60000);
+        const dir = mkdtempSync(join(tmpdir(), "watchtower-"));
+        const config = join(dir, "watchtower.json");
+        writeFileSync(join(dir, "channel-1.json"), serializeTranscript(await signed(handSpecs)));
+        writeFileSync(config, JSON.stringify({
+            rpcUrl,
+            escrow: await escrow.getAddress(),
+            senderKey: wallet3.privateKey,
+            pollInterval: 50,
+            channels: [{
+                channelId: channelId.toString(),
+                player: player.address,
+                signerKey: delegate.privateKey,
+                secretKey: crypto.secretKeyB.toString(),
+                transcript: "channel-1.json"
+            }]
+        }));
+
+        const daemon = spawn(process.execPath, ["watchtower/daemon.js", config]);
+        let output = "";
+        const printed = (text) => new Promise((resolve) => {
+            const check = () => {
+                if (!output.includes(text)) return;
+                daemon.stdout.off("data", check);
+                resolve();
+            };
+            daemon.stdout.on("data", check);
+            check();
+        });
+        daemon.stdout.on("data", (chunk) => { output += chunk; });
+
+        try {
+            await printed("watching 1 channel(s)");
+            const stale = await signed(handSpecs.slice(0, 3));
+            await escrow.connect(opponent).dispute(channelId, stale.actions, stale.signatures);
+            await printed("channel 1: dispute 0x");
+            expect((await escrow.getDispute(channelId)).actionCount).to.equal(6n);
+        } finally {
+            const exited = new Promise((resolve) => daemon.once("exit", resolve));
+            daemon.kill("SIGTERM");
+            await exited;
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
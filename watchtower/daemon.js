@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+import { existsSync, readFileSync, unwatchFile, watchFile } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { ethers } from "ethers";
+import { Watchtower, parseTranscript } from "./watchtower.js";
+
+/**
+ * Run a watchtower from a JSON config file:
+ *
+ *   node watchtower/daemon.js watchtower.json
+ *
+ * {
+ *   "rpcUrl": "http://127.0.0.1:8545",
+ *   "escrow": "0x...",
+ *   "senderKey": "0x...",
+ *   "pollInterval": 2000,
+ *   "channels": [
+ *     {
+ *       "channelId": "1", "player": "0x...", "signerKey": "0x...", "secretKey": "0x...",
+ *       "transcript": "channel-1.json", "maxCall": "100"
+ *     }
+ *   ]
+ * }
+ *
+ * `senderKey` is the tower's own account, which pays the gas of every
+ * transaction. `player` is the address of the watched player, `signerKey` the
+ * optional signer they registered at `open`/`join` and `secretKey` their BN254
+ * key. Neither key can withdraw the player's funds, but the signer can sign
+ * actions for them, so keep the config secret. `transcript` is a file the
+ * player's client keeps rewriting with the latest signed transcript
+ * (`serializeTranscript`). The optional `maxCall` is the largest bet in wei
+ * the tower calls for the player in a dispute. Relative paths are resolved
+ * against the config file. Stops on SIGINT or SIGTERM.
+ */
+
+const configPath = process.argv[2];
+if (!configPath) {
+    console.error("Usage: node watchtower/daemon.js <config.json>");
+    process.exit(1);
+}
+
+const config = JSON.parse(readFileSync(configPath, "utf8"));
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const tower = new Watchtower({
+    provider,
+    escrow: config.escrow,
+    sender: new ethers.Wallet(config.senderKey, provider),
+    pollInterval: config.pollInterval ?? 1000
+});
+
+const transcriptFiles = [];
+for (const entry of config.channels) {
+    const channelId = BigInt(entry.channelId);
+    tower.watch(channelId, ethers.getAddress(entry.player), new ethers.Wallet(entry.signerKey), BigInt(entry.secretKey), {
+        maxCall: entry.maxCall === undefined ? null : BigInt(entry.maxCall)
+    });
+    if (!entry.transcript) continue;
+
+    const file = resolve(dirname(configPath), entry.transcript);
+    const load = () => {
+        if (!existsSync(file)) return;
+        try {
+            tower.updateTranscript(channelId, parseTranscript(readFileSync(file, "utf8")));
+        } catch (error) {
+            console.error(`channel ${channelId}: cannot load ${file}: ${error.message}`);
+        }
+    };
+    load();
+    watchFile(file, { interval: tower.pollInterval }, load);
+    transcriptFiles.push(file);
+}
+
+tower.on("submitted", ({ channelId, method, hash }) => {
+    console.log(`channel ${channelId}: ${method} ${hash}`);
+});
+tower.on("failed", ({ channelId, method, error }) => {
+    console.error(`channel ${channelId ?? "-"}: ${method} failed: ${error.shortMessage ?? error.message}`);
+});
+
+async function shutdown() {
+    transcriptFiles.forEach((file) => unwatchFile(file));
+    await tower.stop();
+    provider.destroy();
+}
+process.once("SIGINT", shutdown);
+process.once("SIGTERM", shutdown);
+
+console.log(`watching ${config.channels.length} channel(s) of ${config.escrow}`);
+tower.start();
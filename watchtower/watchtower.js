@@ -0,0 +1,445 @@
+import { EventEmitter } from "node:events";
+import { ethers } from "ethers";
+import { ACTION, nextAction } from "../sdk/actions.js";
+import { partialDecrypt } from "../sdk/bn254.js";
+import { DECK_SLOTS, SLOT } from "../sdk/cards.js";
+import { connectContracts } from "../sdk/contracts.js";
+import { actionHash } from "../sdk/hashes.js";
+import { END, NO_LIMIT_RULES, ReplayError, replayGameState } from "../sdk/replay.js";
+import { signActionTypedData, signRelayRequest } from "../sdk/signing.js";
+
+/**
+ * Watchtower that defends channels while their players are offline.
+ *
+ * It follows the escrow and peek events of the chain and answers on behalf of
+ * each watched player:
+ *
+ *   - `DisputeStarted`/`DisputeExtended`/`DisputeResponded` with a transcript
+ *     shorter than the player's latest one: submits the longer transcript
+ *     through `dispute`. Otherwise, when the disputed transcript leaves the
+ *     player a bet to call, e.g. after the opponent's force move, calls it
+ *     through `respondDispute` up to the channel's `maxCall`, as the dispute
+ *     would fold the player. With nothing to call the dispute ends in a
+ *     showdown and is left alone.
+ *   - `PeekOpened` obliging the player: answers with their partial decrypts
+ *     through `relayPeekAnswer`.
+ *   - `ShowdownStarted`/`RevealsUpdated`: reveals the player's partial decrypts
+ *     through `relayRevealCards`.
+ *
+ * On every poll it also checks the deadlines of each watched channel and
+ * calls `finalizeDispute` unless the player would fold, `slashPeek` when the
+ * opponent failed to answer a peek, and `finalizeShowdown` when only the
+ * player revealed. A showdown both players revealed is left to the players,
+ * who finalize it with the plaintext cards.
+ *
+ * The watchtower does not hold the player's account. Every transaction is sent
+ * and paid for by the tower's own `sender`. `dispute`, `finalizeDispute`,
+ * `finalizeShowdown` and `slashPeek` are open to anyone. What only the player
+ * may do is signed by the optional signer they registered at `open`/`join`:
+ * the call appended through `respondDispute`, and the reveals and peek answers
+ * submitted through the escrow's `HeadsUpPokerRelay`. That signer can sign
+ * actions for the player, so a tower run in bad faith could misplay a hand,
+ * but it cannot move the balance anywhere but to the player. Reveals and peek
+ * answers need an escrow with a relay and are reported as `failed` without one.
+ */
+
+// Seconds a relayed request stays valid, counted from the latest block
+const REQUEST_LIFETIME = 600n;
+
+/**
+ * Mirror of `HeadsUpPokerPeek.PeekStage`
+ */
+export const PEEK_STAGE = {
+    NONE: 0,
+    HOLE_A: 1,
+    HOLE_B: 2,
+    FLOP: 3,
+    TURN: 4,
+    RIVER: 5
+};
+
+// Slots a helper decrypts for each peek stage
+const PEEK_SLOTS = {
+    [PEEK_STAGE.HOLE_A]: [SLOT.A1, SLOT.A2],
+    [PEEK_STAGE.HOLE_B]: [SLOT.B1, SLOT.B2],
+    [PEEK_STAGE.FLOP]: [SLOT.FLOP1, SLOT.FLOP2, SLOT.FLOP3],
+    [PEEK_STAGE.TURN]: [SLOT.TURN],
+    [PEEK_STAGE.RIVER]: [SLOT.RIVER]
+};
+
+// Relay function submitting each request type
+const RELAY_METHODS = {
+    PeekAnswerRequest: "relayPeekAnswer",
+    RevealCardsRequest: "relayRevealCards"
+};
+
+/**
+ * @typedef {Object} Transcript
+ * @property {import("../sdk/actions.js").Action[]} actions Actions of one hand
+ * @property {string[]} signatures Signature of each action by its sender
+ */
+
+/**
+ * @typedef {Object} WatchtowerOptions
+ * @property {ethers.Provider} provider Provider of the chain the escrow is deployed on
+ * @property {string} escrow Escrow address
+ * @property {ethers.Signer} sender The tower's own account, connected to the provider,
+ * which sends and pays for every transaction
+ * @property {number} [pollInterval] Milliseconds between polls of `start`, 1000 by default
+ * @property {number} [fromBlock] First block to read events from, the latest block by default
+ */
+
+export class Watchtower extends EventEmitter {
+    /**
+     * Emits `submitted` with `{ channelId, method, hash }` for every transaction
+     * it sends and `failed` with `{ channelId, method, error }` when one reverts
+     * @param {WatchtowerOptions} options
+     */
+    constructor({ provider, escrow, sender, pollInterval = 1000, fromBlock }) {
+        super();
+        this.provider = provider;
+        this.escrowAddress = escrow;
+        this.sender = sender;
+        this.pollInterval = pollInterval;
+        this.nextBlock = fromBlock ?? null;
+        this.channels = new Map();
+        this.contracts = null;
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Defend `channelId` on behalf of `player`
+     * @param {bigint} channelId Channel to watch
+     * @param {string} player Address of the player seated in the channel
+     * @param {ethers.Signer} signer The optional signer the player registered at `open`/`join`
+     * @param {bigint} secretKey The player's BN254 secret key registered at `open`/`join`
+     * @param {{ maxCall?: bigint }} [options] Largest bet the tower calls for the
+     * player in a dispute, any by default
+     */
+    watch(channelId, player, signer, secretKey, { maxCall = null } = {}) {
+        this.channels.set(BigInt(channelId), { player, signer, secretKey, maxCall, transcript: null });
+    }
+
+    /**
+     * Stop watching `channelId`
+     */
+    unwatch(channelId) {
+        this.channels.delete(BigInt(channelId));
+    }
+
+    /**
+     * Store the latest transcript the player signed. Transcripts of older hands
+     * and ones no longer than the stored one for the same hand are ignored.
+     * @param {bigint} channelId Watched channel
+     * @param {Transcript} transcript Actions and signatures of the current hand
+     */
+    updateTranscript(channelId, { actions, signatures }) {
+        const watched = this.channels.get(BigInt(channelId));
+        if (!watched) {
+            throw new Error(`Channel ${channelId} is not watched`);
+        }
+        if (actions.length === 0 || actions.length !== signatures.length) {
+            throw new Error("Transcript needs one signature per action");
+        }
+        const current = watched.transcript;
+        const handId = BigInt(actions[0].handId);
+        if (current) {
+            const currentHand = BigInt(current.actions[0].handId);
+            if (handId < currentHand || (handId === currentHand && actions.length <= current.actions.length)) {
+                return;
+            }
+        }
+        watched.transcript = { actions: [...actions], signatures: [...signatures] };
+    }
+
+    /**
+     * Poll every `pollInterval` milliseconds until `stop` is called
+     */
+    start() {
+        if (this.timer) return;
+        const loop = async () => {
+            this.running = this.poll().catch((error) => this.emit("failed", { method: "poll", error }));
+            await this.running;
+            if (this.timer) this.timer = setTimeout(loop, this.pollInterval);
+        };
+        this.timer = setTimeout(loop, 0);
+    }
+
+    /**
+     * Stop polling and wait for the current poll to finish
+     */
+    async stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    /**
+     * Handle the events of the blocks mined since the last poll, then act on
+     * the deadlines of every watched channel
+     */
+    async poll() {
+        const contracts = await this.connect();
+        const latest = await this.provider.getBlockNumber();
+        const fromBlock = this.nextBlock ?? latest;
+        if (fromBlock <= latest) {
+            const logs = await this.provider.getLogs({
+                address: [this.escrowAddress, await contracts.peek.getAddress()],
+                fromBlock,
+                toBlock: latest
+            });
+            for (const log of logs) {
+                await this.handleLog(log);
+            }
+            this.nextBlock = latest + 1;
+        }
+
+        const { timestamp } = await this.provider.getBlock(latest);
+        for (const channelId of this.channels.keys()) {
+            await this.checkDeadlines(channelId, BigInt(timestamp));
+        }
+    }
+
+    async connect() {
+        if (!this.contracts) {
+            this.contracts = await connectContracts(this.escrowAddress, this.provider);
+        }
+        return this.contracts;
+    }
+
+    async handleLog(log) {
+        const { escrow, peek } = this.contracts;
+        const isEscrow = log.address.toLowerCase() === this.escrowAddress.toLowerCase();
+        const event = (isEscrow ? escrow : peek).interface.parseLog(log);
+        if (!event) return;
+
+        const channelId = event.args.channelId;
+        if (channelId === undefined || !this.channels.has(channelId)) return;
+
+        switch (event.name) {
+            case "DisputeStarted":
+            case "DisputeExtended":
+            case "DisputeResponded":
+                await this.onDispute(channelId, event.args.actionCount, log);
+                break;
+            case "PeekOpened":
+                await this.onPeek(channelId, Number(event.args.stage));
+                break;
+            case "ShowdownStarted":
+            case "RevealsUpdated":
+                await this.onShowdown(channelId);
+                break;
+        }
+    }
+
+    async onDispute(channelId, actionCount, log) {
+        const { transcript } = this.channels.get(channelId);
+        const ch = await this.contracts.escrow.getChannel(channelId);
+        if (ch.finalized) return;
+
+        if (transcript && BigInt(transcript.actions[0].handId) === ch.handId &&
+            transcript.actions.length > Number(actionCount)) {
+            await this.send(channelId, this.contracts.escrow, "dispute", [
+                channelId, transcript.actions, transcript.signatures
+            ]);
+            return;
+        }
+        await this.respondDispute(channelId, ch, actionCount, log);
+    }
+
+    // Calls when the disputed transcript, read from the calldata of the
+    // transaction that emitted `log`, leaves the player a bet to call
+    async respondDispute(channelId, ch, actionCount, log) {
+        const { player, signer, maxCall } = this.channels.get(channelId);
+        const { escrow, replay } = this.contracts;
+        const seat = seatOf(ch, player);
+        const ds = await escrow.getDispute(channelId);
+        if (seat === null || !ds.inProgress || actionCount === 0n) return;
+
+        // Only transcripts sent straight to the escrow can be read back
+        const tx = await this.provider.getTransaction(log.transactionHash);
+        const parsed = tx && tx.to?.toLowerCase() === this.escrowAddress.toLowerCase()
+            ? escrow.interface.parseTransaction(tx)
+            : null;
+        if (parsed?.name !== "dispute" && parsed?.name !== "respondDispute") {
+            const error = new Error(`Cannot read the disputed transcript of ${log.transactionHash}, ` +
+                "which was not sent to the escrow");
+            this.emit("failed", { channelId, method: "respondDispute", error });
+            return;
+        }
+        const actions = parsed.args.actions.map((action) => ({
+            channelId: action.channelId,
+            handId: action.handId,
+            seq: Number(action.seq),
+            action: Number(action.action),
+            amount: action.amount,
+            prevHash: action.prevHash,
+            sender: action.sender
+        }));
+        // A later event of the same poll moved the dispute on
+        if (actions.length !== Number(ds.actionCount) || actionHash(actions.at(-1)) !== ds.lastActionHash) return;
+
+        const rules = ch.bettingRulesId === ethers.ZeroHash
+            ? NO_LIMIT_RULES
+            : await replay.getBettingRules(ch.bettingRulesId);
+        let state;
+        try {
+            state = replayGameState(
+                actions, ch.deposit1, ch.deposit2, await escrow.getMinSmallBlind(channelId),
+                ch.player1, ch.player2, rules, ch.blindScheduleId !== ethers.ZeroHash
+            );
+        } catch (error) {
+            if (error instanceof ReplayError) return;
+            throw error;
+        }
+        if (state.ended || state.actor !== seat || !state.legal.call) return;
+        if (maxCall !== null && state.legal.callAmount > maxCall) return;
+
+        const call = nextAction(actions, { action: ACTION.CHECK_CALL, amount: 0n, sender: player });
+        const { chainId } = await this.provider.getNetwork();
+        const signature = await signActionTypedData(call, signer, this.escrowAddress, chainId);
+        await this.send(channelId, escrow, "respondDispute", [channelId, [...actions, call], signature]);
+    }
+
+    async onPeek(channelId, stage) {
+        const { player, secretKey } = this.channels.get(channelId);
+        const { peek } = this.contracts;
+        const state = await peek.getPeek(channelId);
+        if (!state.inProgress || state.served || Number(state.stage) !== stage) return;
+        if (state.obligatedHelper.toLowerCase() !== player.toLowerCase()) return;
+
+        const cards = await Promise.all(
+            PEEK_SLOTS[stage].map(async (slot) => partialDecrypt(secretKey, await peek.getDeck(channelId, slot)))
+        );
+        await this.sendRelayed(channelId, "PeekAnswerRequest", { channelId, stage, decryptedCards: cards });
+    }
+
+    async onShowdown(channelId) {
+        const { player, secretKey } = this.channels.get(channelId);
+        const { escrow, peek, showdown } = this.contracts;
+        const seat = seatOf(await escrow.getChannel(channelId), player);
+        const state = await showdown.getShowdown(channelId);
+        if (!state.inProgress || seat === null) return;
+        if (seat === 0 ? state.player1Revealed : state.player2Revealed) return;
+
+        const cards = [];
+        for (let slot = 0; slot < DECK_SLOTS; slot++) {
+            cards.push(partialDecrypt(secretKey, await peek.getDeck(channelId, slot)));
+        }
+        await this.sendRelayed(channelId, "RevealCardsRequest", { channelId, decryptedCards: cards });
+    }
+
+    async checkDeadlines(channelId, now) {
+        const { player } = this.channels.get(channelId);
+        const { escrow, peek, showdown } = this.contracts;
+        const ch = await escrow.getChannel(channelId);
+        const seat = seatOf(ch, player);
+        if (ch.finalized || seat === null) return;
+
+        const state = await showdown.getShowdown(channelId);
+        if (state.inProgress) {
+            const revealed = [state.player1Revealed, state.player2Revealed];
+            if (now > state.deadline && revealed[seat] && !revealed[1 - seat]) {
+                await this.send(channelId, escrow, "finalizeShowdown", [channelId]);
+            }
+            return;
+        }
+
+        const ds = await escrow.getDispute(channelId);
+        if (ds.inProgress && now > ds.deadline) {
+            const folds = Number(ds.endType) === END.FOLD && Number(ds.folder) === seat;
+            if (!folds) {
+                await this.send(channelId, escrow, "finalizeDispute", [channelId]);
+                return;
+            }
+        }
+
+        const pk = await peek.getPeek(channelId);
+        const opponent = seat === 0 ? ch.player2 : ch.player1;
+        if (pk.inProgress && !pk.served && now > pk.deadline &&
+            pk.obligatedHelper.toLowerCase() === opponent.toLowerCase()) {
+            await this.send(channelId, escrow, "slashPeek", [channelId]);
+        }
+    }
+
+    async send(channelId, contract, method, args) {
+        try {
+            const tx = await contract.connect(this.sender)[method](...args);
+            await tx.wait();
+            this.emit("submitted", { channelId, method, hash: tx.hash });
+        } catch (error) {
+            this.emit("failed", { channelId, method, error });
+        }
+    }
+
+    // Submits a relay request of `primaryType`, signed by the player's signer
+    async sendRelayed(channelId, primaryType, fields) {
+        const { player, signer } = this.channels.get(channelId);
+        const { relay } = this.contracts;
+        const method = RELAY_METHODS[primaryType];
+        if (!relay) {
+            this.emit("failed", { channelId, method, error: new Error("The escrow has no relay") });
+            return;
+        }
+        const { chainId } = await this.provider.getNetwork();
+        const { timestamp } = await this.provider.getBlock("latest");
+        const request = {
+            player,
+            ...fields,
+            nonce: await relay.nonces(player),
+            deadline: BigInt(timestamp) + REQUEST_LIFETIME
+        };
+        const signature = await signRelayRequest(primaryType, request, signer, this.escrowAddress, chainId);
+        await this.send(channelId, relay, method, [request, signature]);
+    }
+}
+
+// 0 for player 1, 1 for player 2, null when the player is not seated
+function seatOf(ch, player) {
+    const address = player.toLowerCase();
+    if (address === ch.player1.toLowerCase()) return 0;
+    if (address === ch.player2.toLowerCase()) return 1;
+    return null;
+}
+
+/**
+ * Encode a transcript as JSON, e.g. to hand it to the watchtower daemon
+ * @param {Transcript} transcript
+ * @returns {string}
+ */
+export function serializeTranscript({ actions, signatures }) {
+    return JSON.stringify({
+        actions: actions.map((action) => ({
+            ...action,
+            channelId: action.channelId.toString(),
+            handId: action.handId.toString(),
+            amount: action.amount.toString()
+        })),
+        signatures
+    });
+}
+
+/**
+ * Decode a transcript produced by `serializeTranscript`
+ * @param {string} json
+ * @returns {Transcript}
+ */
+export function parseTranscript(json) {
+    const { actions, signatures } = JSON.parse(json);
+    if (!Array.isArray(actions) || !Array.isArray(signatures)) {
+        throw new Error("Transcript must hold actions and signatures");
+    }
+    return {
+        actions: actions.map((action) => ({
+            channelId: BigInt(action.channelId),
+            handId: BigInt(action.handId),
+            seq: Number(action.seq),
+            action: Number(action.action),
+            amount: BigInt(action.amount),
+            prevHash: action.prevHash,
+            sender: ethers.getAddress(action.sender)
+        })),
+        signatures
+    };
+}